@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+/* ═══════════════════════════════════════════════════════
+   extrinsic-rank — the analyzer's ranking from the command line
+   Same pipeline as the web app (src/lib), printed as a table, JSON or
+   CSV. Needs Node 18+ for the built-in fetch.
+   ═══════════════════════════════════════════════════════ */
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import {
+  createProvider, createYahooProvider, proxyFromTemplate, setDataProvider, getDataProvider,
+  fetchSpotPrice, fetchOptionChain, fetchDividend, fetchEarnings, spansEarnings, fetchEventTermStructure, PUBLIC_PROXY_TEMPLATES,
+  tsToDate, daysToExpiry, formatDTE, expiryKind, findClosestExpiry, DTE_MODES, DEFAULT_RATE,
+  SIDES, analyzeOptions, rankByEfficiency, ranksOnDelta, scoreLabel, scoreFormula, withSmile, ACCOUNT_TYPES, DEFAULT_ACCOUNT,
+  BUILTIN_PROFILES, DEFAULT_PROFILE_ID, compileFormula,
+  rankedToCsv, rankedToJson,
+} from "../src/lib/index.js";
+
+const USAGE = `Usage: extrinsic-rank <TICKER> [options]
+
+  --expiry YYYY-MM-DD    target expiry; the nearest listed one is used (default: first with more than a day left)
+  --strikes N            strikes each side of the money (default 10)
+  --side calls|puts|both (default both)
+  --format table|json|csv (default table)
+  --dte calendar|trading days to the 4:00 pm ET close, calendar or trading sessions (default calendar)
+  --top N                only the N best-ranked strikes per side
+  --profile ID           built-in scoring profile: ${BUILTIN_PROFILES.map(p => p.id).join(", ")}
+  --formula EXPR         custom ranking formula, e.g. "abs(theta) / vega"
+  --min-oi N  --min-volume N  --max-spread PCT
+  --liquidity-adjusted   rank on extrinsic left after crossing half the spread
+  --ex-event             rank on extrinsic less the earnings event premium when the expiry spans a release
+  --rate PCT  --dividend-yield PCT   inputs for computed Greeks (default ${DEFAULT_RATE * 100} / 0)
+  --dividend-split       count a dividend going ex before expiry as call intrinsic, not extrinsic
+  --account ${Object.keys(ACCOUNT_TYPES).join("|")}  buying power for return on capital (default ${DEFAULT_ACCOUNT})
+  --naked-calls          margin calls as uncovered shorts (ignored for cash accounts)
+  --provider yahoo|self|static (default yahoo)
+  --proxy TEMPLATE       proxy template, repeatable ({url} encoded, {raw} as-is); default: direct, then public proxies
+  --self-hosted URL      base URL for --provider self
+  --fixtures DIR         fixture folder for --provider static (default public/fixtures)
+  --verbose              progress on stderr
+`;
+
+const OPTIONS = {
+  expiry: { type: "string" },
+  strikes: { type: "string", default: "10" },
+  side: { type: "string", default: "both" },
+  format: { type: "string", default: "table" },
+  dte: { type: "string", default: "calendar" },
+  top: { type: "string" },
+  profile: { type: "string", default: DEFAULT_PROFILE_ID },
+  formula: { type: "string" },
+  "min-oi": { type: "string" },
+  "min-volume": { type: "string" },
+  "max-spread": { type: "string" },
+  "liquidity-adjusted": { type: "boolean", default: false },
+  "ex-event": { type: "boolean", default: false },
+  rate: { type: "string" },
+  "dividend-yield": { type: "string" },
+  "dividend-split": { type: "boolean", default: false },
+  account: { type: "string", default: DEFAULT_ACCOUNT },
+  "naked-calls": { type: "boolean", default: false },
+  provider: { type: "string", default: "yahoo" },
+  proxy: { type: "string", multiple: true },
+  "self-hosted": { type: "string" },
+  fixtures: { type: "string" },
+  verbose: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+class UsageError extends Error {}
+
+const number = (v, name) => {
+  if (v == null) return undefined;
+  const n = parseFloat(v);
+  if (!Number.isFinite(n)) throw new UsageError(`--${name} expects a number, got "${v}"`);
+  return n;
+};
+
+const pickProfile = ({ profile, formula }) => {
+  if (formula) {
+    try { compileFormula(formula); } catch (e) { throw new UsageError(`--formula: ${e.message}`); }
+    return { id: "cli", name: "Custom", formula, filters: {} };
+  }
+  const found = BUILTIN_PROFILES.find(p => p.id === profile);
+  if (!found) throw new UsageError(`Unknown --profile "${profile}"`);
+  return found;
+};
+
+const providerFor = (values) => {
+  switch (values.provider) {
+    case "static": {
+      const dir = values.fixtures || fileURLToPath(new URL("../public/fixtures", import.meta.url));
+      const readFixture = async (ticker) => {
+        try { return JSON.parse(await readFile(path.join(dir, `${ticker}.json`), "utf8")); }
+        catch { throw new Error(`No offline fixture for ${ticker} (expected ${path.join(dir, `${ticker}.json`)})`); }
+      };
+      return createProvider({ mode: "static", readFixture });
+    }
+    case "self":
+      return createProvider({ mode: "self", selfHostedUrl: values["self-hosted"] });
+    case "yahoo":
+      if (values.proxy?.length) return createProvider({ mode: "custom", proxyTemplates: values.proxy });
+      // No CORS outside the browser, so Yahoo is tried directly before any proxy
+      return createYahooProvider({ proxies: ["{raw}", ...PUBLIC_PROXY_TEMPLATES.filter(t => t !== "{raw}")].map(proxyFromTemplate) });
+    default:
+      throw new UsageError(`Unknown --provider "${values.provider}"`);
+  }
+};
+
+const pad = (v, w) => String(v).padStart(w);
+const fixed = (v, d) => (v == null || !Number.isFinite(v) ? "—" : v.toFixed(d));
+
+const toTable = (meta, bySide) => {
+  const div = meta.dividend, earn = meta.earnings;
+  const out = [`${meta.ticker} ${meta.name ? `(${meta.name}) ` : ""}· spot $${meta.spot.toFixed(2)} · expiry ${tsToDate(meta.expiry)} ${expiryKind(meta.expiry)} (${formatDTE(daysToExpiry(meta.expiry, meta.settings.dteMode))} ${meta.settings.dteMode} DTE) · ${meta.dataSource}`,
+    `Next ex-dividend: ${div ? `$${div.amount.toFixed(2)} on ${tsToDate(div.exDate)} (${div.source})${div.exDate <= meta.expiry ? " — before expiry" : ""}` : "none found"}`,
+    `Next earnings: ${earn ? `${tsToDate(earn.date)} (${earn.source})${spansEarnings(earn, meta.expiry) ? ` — before expiry${earn.move != null ? `, ±${(earn.move * 100).toFixed(1)}% implied move` : ", event premium not separable"}` : ""}` : "none found"}`,
+    `Ranked by ${meta.rankedBy}: ${meta.formula} · buying power: ${ACCOUNT_TYPES[meta.settings.account]}${meta.settings.account !== "cash" && meta.settings.nakedCalls ? ", naked calls" : ""}`];
+  Object.entries(bySide).forEach(([side, rows]) => {
+    out.push("", side.toUpperCase(),
+      ["#", "Strike", "Mid", "Extrinsic", "Delta", "Theta", "IV %", "OI", "Spread %", "Ann. Yield %", "BP $", "Ann. ROC %", "Score", "Event", "Flags"].map((h, i) => pad(h, [3, 8, 8, 10, 7, 7, 6, 7, 9, 13, 8, 11, 10, 6, 14][i])).join(" "));
+    if (!rows.length) out.push("  (no rankable strikes)");
+    rows.forEach(o => out.push([
+      pad(o.rank, 3), pad(o.strike, 8), pad(fixed(o.mid, 2), 8), pad(fixed(o.extrinsic, 2), 10),
+      pad(fixed(o.delta, 3), 7), pad(fixed(o.theta, 3), 7), pad(fixed(o.impliedVol * 100, 1), 6),
+      pad(o.openInterest, 7), pad(fixed(o.spreadPct, 1), 9), pad(fixed(o.annualizedYield, 1), 13),
+      pad(fixed(o.buyingPower, 0), 8), pad(fixed(o.annualizedROC, 1), 11), pad(fixed(o.score, 4), 10),
+      pad(o.spansEarnings ? fixed(o.eventPremium, 2) : "", 6),
+      pad([o.assignmentRisk && "DIV", o.spansEarnings && "EARN", o.rich && "RICH"].filter(Boolean).join(" "), 14),
+    ].join(" ")));
+  });
+  return out.join("\n");
+};
+
+async function main() {
+  const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  if (values.help) { process.stdout.write(USAGE); return; }
+  if (positionals.length !== 1) throw new UsageError("Give exactly one ticker");
+  const ticker = positionals[0].toUpperCase();
+  const sides = values.side === "both" ? SIDES : [values.side];
+  if (!sides.every(s => SIDES.includes(s))) throw new UsageError(`--side must be calls, puts or both`);
+  if (!["table", "json", "csv"].includes(values.format)) throw new UsageError(`--format must be table, json or csv`);
+  if (!DTE_MODES[values.dte]) throw new UsageError(`--dte must be calendar or trading`);
+  if (!ACCOUNT_TYPES[values.account]) throw new UsageError(`--account must be ${Object.keys(ACCOUNT_TYPES).join(", ")}`);
+  if (values.expiry && !/^\d{4}-\d{2}-\d{2}$/.test(values.expiry)) throw new UsageError(`--expiry must be YYYY-MM-DD`);
+  const numStrikes = number(values.strikes, "strikes");
+  const top = number(values.top, "top");
+
+  const opts = {
+    rate: values.rate != null ? number(values.rate, "rate") / 100 : DEFAULT_RATE,
+    dividendYield: values["dividend-yield"] != null ? number(values["dividend-yield"], "dividend-yield") / 100 : 0,
+    liquidityAdjusted: values["liquidity-adjusted"],
+    exEvent: values["ex-event"],
+    dividendInSplit: values["dividend-split"],
+    dteMode: values.dte,
+    account: values.account,
+    nakedCalls: values["naked-calls"],
+    profile: pickProfile(values),
+    filters: {
+      minOpenInterest: number(values["min-oi"], "min-oi") || 0,
+      minVolume: number(values["min-volume"], "min-volume") || 0,
+      maxSpreadPct: number(values["max-spread"], "max-spread") || 0,
+    },
+  };
+
+  setDataProvider(providerFor(values));
+  const onStatus = values.verbose ? (msg) => process.stderr.write(`${msg}\n`) : undefined;
+  const spot = await fetchSpotPrice(ticker, onStatus);
+  opts.dividend = await fetchDividend(ticker, onStatus).catch(() => null);
+  opts.earnings = await fetchEarnings(ticker, onStatus).catch(() => null);
+  const initial = await fetchOptionChain(ticker, null, onStatus);
+  if (!initial.expirationDates?.length) throw new Error(`No options available for ${ticker}`);
+  const expiry = findClosestExpiry(initial.expirationDates, values.expiry);
+  const chain = await fetchOptionChain(ticker, expiry, onStatus);
+  if (spansEarnings(opts.earnings, expiry)) {
+    const fit = await fetchEventTermStructure(ticker, initial.expirationDates, opts.earnings, spot.price, { dteMode: opts.dteMode, loaded: [{ expiry, ...chain }] }, onStatus);
+    opts.earnings = { ...opts.earnings, ...fit };
+  }
+
+  // Both sides are analyzed either way — the smile is fitted across them
+  const analyzed = withSmile(Object.fromEntries(SIDES.map(side =>
+    [side, analyzeOptions(chain[side] || [], spot.price, expiry, numStrikes, side, opts)])), spot.price, opts);
+  const bySide = {};
+  sides.forEach(side => {
+    const ranked = rankByEfficiency(analyzed[side], opts);
+    bySide[side] = top > 0 ? ranked.slice(0, top) : ranked;
+  });
+  const meta = {
+    ticker, name: spot.name, spot: spot.price, expiry, dividend: opts.dividend, earnings: opts.earnings,
+    exportedAt: new Date().toISOString(), dataSource: getDataProvider().label,
+    rankedBy: scoreLabel(opts), formula: scoreFormula(opts, sides.some(side => ranksOnDelta(bySide[side], opts))),
+    settings: { liquidityFilters: opts.filters, liquidityAdjusted: opts.liquidityAdjusted, exEvent: opts.exEvent, profileFilters: opts.profile.filters, rate: opts.rate, dividendYield: opts.dividendYield, dividendInSplit: opts.dividendInSplit, dteMode: opts.dteMode, account: opts.account, nakedCalls: opts.nakedCalls, strikesEachSide: numStrikes },
+  };
+
+  const out = values.format === "json" ? rankedToJson(meta, bySide)
+    : values.format === "csv" ? rankedToCsv(meta, bySide)
+      : toTable(meta, bySide);
+  process.stdout.write(`${out}\n`);
+}
+
+main().catch(e => {
+  const usage = e instanceof UsageError || String(e.code).startsWith("ERR_PARSE_ARGS");
+  process.stderr.write(`extrinsic-rank: ${e.message}\n`);
+  if (usage) process.stderr.write(`\n${USAGE}`);
+  process.exitCode = usage ? 2 : 1;
+});
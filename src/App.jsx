@@ -1,204 +1,99 @@
-import { useState, useRef, useCallback, useEffect } from "react";
+import { Fragment, useState, useRef, useCallback, useEffect, useMemo } from "react";
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip,
   ResponsiveContainer, ScatterChart, Scatter, Cell,
-  LineChart, Line, Legend, ReferenceLine
+  LineChart, Line, Legend, ReferenceLine, ReferenceArea, ComposedChart
 } from "recharts";
 
-/* ═══════════════════════════════════════════════════════
-   YAHOO FINANCE OPTIONS DATA FETCHER
-   Real market prices — no Black-Scholes needed.
-   ═══════════════════════════════════════════════════════ */
-
-const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-
-const proxyBuilders = [
-  (u) => `https://corsproxy.io/?${encodeURIComponent(u)}`,
-  (u) => `https://api.allorigins.win/raw?url=${encodeURIComponent(u)}`,
-  (u) => `https://api.codetabs.com/v1/proxy?quest=${encodeURIComponent(u)}`,
-  (u) => `https://thingproxy.freeboard.io/fetch/${u}`,
-  (u) => u,
-];
-
-const fetchWithProxies = async (url, onStatus, label, maxAttempts = 3) => {
-  let lastErr;
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    for (let p = 0; p < proxyBuilders.length; p++) {
-      const proxyUrl = proxyBuilders[(attempt + p) % proxyBuilders.length](url);
-      try {
-        if (onStatus) onStatus(`${label} (attempt ${attempt + 1}, proxy ${p + 1}/${proxyBuilders.length})`);
-        const resp = await fetch(proxyUrl, { signal: AbortSignal.timeout(12000) });
-        if (!resp.ok) continue;
-        const text = await resp.text();
-        if (!text || text.length < 30) continue;
-        let data;
-        try { data = JSON.parse(text); } catch { continue; }
-        return data;
-      } catch (e) { lastErr = e; }
-    }
-    if (attempt < maxAttempts - 1) await sleep(1500 * (attempt + 1));
-  }
-  throw new Error(`${label} failed: ${lastErr?.message || "All proxies failed"}`);
-};
-
-// Fetch spot price
-const fetchSpotPrice = async (ticker, onStatus) => {
-  const now = Math.floor(Date.now() / 1000);
-  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}?period1=${now - 5 * 86400}&period2=${now}&interval=1d`;
-  const data = await fetchWithProxies(url, onStatus, `Fetching ${ticker} spot price`);
-  const result = data?.chart?.result?.[0];
-  if (!result) throw new Error(`No data returned for ${ticker}`);
-  const meta = result.meta;
-  const price = meta?.regularMarketPrice;
-  if (price) return { price, name: meta.shortName || meta.symbol || ticker };
-  const closes = result.indicators?.adjclose?.[0]?.adjclose || result.indicators?.quote?.[0]?.close;
-  if (closes) {
-    const valid = closes.filter(c => c != null);
-    if (valid.length > 0) return { price: valid[valid.length - 1], name: ticker };
-  }
-  throw new Error(`Could not extract price for ${ticker}`);
-};
-
-// Fetch option chain — returns available expiry dates + calls/puts
-const fetchOptionChain = async (ticker, expiryTimestamp, onStatus) => {
-  let url = `https://query1.finance.yahoo.com/v7/finance/options/${encodeURIComponent(ticker)}`;
-  if (expiryTimestamp) url += `?date=${expiryTimestamp}`;
-  const data = await fetchWithProxies(url, onStatus, `Fetching ${ticker} options chain`);
-  const oc = data?.optionChain?.result?.[0];
-  if (!oc) throw new Error(`No options data for ${ticker}`);
-  return {
-    expirationDates: oc.expirationDates || [],
-    calls: oc.options?.[0]?.calls || [],
-    puts: oc.options?.[0]?.puts || [],
-    quote: oc.quote || {},
-  };
-};
+import {
+  sleep, isAbortError, throwIfAborted, responseCache, fetchSpotPrice, fetchOptionChain, fetchDividend, fetchEarnings, spansEarnings, fetchEventTermStructure, createProvider, setDataProvider, getDataProvider,
+  PROVIDER_MODES, PUBLIC_PROXY_TEMPLATES,
+  tsToLabel, tsToShort, tsToDate, daysToExpiry, formatDTE, expiryKind, findClosestExpiry, isMarketOpen,
+  GREEK_KEYS, DEFAULT_RATE, shortOptionOdds, ACCOUNT_TYPES, DEFAULT_ACCOUNT, isCoveredCall, buyingPowerBasis, withBuyingPower,
+  SIDES, mapWithConcurrency, analyzeCallOptions, analyzePutOptions, rankByEfficiency, coveredCallMetrics,
+  intrinsicAt, payoffPriceGrid, strikeKey, buildCreditSpreads, rankSpreads, ranksOnDelta, scoreLabel, scoreFormula,
+  scanTermStructure, screenTicker, analyzeRolls, rankRolls,
+  compileFormula, BUILTIN_PROFILES, DEFAULT_PROFILE_ID, EFFICIENCY_FORMULA, SCORE_FIELDS, SCORE_FUNCTIONS,
+  importChainCsv, groupByExpiry, BROKER_PRESETS, CSV_FIELDS,
+  rankedToCsv, rankedToJson, topStrikesMarkdown,
+  ALERT_FIELDS, parseAlert, describeAlert, alertMatches, diffRankings,
+  snapshotKey, buildSnapshot, snapshotStrikes, contractSeries, diffSnapshots,
+  fitSmile, withSmile, expectedMove,
+  loadHistoryFiles, runBacktest,
+  TRADE_EXITS, journalTrade, closeTrade, reopenTrade, tradeResult, journalSummary, repriceTrades, journalToJson, parseJournal, mergeJournal,
+} from "./lib";
+import { downloadText, downloadChartSvg, downloadChartPng } from "./exporters";
+import { saveSnapshot, listSnapshots, loadSnapshot, loadSnapshotsFor, deleteSnapshot, clearSnapshots } from "./snapshots";
+import { configToSearch, searchToConfig } from "./deepLink";
+
+const SIDE_LABELS = { calls: "Calls", puts: "Puts" };
 
 
 /* ═══════════════════════════════════════════════════════
-   OPTION ANALYSIS — Real prices, real Greeks from Yahoo
+   HELPERS
    ═══════════════════════════════════════════════════════ */
 
-function daysUntilExpiry(expiryTs) {
-  return Math.max(1, Math.ceil((expiryTs - Date.now() / 1000) / 86400));
+function parseTickerList(text) {
+  return [...new Set(text.toUpperCase().split(/[\s,;]+/).map(t => t.trim()).filter(Boolean))];
 }
 
-function analyzeCallOptions(calls, spotPrice, expiryTs, numStrikes) {
-  const dte = daysUntilExpiry(expiryTs);
-  const sorted = [...calls].sort((a, b) => a.strike - b.strike);
-
-  // Find ATM
-  let atmIdx = 0, minDist = Infinity;
-  sorted.forEach((c, i) => {
-    const dist = Math.abs(c.strike - spotPrice);
-    if (dist < minDist) { minDist = dist; atmIdx = i; }
-  });
-
-  // Determine strike increment from ATM area
-  let increment = 1;
-  if (sorted.length > 1) {
-    const nearby = sorted.slice(Math.max(0, atmIdx - 1), Math.min(sorted.length, atmIdx + 2));
-    if (nearby.length >= 2) increment = nearby[1].strike - nearby[0].strike;
-  }
-
-  const startIdx = Math.max(0, atmIdx - numStrikes);
-  const endIdx = Math.min(sorted.length, atmIdx + numStrikes + 1);
-  const selected = sorted.slice(startIdx, endIdx);
-
-  return selected.map(c => {
-    const strike = c.strike;
-    // Use mid price from real bid/ask
-    const bid = c.bid || 0;
-    const ask = c.ask || 0;
-    const mid = (bid > 0 && ask > 0) ? (bid + ask) / 2 : c.lastPrice || 0;
-    const last = c.lastPrice || 0;
-    const volume = c.volume || 0;
-    const openInterest = c.openInterest || 0;
-    const impliedVol = c.impliedVolatility || 0;
-
-    // THE KEY: extrinsic from real market prices, no model
-    const intrinsic = Math.max(0, spotPrice - strike);
-    const extrinsic = Math.max(0, mid - intrinsic);
-
-    // Greeks directly from Yahoo
-    const delta = typeof c.delta === "number" ? c.delta : null;
-    const gamma = typeof c.gamma === "number" ? c.gamma : null;
-    const theta = typeof c.theta === "number" ? c.theta : null;
-    const vega = typeof c.vega === "number" ? c.vega : null;
-    const rho = typeof c.rho === "number" ? c.rho : null;
-
-    const extrinsicPerDTE = extrinsic / dte;
-    const absDelta = delta != null ? Math.abs(delta) : null;
-
-    // Primary ranking metric
-    const efficiencyScore = (absDelta != null && absDelta > 0.01)
-      ? extrinsicPerDTE / absDelta
-      : null;
-
-    // Fallback ranking if no Greeks: pure extrinsic/DTE
-    const fallbackScore = extrinsicPerDTE;
-
-    const annualizedYield = (extrinsic / strike) * (365 / dte) * 100;
-
-    const isITM = strike < spotPrice;
-    const isATM = Math.abs(strike - spotPrice) <= increment * 0.6;
-    const moneyness = isATM ? "ATM" : isITM ? "ITM" : "OTM";
-
-    return {
-      strike, mid, bid, ask, last, volume, openInterest, impliedVol,
-      intrinsic, extrinsic, extrinsicPerDTE,
-      efficiencyScore, fallbackScore, annualizedYield,
-      delta, gamma, theta, vega, rho,
-      dte, moneyness, inTheMoney: c.inTheMoney || false,
-      contractSymbol: c.contractSymbol || "",
-    };
-  });
+const WATCHLIST_KEY = "oea.watchlist";
+function loadWatchlist() {
+  try { return localStorage.getItem(WATCHLIST_KEY) || ""; } catch { return ""; }
 }
-
-function rankByEfficiency(options) {
-  const hasGreeks = options.some(o => o.efficiencyScore != null);
-  const rankable = options.filter(o => o.extrinsic > 0.01);
-
-  if (hasGreeks) {
-    // Split: options with Greeks get ranked by efficiency, others appended at end
-    const withGreeks = rankable.filter(o => o.efficiencyScore != null && o.efficiencyScore > 0);
-    const noGreeks = rankable.filter(o => o.efficiencyScore == null || o.efficiencyScore <= 0);
-    withGreeks.sort((a, b) => b.efficiencyScore - a.efficiencyScore);
-    noGreeks.sort((a, b) => b.fallbackScore - a.fallbackScore);
-    return [...withGreeks, ...noGreeks].map((o, i) => ({ ...o, rank: i + 1 }));
-  } else {
-    // No Greeks at all: rank by extrinsic/DTE
-    rankable.sort((a, b) => b.fallbackScore - a.fallbackScore);
-    return rankable.map((o, i) => ({ ...o, rank: i + 1 }));
-  }
+function saveWatchlist(text) {
+  try { localStorage.setItem(WATCHLIST_KEY, text); } catch { /* storage disabled — keep in memory only */ }
 }
 
+const PROVIDER_KEY = "oea.provider";
+const DEFAULT_PROVIDER_CONFIG = {
+  mode: process.env.REACT_APP_DATA_PROVIDER || "yahoo",
+  proxyTemplates: PUBLIC_PROXY_TEMPLATES.join("\n"),
+  selfHostedUrl: "",
+};
+function loadProviderConfig() {
+  try { return { ...DEFAULT_PROVIDER_CONFIG, ...JSON.parse(localStorage.getItem(PROVIDER_KEY) || "{}") }; }
+  catch { return DEFAULT_PROVIDER_CONFIG; }
+}
+function saveProviderConfig(config) {
+  try { localStorage.setItem(PROVIDER_KEY, JSON.stringify(config)); } catch { /* storage disabled — keep in memory only */ }
+}
 
-/* ═══════════════════════════════════════════════════════
-   HELPERS
-   ═══════════════════════════════════════════════════════ */
-
-function getNextFridays(count = 12) {
-  const fridays = [];
-  const d = new Date(); d.setHours(0, 0, 0, 0);
-  const diff = (5 - d.getDay() + 7) % 7 || 7;
-  d.setDate(d.getDate() + diff);
-  for (let i = 0; i < count; i++) { fridays.push(new Date(d)); d.setDate(d.getDate() + 7); }
-  return fridays;
+// Custom scoring profiles plus the active profile id (built-ins live in scoring.js)
+const SCORING_KEY = "oea.scoring";
+const DEFAULT_SCORING = { activeId: DEFAULT_PROFILE_ID, profiles: [] };
+function loadScoring() {
+  try { return { ...DEFAULT_SCORING, ...JSON.parse(localStorage.getItem(SCORING_KEY) || "{}") }; }
+  catch { return DEFAULT_SCORING; }
+}
+function saveScoring(scoring) {
+  try { localStorage.setItem(SCORING_KEY, JSON.stringify(scoring)); } catch { /* storage disabled — keep in memory only */ }
 }
 
-function tsToLabel(ts) {
-  return new Date(ts * 1000).toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric", year: "numeric" });
+// Live-mode threshold alerts (shape in lib/alerts.js)
+const ALERTS_KEY = "oea.alerts";
+function loadAlerts() {
+  try { return JSON.parse(localStorage.getItem(ALERTS_KEY) || "[]"); } catch { return []; }
+}
+function saveAlerts(alerts) {
+  try { localStorage.setItem(ALERTS_KEY, JSON.stringify(alerts)); } catch { /* storage disabled — keep in memory only */ }
 }
-function tsToDTE(ts) { return Math.max(1, Math.ceil((ts - Date.now() / 1000) / 86400)); }
 
-function findClosestExpiry(available, targetDateStr) {
-  const target = new Date(targetDateStr + "T16:00:00").getTime() / 1000;
-  return available.reduce((best, ts) => Math.abs(ts - target) < Math.abs(best - target) ? ts : best, available[0]);
+// Trade journal, newest first (shape in lib/journal.js)
+const JOURNAL_KEY = "oea.journal";
+function loadJournal() {
+  try { return JSON.parse(localStorage.getItem(JOURNAL_KEY) || "[]"); } catch { return []; }
+}
+function saveJournal(trades) {
+  try { localStorage.setItem(JOURNAL_KEY, JSON.stringify(trades)); } catch { /* storage disabled — keep in memory only */ }
 }
 
-function fmtDate(d) { return d.toISOString().split("T")[0]; }
-function fmtLabel(d) { return d.toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric" }); }
+// Every analysis is kept as an IndexedDB snapshot; live refreshes only this often
+const SNAPSHOT_REFRESH_MS = 15 * 60 * 1000;
+
+// Short tag after an expiry date: standard monthly or quarterly
+const EXPIRY_TAGS = { monthly: "M", quarterly: "Q" };
+const expiryTag = (ts) => (EXPIRY_TAGS[expiryKind(ts)] ? ` ${EXPIRY_TAGS[expiryKind(ts)]}` : "");
 
 
 /* ═══════════════════════════════════════════════════════
@@ -278,6 +173,1832 @@ const MoneyBadge = ({ type }) => {
 };
 
 
+// Flags a Greek derived from IV rather than quoted by Yahoo
+const Computed = ({ src }) => src === "computed"
+  ? <sup title="Computed from IV (Black-Scholes-Merton)" style={{ color: TEXT_DIM, fontSize: 8, marginLeft: 1 }}>c</sup>
+  : null;
+
+const SideTag = ({ side }) => {
+  const c = side === "puts" ? ACCENT2 : ACCENT;
+  return (<span style={{
+    fontSize: 9, fontWeight: 700, letterSpacing: 1, padding: "2px 6px",
+    borderRadius: 4, background: `${c}18`, color: c, fontFamily: mono, textTransform: "uppercase",
+  }}>{SIDE_LABELS[side]}</span>);
+};
+
+const ToggleGroup = ({ value, onChange, options }) => (
+  <div style={{ display: "flex", gap: 6 }}>
+    {options.map(([v, l]) => (
+      <button key={v} onClick={() => onChange(v)} style={{
+        flex: 1, padding: "10px 0", borderRadius: 8, fontSize: 13, fontFamily: mono, cursor: "pointer",
+        background: value === v ? `${ACCENT}18` : BG_INPUT, color: value === v ? ACCENT : TEXT_DIM,
+        border: `1px solid ${value === v ? ACCENT : BORDER}`, fontWeight: value === v ? 700 : 400,
+      }}>{l}</button>
+    ))}
+  </div>
+);
+
+// Flags a covered-call strike that would sell the shares below their cost basis
+const BelowBasis = ({ show }) => show
+  ? <span title="Strike is below your cost basis — assignment sells the shares under what you paid" style={{
+    fontSize: 9, fontWeight: 700, letterSpacing: 1, padding: "2px 6px", marginLeft: 4,
+    borderRadius: 4, background: `${RED}18`, color: RED, fontFamily: mono,
+  }}>&lt;BASIS</span>
+  : null;
+
+// Flags an ITM call whose time value is less than a dividend going ex before expiry
+const DivRisk = ({ o }) => o.assignmentRisk
+  ? <span title={`Time value is below the $${o.dividendAhead.toFixed(2)} dividend going ex before expiry — expect early assignment the day before the ex-date`} style={{
+    fontSize: 9, fontWeight: 700, letterSpacing: 1, padding: "2px 6px", marginLeft: 4,
+    borderRadius: 4, background: `${AMBER}18`, color: AMBER, fontFamily: mono,
+  }}>DIV</span>
+  : null;
+
+// Next ex-dividend; amber when it falls inside the analyzed expiry
+const DividendCard = ({ dividend, expiry }) => {
+  if (!dividend) return <StatCard label="Next Ex-Dividend" value="None" sub="no upcoming dividend found" accent={TEXT_DIM} />;
+  const ahead = expiry != null && dividend.exDate <= expiry;
+  return <StatCard label="Next Ex-Dividend" value={`$${dividend.amount.toFixed(2)}`}
+    sub={`${tsToShort(dividend.exDate)} · ${dividend.source}${ahead ? " · before expiry" : ""}`} accent={ahead ? AMBER : TEXT_DIM} />;
+};
+
+// Next earnings release; amber when the analyzed expiries span it
+const EarningsCard = ({ earnings, expiry }) => {
+  if (!earnings) return <StatCard label="Next Earnings" value="None" sub="no upcoming release found" accent={TEXT_DIM} />;
+  const spans = spansEarnings(earnings, expiry);
+  const move = earnings.move != null ? ` · ±${(earnings.move * 100).toFixed(1)}% implied move` : "";
+  return <StatCard label="Next Earnings" value={tsToShort(earnings.date)}
+    sub={`${earnings.source}${spans ? " · before expiry" : ""}${move}`} accent={spans ? AMBER : TEXT_DIM} />;
+};
+
+// Marks a row whose extrinsic includes earnings event premium
+const EventTag = ({ o }) => o.spansEarnings
+  ? <span title={o.eventPremium != null ? `Expiry spans earnings — $${o.eventPremium.toFixed(2)} of the $${o.extrinsic.toFixed(2)} extrinsic is event premium` : "Expiry spans earnings — event premium could not be estimated"} style={{
+    fontSize: 9, fontWeight: 700, letterSpacing: 1, padding: "2px 6px", marginLeft: 4,
+    borderRadius: 4, background: `${ACCENT2}18`, color: ACCENT2, fontFamily: mono,
+  }}>EARN</span>
+  : null;
+
+// Marks a strike priced well above the fitted volatility smile
+const RichTag = ({ o }) => o.rich
+  ? <span title={`IV ${(o.impliedVol * 100).toFixed(1)}% is ${(o.ivResidual * 100).toFixed(1)} vol points above the ${(o.smileIV * 100).toFixed(1)}% smile — $${o.richness.toFixed(2)} more extrinsic than the smile prices`} style={{
+    fontSize: 9, fontWeight: 700, letterSpacing: 1, padding: "2px 6px", marginLeft: 4,
+    borderRadius: 4, background: `${GREEN}18`, color: GREEN, fontFamily: mono,
+  }}>RICH</span>
+  : null;
+
+// Movement since the previous live refresh
+const RankMove = ({ c }) => {
+  if (!c) return null;
+  if (c.isNew) return <span title="New to the ranking since the last refresh" style={{ color: CYAN, fontSize: 9, fontWeight: 700, marginLeft: 4 }}>NEW</span>;
+  if (!c.rankChange) return null;
+  return <span title={`${c.rankChange > 0 ? "Up" : "Down"} ${Math.abs(c.rankChange)} since the last refresh`} style={{ color: c.rankChange > 0 ? GREEN : RED, fontSize: 10, fontWeight: 700, marginLeft: 4 }}>{c.rankChange > 0 ? "▲" : "▼"}{Math.abs(c.rankChange)}</span>;
+};
+const MidMove = ({ c }) => c && Math.abs(c.midChange) >= 0.005
+  ? <span title="Mid change since the last refresh" style={{ color: c.midChange > 0 ? GREEN : RED, fontSize: 10, marginLeft: 4 }}>{c.midChange > 0 ? "+" : "−"}{Math.abs(c.midChange).toFixed(2)}</span>
+  : null;
+
+// Return on capital; rows saved before it existed have none
+const rocText = (v) => (v != null ? `${v.toFixed(1)}%` : "—");
+
+// Warning marker for a mid taken from the last trade instead of a live bid/ask
+const LastMid = ({ src }) => src === "last"
+  ? <span title="No two-sided quote — mid is the last traded price and may be stale" style={{ color: AMBER, marginLeft: 3, cursor: "help" }}>⚠</span>
+  : null;
+
+// Detail for one clicked ranking row: the row's own figures next to its
+// expiry payoff and IV-implied odds. Calls can add covered stock. onLog
+// (when the row has a ticker and expiry) records a fill in the trade journal.
+const StrikeDetail = ({ o, spot, opts, onClose, onLog }) => {
+  const [covered, setCovered] = useState(false);
+  const [fill, setFill] = useState(o.mid.toFixed(2));
+  const [quantity, setQuantity] = useState("1");
+  const [logged, setLogged] = useState(null);
+  const isPut = o.side === "puts";
+  const withStock = covered && !isPut;
+  const odds = shortOptionOdds(o, spot, opts);
+  const pct = v => `${(v * 100).toFixed(1)}%`;
+  const usd = v => `${v >= 0 ? "+" : "−"}$${Math.abs(v * 100).toFixed(0)}`;
+  const logInput = { background: BG_INPUT, border: `1px solid ${BORDER}`, borderRadius: 6, color: TEXT, padding: "5px 8px", fontSize: 12, fontFamily: mono };
+
+  const prices = payoffPriceGrid([spot, o.strike], Math.max(Math.abs(spot - o.strike) * 1.5, spot * 0.08));
+  const payoff = prices.map(S => {
+    const short = o.mid - intrinsicAt(o.side, o.strike, S);
+    return { price: +S.toFixed(2), pnl: (withStock ? S - spot + short : short) * 100 };
+  });
+  const breakeven = withStock ? odds?.coveredBreakeven ?? spot - o.mid : odds?.breakeven ?? (isPut ? o.strike - o.mid : o.strike + o.mid);
+
+  const stats = [
+    ["Mid", `$${o.mid.toFixed(2)}`, TEXT],
+    ["Extrinsic", `$${o.extrinsic.toFixed(2)}`, GREEN],
+    [scoreLabel(opts), o.score.toFixed(4), ACCENT],
+    ["Delta", o.delta != null ? o.delta.toFixed(3) : "—", CYAN],
+    ["IV · DTE", `${(o.impliedVol * 100).toFixed(1)}% · ${formatDTE(o.dte)}d`, TEXT],
+    ["Breakeven", `$${breakeven.toFixed(2)}`, TEXT],
+    ["Prob. ITM (assigned)", odds ? pct(odds.probITM) : "—", RED],
+    ["Prob. of Profit", odds ? pct(withStock ? odds.coveredProbProfit : odds.probProfit) : "—", GREEN],
+    ["Expected P&L", odds ? usd(withStock ? odds.coveredExpectedPnL : odds.expectedPnL) : "—", ACCENT3],
+  ];
+
+  return (
+    <div style={{ background: BG_CARD2, border: `1px solid ${ACCENT}33`, borderRadius: 12, padding: 20, marginTop: 20 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, marginBottom: 16, flexWrap: "wrap" }}>
+        <div style={{ fontSize: 15, fontWeight: 700, color: TEXT, fontFamily: head }}>
+          Short ${o.strike.toFixed(2)} {isPut ? "Put" : "Call"} <MoneyBadge type={o.moneyness} /> <span style={{ fontSize: 11, color: TEXT_DIM, fontFamily: mono }}>#{o.rank} · {o.contractSymbol}</span>
+        </div>
+        <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+          {!isPut && <ToggleGroup value={covered ? "covered" : "short"} onChange={v => setCovered(v === "covered")} options={[["short", "Short Call"], ["covered", "+ 100 Shares"]]} />}
+          <button onClick={onClose} style={{ background: "none", border: `1px solid ${BORDER}`, borderRadius: 8, color: TEXT_DIM, padding: "8px 12px", cursor: "pointer", fontFamily: mono }}>✕</button>
+        </div>
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "minmax(220px, 1fr) minmax(300px, 2fr)", gap: 20 }}>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr", gap: 6, fontSize: 12, fontFamily: mono, alignContent: "start" }}>
+          {stats.map(([l, v, c]) => (
+            <div key={l} style={{ display: "flex", justifyContent: "space-between", borderBottom: `1px solid ${BORDER}44`, padding: "4px 0" }}>
+              <span style={{ color: TEXT_DIM }}>{l}</span><span style={{ color: c, fontWeight: 700 }}>{v}</span>
+            </div>
+          ))}
+          <div style={{ color: TEXT_DIM, fontSize: 10, lineHeight: 1.6, marginTop: 6 }}>
+            {odds ? `Lognormal spot at expiry from this contract's IV, r = ${((opts?.rate ?? DEFAULT_RATE) * 100).toFixed(2)}%. P&L per contract${withStock ? ", stock bought at spot" : ""}.` : "No usable IV — odds unavailable."}
+          </div>
+          {onLog && (
+            <div style={{ borderTop: `1px solid ${BORDER}`, marginTop: 10, paddingTop: 12 }}>
+              <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                <span style={{ color: TEXT_DIM }}>Sold</span>
+                <input value={quantity} onChange={e => { setQuantity(e.target.value); setLogged(null); }} aria-label="Contracts" style={{ ...logInput, width: 44 }} />
+                <span style={{ color: TEXT_DIM }}>@ $</span>
+                <input value={fill} onChange={e => { setFill(e.target.value); setLogged(null); }} aria-label="Fill price" style={{ ...logInput, width: 64 }} />
+                <button onClick={() => {
+                  try { onLog(o, { fill, quantity }); setLogged({ ok: true, text: "✓ Logged in the Trade Journal" }); } catch (e) { setLogged({ ok: false, text: `✗ ${e.message}` }); }
+                }} style={{ background: BG_CARD, color: ACCENT, border: `1px solid ${ACCENT}66`, borderRadius: 8, padding: "6px 12px", fontSize: 11, fontWeight: 700, fontFamily: mono, cursor: "pointer" }}>Log Trade</button>
+              </div>
+              {logged && <div style={{ marginTop: 8, fontSize: 11, color: logged.ok ? GREEN : RED }}>{logged.text}</div>}
+            </div>
+          )}
+        </div>
+        <ResponsiveContainer width="100%" height={260}>
+          <LineChart data={payoff}>
+            <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
+            <XAxis dataKey="price" type="number" domain={["dataMin", "dataMax"]} tick={{ fontSize: 10, fill: TEXT_DIM }} tickFormatter={v => `$${v.toFixed(0)}`} />
+            <YAxis tick={{ fontSize: 10, fill: TEXT_DIM }} tickFormatter={v => `$${v.toFixed(0)}`} />
+            <Tooltip content={({ active, payload }) => { if (!active || !payload?.length) return null; const d = payload[0]?.payload || {}; return (<div style={ttStyle}><div style={{ color: TEXT, fontWeight: 700, marginBottom: 6 }}>Underlying ${d.price}</div><div style={{ color: (d.pnl || 0) >= 0 ? GREEN : RED }}>P&L: ${(d.pnl || 0).toFixed(0)}</div></div>); }} />
+            <ReferenceLine y={0} stroke={TEXT_DIM} />
+            <ReferenceLine x={+spot.toFixed(2)} stroke={ACCENT3} strokeDasharray="4 4" label={{ value: "spot", fill: ACCENT3, fontSize: 10 }} />
+            <ReferenceLine x={+breakeven.toFixed(2)} stroke={CYAN} strokeDasharray="2 3" label={{ value: "B/E", fill: CYAN, fontSize: 10 }} />
+            <Line type="linear" dataKey="pnl" stroke={ACCENT} strokeWidth={2.5} dot={false} name={withStock ? "Covered call" : `Short ${isPut ? "put" : "call"}`} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+const RankingPanel = ({ side, chain, ranked, opts, costBasis, spot, earnings, changes, onLog }) => {
+  const [selectedStrike, setSelectedStrike] = useState(null);
+  const selected = ranked?.find(o => o.strike === selectedStrike);
+  const hasGreeks = chain?.some(o => o.delta != null);
+  const lastMids = ranked?.filter(o => o.midSource === "last").length || 0;
+  const filteredOut = (chain?.filter(o => o.extrinsic > 0.01).length || 0) - (ranked?.length || 0);
+  const divRisks = chain?.filter(o => o.assignmentRisk) || [];
+  const dividendAhead = chain?.[0]?.dividendAhead || 0;
+  const spansEvent = !!chain?.[0]?.spansEarnings;
+  const richCount = ranked?.filter(o => o.rich).length || 0;
+  const label = scoreLabel(opts);
+  const formula = scoreFormula(opts, hasGreeks);
+  const custom = !!opts?.profile?.formula;
+  const computedGreeks = chain?.some(o => GREEK_KEYS.some(k => o.greekSource?.[k] === "computed"));
+  const sideLabel = SIDE_LABELS[side];
+  const intrinsicFormula = side === "puts" ? "max(0, Strike − Spot)"
+    : opts?.dividendInSplit && dividendAhead > 0 ? `max(0, Spot + $${dividendAhead.toFixed(2)} div − Strike)` : "max(0, Spot − Strike)";
+
+  if (!ranked?.length) {
+    return (
+      <div className="slide-up" style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+        <SectionTitle num="3" title={`${sideLabel} — Extrinsic Value Efficiency Ranking`} subtitle={`No rankable ${sideLabel.toLowerCase()} for this expiry`} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="slide-up" style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+      <SectionTitle num="3" title={`${sideLabel} — ${custom ? label : "Extrinsic Value Efficiency"} Ranking`}
+        subtitle={custom || hasGreeks ? `Ranked: ${formula} — best premium-selling strikes first` : `Ranked: ${formula} (Greeks and IV unavailable)`} />
+
+      <div style={{ padding: "10px 16px", borderRadius: 8, marginBottom: 20, fontSize: 13, background: `${GREEN}08`, border: `1px solid ${GREEN}22`, color: GREEN, fontFamily: mono }}>
+        {custom ? `✦ ${label} = ${formula} — Higher ranks first` : hasGreeks ? `✦ Efficiency = ${formula} — Higher = more premium per directional risk per day` : `✦ Ranking by ${formula} — Yahoo returned neither Greeks nor usable IV for this chain`}
+        {!custom && opts?.liquidityAdjusted && <span style={{ color: TEXT_DIM }}> · Fillable = Extrinsic − Spread ÷ 2</span>}
+        {computedGreeks && <span style={{ color: TEXT_DIM }}> · Greeks marked <sup>c</sup> are computed from IV, not market-quoted</span>}
+        <span style={{ color: TEXT_DIM }}> · Intrinsic = {intrinsicFormula}{side === "puts" ? " · Yield vs cash-secured collateral" : ""}</span>
+        <span style={{ color: TEXT_DIM }}> · BP Req. ({ACCOUNT_TYPES[opts?.account || DEFAULT_ACCOUNT]}) = {buyingPowerBasis(side, opts)}</span>
+        {richCount > 0 && <span style={{ color: TEXT_DIM }}> · RICH marks {richCount} strike{richCount === 1 ? "" : "s"} priced well above the volatility smile</span>}
+      </div>
+
+      {spansEvent && (
+        <div style={{ padding: "8px 16px", borderRadius: 8, marginBottom: 20, fontSize: 12, background: `${ACCENT2}0c`, border: `1px solid ${ACCENT2}33`, color: ACCENT2, fontFamily: mono }}>
+          EARN This expiry spans earnings on {tsToShort(earnings.date)} ({earnings.source}) —{" "}
+          {earnings.eventVariance != null
+            ? <>the term structure prices a ±{(earnings.move * 100).toFixed(1)}% move; #1 ${ranked[0].strike} carries ${(ranked[0].eventPremium ?? 0).toFixed(2)} of event premium in its ${ranked[0].extrinsic.toFixed(2)} extrinsic.{opts?.exEvent ? " Ranked on ex-event premium." : " Switch the ranking to Ex-Event to rank on ordinary time value only."}</>
+            : "extrinsic includes event premium, but the term structure was too thin to separate it."}
+        </div>
+      )}
+
+      {(filteredOut > 0 || lastMids > 0 || divRisks.length > 0) && (
+        <div style={{ padding: "8px 16px", borderRadius: 8, marginBottom: 20, fontSize: 12, background: `${AMBER}0a`, border: `1px solid ${AMBER}22`, color: AMBER, fontFamily: mono }}>
+          {filteredOut > 0 && <span>{filteredOut} strike{filteredOut === 1 ? "" : "s"} excluded by filters{custom ? " or unscorable" : ""}</span>}
+          {filteredOut > 0 && lastMids > 0 && " · "}
+          {lastMids > 0 && <span>⚠ {lastMids} mid{lastMids === 1 ? "" : "s"} from last trade — no live bid/ask</span>}
+          {(filteredOut > 0 || lastMids > 0) && divRisks.length > 0 && " · "}
+          {divRisks.length > 0 && <span>DIV {divRisks.length} ITM call{divRisks.length === 1 ? "" : "s"} ({divRisks.map(o => `$${o.strike}`).join(", ")}) with less time value than the ${dividendAhead.toFixed(2)} dividend — likely assigned early</span>}
+        </div>
+      )}
+
+      {/* Top 3 cards */}
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(240px, 1fr))", gap: 14, marginBottom: 24 }}>
+        {ranked.slice(0, 3).map((o, i) => {
+          const colors = [ACCENT, ACCENT2, ACCENT3];
+          const odds = spot ? shortOptionOdds(o, spot, opts) : null;
+          return (
+            <div key={o.strike} style={{ background: BG_CARD2, border: `1px solid ${colors[i]}33`, borderRadius: 12, padding: "18px 20px", borderTop: `3px solid ${colors[i]}` }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
+                <span style={{ fontSize: 11, color: TEXT_DIM, fontFamily: mono }}>#{i + 1} BEST</span>
+                <span style={{ display: "flex", gap: 6 }}><SideTag side={side} /><MoneyBadge type={o.moneyness} /><BelowBasis show={side === "calls" && o.strike < costBasis} /><DivRisk o={o} /><EventTag o={o} /><RichTag o={o} /></span>
+              </div>
+              <div style={{ fontSize: 28, fontWeight: 800, color: TEXT, fontFamily: mono, marginBottom: 6 }}>${o.strike.toFixed(2)}</div>
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 5, fontSize: 12, fontFamily: mono }}>
+                <div><span style={{ color: TEXT_DIM }}>Mid: </span><span style={{ color: TEXT }}>${o.mid.toFixed(2)}<LastMid src={o.midSource} /></span></div>
+                <div><span style={{ color: TEXT_DIM }}>Bid/Ask: </span><span style={{ color: TEXT }}>{o.bid.toFixed(2)}/{o.ask.toFixed(2)}</span></div>
+                <div><span style={{ color: TEXT_DIM }}>Intrinsic: </span><span style={{ color: CYAN }}>${o.intrinsic.toFixed(2)}</span></div>
+                <div><span style={{ color: TEXT_DIM }}>Extrinsic: </span><span style={{ color: GREEN, fontWeight: 700 }}>${o.extrinsic.toFixed(2)}</span></div>
+                {o.eventPremium > 0 && <div><span style={{ color: TEXT_DIM }}>Event: </span><span style={{ color: ACCENT2 }}>${o.eventPremium.toFixed(2)}</span></div>}
+                {o.eventPremium > 0 && <div><span style={{ color: TEXT_DIM }}>Ex-Event: </span><span style={{ color: GREEN }}>${o.exEventExtrinsic.toFixed(2)}</span></div>}
+                {o.delta != null && <div><span style={{ color: TEXT_DIM }}>Delta: </span><span style={{ color: CYAN }}>{o.delta.toFixed(3)}<Computed src={o.greekSource?.delta} /></span></div>}
+                {o.theta != null && <div><span style={{ color: TEXT_DIM }}>Theta: </span><span style={{ color: RED }}>{o.theta.toFixed(4)}<Computed src={o.greekSource?.theta} /></span></div>}
+                <div><span style={{ color: TEXT_DIM }}>OI: </span><span style={{ color: TEXT }}>{o.openInterest.toLocaleString()}</span></div>
+                <div><span style={{ color: TEXT_DIM }}>IV: </span><span style={{ color: TEXT }}>{(o.impliedVol * 100).toFixed(1)}%</span></div>
+                {odds && <div><span style={{ color: TEXT_DIM }}>P(ITM): </span><span style={{ color: RED }}>{(odds.probITM * 100).toFixed(1)}%</span></div>}
+                {odds && <div><span style={{ color: TEXT_DIM }}>P(Profit): </span><span style={{ color: GREEN }}>{(odds.probProfit * 100).toFixed(1)}%</span></div>}
+                <div><span style={{ color: TEXT_DIM }}>Vol: </span><span style={{ color: TEXT }}>{o.volume.toLocaleString()}</span></div>
+                <div><span style={{ color: TEXT_DIM }}>Spread: </span><span style={{ color: o.spreadPct == null || o.spreadPct > 10 ? AMBER : TEXT }}>{o.spreadPct != null ? `${o.spreadPct.toFixed(1)}%` : "no quote"}</span></div>
+                <div style={{ gridColumn: "1/3" }}>
+                  <span style={{ color: TEXT_DIM }}>{label}: </span>
+                  <span style={{ color: colors[i], fontWeight: 700, fontSize: 14 }}>{o.score.toFixed(4)}</span>
+                </div>
+                <div style={{ gridColumn: "1/3" }}>
+                  <span style={{ color: TEXT_DIM }}>Ann. Yield: </span><span style={{ color: ACCENT3 }}>{o.annualizedYield.toFixed(1)}%</span>
+                  {side === "puts" && <span style={{ color: TEXT_DIM }}> on ${(o.collateral * 100).toLocaleString()} collateral</span>}
+                </div>
+                {o.buyingPower != null && <div style={{ gridColumn: "1/3" }}>
+                  <span style={{ color: TEXT_DIM }}>Ann. ROC: </span><span style={{ color: ACCENT3, fontWeight: 700 }}>{rocText(o.annualizedROC)}</span>
+                  <span style={{ color: TEXT_DIM }}> on ${Math.round(o.capital ?? o.buyingPower).toLocaleString()} capital</span>
+                </div>}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Full table */}
+      <div style={{ overflowX: "auto", borderRadius: 10, border: `1px solid ${BORDER}` }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: mono }}>
+          <thead>
+            <tr style={{ background: BG_CARD2 }}>
+              {["Rank", "Strike", "Bid", "Ask", "Mid", "Intrinsic", "Extrinsic",
+                ...(spansEvent ? ["Event Prem."] : []),
+                ...(hasGreeks ? ["Delta", "Gamma", "Theta", "Vega"] : []),
+                "IV", "OI", "Vol", "Spread", "Ext/DTE", label, "Ann.Yld", "BP Req.", "ROC", "Ann.ROC"
+              ].map(h => (
+                <th key={h} style={{ padding: "10px 8px", textAlign: h === "Rank" ? "center" : "right", color: TEXT_DIM, fontWeight: 600, fontSize: 9, letterSpacing: .8, textTransform: "uppercase", borderBottom: `1px solid ${BORDER}`, whiteSpace: "nowrap" }}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {ranked.map(o => {
+              const c = changes?.get(strikeKey(o.strike));
+              const moved = c && (c.isNew || c.rankChange !== 0);
+              return (
+                <tr key={o.strike} className="hover-row" onClick={() => setSelectedStrike(o.strike === selectedStrike ? null : o.strike)}
+                  style={{ borderBottom: `1px solid ${BORDER}22`, cursor: "pointer", background: o.strike === selectedStrike ? `${ACCENT}10` : moved ? `${ACCENT2}12` : "transparent" }}>
+                  <td style={{ padding: "7px 8px", textAlign: "center", whiteSpace: "nowrap" }}><RankBadge rank={o.rank} total={ranked.length} /><RankMove c={c} /></td>
+                  <td style={{ padding: "7px 8px", textAlign: "right", fontWeight: 700, color: TEXT, whiteSpace: "nowrap" }}>${o.strike.toFixed(2)} <MoneyBadge type={o.moneyness} /><BelowBasis show={side === "calls" && o.strike < costBasis} /><DivRisk o={o} /><RichTag o={o} /></td>
+                  <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT_DIM }}>{o.bid.toFixed(2)}</td>
+                  <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT_DIM }}>{o.ask.toFixed(2)}</td>
+                  <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT, whiteSpace: "nowrap" }}>{o.mid.toFixed(2)}<LastMid src={o.midSource} /><MidMove c={c} /></td>
+                  <td style={{ padding: "7px 8px", textAlign: "right", color: o.intrinsic > 0 ? CYAN : TEXT_DIM }}>{o.intrinsic.toFixed(2)}</td>
+                  <td style={{ padding: "7px 8px", textAlign: "right", color: GREEN, fontWeight: 600 }}>{o.extrinsic.toFixed(2)}</td>
+                  {spansEvent && <td style={{ padding: "7px 8px", textAlign: "right", color: ACCENT2 }}>{o.eventPremium != null ? o.eventPremium.toFixed(2) : "—"}</td>}
+                  {hasGreeks && <>
+                    <td style={{ padding: "7px 8px", textAlign: "right", color: CYAN }}>{o.delta != null ? o.delta.toFixed(4) : "—"}<Computed src={o.greekSource?.delta} /></td>
+                    <td style={{ padding: "7px 8px", textAlign: "right", color: ACCENT2 }}>{o.gamma != null ? o.gamma.toFixed(5) : "—"}<Computed src={o.greekSource?.gamma} /></td>
+                    <td style={{ padding: "7px 8px", textAlign: "right", color: RED }}>{o.theta != null ? o.theta.toFixed(4) : "—"}<Computed src={o.greekSource?.theta} /></td>
+                    <td style={{ padding: "7px 8px", textAlign: "right", color: ACCENT3 }}>{o.vega != null ? o.vega.toFixed(4) : "—"}<Computed src={o.greekSource?.vega} /></td>
+                  </>}
+                  <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT_DIM }}>{(o.impliedVol * 100).toFixed(1)}%</td>
+                  <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT_DIM }}>{o.openInterest.toLocaleString()}</td>
+                  <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT_DIM }}>{o.volume.toLocaleString()}</td>
+                  <td style={{ padding: "7px 8px", textAlign: "right", color: o.spreadPct == null || o.spreadPct > 10 ? AMBER : TEXT_DIM }}>{o.spreadPct != null ? `${o.spreadPct.toFixed(1)}%` : "—"}</td>
+                  <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT }}>{o.extrinsicPerDTE.toFixed(4)}</td>
+                  <td style={{ padding: "7px 8px", textAlign: "right", fontWeight: 700, color: o.rank <= 3 ? GREEN : o.rank <= ranked.length * .4 ? ACCENT3 : TEXT_DIM }}>
+                    {o.score.toFixed(4)}
+                  </td>
+                  <td style={{ padding: "7px 8px", textAlign: "right", color: ACCENT3 }}>{o.annualizedYield.toFixed(1)}%</td>
+                  <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT_DIM }}>{o.buyingPower != null ? `$${Math.round(o.buyingPower).toLocaleString()}` : "—"}</td>
+                  <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT }}>{rocText(o.returnOnCapital)}</td>
+                  <td style={{ padding: "7px 8px", textAlign: "right", color: ACCENT3, fontWeight: 600 }}>{rocText(o.annualizedROC)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {selected && spot
+        ? <StrikeDetail key={selected.strike} o={selected} spot={spot} opts={opts} onClose={() => setSelectedStrike(null)} onLog={onLog} />
+        : <div style={{ marginTop: 10, fontSize: 11, color: TEXT_DIM, fontFamily: mono }}>Click a row for its payoff diagram and assignment odds{onLog ? ", or to log a trade" : ""}</div>}
+    </div>
+  );
+};
+
+// Export actions for the ranked results shown above
+const ExportBar = ({ onExport, status }) => {
+  const btn = { background: BG_INPUT, border: `1px solid ${BORDER}`, borderRadius: 8, color: TEXT_DIM, fontSize: 12, fontFamily: mono, padding: "6px 14px", cursor: "pointer" };
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", marginTop: 14 }}>
+      <span style={{ fontSize: 10, color: TEXT_DIM, textTransform: "uppercase", letterSpacing: 1.2, fontFamily: mono }}>Export</span>
+      <button onClick={() => onExport("csv")} style={btn}>CSV</button>
+      <button onClick={() => onExport("json")} style={btn}>JSON</button>
+      <button onClick={() => onExport("markdown")} style={{ ...btn, color: ACCENT }}>Copy Top Strikes</button>
+      <button onClick={() => onExport("link")} style={btn}>Copy Link</button>
+      {status && <span style={{ fontSize: 12, color: status.startsWith("✗") ? RED : GREEN, fontFamily: mono }}>{status}</span>}
+    </div>
+  );
+};
+
+// Chart card with SVG / PNG download of the Recharts surface inside it
+const ChartCard = ({ title, filename, children }) => {
+  const ref = useRef(null);
+  const [exportError, setExportError] = useState(null);
+  const save = async (format) => {
+    setExportError(null);
+    try {
+      if (format === "svg") downloadChartSvg(ref.current, `${filename}.svg`, BG_CARD2);
+      else await downloadChartPng(ref.current, `${filename}.png`, BG_CARD2);
+    } catch (e) { setExportError(e.message); }
+  };
+  const btn = { background: "none", border: `1px solid ${BORDER}`, borderRadius: 6, color: TEXT_DIM, fontSize: 10, fontFamily: mono, padding: "2px 8px", cursor: "pointer" };
+  return (
+    <div ref={ref} style={{ background: BG_CARD2, borderRadius: 10, padding: 16 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, marginBottom: 12 }}>
+        <div style={{ fontSize: 12, fontWeight: 600, color: TEXT_DIM, fontFamily: mono }}>{title}</div>
+        <div style={{ display: "flex", gap: 4 }}>
+          <button onClick={() => save("svg")} style={btn} title="Download as SVG">SVG</button>
+          <button onClick={() => save("png")} style={btn} title="Download as PNG">PNG</button>
+        </div>
+      </div>
+      {exportError && <div style={{ fontSize: 11, color: RED, fontFamily: mono, marginBottom: 8 }}>✗ {exportError}</div>}
+      {children}
+    </div>
+  );
+};
+
+// The four chart cards for one side. Rendered into a shared grid for a single
+// side, or into one column per side when calls and puts are shown together.
+// move: the ATM-straddle expected move (see expectedMove), shaded on the
+// premium and score charts.
+const SideCharts = ({ side, chain, ranked, opts, move, exportName = "chart" }) => {
+  const inMove = (strike) => !!move && strike >= move.lower && strike <= move.upper;
+  const extrinsicByStrike = chain?.map(o => ({ strike: o.strike.toFixed(1), intrinsic: o.intrinsic, extrinsic: o.extrinsic, total: o.mid, moneyness: o.moneyness, inMove: inMove(o.strike) })) || [];
+  const efficiencyChart = ranked?.slice(0, 20).map(o => ({ strike: o.strike.toFixed(1), efficiency: o.score, delta: o.delta, extrinsicPerDTE: o.extrinsicPerDTE, rank: o.rank, inMove: inMove(o.strike) })) || [];
+  const moveBand = extrinsicByStrike.filter(d => d.inMove);
+  const moveTitle = move ? ` · ±$${move.move.toFixed(2)} Expected Move Shaded` : "";
+  const deltaVsExtrinsic = chain?.filter(o => o.delta != null && Math.abs(o.delta) > 0.01 && Math.abs(o.delta) < 0.99).map(o => ({ delta: Math.abs(o.delta), extrinsicPerDTE: o.extrinsicPerDTE, strike: o.strike, moneyness: o.moneyness })) || [];
+  const greeksProfile = chain?.filter(o => o.delta != null).map(o => ({ strike: o.strike.toFixed(1), delta: o.delta, gamma: (o.gamma || 0) * 100, theta: o.theta || 0, vega: o.vega || 0 })) || [];
+  const hasGreeks = chain?.some(o => o.delta != null);
+  const label = SIDE_LABELS[side];
+
+  if (!chain?.length) return null;
+
+  return (<>
+    {/* Premium breakdown */}
+    <ChartCard title={`${label} · Premium Breakdown (Intrinsic vs Extrinsic)${moveTitle}`} filename={`${exportName}-premium-${side}`}>
+      <ResponsiveContainer width="100%" height={280}>
+        <BarChart data={extrinsicByStrike}>
+          <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
+          <XAxis dataKey="strike" tick={{ fontSize: 9, fill: TEXT_DIM }} angle={-45} textAnchor="end" height={50} />
+          <YAxis tick={{ fontSize: 10, fill: TEXT_DIM }} tickFormatter={v => `$${v.toFixed(0)}`} />
+          <Tooltip content={({ active, payload }) => { if (!active || !payload?.length) return null; const d = payload[0]?.payload || {}; return (<div style={ttStyle}><div style={{ color: TEXT, fontWeight: 700, marginBottom: 6 }}>Strike ${d.strike}</div><div style={{ color: CYAN }}>Intrinsic: ${(d.intrinsic || 0).toFixed(2)}</div><div style={{ color: GREEN }}>Extrinsic: ${(d.extrinsic || 0).toFixed(2)}</div><div style={{ color: TEXT_DIM }}>Mid: ${(d.total || 0).toFixed(2)}</div>{d.inMove && <div style={{ color: ACCENT3 }}>Inside the expected move</div>}</div>); }} />
+          {moveBand.length > 0 && <ReferenceArea x1={moveBand[0].strike} x2={moveBand[moveBand.length - 1].strike} fill={ACCENT3} fillOpacity={0.08} stroke={ACCENT3} strokeOpacity={0.3} strokeDasharray="4 4" />}
+          {move && <ReferenceLine x={move.strike.toFixed(1)} stroke={ACCENT3} strokeDasharray="2 2" label={{ value: "ATM", position: "top", fill: ACCENT3, fontSize: 9 }} />}
+          <Bar dataKey="intrinsic" stackId="a" fill={CYAN} fillOpacity={0.6} name="Intrinsic" />
+          <Bar dataKey="extrinsic" stackId="a" fill={GREEN} fillOpacity={0.85} name="Extrinsic" radius={[3, 3, 0, 0]} />
+          <Legend wrapperStyle={{ fontSize: 11, fontFamily: mono }} />
+        </BarChart>
+      </ResponsiveContainer>
+    </ChartCard>
+
+    {/* Efficiency */}
+    {efficiencyChart.length > 0 && (
+      <ChartCard title={`${label} · ${scoreLabel(opts)} Score — Top Strikes${moveTitle}`} filename={`${exportName}-score-${side}`}>
+        <ResponsiveContainer width="100%" height={280}>
+          <BarChart data={efficiencyChart} layout="vertical">
+            <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
+            <XAxis type="number" tick={{ fontSize: 10, fill: TEXT_DIM }} />
+            <YAxis dataKey="strike" type="category" tick={{ fontSize: 10, fill: TEXT_DIM }} width={55} />
+            <Tooltip content={({ active, payload }) => { if (!active || !payload?.length) return null; const d = payload[0]?.payload || {}; return (<div style={ttStyle}><div style={{ color: TEXT, fontWeight: 700, marginBottom: 6 }}>Strike ${d.strike} · #{d.rank}</div><div style={{ color: GREEN }}>{scoreLabel(opts)}: {(d.efficiency || 0).toFixed(4)}</div>{d.delta != null && <div style={{ color: CYAN }}>Delta: {d.delta.toFixed(3)}</div>}<div style={{ color: ACCENT3 }}>Ext/DTE: ${(d.extrinsicPerDTE || 0).toFixed(4)}</div>{d.inMove && <div style={{ color: ACCENT3 }}>Inside the expected move</div>}</div>); }} />
+            <Bar dataKey="efficiency" radius={[0, 4, 4, 0]}
+              background={move ? (p) => (p.payload?.inMove ? <rect x={p.x} y={p.y} width={p.width} height={p.height} fill={ACCENT3} fillOpacity={0.08} /> : <g />) : false}>
+              {efficiencyChart.map((_, i) => <Cell key={i} fill={i < 3 ? ACCENT : i < 7 ? ACCENT2 : TEXT_DIM} fillOpacity={Math.max(0.3, 1 - i * 0.04)} />)}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </ChartCard>
+    )}
+
+    {/* Delta scatter */}
+    {hasGreeks && deltaVsExtrinsic.length > 0 && (
+      <ChartCard title={`${label} · |Delta| vs Extrinsic per DTE`} filename={`${exportName}-delta-scatter-${side}`}>
+        <ResponsiveContainer width="100%" height={280}>
+          <ScatterChart>
+            <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
+            <XAxis dataKey="delta" name="Delta" tick={{ fontSize: 10, fill: TEXT_DIM }} label={{ value: "|Delta|", position: "insideBottom", offset: -5, fill: TEXT_DIM, fontSize: 11 }} />
+            <YAxis dataKey="extrinsicPerDTE" name="Ext/DTE" tick={{ fontSize: 10, fill: TEXT_DIM }} label={{ value: "$/DTE", angle: -90, position: "insideLeft", fill: TEXT_DIM, fontSize: 11 }} />
+            <Tooltip content={({ active, payload }) => { if (!active || !payload?.length) return null; const d = payload[0]?.payload || {}; return (<div style={ttStyle}><div style={{ color: TEXT, fontWeight: 700, marginBottom: 6 }}>Strike ${(d.strike || 0).toFixed(1)}</div><div style={{ color: CYAN }}>|Delta|: {(d.delta || 0).toFixed(3)}</div><div style={{ color: GREEN }}>Ext/DTE: ${(d.extrinsicPerDTE || 0).toFixed(4)}</div></div>); }} />
+            <Scatter data={deltaVsExtrinsic}>{deltaVsExtrinsic.map((d, i) => <Cell key={i} fill={d.moneyness === "ITM" ? CYAN : d.moneyness === "ATM" ? ACCENT3 : ACCENT} fillOpacity={0.8} />)}</Scatter>
+          </ScatterChart>
+        </ResponsiveContainer>
+      </ChartCard>
+    )}
+
+    {/* Greeks */}
+    {hasGreeks && greeksProfile.length > 0 && (
+      <ChartCard title={`${label} · Greeks Profile`} filename={`${exportName}-greeks-${side}`}>
+        <ResponsiveContainer width="100%" height={280}>
+          <LineChart data={greeksProfile}>
+            <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
+            <XAxis dataKey="strike" tick={{ fontSize: 9, fill: TEXT_DIM }} angle={-45} textAnchor="end" height={50} />
+            <YAxis tick={{ fontSize: 10, fill: TEXT_DIM }} />
+            <Tooltip content={({ active, payload }) => { if (!active || !payload?.length) return null; const d = payload[0]?.payload || {}; return (<div style={ttStyle}><div style={{ color: TEXT, fontWeight: 700, marginBottom: 6 }}>Strike ${d.strike}</div><div style={{ color: CYAN }}>Delta: {(d.delta || 0).toFixed(4)}</div><div style={{ color: ACCENT2 }}>Gamma×100: {(d.gamma || 0).toFixed(4)}</div><div style={{ color: RED }}>Theta: {(d.theta || 0).toFixed(4)}</div><div style={{ color: ACCENT3 }}>Vega: {(d.vega || 0).toFixed(4)}</div></div>); }} />
+            <Line type="monotone" dataKey="delta" stroke={CYAN} strokeWidth={2} dot={false} name="Delta" />
+            <Line type="monotone" dataKey="gamma" stroke={ACCENT2} strokeWidth={1.5} dot={false} name="Gamma×100" />
+            <Line type="monotone" dataKey="theta" stroke={RED} strokeWidth={1.5} dot={false} name="Theta" />
+            <Line type="monotone" dataKey="vega" stroke={ACCENT3} strokeWidth={1.5} dot={false} name="Vega" />
+            <Legend wrapperStyle={{ fontSize: 11, fontFamily: mono }} />
+          </LineChart>
+        </ResponsiveContainer>
+      </ChartCard>
+    )}
+  </>);
+};
+
+// IV by strike for both sides with the fitted smile (see fitSmile) and the
+// expected-move band; strikes flagged RICH are ringed.
+const SmilePanel = ({ chain, spot, smile, move, exportName = "chart" }) => {
+  const points = (side) => (chain?.[side] || []).filter(o => o.impliedVol > 0.01 && o.impliedVol < 5)
+    .map(o => ({ strike: o.strike, iv: o.impliedVol * 100, smileIV: o.smileIV != null ? o.smileIV * 100 : null, rich: o.rich, richness: o.richness, side }));
+  const calls = points("calls"), puts = points("puts");
+  const richCount = [...calls, ...puts].filter(d => d.rich).length;
+  const curve = [];
+  if (smile) {
+    const [lo, hi] = smile.strikeRange;
+    for (let i = 0; i <= 60; i++) curve.push({ strike: lo + (hi - lo) * i / 60, fit: smile.ivAt(lo + (hi - lo) * i / 60) * 100 });
+  }
+  const vol = (v) => (v != null ? `${(v * 100).toFixed(1)}%` : "—");
+  const pts = (v) => (v != null ? `${v >= 0 ? "+" : "−"}${Math.abs(v * 100).toFixed(1)} pts` : "—");
+
+  if (!smile) {
+    return (
+      <div className="slide-up" style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+        <SectionTitle num="σ" title="Volatility Smile" subtitle="Fewer than four quoted out-of-the-money IVs — not enough to fit a smile for this expiry" />
+        {move && <div style={{ display: "flex", flexWrap: "wrap", gap: 12 }}>
+          <StatCard label="Expected Move" value={`±$${move.move.toFixed(2)}`} sub={`±${move.movePct.toFixed(1)}% · $${move.lower.toFixed(2)}–$${move.upper.toFixed(2)}`} accent={ACCENT3} />
+        </div>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="slide-up" style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+      <SectionTitle num="σ" title="Volatility Smile" subtitle="Implied volatility by strike, fitted across out-of-the-money puts and calls" />
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 12, marginBottom: 20 }}>
+        <StatCard label="ATM IV" value={vol(smile.atmIV)} sub="fitted at spot" accent={ACCENT} />
+        <StatCard label="Skew 95/105" value={pts(smile.skew)} sub="IV at 95% of spot − at 105%" accent={ACCENT2} />
+        <StatCard label="25Δ Risk Reversal" value={pts(smile.rr25)} sub="put IV − call IV" accent={CYAN} />
+        <StatCard label="25Δ Butterfly" value={pts(smile.fly25)} sub="wing average − ATM IV" accent={CYAN} />
+        {move && <StatCard label="Expected Move" value={`±$${move.move.toFixed(2)}`} sub={`±${move.movePct.toFixed(1)}% · $${move.lower.toFixed(2)}–$${move.upper.toFixed(2)}`} accent={ACCENT3} />}
+        <StatCard label="Rich Strikes" value={richCount} sub={`fit residual ${(smile.residualSd * 100).toFixed(1)} pts`} accent={richCount ? GREEN : TEXT_DIM} />
+      </div>
+      <ChartCard title={`IV by Strike${move ? ` · ±$${move.move.toFixed(2)} Expected Move Shaded` : ""}`} filename={`${exportName}-smile`}>
+        <ResponsiveContainer width="100%" height={320}>
+          <ComposedChart>
+            <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
+            <XAxis type="number" dataKey="strike" domain={["dataMin", "dataMax"]} tick={{ fontSize: 10, fill: TEXT_DIM }} tickFormatter={v => `$${v.toFixed(0)}`} />
+            <YAxis type="number" tick={{ fontSize: 10, fill: TEXT_DIM }} tickFormatter={v => `${v.toFixed(0)}%`} domain={["auto", "auto"]} />
+            <Tooltip content={({ active, payload }) => { if (!active || !payload?.length) return null; const d = payload[0]?.payload || {}; return (<div style={ttStyle}><div style={{ color: TEXT, fontWeight: 700, marginBottom: 6 }}>Strike ${(d.strike || 0).toFixed(2)}{d.side ? ` · ${SIDE_LABELS[d.side]}` : ""}</div>{d.iv != null && <div style={{ color: d.side === "puts" ? ACCENT2 : CYAN }}>IV: {d.iv.toFixed(1)}%</div>}{(d.smileIV ?? d.fit) != null && <div style={{ color: ACCENT }}>Smile: {(d.smileIV ?? d.fit).toFixed(1)}%</div>}{d.rich && <div style={{ color: GREEN }}>RICH · +${d.richness.toFixed(2)} extrinsic</div>}</div>); }} />
+            {move && <ReferenceArea x1={move.lower} x2={move.upper} fill={ACCENT3} fillOpacity={0.08} stroke={ACCENT3} strokeOpacity={0.3} strokeDasharray="4 4" ifOverflow="hidden" />}
+            <ReferenceLine x={spot} stroke={TEXT_DIM} strokeDasharray="2 2" label={{ value: "Spot", position: "top", fill: TEXT_DIM, fontSize: 9 }} />
+            <Line data={curve} dataKey="fit" stroke={ACCENT} strokeWidth={2} dot={false} name="Fitted Smile" isAnimationActive={false} />
+            <Scatter data={calls} dataKey="iv" name="Call IV" fill={CYAN}>{calls.map((d, i) => <Cell key={i} fill={CYAN} stroke={d.rich ? GREEN : "none"} strokeWidth={2} fillOpacity={0.8} />)}</Scatter>
+            <Scatter data={puts} dataKey="iv" name="Put IV" fill={ACCENT2}>{puts.map((d, i) => <Cell key={i} fill={ACCENT2} stroke={d.rich ? GREEN : "none"} strokeWidth={2} fillOpacity={0.8} />)}</Scatter>
+            <Legend wrapperStyle={{ fontSize: 11, fontFamily: mono }} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </ChartCard>
+    </div>
+  );
+};
+
+// Strike × expiry efficiency heatmap plus one ranking across every scanned expiry.
+const TermStructurePanel = ({ side, scan }) => {
+  const data = scan?.[side];
+  const label = SIDE_LABELS[side];
+  if (!data?.rows.length) {
+    return (
+      <div className="slide-up" style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+        <SectionTitle num="3" title={`${label} — Term Structure`} subtitle={`No ${label.toLowerCase()} found in the scanned expiries`} />
+      </div>
+    );
+  }
+
+  // Heatmap cells come from the per-expiry rankings, so filtered strikes stay blank
+  const expiries = data.byExpiry.filter(e => e.analyzed.length > 0).map(e => e.expiry);
+  const strikes = [...new Set(data.rows.map(o => o.strike))].sort((a, b) => b - a);
+  const cells = new Map(data.byExpiry.flatMap(e => e.ranked).map(o => [`${o.strike}|${o.expiry}`, o]));
+  const maxScore = Math.max(...[...cells.values()].map(o => o.score).filter(v => v > 0), 1e-9);
+  const bestByExpiry = new Map(data.byExpiry.map(e => [e.expiry, e.ranked[0]]));
+  const eventTag = (ts) => (spansEarnings(scan.earnings, ts) ? " E" : "");
+  const topRanked = data.ranked.slice(0, 30);
+  const cellPad = "4px 6px";
+
+  return (
+    <div className="slide-up" style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+      <SectionTitle num="3" title={`${label} — Term Structure`}
+        subtitle={`${scan.scoreLabel} by strike and DTE across ${expiries.length} expiries · M = standard monthly · Q = quarterly${scan.earnings ? ` · E = spans earnings ${tsToShort(scan.earnings.date)}` : ""}`} />
+
+      {/* Heatmap */}
+      <div style={{ overflowX: "auto", borderRadius: 10, border: `1px solid ${BORDER}`, marginBottom: 24 }}>
+        <table style={{ borderCollapse: "collapse", fontSize: 10, fontFamily: mono, width: "100%" }}>
+          <thead>
+            <tr style={{ background: BG_CARD2 }}>
+              <th style={{ padding: cellPad, color: TEXT_DIM, fontSize: 9, textAlign: "right", position: "sticky", left: 0, background: BG_CARD2 }}>Strike</th>
+              {expiries.map(ts => (
+                <th key={ts} style={{ padding: cellPad, color: expiryTag(ts) ? ACCENT3 : TEXT_DIM, fontSize: 9, fontWeight: 600, whiteSpace: "nowrap", textAlign: "center" }}>
+                  {tsToShort(ts)}{expiryTag(ts)}<span style={{ color: ACCENT2 }}>{eventTag(ts)}</span><br />{formatDTE(daysToExpiry(ts, scan.dteMode))}d
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {strikes.map(k => (
+              <tr key={k}>
+                <td style={{ padding: cellPad, color: TEXT, fontWeight: 700, textAlign: "right", position: "sticky", left: 0, background: BG_CARD }}>{k.toFixed(1)}</td>
+                {expiries.map(ts => {
+                  const o = cells.get(`${k}|${ts}`);
+                  const v = o ? o.score : null;
+                  const t = v > 0 ? Math.min(1, v / maxScore) : 0;
+                  const alpha = Math.round(20 + t * 215).toString(16).padStart(2, "0");
+                  return (
+                    <td key={ts} title={o ? `$${k} · ${tsToShort(ts)} · Ext $${o.extrinsic.toFixed(2)}${o.eventPremium > 0 ? ` (event $${o.eventPremium.toFixed(2)})` : ""} · ${scan.scoreLabel} ${v.toFixed(4)}` : ""}
+                      style={{ padding: cellPad, textAlign: "center", color: t > 0.55 ? BG_DARK : TEXT_DIM, background: o ? `${GREEN}${alpha}` : "transparent", border: `1px solid ${BG_CARD}` }}>
+                      {v != null ? v.toFixed(3) : ""}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+            <tr style={{ background: BG_CARD2 }}>
+              <td style={{ padding: cellPad, color: TEXT_DIM, fontSize: 9, textAlign: "right", position: "sticky", left: 0, background: BG_CARD2 }}>BEST</td>
+              {expiries.map(ts => {
+                const b = bestByExpiry.get(ts);
+                return <td key={ts} style={{ padding: cellPad, textAlign: "center", color: ACCENT, fontWeight: 700 }}>{b ? `$${b.strike}` : "—"}</td>;
+              })}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      {/* Cross-expiry ranking */}
+      <div style={{ fontSize: 12, fontWeight: 600, color: TEXT_DIM, marginBottom: 12, fontFamily: mono }}>Ranked Across All Expiries — Top {topRanked.length} of {data.ranked.length}</div>
+      <div style={{ overflowX: "auto", borderRadius: 10, border: `1px solid ${BORDER}` }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: mono }}>
+          <thead>
+            <tr style={{ background: BG_CARD2 }}>
+              {["Rank", "Expiry", "DTE", "Strike", "Mid", "Extrinsic", "Delta", "IV", "Ext/DTE", scan.scoreLabel, "Ann.Yld", "Ann.ROC"].map(h => (
+                <th key={h} style={{ padding: "10px 8px", textAlign: h === "Rank" ? "center" : "right", color: TEXT_DIM, fontWeight: 600, fontSize: 9, letterSpacing: .8, textTransform: "uppercase", borderBottom: `1px solid ${BORDER}`, whiteSpace: "nowrap" }}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {topRanked.map(o => (
+              <tr key={`${o.expiry}-${o.strike}`} className="hover-row" style={{ borderBottom: `1px solid ${BORDER}22` }}>
+                <td style={{ padding: "7px 8px", textAlign: "center" }}><RankBadge rank={o.rank} total={data.ranked.length} /></td>
+                <td style={{ padding: "7px 8px", textAlign: "right", color: expiryTag(o.expiry) ? ACCENT3 : TEXT }}>{tsToShort(o.expiry)}{expiryTag(o.expiry)}<span style={{ color: ACCENT2 }}>{eventTag(o.expiry)}</span></td>
+                <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT_DIM }}>{formatDTE(o.dte)}</td>
+                <td style={{ padding: "7px 8px", textAlign: "right", fontWeight: 700, color: TEXT, whiteSpace: "nowrap" }}>${o.strike.toFixed(2)} <MoneyBadge type={o.moneyness} /><DivRisk o={o} /></td>
+                <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT }}>{o.mid.toFixed(2)}<LastMid src={o.midSource} /></td>
+                <td style={{ padding: "7px 8px", textAlign: "right", color: GREEN, fontWeight: 600 }}>{o.extrinsic.toFixed(2)}</td>
+                <td style={{ padding: "7px 8px", textAlign: "right", color: CYAN }}>{o.delta != null ? o.delta.toFixed(4) : "—"}<Computed src={o.greekSource?.delta} /></td>
+                <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT_DIM }}>{(o.impliedVol * 100).toFixed(1)}%</td>
+                <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT }}>{o.extrinsicPerDTE.toFixed(4)}</td>
+                <td style={{ padding: "7px 8px", textAlign: "right", fontWeight: 700, color: o.rank <= 3 ? GREEN : o.rank <= topRanked.length * .4 ? ACCENT3 : TEXT_DIM }}>{o.score.toFixed(4)}</td>
+                <td style={{ padding: "7px 8px", textAlign: "right", color: ACCENT3 }}>{o.annualizedYield.toFixed(1)}%</td>
+                <td style={{ padding: "7px 8px", textAlign: "right", color: ACCENT3 }}>{rocText(o.annualizedROC)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// Live mode controls and threshold alerts. The timer and alert checks live
+// in App; this panel edits the settings and shows what fired.
+const NEW_ALERT = { side: "calls", strike: "", minDelta: "", field: "score", op: "above", value: "" };
+
+const LiveMonitorPanel = ({ live, onLive, interval, onInterval, status, alerts, onAlerts, log, ranked, scoreName, inputStyle, labelStyle, selectStyle }) => {
+  const [draft, setDraft] = useState(NEW_ALERT);
+  const [formError, setFormError] = useState(null);
+  const [permission, setPermission] = useState(typeof Notification === "undefined" ? "unsupported" : Notification.permission);
+  const edit = (patch) => setDraft(d => ({ ...d, ...patch }));
+
+  const addAlert = () => {
+    try {
+      onAlerts([...alerts, parseAlert(draft)]);
+      setDraft(d => ({ ...NEW_ALERT, side: d.side, field: d.field }));
+      setFormError(null);
+    } catch (e) { setFormError(e.message); }
+  };
+  const askPermission = async () => setPermission(await Notification.requestPermission());
+  const fieldName = (k) => (k === "score" ? scoreName : ALERT_FIELDS.find(([f]) => f === k)[1]);
+
+  return (
+    <div className="slide-up" style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+      <SectionTitle num="L" title="Live Monitoring" subtitle="Re-run this analysis on a timer during NYSE hours and get notified when a threshold is crossed" />
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))", gap: 20, marginBottom: 16 }}>
+        <div><label style={labelStyle}>Live Refresh</label>
+          <ToggleGroup value={live ? "on" : "off"} onChange={v => onLive(v === "on")} options={[["off", "Off"], ["on", "Live"]]} /></div>
+        <div><label style={labelStyle}>Interval (seconds, min 15)</label>
+          <input value={interval} onChange={e => onInterval(e.target.value)} placeholder="60" style={inputStyle} /></div>
+        <div><label style={labelStyle}>Browser Notifications</label>
+          {permission === "default"
+            ? <button onClick={askPermission} style={{ ...inputStyle, cursor: "pointer", color: ACCENT }}>Enable Notifications</button>
+            : <div style={{ ...inputStyle, color: permission === "granted" ? GREEN : AMBER }}>{permission === "granted" ? "✓ Enabled" : permission === "denied" ? "Blocked in browser settings" : "Not supported here"}</div>}
+        </div>
+      </div>
+      {status && <div style={{ fontSize: 12, color: live ? ACCENT : TEXT_DIM, fontFamily: mono, marginBottom: 16 }}>{live ? "● " : ""}{status}</div>}
+
+      <div style={{ fontSize: 12, fontWeight: 600, color: TEXT_DIM, marginBottom: 10, fontFamily: mono }}>Alerts — checked after every analysis and refresh; each fires once until its condition clears</div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(110px, 1fr))", gap: 8, alignItems: "end", marginBottom: 12 }}>
+        <div><label style={labelStyle}>Side</label>
+          <select value={draft.side} onChange={e => edit({ side: e.target.value })} style={selectStyle}><option value="calls">Calls</option><option value="puts">Puts</option></select></div>
+        <div><label style={labelStyle}>Strike</label><input value={draft.strike} onChange={e => edit({ strike: e.target.value })} placeholder="any" style={inputStyle} /></div>
+        <div><label style={labelStyle}>Min |Δ|</label><input value={draft.minDelta} onChange={e => edit({ minDelta: e.target.value })} placeholder="none" style={inputStyle} /></div>
+        <div><label style={labelStyle}>Field</label>
+          <select value={draft.field} onChange={e => edit({ field: e.target.value })} style={selectStyle}>
+            {ALERT_FIELDS.map(([k]) => <option key={k} value={k}>{fieldName(k)}</option>)}
+          </select></div>
+        <div><label style={labelStyle}>When</label>
+          <select value={draft.op} onChange={e => edit({ op: e.target.value })} style={selectStyle}><option value="above">above</option><option value="below">below</option></select></div>
+        <div><label style={labelStyle}>Threshold</label><input value={draft.value} onChange={e => edit({ value: e.target.value })} placeholder="0.20" style={inputStyle} /></div>
+        <button onClick={addAlert} style={{ background: BG_CARD2, color: ACCENT, border: `1px solid ${ACCENT}66`, borderRadius: 8, padding: "10px 14px", fontSize: 13, fontWeight: 700, fontFamily: head, cursor: "pointer" }}>Add Alert</button>
+      </div>
+      {formError && <div style={{ fontSize: 12, color: RED, fontFamily: mono, marginBottom: 12 }}>✗ {formError}</div>}
+
+      {alerts.map(a => {
+        const hits = ranked ? alertMatches(a, ranked) : [];
+        return (
+          <div key={a.id} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, padding: "8px 12px", marginBottom: 6, borderRadius: 8, background: BG_CARD2, fontSize: 12, fontFamily: mono }}>
+            <span style={{ color: TEXT }}>{describeAlert(a, scoreName)}</span>
+            <span style={{ color: hits.length ? GREEN : TEXT_DIM }}>{hits.length ? `✓ now: ${hits.map(o => `$${o.strike}`).join(", ")}` : "not met"}</span>
+            <button onClick={() => onAlerts(alerts.filter(x => x.id !== a.id))} title="Remove alert" style={{ background: "none", border: "none", color: RED, cursor: "pointer", fontSize: 14 }}>×</button>
+          </div>
+        );
+      })}
+
+      {log.length > 0 && (
+        <div style={{ marginTop: 14, padding: "10px 14px", borderRadius: 8, background: `${ACCENT}08`, border: `1px solid ${ACCENT}22`, fontSize: 12, color: ACCENT, fontFamily: mono, maxHeight: 160, overflowY: "auto" }}>
+          {log.map((e, i) => <div key={i}>{new Date(e.at).toLocaleTimeString()} · {e.text}</div>)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Cross-ticker screener: top-ranked strike per symbol, a few symbols at a time.
+const SCREENER_CONCURRENCY = 3;
+
+const WatchlistScreener = ({ targetExpiry, numStrikes, sideView, analysisOpts, inputStyle, labelStyle }) => {
+  const [watchlist, setWatchlist] = useState(loadWatchlist);
+  const [results, setResults] = useState({});
+  const [running, setRunning] = useState(false);
+  const [sortBy, setSortBy] = useState("efficiency");
+  const symbols = parseTickerList(watchlist);
+  const sides = sideView === "both" ? SIDES : [sideView];
+
+  const runScreener = async () => {
+    if (!symbols.length) return;
+    saveWatchlist(watchlist);
+    setRunning(true);
+    setResults(Object.fromEntries(symbols.map(t => [t, { status: "pending" }])));
+    await mapWithConcurrency(symbols, SCREENER_CONCURRENCY, async (tkr) => {
+      try {
+        const value = await screenTicker(tkr, targetExpiry, numStrikes, analysisOpts);
+        setResults(r => ({ ...r, [tkr]: { status: "done", ...value } }));
+      } catch (e) {
+        // One bad symbol must not abort the batch
+        setResults(r => ({ ...r, [tkr]: { status: "error", error: e.message } }));
+      }
+    });
+    setRunning(false);
+  };
+
+  const sortKey = sortBy === "yield" ? (o => o.annualizedYield) : sortBy === "roc" ? (o => o.annualizedROC ?? -Infinity) : (o => o.score);
+  const rows = Object.entries(results).flatMap(([tkr, r]) => r.status !== "done"
+    ? [{ key: tkr, tkr, r }]
+    : sides.map(side => ({ key: `${tkr}-${side}`, tkr, r, side, o: r.top[side] })));
+  rows.sort((a, b) => (b.o ? sortKey(b.o) : -Infinity) - (a.o ? sortKey(a.o) : -Infinity));
+  const done = Object.values(results).filter(r => r.status !== "pending").length;
+  const td = { padding: "7px 8px", textAlign: "right" };
+
+  return (
+    <div style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+      <SectionTitle num="W" title="Watchlist Screener" subtitle="Best strike per symbol for the target expiry and side above" />
+      <div style={{ display: "grid", gridTemplateColumns: "minmax(260px, 2fr) minmax(220px, 1fr)", gap: 20, marginBottom: 20 }}>
+        <div>
+          <label style={labelStyle}>Watchlist ({symbols.length} symbols · saved locally)</label>
+          <textarea value={watchlist} onChange={e => setWatchlist(e.target.value.toUpperCase())} rows={3}
+            placeholder="AAPL MSFT NVDA AMD TSLA…" style={{ ...inputStyle, resize: "vertical" }} />
+        </div>
+        <div>
+          <label style={labelStyle}>Sort By</label>
+          <ToggleGroup value={sortBy} onChange={setSortBy} options={[["efficiency", scoreLabel(analysisOpts)], ["yield", "Ann. Yield"], ["roc", "Ann. ROC"]]} />
+          <div style={{ fontSize: 11, color: TEXT_DIM, fontFamily: mono, marginTop: 8 }}>Efficiency is in $ per day, so it scales with share price; yield compares across prices.</div>
+        </div>
+      </div>
+      <button onClick={runScreener} disabled={running || !symbols.length} style={{
+        background: running ? BORDER : BG_CARD2, color: running ? TEXT_DIM : ACCENT, border: `1px solid ${ACCENT}66`, borderRadius: 10,
+        padding: "10px 28px", fontSize: 14, fontWeight: 700, fontFamily: head, cursor: running ? "not-allowed" : "pointer",
+      }}>{running ? `Screening… ${done}/${symbols.length}` : "Run Screener"}</button>
+
+      {rows.length > 0 && (
+        <div style={{ overflowX: "auto", borderRadius: 10, border: `1px solid ${BORDER}`, marginTop: 20 }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: mono }}>
+            <thead>
+              <tr style={{ background: BG_CARD2 }}>
+                {["Symbol", "Spot", "Expiry", ...(sides.length > 1 ? ["Side"] : []), "Strike", "Mid", "Extrinsic", "Delta", scoreLabel(analysisOpts), "Ann.Yld", "Ann.ROC", "IV", "OI", "Vol", "Spread"].map(h => (
+                  <th key={h} style={{ padding: "10px 8px", textAlign: h === "Symbol" ? "left" : "right", color: TEXT_DIM, fontWeight: 600, fontSize: 9, letterSpacing: .8, textTransform: "uppercase", borderBottom: `1px solid ${BORDER}`, whiteSpace: "nowrap" }}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ key, tkr, r, side, o }) => (
+                <tr key={key} className="hover-row" style={{ borderBottom: `1px solid ${BORDER}22` }}>
+                  <td style={{ ...td, textAlign: "left", fontWeight: 700, color: TEXT }}>{tkr}</td>
+                  {r.status === "pending" && <td colSpan={14} style={{ ...td, textAlign: "left", color: TEXT_DIM, animation: "pulse 1.5s infinite" }}>loading…</td>}
+                  {r.status === "error" && <td colSpan={14} style={{ ...td, textAlign: "left", color: RED }}>✗ {r.error}</td>}
+                  {r.status === "done" && <>
+                    <td style={{ ...td, color: TEXT_DIM }}>${r.spot.toFixed(2)}</td>
+                    <td style={{ ...td, color: TEXT_DIM }}>{tsToShort(r.expiry)}</td>
+                    {sides.length > 1 && <td style={td}><SideTag side={side} /></td>}
+                    {!o ? <td colSpan={11} style={{ ...td, textAlign: "left", color: TEXT_DIM }}>No rankable {SIDE_LABELS[side].toLowerCase()}</td> : <>
+                      <td style={{ ...td, fontWeight: 700, color: TEXT }}>${o.strike.toFixed(2)} <MoneyBadge type={o.moneyness} /></td>
+                      <td style={{ ...td, color: TEXT }}>{o.mid.toFixed(2)}<LastMid src={o.midSource} /></td>
+                      <td style={{ ...td, color: GREEN, fontWeight: 600 }}>{o.extrinsic.toFixed(2)}</td>
+                      <td style={{ ...td, color: CYAN }}>{o.delta != null ? o.delta.toFixed(3) : "—"}<Computed src={o.greekSource?.delta} /></td>
+                      <td style={{ ...td, color: GREEN, fontWeight: 700 }}>{o.score.toFixed(4)}</td>
+                      <td style={{ ...td, color: ACCENT3 }}>{o.annualizedYield.toFixed(1)}%</td>
+                      <td style={{ ...td, color: ACCENT3 }}>{rocText(o.annualizedROC)}</td>
+                      <td style={{ ...td, color: TEXT_DIM }}>{(o.impliedVol * 100).toFixed(1)}%</td>
+                      <td style={{ ...td, color: TEXT_DIM }}>{o.openInterest.toLocaleString()}</td>
+                      <td style={{ ...td, color: TEXT_DIM }}>{o.volume.toLocaleString()}</td>
+                      <td style={{ ...td, color: o.spreadPct == null ? RED : o.spreadPct > 10 ? AMBER : TEXT_DIM }}>{o.spreadPct != null ? `${o.spreadPct.toFixed(1)}%` : "no quote"}</td>
+                    </>}
+                  </>}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Drop a broker chain export, check the column mapping, then run it through
+// the normal ranking. Parsing lives in ./csvImport.
+const CsvImportPanel = ({ defaultTicker, targetExpiry, onAnalyze, inputStyle, labelStyle, selectStyle }) => {
+  const [fileName, setFileName] = useState("");
+  const [text, setText] = useState("");
+  const [broker, setBroker] = useState("auto");
+  const [mapping, setMapping] = useState({});
+  const [expiry, setExpiry] = useState(null);
+  const [spotInput, setSpotInput] = useState("");
+  const [dragging, setDragging] = useState(false);
+  const fileRef = useRef(null);
+
+  const parsed = useMemo(() => (text ? importChainCsv(text, { broker, mapping }) : null), [text, broker, mapping]);
+  const groups = useMemo(() => (parsed ? groupByExpiry(parsed.contracts) : []), [parsed]);
+  const selected = groups.find(g => g.expiry === expiry) || (groups.length ? groups.find(g => g.expiry === findClosestExpiry(groups.map(x => x.expiry), targetExpiry)) : null);
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    setFileName(file.name); setMapping({}); setExpiry(null); setSpotInput("");
+    setText(await file.text());
+  };
+
+  const header = parsed?.header || [];
+  // Side-by-side files repeat each header for calls and puts; a mapping picks the name on both sides
+  const sideBySide = parsed?.layout?.type === "sideBySide";
+  const columns = sideBySide ? parsed.layout.columns.calls : parsed?.layout?.columns || null;
+  const tkr = parsed?.ticker || defaultTicker.toUpperCase().trim();
+  const spot = parseFloat(spotInput) || parsed?.underlying || null;
+
+  return (
+    <div style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+      <SectionTitle num="I" title="Import Broker CSV" subtitle="Schwab/thinkorswim, Interactive Brokers or Tastytrade chain exports — ranked like live data" />
+
+      <div onDragOver={e => { e.preventDefault(); setDragging(true); }} onDragLeave={() => setDragging(false)}
+        onDrop={e => { e.preventDefault(); setDragging(false); loadFile(e.dataTransfer.files?.[0]); }}
+        onClick={() => fileRef.current?.click()}
+        style={{ border: `1px dashed ${dragging ? ACCENT : BORDER}`, background: dragging ? `${ACCENT}0a` : BG_INPUT, borderRadius: 10, padding: "22px 16px", textAlign: "center", cursor: "pointer", fontFamily: mono, fontSize: 13, color: fileName ? TEXT : TEXT_DIM, marginBottom: 18 }}>
+        {fileName ? `📄 ${fileName} — drop another file to replace` : "Drop a .csv option chain here, or click to choose a file"}
+        <input ref={fileRef} type="file" accept=".csv,text/csv,text/plain" style={{ display: "none" }} onChange={e => { loadFile(e.target.files?.[0]); e.target.value = ""; }} />
+      </div>
+
+      {parsed && (<>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))", gap: 20, marginBottom: 18 }}>
+          <div>
+            <label style={labelStyle}>Format (detected: {BROKER_PRESETS[parsed.broker]?.label})</label>
+            <select value={broker} onChange={e => { setBroker(e.target.value); setMapping({}); }} style={selectStyle}>
+              {Object.entries(BROKER_PRESETS).map(([id, p]) => <option key={id} value={id}>{p.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Expiry ({groups.length} in file)</label>
+            <select value={selected?.expiry || ""} onChange={e => setExpiry(Number(e.target.value))} style={selectStyle} disabled={!groups.length}>
+              {groups.map(g => <option key={g.expiry} value={g.expiry}>{tsToShort(g.expiry)} · {g.calls.length}C / {g.puts.length}P</option>)}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Underlying Price {parsed.underlying ? "(from file)" : "(blank = fetch)"}</label>
+            <input value={spotInput} onChange={e => setSpotInput(e.target.value)} placeholder={parsed.underlying ? String(parsed.underlying) : `fetch ${tkr}`} style={inputStyle} />
+          </div>
+        </div>
+
+        {columns && (
+          <details style={{ marginBottom: 18, fontFamily: mono, fontSize: 12, color: TEXT_DIM }}>
+            <summary style={{ cursor: "pointer", marginBottom: 10 }}>Column mapping ({Object.keys(columns).length} of {CSV_FIELDS.length} fields matched{sideBySide ? " · applied to the call and put columns alike" : ""})</summary>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(170px, 1fr))", gap: 10 }}>
+              {CSV_FIELDS.map(f => (
+                <div key={f}>
+                  <label style={{ ...labelStyle, marginBottom: 3 }}>{f}</label>
+                  <select value={columns[f] != null ? header[columns[f]] : ""} onChange={e => setMapping(m => ({ ...m, [f]: e.target.value }))} style={{ ...selectStyle, padding: "6px 30px 6px 10px", fontSize: 12 }}>
+                    <option value="">— none —</option>
+                    {[...new Set(header.filter(h => h.trim()))].map(h => <option key={h} value={h}>{h}</option>)}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </details>
+        )}
+
+        <div style={{ display: "flex", alignItems: "center", gap: 16, flexWrap: "wrap" }}>
+          <button disabled={!selected} onClick={() => onAnalyze({ ticker: tkr, spot, chain: selected, source: `CSV import · ${BROKER_PRESETS[parsed.broker]?.label} · ${fileName}` })} style={{
+            background: selected ? BG_CARD2 : BORDER, color: selected ? ACCENT : TEXT_DIM, border: `1px solid ${ACCENT}66`, borderRadius: 10,
+            padding: "10px 28px", fontSize: 14, fontWeight: 700, fontFamily: head, cursor: selected ? "pointer" : "not-allowed",
+          }}>Analyze Imported Chain</button>
+          <span style={{ fontSize: 12, color: TEXT_DIM, fontFamily: mono }}>
+            {tkr} · {parsed.contracts.length} contracts parsed{parsed.layout?.type === "sideBySide" ? " · calls | strike | puts layout" : ""}
+            {parsed.errors.length > 0 && <span style={{ color: AMBER }}> · {parsed.errors.length} rows rejected</span>}
+          </span>
+        </div>
+
+        {parsed.errors.length > 0 && (
+          <div style={{ marginTop: 14, padding: "10px 14px", borderRadius: 8, background: `${AMBER}0a`, border: `1px solid ${AMBER}33`, fontSize: 12, color: AMBER, fontFamily: mono, maxHeight: 180, overflowY: "auto" }}>
+            {parsed.errors.slice(0, 50).map((e, i) => <div key={i}>{e.line ? `Line ${e.line}: ` : ""}{e.message}</div>)}
+            {parsed.errors.length > 50 && <div>…and {parsed.errors.length - 50} more</div>}
+          </div>
+        )}
+      </>)}
+    </div>
+  );
+};
+
+// Defined-risk credit spreads built from the loaded chain, ranked, with an
+// expiry payoff preview against the naked (and, for calls, covered) short leg.
+const SPREAD_SORTS = [["efficiency", "Net Ext/DTE/|Δ|"], ["returnOnRisk", "Return on Risk"], ["creditToWidth", "Credit ÷ Width"]];
+
+const SpreadBuilderPanel = ({ side, chain, spot, inputStyle, labelStyle }) => {
+  const [widthsText, setWidthsText] = useState("");
+  const [sortBy, setSortBy] = useState("efficiency");
+  const [selectedKey, setSelectedKey] = useState(null);
+  const isPut = side === "puts";
+  const title = isPut ? "Bull Put Credit Spreads" : "Bear Call Credit Spreads";
+
+  // Default widths: 1×, 2× and 4× the chain's tightest strike spacing
+  const autoWidths = useMemo(() => {
+    const strikes = (chain || []).map(o => o.strike).sort((a, b) => a - b);
+    const step = strikes.slice(1).reduce((m, k, i) => Math.min(m, k - strikes[i]), Infinity);
+    return Number.isFinite(step) ? [1, 2, 4].map(n => +(n * step).toFixed(2)) : [];
+  }, [chain]);
+  const widths = useMemo(() => {
+    const typed = widthsText.split(/[\s,;]+/).map(parseFloat).filter(w => w > 0);
+    return typed.length ? typed : autoWidths;
+  }, [widthsText, autoWidths]);
+
+  const ranked = useMemo(() => rankSpreads(buildCreditSpreads(chain || [], widths, side), sortBy), [chain, widths, side, sortBy]);
+  if (!chain?.length) return null;
+
+  const keyOf = s => `${s.short.strike}/${s.long.strike}`;
+  const selected = ranked.find(s => keyOf(s) === selectedKey) || ranked[0];
+  const top = ranked.slice(0, 25);
+  const td = { padding: "7px 8px", textAlign: "right" };
+
+  let payoff = [];
+  if (selected) {
+    const prices = payoffPriceGrid([spot, selected.short.strike, selected.long.strike],
+      Math.max(selected.width * 3, Math.abs(spot - selected.short.strike) * 1.5, spot * 0.03));
+    const { short, long } = selected;
+    payoff = prices.map(S => {
+      const naked = short.mid - intrinsicAt(side, short.strike, S);
+      return {
+        price: +S.toFixed(2),
+        spread: (selected.netCredit - intrinsicAt(side, short.strike, S) + intrinsicAt(side, long.strike, S)) * 100,
+        naked: naked * 100,
+        ...(isPut ? {} : { covered: (S - spot + naked) * 100 }),
+      };
+    });
+  }
+
+  return (
+    <div className="slide-up" style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+      <SectionTitle num="V" title={title}
+        subtitle={`Short each strike, long the strike ${isPut ? "below" : "above"} at each width · ${ranked.length} spreads with a net credit`} />
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(240px, 1fr))", gap: 20, marginBottom: 20 }}>
+        <div>
+          <label style={labelStyle}>Widths $ (blank = {autoWidths.join(", ") || "auto"})</label>
+          <input value={widthsText} onChange={e => setWidthsText(e.target.value)} placeholder={autoWidths.join(", ")} style={inputStyle} />
+        </div>
+        <div>
+          <label style={labelStyle}>Rank By</label>
+          <ToggleGroup value={sortBy} onChange={setSortBy} options={SPREAD_SORTS} />
+        </div>
+      </div>
+
+      {!ranked.length ? (
+        <div style={{ fontSize: 13, color: TEXT_DIM, fontFamily: mono }}>No strike pairs at these widths produce a net credit.</div>
+      ) : (<>
+        <div style={{ overflowX: "auto", borderRadius: 10, border: `1px solid ${BORDER}`, marginBottom: 20 }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: mono }}>
+            <thead>
+              <tr style={{ background: BG_CARD2 }}>
+                {["Rank", "Short / Long", "Width", "Credit", "Natural", "Net Ext", "Cr ÷ W", "Max Loss", "RoR", "Net Δ", "Net Θ", "Breakeven", "Ext/DTE/|Δ|"].map(h => (
+                  <th key={h} style={{ padding: "10px 8px", textAlign: h === "Rank" ? "center" : "right", color: TEXT_DIM, fontWeight: 600, fontSize: 9, letterSpacing: .8, textTransform: "uppercase", borderBottom: `1px solid ${BORDER}`, whiteSpace: "nowrap" }}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {top.map(s => (
+                <tr key={keyOf(s)} className="hover-row" onClick={() => setSelectedKey(keyOf(s))}
+                  style={{ borderBottom: `1px solid ${BORDER}22`, cursor: "pointer", background: s === selected ? `${ACCENT}10` : "transparent" }}>
+                  <td style={{ ...td, textAlign: "center" }}><RankBadge rank={s.rank} total={ranked.length} /></td>
+                  <td style={{ ...td, fontWeight: 700, color: TEXT, whiteSpace: "nowrap" }}>{s.short.strike} / {s.long.strike} <MoneyBadge type={s.short.moneyness} /></td>
+                  <td style={{ ...td, color: TEXT_DIM }}>{s.width}</td>
+                  <td style={{ ...td, color: GREEN, fontWeight: 600 }}>{s.netCredit.toFixed(2)}{s.midFromLast && <LastMid src="last" />}</td>
+                  <td style={{ ...td, color: s.naturalCredit > 0 ? TEXT_DIM : RED }}>{s.naturalCredit.toFixed(2)}</td>
+                  <td style={{ ...td, color: GREEN }}>{s.netExtrinsic.toFixed(2)}</td>
+                  <td style={{ ...td, color: TEXT }}>{(s.creditToWidth * 100).toFixed(1)}%</td>
+                  <td style={{ ...td, color: RED }}>${(s.maxLoss * 100).toFixed(0)}</td>
+                  <td style={{ ...td, color: ACCENT3 }}>{s.returnOnRisk.toFixed(1)}%</td>
+                  <td style={{ ...td, color: CYAN }}>{s.netDelta != null ? s.netDelta.toFixed(3) : "—"}</td>
+                  <td style={{ ...td, color: TEXT_DIM }}>{s.netTheta != null ? s.netTheta.toFixed(4) : "—"}</td>
+                  <td style={{ ...td, color: TEXT_DIM }}>${s.breakeven.toFixed(2)}</td>
+                  <td style={{ ...td, fontWeight: 700, color: s.rank <= 3 ? GREEN : TEXT_DIM }}>{s.efficiency != null ? s.efficiency.toFixed(4) : "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Payoff preview */}
+        <div style={{ background: BG_CARD2, borderRadius: 10, padding: 16 }}>
+          <div style={{ fontSize: 12, fontWeight: 600, color: TEXT_DIM, marginBottom: 12, fontFamily: mono }}>
+            Payoff at Expiry per Contract · {selected.short.strike}/{selected.long.strike} spread vs naked short {selected.short.strike}{isPut ? "" : " and covered call"} · click a row to preview
+          </div>
+          <ResponsiveContainer width="100%" height={280}>
+            <LineChart data={payoff}>
+              <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
+              <XAxis dataKey="price" type="number" domain={["dataMin", "dataMax"]} tick={{ fontSize: 10, fill: TEXT_DIM }} tickFormatter={v => `$${v.toFixed(0)}`} />
+              <YAxis tick={{ fontSize: 10, fill: TEXT_DIM }} tickFormatter={v => `$${v.toFixed(0)}`} />
+              <Tooltip content={({ active, payload }) => { if (!active || !payload?.length) return null; const d = payload[0]?.payload || {}; return (<div style={ttStyle}><div style={{ color: TEXT, fontWeight: 700, marginBottom: 6 }}>Underlying ${d.price}</div><div style={{ color: ACCENT }}>Spread: ${(d.spread || 0).toFixed(0)}</div><div style={{ color: RED }}>Naked: ${(d.naked || 0).toFixed(0)}</div>{d.covered != null && <div style={{ color: CYAN }}>Covered: ${d.covered.toFixed(0)}</div>}</div>); }} />
+              <ReferenceLine y={0} stroke={TEXT_DIM} />
+              <ReferenceLine x={+spot.toFixed(2)} stroke={ACCENT3} strokeDasharray="4 4" label={{ value: "spot", fill: ACCENT3, fontSize: 10 }} />
+              <Line type="linear" dataKey="spread" stroke={ACCENT} strokeWidth={2.5} dot={false} name="Credit spread" />
+              <Line type="linear" dataKey="naked" stroke={RED} strokeWidth={1.5} strokeDasharray="5 4" dot={false} name="Naked short" />
+              {!isPut && <Line type="linear" dataKey="covered" stroke={CYAN} strokeWidth={1.5} strokeDasharray="2 3" dot={false} name="Covered call" />}
+              <Legend wrapperStyle={{ fontSize: 11, fontFamily: mono }} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div style={{ marginTop: 12, fontSize: 11, color: TEXT_DIM, fontFamily: mono, lineHeight: 1.7 }}>
+          Credit = short mid − long mid · Natural = short bid − long ask · Max Loss = (Width − Credit) × 100 · RoR = Credit ÷ (Width − Credit) · Net Δ/Θ are position Greeks · Ext/DTE/|Δ| = Net Extrinsic ÷ DTE ÷ |Net Δ|
+        </div>
+      </>)}
+    </div>
+  );
+};
+
+// Covered-call view of the ranked calls for the user's own lot, in ranking order
+const CoveredCallPanel = ({ ranked, spot, position }) => {
+  if (!ranked?.length) return null;
+  const rows = ranked.map(o => ({ o, m: coveredCallMetrics(o, spot, position) }));
+  const { contracts, covered } = rows[0].m;
+  const unrealized = (spot - position.costBasis) * position.shares;
+  const belowBasis = rows.filter(r => r.m.belowBasis).length;
+  const td = { padding: "7px 8px", textAlign: "right" };
+  const pct = v => `${v >= 0 ? "" : "−"}${Math.abs(v).toFixed(2)}%`;
+  const usd = v => `${v >= 0 ? "+" : "−"}$${Math.abs(v).toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+
+  return (
+    <div className="slide-up" style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+      <SectionTitle num="C" title="Covered Calls — Your Position"
+        subtitle={`${contracts} contract${contracts === 1 ? "" : "s"} against ${position.shares.toLocaleString()} shares at $${position.costBasis.toFixed(2)} basis`} />
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 12, marginBottom: 20 }}>
+        <StatCard label="Shares Covered" value={covered.toLocaleString()} sub={position.shares > covered ? `${position.shares - covered} uncovered (odd lot)` : null} accent={ACCENT} />
+        <StatCard label="Cost Basis" value={`$${position.costBasis.toFixed(2)}`} accent={ACCENT2} />
+        <StatCard label="Unrealized P&L" value={usd(unrealized)} sub={`at spot $${spot.toFixed(2)}`} accent={unrealized >= 0 ? GREEN : RED} />
+        <StatCard label="Strikes < Basis" value={belowBasis} sub={belowBasis ? "assignment locks in a loss before premium" : null} accent={belowBasis ? RED : TEXT_DIM} />
+      </div>
+      <div style={{ overflowX: "auto", borderRadius: 10, border: `1px solid ${BORDER}` }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: mono }}>
+          <thead>
+            <tr style={{ background: BG_CARD2 }}>
+              {["Rank", "Strike", "Mid", "Premium (Lot)", "If Assigned", "If Unchanged", "Unch. Ann.", "Breakeven", "Cushion", "Assigned vs Basis"].map(h => (
+                <th key={h} style={{ padding: "10px 8px", textAlign: h === "Rank" ? "center" : "right", color: TEXT_DIM, fontWeight: 600, fontSize: 9, letterSpacing: .8, textTransform: "uppercase", borderBottom: `1px solid ${BORDER}`, whiteSpace: "nowrap" }}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ o, m }) => (
+              <tr key={o.strike} className="hover-row" style={{ borderBottom: `1px solid ${BORDER}22` }}>
+                <td style={{ ...td, textAlign: "center" }}><RankBadge rank={o.rank} total={ranked.length} /></td>
+                <td style={{ ...td, fontWeight: 700, color: TEXT, whiteSpace: "nowrap" }}>${o.strike.toFixed(2)} <MoneyBadge type={o.moneyness} /><BelowBasis show={m.belowBasis} /><DivRisk o={o} /></td>
+                <td style={{ ...td, color: TEXT }}>{o.mid.toFixed(2)}<LastMid src={o.midSource} /></td>
+                <td style={{ ...td, color: GREEN, fontWeight: 600 }}>${m.premium.toLocaleString(undefined, { maximumFractionDigits: 0 })}</td>
+                <td style={{ ...td, color: m.ifAssigned >= 0 ? TEXT : RED }}>{pct(m.ifAssigned)}</td>
+                <td style={{ ...td, color: TEXT }}>{pct(m.ifUnchanged)}</td>
+                <td style={{ ...td, color: ACCENT3 }}>{pct(m.ifUnchangedAnnualized)}</td>
+                <td style={{ ...td, color: TEXT_DIM }}>${m.breakeven.toFixed(2)}</td>
+                <td style={{ ...td, color: m.cushion >= 0 ? CYAN : RED }}>{pct(m.cushion)}</td>
+                <td style={{ ...td, fontWeight: 700, color: m.assignedPnL >= 0 ? GREEN : RED }}>{usd(m.assignedPnL)} {m.assignedPnL >= 0 ? "gain" : "loss"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div style={{ marginTop: 12, fontSize: 11, color: TEXT_DIM, fontFamily: mono, lineHeight: 1.7 }}>
+        If Assigned = (Mid + Strike − Spot) ÷ Spot · If Unchanged = Extrinsic ÷ Spot · Breakeven = Basis − Mid · Cushion = (Spot − Breakeven) ÷ Spot · Assigned vs Basis = (Strike + Mid − Basis) × shares covered
+      </div>
+    </div>
+  );
+};
+
+// Roll analyzer: where to roll an open short call, against the extrinsic it
+// still holds.
+const RollAnalyzer = ({ defaultTicker, numStrikes, analysisOpts, inputStyle, labelStyle }) => {
+  const [form, setForm] = useState({ ticker: "", strike: "", expiryDate: "", costToClose: "", maxExtraDays: "60" });
+  const [result, setResult] = useState(null);
+  const [sortBy, setSortBy] = useState("extrinsicPerExtraDay");
+  const [onlyCredits, setOnlyCredits] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [status, setStatus] = useState("");
+  const [error, setError] = useState(null);
+  const set = (k) => (e) => setForm(f => ({ ...f, [k]: e.target.value }));
+  const tkr = (form.ticker || defaultTicker).toUpperCase().trim();
+  const strikeNum = parseFloat(form.strike);
+  const ready = tkr && strikeNum > 0 && /^\d{4}-\d{2}-\d{2}$/.test(form.expiryDate);
+
+  const run = async () => {
+    setRunning(true); setError(null); setResult(null);
+    try {
+      setResult(await analyzeRolls(tkr, {
+        strike: strikeNum, expiryDate: form.expiryDate,
+        costToClose: parseFloat(form.costToClose) || 0, maxExtraDays: parseInt(form.maxExtraDays) || 0,
+      }, numStrikes, analysisOpts, setStatus));
+    } catch (e) { setError(e.message); } finally { setRunning(false); }
+  };
+
+  const b = result?.baseline;
+  const ranked = result ? rankRolls(result.targets.filter(o => !onlyCredits || o.netCredit > 0), sortBy) : [];
+  const beatBaseline = ranked.filter(o => o.extrinsicPerExtraDay > 0 && o.netCredit > 0).length;
+  const td = { padding: "7px 8px", textAlign: "right" };
+  const signed = (v, d = 2) => `${v >= 0 ? "+" : "−"}${Math.abs(v).toFixed(d)}`;
+
+  return (
+    <div style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+      <SectionTitle num="R" title="Roll Analyzer — Short Call" subtitle="Rank later-expiry roll targets for a call you are already short" />
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))", gap: 16, marginBottom: 20 }}>
+        <div><label style={labelStyle}>Ticker</label><input value={form.ticker} onChange={set("ticker")} placeholder={defaultTicker} style={inputStyle} /></div>
+        <div><label style={labelStyle}>Short Strike</label><input value={form.strike} onChange={set("strike")} placeholder="e.g. 200" style={inputStyle} /></div>
+        <div><label style={labelStyle}>Current Expiry</label><input type="date" value={form.expiryDate} onChange={set("expiryDate")} style={inputStyle} /></div>
+        <div><label style={labelStyle}>Cost to Close</label><input value={form.costToClose} onChange={set("costToClose")} placeholder="blank = ask" style={inputStyle} /></div>
+        <div><label style={labelStyle}>Max Extra Days</label><input value={form.maxExtraDays} onChange={set("maxExtraDays")} placeholder="60" style={inputStyle} /></div>
+      </div>
+      <button onClick={run} disabled={running || !ready} style={{
+        background: running ? BORDER : BG_CARD2, color: running || !ready ? TEXT_DIM : ACCENT, border: `1px solid ${ACCENT}66`, borderRadius: 10,
+        padding: "10px 28px", fontSize: 14, fontWeight: 700, fontFamily: head, cursor: running || !ready ? "not-allowed" : "pointer",
+      }}>{running ? "Analyzing rolls…" : "Analyze Rolls"}</button>
+      {running && <div style={{ marginTop: 12, fontSize: 12, color: ACCENT, fontFamily: mono, animation: "pulse 1.5s infinite" }}>⟳ {status}</div>}
+      {error && <div style={{ marginTop: 16, padding: "12px 16px", borderRadius: 8, background: `${RED}0a`, border: `1px solid ${RED}33`, fontSize: 13, color: RED, fontFamily: mono }}>✗ {error}</div>}
+
+      {b && (<>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 12, margin: "20px 0" }}>
+          <StatCard label="Current Short" value={`$${b.strike} · ${tsToShort(result.expiry)}`} sub={`${formatDTE(b.dte)} DTE · spot $${result.spot.toFixed(2)}`} accent={ACCENT2} />
+          <StatCard label="Cost to Close" value={`$${b.closeCost.toFixed(2)}`} sub={`intrinsic $${b.intrinsic.toFixed(2)}`} accent={RED} />
+          <StatCard label="Remaining Extrinsic" value={`$${b.remainingExtrinsic.toFixed(2)}`} sub={`$${b.extrinsicPerDay.toFixed(4)}/day if held`} accent={GREEN} />
+          <StatCard label="Current Delta" value={b.delta != null ? b.delta.toFixed(3) : "—"} accent={CYAN} />
+          <DividendCard dividend={result.dividend} expiry={result.expiry} />
+        </div>
+        {b.assignmentRisk && (
+          <div style={{ padding: "10px 16px", borderRadius: 8, marginBottom: 12, fontSize: 12, fontFamily: mono, background: `${AMBER}0a`, border: `1px solid ${AMBER}22`, color: AMBER }}>
+            DIV Time value left in the current call is below the ${b.dividendAhead.toFixed(2)} dividend going ex on {tsToShort(result.dividend.exDate)} — expect assignment the day before unless it is rolled
+          </div>
+        )}
+        <div style={{ padding: "10px 16px", borderRadius: 8, marginBottom: 20, fontSize: 12, fontFamily: mono,
+          background: beatBaseline ? `${GREEN}08` : `${AMBER}0a`, border: `1px solid ${beatBaseline ? GREEN : AMBER}22`, color: beatBaseline ? GREEN : AMBER }}>
+          {beatBaseline
+            ? `✦ ${beatBaseline} credit roll${beatBaseline === 1 ? "" : "s"} add extrinsic beyond the $${b.remainingExtrinsic.toFixed(2)} still in the current call`
+            : `⚠ No credit roll adds extrinsic beyond the $${b.remainingExtrinsic.toFixed(2)} left in the current call — holding or closing beats rolling`}
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(240px, 1fr))", gap: 20, marginBottom: 16 }}>
+          <div><label style={labelStyle}>Rank By</label>
+            <ToggleGroup value={sortBy} onChange={setSortBy} options={[["extrinsicPerExtraDay", "Ext / Extra Day"], ["netCredit", "Net Credit"], ["deltaChange", "Δ Reduction"]]} /></div>
+          <div><label style={labelStyle}>Targets</label>
+            <ToggleGroup value={onlyCredits ? "credit" : "all"} onChange={v => setOnlyCredits(v === "credit")} options={[["credit", "Credits Only"], ["all", "Include Debits"]]} /></div>
+        </div>
+        {!ranked.length ? (
+          <div style={{ fontSize: 13, color: TEXT_DIM, fontFamily: mono }}>No roll targets{onlyCredits ? " for a net credit" : ""} in the later expiries loaded.</div>
+        ) : (
+          <div style={{ overflowX: "auto", borderRadius: 10, border: `1px solid ${BORDER}` }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: mono }}>
+              <thead>
+                <tr style={{ background: BG_CARD2 }}>
+                  {["Rank", "Roll", "Expiry", "+Days", "Strike", "Mid", "Net Credit", "Extrinsic", "Ext Gained", "Ext/Extra Day", "Delta", "Δ Change"].map(h => (
+                    <th key={h} style={{ padding: "10px 8px", textAlign: h === "Rank" ? "center" : "right", color: TEXT_DIM, fontWeight: 600, fontSize: 9, letterSpacing: .8, textTransform: "uppercase", borderBottom: `1px solid ${BORDER}`, whiteSpace: "nowrap" }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {ranked.slice(0, 40).map(o => (
+                  <tr key={`${o.expiry}-${o.strike}`} className="hover-row" style={{ borderBottom: `1px solid ${BORDER}22` }}>
+                    <td style={{ ...td, textAlign: "center" }}><RankBadge rank={o.rank} total={ranked.length} /></td>
+                    <td style={{ ...td, color: o.rollType === "out" ? TEXT_DIM : ACCENT, whiteSpace: "nowrap" }}>{o.rollType}</td>
+                    <td style={{ ...td, color: expiryTag(o.expiry) ? ACCENT3 : TEXT }}>{tsToShort(o.expiry)}{expiryTag(o.expiry)}</td>
+                    <td style={{ ...td, color: TEXT_DIM }}>{formatDTE(o.extraDays)}</td>
+                    <td style={{ ...td, fontWeight: 700, color: TEXT, whiteSpace: "nowrap" }}>${o.strike.toFixed(2)} <MoneyBadge type={o.moneyness} /><DivRisk o={o} /></td>
+                    <td style={{ ...td, color: TEXT }}>{o.mid.toFixed(2)}<LastMid src={o.midSource} /></td>
+                    <td style={{ ...td, fontWeight: 700, color: o.netCredit > 0 ? GREEN : RED }}>{signed(o.netCredit)}</td>
+                    <td style={{ ...td, color: GREEN }}>{o.extrinsic.toFixed(2)}</td>
+                    <td style={{ ...td, color: o.extrinsicGained > 0 ? GREEN : RED }}>{signed(o.extrinsicGained)}</td>
+                    <td style={{ ...td, fontWeight: 700, color: o.extrinsicPerExtraDay > 0 ? ACCENT : RED }}>{o.extrinsicPerExtraDay != null ? signed(o.extrinsicPerExtraDay, 4) : "—"}</td>
+                    <td style={{ ...td, color: CYAN }}>{o.delta != null ? o.delta.toFixed(3) : "—"}<Computed src={o.greekSource?.delta} /></td>
+                    <td style={{ ...td, color: o.deltaChange == null ? TEXT_DIM : o.deltaChange <= 0 ? GREEN : RED }}>{o.deltaChange != null ? signed(o.deltaChange, 3) : "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <div style={{ marginTop: 12, fontSize: 11, color: TEXT_DIM, fontFamily: mono, lineHeight: 1.7 }}>
+          Net Credit = target mid − cost to close · Ext Gained = target extrinsic − remaining extrinsic · Ext/Extra Day = Ext Gained ÷ extra days · Δ Change = target delta − current delta (negative = less assignment risk)
+        </div>
+      </>)}
+    </div>
+  );
+};
+
+// Saved analyses for one ticker and expiry at a time: reopen one, chart a
+// contract's decay against its theta, or diff two runs (A → B).
+const SnapshotHistory = ({ currentKey, version, onOpen, labelStyle, selectStyle }) => {
+  const [metas, setMetas] = useState([]);
+  const [error, setError] = useState(null);
+  const [pickedKey, setPickedKey] = useState("");
+  const [full, setFull] = useState([]);
+  const [side, setSide] = useState("calls");
+  const [strike, setStrike] = useState("");
+  const [pair, setPair] = useState({ a: null, b: null });
+  const [reload, setReload] = useState(0);
+
+  useEffect(() => {
+    let stale = false;
+    listSnapshots().then(m => { if (!stale) { setMetas(m); setError(null); } }, e => { if (!stale) setError(e.message); });
+    return () => { stale = true; };
+  }, [version, reload]);
+
+  const groups = useMemo(() => {
+    const byKey = new Map();
+    metas.forEach(m => byKey.set(m.key, [...(byKey.get(m.key) || []), m]));
+    return [...byKey.entries()];
+  }, [metas]);
+  const key = groups.some(([k]) => k === pickedKey) ? pickedKey
+    : groups.some(([k]) => k === currentKey) ? currentKey : groups[0]?.[0] || "";
+  const rows = groups.find(([k]) => k === key)?.[1] || [];
+  const rowIds = rows.map(m => m.id).join(",");
+
+  useEffect(() => {
+    if (!key) { setFull([]); return; }
+    let stale = false;
+    loadSnapshotsFor(key).then(s => { if (!stale) setFull(s); }, e => { if (!stale) setError(e.message); });
+    return () => { stale = true; };
+  }, [key, rowIds]);
+  useEffect(() => { setPair({ a: null, b: null }); setStrike(""); }, [key]);
+
+  const strikes = snapshotStrikes(full, side);
+  // Default to the latest #1 strike on this side
+  const latestTop = full[full.length - 1]?.top?.[side]?.strike;
+  const strikeNum = strike !== "" ? parseFloat(strike) : latestTop ?? strikes[0];
+  const series = strikeNum != null ? contractSeries(full, side, strikeNum).map(p => ({ ...p, label: new Date(p.at).toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" }) })) : [];
+  const first = series[0], last = series[series.length - 1];
+  const snapA = full.find(s => s.id === pair.a), snapB = full.find(s => s.id === pair.b);
+  const diff = snapA && snapB ? diffSnapshots(snapA, snapB, side) : [];
+
+  const remove = async (id) => { try { await deleteSnapshot(id); setReload(r => r + 1); } catch (e) { setError(e.message); } };
+  const clearAll = async () => {
+    if (!window.confirm("Delete every saved snapshot in this browser?")) return;
+    try { await clearSnapshots(); setReload(r => r + 1); } catch (e) { setError(e.message); }
+  };
+  const pick = (which, id) => setPair(p => ({ ...p, [which]: p[which] === id ? null : id }));
+  const stamp = (at) => new Date(at).toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+  const td = { padding: "7px 8px", textAlign: "right" };
+  const th = { padding: "10px 8px", textAlign: "right", color: TEXT_DIM, fontWeight: 600, fontSize: 9, letterSpacing: .8, textTransform: "uppercase", borderBottom: `1px solid ${BORDER}`, whiteSpace: "nowrap" };
+  const smallBtn = (active, color = ACCENT) => ({ background: active ? `${color}22` : "none", border: `1px solid ${active ? color : BORDER}`, borderRadius: 6, color: active ? color : TEXT_DIM, fontSize: 10, fontFamily: mono, padding: "2px 8px", cursor: "pointer" });
+  const fx = (v, d = 2) => (v == null ? "—" : v.toFixed(d));
+
+  return (
+    <div style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+      <SectionTitle num="H" title="Snapshot History" subtitle="Every single-expiry analysis is saved in this browser — reopen one, follow a contract's decay, or diff two runs" />
+      {error && <div style={{ marginBottom: 16, padding: "12px 16px", borderRadius: 8, background: `${RED}0a`, border: `1px solid ${RED}33`, fontSize: 13, color: RED, fontFamily: mono }}>✗ {error}</div>}
+      {!groups.length ? (
+        <div style={{ fontSize: 13, color: TEXT_DIM, fontFamily: mono }}>{error ? "Snapshots are unavailable in this browser." : "No snapshots yet — run an analysis and it is saved here."}</div>
+      ) : (<>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))", gap: 16, marginBottom: 20, alignItems: "end" }}>
+          <div>
+            <label style={labelStyle}>Ticker · Expiry</label>
+            <select value={key} onChange={e => setPickedKey(e.target.value)} style={selectStyle}>
+              {groups.map(([k, list]) => <option key={k} value={k}>{list[0].ticker} · {tsToShort(list[0].expiry)} ({list.length})</option>)}
+            </select>
+          </div>
+          <div><label style={labelStyle}>Side</label><ToggleGroup value={side} onChange={setSide} options={SIDES.map(s => [s, SIDE_LABELS[s]])} /></div>
+          <div style={{ textAlign: "right" }}><button onClick={clearAll} style={smallBtn(false)}>Delete All Snapshots</button></div>
+        </div>
+
+        <div style={{ overflowX: "auto", borderRadius: 10, border: `1px solid ${BORDER}`, marginBottom: 20 }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: mono }}>
+            <thead>
+              <tr style={{ background: BG_CARD2 }}>
+                {["Saved", "Spot", "#1 Call", "#1 Put", "Ranked By", "Source", "Diff", ""].map((h, i) => <th key={i} style={th}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(m => (
+                <tr key={m.id} className="hover-row" style={{ borderBottom: `1px solid ${BORDER}22` }}>
+                  <td style={{ ...td, color: TEXT }}>{stamp(m.at)}</td>
+                  <td style={{ ...td, color: TEXT }}>${m.spot.toFixed(2)}</td>
+                  <td style={{ ...td, color: GREEN }}>{m.top?.calls ? `$${m.top.calls.strike}` : "—"}</td>
+                  <td style={{ ...td, color: GREEN }}>{m.top?.puts ? `$${m.top.puts.strike}` : "—"}</td>
+                  <td style={{ ...td, color: TEXT_DIM }}>{m.scoreName}</td>
+                  <td style={{ ...td, color: TEXT_DIM }}>{m.dataSource}</td>
+                  <td style={{ ...td, whiteSpace: "nowrap" }}>
+                    <button onClick={() => pick("a", m.id)} style={smallBtn(pair.a === m.id, AMBER)}>A</button>{" "}
+                    <button onClick={() => pick("b", m.id)} style={smallBtn(pair.b === m.id, CYAN)}>B</button>
+                  </td>
+                  <td style={{ ...td, whiteSpace: "nowrap" }}>
+                    <button onClick={() => loadSnapshot(m.id).then(onOpen, e => setError(e.message))} style={smallBtn(true)}>Open</button>{" "}
+                    <button onClick={() => remove(m.id)} title="Delete this snapshot" style={smallBtn(false)}>×</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))", gap: 16, marginBottom: 12 }}>
+          <div>
+            <label style={labelStyle}>Contract Decay — Strike</label>
+            <select value={strikeNum ?? ""} onChange={e => setStrike(e.target.value)} style={selectStyle}>
+              {strikes.map(k => <option key={k} value={k}>${k} {SIDE_LABELS[side].slice(0, -1).toLowerCase()}</option>)}
+            </select>
+          </div>
+        </div>
+        {series.length < 2 ? (
+          <div style={{ fontSize: 13, color: TEXT_DIM, fontFamily: mono, marginBottom: 20 }}>The decay chart needs two or more snapshots with this strike in the analyzed range.</div>
+        ) : (<>
+          <ChartCard title={`${full[0].ticker} $${strikeNum} ${SIDE_LABELS[side].slice(0, -1).toLowerCase()} · Extrinsic vs Theta`} filename={`${full[0].ticker}-${tsToDate(full[0].expiry)}-${strikeNum}-${side}-decay`}>
+            <ResponsiveContainer width="100%" height={280}>
+              <LineChart data={series}>
+                <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
+                <XAxis dataKey="label" tick={{ fontSize: 9, fill: TEXT_DIM }} angle={-30} textAnchor="end" height={60} />
+                <YAxis yAxisId="usd" tick={{ fontSize: 10, fill: TEXT_DIM }} label={{ value: "$", angle: -90, position: "insideLeft", fill: TEXT_DIM, fontSize: 11 }} />
+                <YAxis yAxisId="eff" orientation="right" tick={{ fontSize: 10, fill: TEXT_DIM }} />
+                <Tooltip content={({ active, payload }) => { if (!active || !payload?.length) return null; const d = payload[0]?.payload || {}; return (<div style={ttStyle}><div style={{ color: TEXT, fontWeight: 700, marginBottom: 6 }}>{d.label} · {formatDTE(d.dte)} DTE · spot ${d.spot.toFixed(2)}</div><div style={{ color: GREEN }}>Extrinsic: ${d.extrinsic.toFixed(2)}</div><div style={{ color: AMBER }}>Theta path: ${d.thetaPath.toFixed(2)}</div>{d.theta != null && <div style={{ color: RED }}>Theta: {d.theta.toFixed(4)}/calendar day</div>}{d.efficiency != null && <div style={{ color: ACCENT }}>Efficiency: {d.efficiency.toFixed(4)}</div>}{d.rank != null && <div style={{ color: TEXT_DIM }}>Rank #{d.rank}</div>}</div>); }} />
+                <Line yAxisId="usd" type="monotone" dataKey="extrinsic" stroke={GREEN} strokeWidth={2} name="Extrinsic" />
+                <Line yAxisId="usd" type="monotone" dataKey="thetaPath" stroke={AMBER} strokeWidth={1.5} strokeDasharray="5 4" dot={false} name="Theta path" />
+                <Line yAxisId="eff" type="monotone" dataKey="efficiency" stroke={ACCENT} strokeWidth={1.5} name="Efficiency" connectNulls />
+                <Legend wrapperStyle={{ fontSize: 11, fontFamily: mono }} />
+              </LineChart>
+            </ResponsiveContainer>
+          </ChartCard>
+          <div style={{ margin: "12px 0 20px", fontSize: 11, color: TEXT_DIM, fontFamily: mono, lineHeight: 1.7 }}>
+            Extrinsic went ${first.extrinsic.toFixed(2)} → ${last.extrinsic.toFixed(2)} over {((last.at - first.at) / 86400000).toFixed(1)} days; decaying at the quoted theta it would be ${last.thetaPath.toFixed(2)} ({last.extrinsic >= last.thetaPath ? "held up better than theta" : "decayed faster than theta"}). Theta path = previous extrinsic − |theta| × calendar days elapsed, chained from the first snapshot.
+          </div>
+        </>)}
+
+        {snapA && snapB ? (<>
+          <div style={{ fontSize: 12, color: TEXT_DIM, fontFamily: mono, marginBottom: 8 }}>
+            <span style={{ color: AMBER }}>A</span> {stamp(snapA.at)} (spot ${snapA.spot.toFixed(2)}) → <span style={{ color: CYAN }}>B</span> {stamp(snapB.at)} (spot ${snapB.spot.toFixed(2)}) · {SIDE_LABELS[side]}
+          </div>
+          <div style={{ overflowX: "auto", borderRadius: 10, border: `1px solid ${BORDER}` }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: mono }}>
+              <thead>
+                <tr style={{ background: BG_CARD2 }}>
+                  {["Strike", "Rank A", "Rank B", "Moved", "Score A", "Score B", "Mid A", "Mid B", "Extrinsic A", "Extrinsic B"].map(h => <th key={h} style={th}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {diff.map(d => (
+                  <tr key={d.strike} className="hover-row" style={{ borderBottom: `1px solid ${BORDER}22`, background: d.rankChange ? `${d.rankChange > 0 ? GREEN : RED}0a` : "transparent" }}>
+                    <td style={{ ...td, fontWeight: 700, color: TEXT }}>${d.strike}</td>
+                    <td style={{ ...td, color: TEXT_DIM }}>{d.rankA ?? "—"}</td>
+                    <td style={{ ...td, color: TEXT }}>{d.rankB ?? "—"}</td>
+                    <td style={{ ...td, fontWeight: 700, color: d.rankChange > 0 ? GREEN : d.rankChange < 0 ? RED : TEXT_DIM }}>
+                      {d.rankChange == null ? (d.rankB == null ? "dropped" : "new") : d.rankChange === 0 ? "—" : `${d.rankChange > 0 ? "▲" : "▼"}${Math.abs(d.rankChange)}`}
+                    </td>
+                    <td style={{ ...td, color: TEXT_DIM }}>{fx(d.scoreA, 4)}</td>
+                    <td style={{ ...td, color: ACCENT }}>{fx(d.scoreB, 4)}</td>
+                    <td style={{ ...td, color: TEXT_DIM }}>{fx(d.midA)}</td>
+                    <td style={{ ...td, color: TEXT }}>{fx(d.midB)}</td>
+                    <td style={{ ...td, color: TEXT_DIM }}>{fx(d.extrinsicA)}</td>
+                    <td style={{ ...td, color: GREEN }}>{fx(d.extrinsicB)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>) : (
+          <div style={{ fontSize: 12, color: TEXT_DIM, fontFamily: mono }}>Mark one snapshot A and another B to see where the {SIDE_LABELS[side].toLowerCase()} ranking moved between them.</div>
+        )}
+      </>)}
+    </div>
+  );
+};
+
+// Replays the ranking over a folder or ZIP of saved chains against a plain
+// delta rule, with buy-and-hold as the baseline. Nothing is fetched.
+const BACKTEST_COLORS = [ACCENT, ACCENT2];
+
+const BacktestPanel = ({ numStrikes, analysisOpts, inputStyle, labelStyle }) => {
+  const [history, setHistory] = useState(null);
+  const [source, setSource] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [frequency, setFrequency] = useState("weekly");
+  const [manage, setManage] = useState("hold");
+  const [rollExtrinsic, setRollExtrinsic] = useState("0.10");
+  const [delta, setDelta] = useState("0.30");
+  const [fillAtBid, setFillAtBid] = useState(false);
+  const [fee, setFee] = useState("0.65");
+  const [results, setResults] = useState(null);
+  const [tradesOf, setTradesOf] = useState(0);
+  const fileRef = useRef(null);
+  const folderRef = useRef(null);
+
+  // webkitdirectory is not a React prop; set it on the element
+  useEffect(() => { folderRef.current?.setAttribute("webkitdirectory", ""); }, []);
+
+  const loadFiles = async (fileList) => {
+    const files = [...(fileList || [])];
+    if (!files.length) return;
+    setLoading(true); setError(null); setResults(null);
+    try {
+      const read = await Promise.all(files.map(async f => ({ name: f.webkitRelativePath || f.name, bytes: new Uint8Array(await f.arrayBuffer()) })));
+      const h = await loadHistoryFiles(read);
+      if (h.snapshots.length < 2) throw new Error(`Found ${h.snapshots.length} usable chain snapshot${h.snapshots.length === 1 ? "" : "s"} — a backtest needs at least two dates`);
+      setHistory(h);
+      setSource(files.length === 1 ? files[0].name : `${files.length} files`);
+    } catch (e) { setHistory(null); setError(e.message); } finally { setLoading(false); }
+  };
+
+  const deltaNum = parseFloat(delta);
+  const ready = history && deltaNum > 0 && deltaNum < 1;
+  const run = () => {
+    const common = {
+      frequency, manage, rollExtrinsic: parseFloat(rollExtrinsic) || 0, fillAtBid, fee: parseFloat(fee) || 0,
+      numStrikes, opts: analysisOpts,
+    };
+    setResults([
+      runBacktest(history, { ...common, rule: { type: "ranked" } }),
+      runBacktest(history, { ...common, rule: { type: "delta", delta: deltaNum } }),
+    ]);
+    setTradesOf(0);
+  };
+
+  const curve = useMemo(() => results && results[0].curve.map((p, i) => ({
+    date: p.date, spot: p.spot, buyHold: p.buyHold, a: p.equity, b: results[1].curve[i].equity,
+  })), [results]);
+
+  const usd = (v) => `${v < 0 ? "−" : ""}$${Math.abs(v).toLocaleString("en-US", { maximumFractionDigits: 0 })}`;
+  const pct = (v) => (v == null ? "—" : `${v >= 0 ? "+" : "−"}${Math.abs(v).toFixed(1)}%`);
+  const th = { padding: "10px 8px", textAlign: "right", color: TEXT_DIM, fontWeight: 600, fontSize: 9, letterSpacing: .8, textTransform: "uppercase", borderBottom: `1px solid ${BORDER}`, whiteSpace: "nowrap" };
+  const td = { padding: "7px 8px", textAlign: "right" };
+  const pickButton = { background: BG_INPUT, color: TEXT, border: `1px solid ${BORDER}`, borderRadius: 8, padding: "9px 16px", fontSize: 12, fontFamily: mono, cursor: "pointer" };
+  const shown = results?.[tradesOf];
+  const first = history?.snapshots[0], last = history?.snapshots[history.snapshots.length - 1];
+
+  return (
+    <div style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+      <SectionTitle num="B" title="Backtest — Covered Calls" subtitle="Replay selling the top-ranked call over saved chains, against a delta rule and buy-and-hold" />
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 10, marginBottom: 14 }}>
+        <button onClick={() => fileRef.current?.click()} style={pickButton}>Choose Files / ZIP…</button>
+        <button onClick={() => folderRef.current?.click()} style={pickButton}>Choose Folder…</button>
+        <input ref={fileRef} type="file" multiple accept=".json,.csv,.zip,application/json,text/csv,application/zip" style={{ display: "none" }} onChange={e => { loadFiles(e.target.files); e.target.value = ""; }} />
+        <input ref={folderRef} type="file" multiple style={{ display: "none" }} onChange={e => { loadFiles(e.target.files); e.target.value = ""; }} />
+        <span style={{ fontSize: 12, color: loading ? ACCENT : TEXT_DIM, fontFamily: mono }}>
+          {loading ? "⟳ Reading snapshots…" : history
+            ? `${source} · ${history.ticker || "?"} · ${history.snapshots.length} snapshots ${first.date} → ${last.date} · ${history.prices.length} daily prices`
+            : "One chain per date: fixture-style JSON, broker CSV exports named by date (e.g. AAPL-2024-03-15.csv), plus an optional Date/Close price CSV"}
+        </span>
+      </div>
+      {error && <div style={{ marginBottom: 16, padding: "12px 16px", borderRadius: 8, background: `${RED}0a`, border: `1px solid ${RED}33`, fontSize: 13, color: RED, fontFamily: mono }}>✗ {error}</div>}
+      {history?.errors.length > 0 && (
+        <div style={{ marginBottom: 16, padding: "10px 16px", borderRadius: 8, background: `${AMBER}0a`, border: `1px solid ${AMBER}22`, fontSize: 12, color: AMBER, fontFamily: mono, lineHeight: 1.7 }}>
+          ⚠ Skipped {history.errors.length} file{history.errors.length === 1 ? "" : "s"}:
+          {history.errors.slice(0, 8).map(e => <div key={e.file}>{e.file} — {e.message}</div>)}
+          {history.errors.length > 8 && <div>…and {history.errors.length - 8} more</div>}
+        </div>
+      )}
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))", gap: 16, marginBottom: 20 }}>
+        <div><label style={labelStyle}>Entries</label>
+          <ToggleGroup value={frequency} onChange={setFrequency} options={[["weekly", "Weekly"], ["monthly", "Monthly"]]} /></div>
+        <div><label style={labelStyle}>Management</label>
+          <ToggleGroup value={manage} onChange={setManage} options={[["hold", "Hold to Expiry"], ["roll", "Roll ITM"]]} /></div>
+        {manage === "roll" && <div><label style={labelStyle}>Roll When Extrinsic Below $</label><input value={rollExtrinsic} onChange={e => setRollExtrinsic(e.target.value)} style={inputStyle} /></div>}
+        <div><label style={labelStyle}>Compare: Delta Rule</label><input value={delta} onChange={e => setDelta(e.target.value)} placeholder="0.30" style={inputStyle} /></div>
+        <div><label style={labelStyle}>Fills</label>
+          <ToggleGroup value={fillAtBid ? "bid" : "mid"} onChange={v => setFillAtBid(v === "bid")} options={[["mid", "Mid"], ["bid", "Bid / Ask"]]} /></div>
+        <div><label style={labelStyle}>Fee per Contract $</label><input value={fee} onChange={e => setFee(e.target.value)} style={inputStyle} /></div>
+      </div>
+      <button onClick={run} disabled={!ready} style={{
+        background: BG_CARD2, color: ready ? ACCENT : TEXT_DIM, border: `1px solid ${ACCENT}66`, borderRadius: 10,
+        padding: "10px 28px", fontSize: 14, fontWeight: 700, fontFamily: head, cursor: ready ? "pointer" : "not-allowed",
+      }}>Run Backtest</button>
+
+      {results && (<>
+        {results.map((r, i) => {
+          const s = r.summary;
+          return (
+            <div key={r.label} style={{ marginTop: 20 }}>
+              <div style={{ fontSize: 12, fontWeight: 700, color: BACKTEST_COLORS[i], fontFamily: mono, marginBottom: 8 }}>{r.label}</div>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 12 }}>
+                <StatCard label="Return" value={pct(s.returnPct)} sub={`buy & hold ${pct(s.buyHoldPct)}`} accent={s.returnPct >= s.buyHoldPct ? GREEN : RED} />
+                <StatCard label="Win Rate" value={s.winRate != null ? `${s.winRate.toFixed(0)}%` : "—"} sub={`${s.wins} of ${s.trades} closed calls`} accent={CYAN} />
+                <StatCard label="Assignments" value={s.assignments} sub={`${s.rolls} roll${s.rolls === 1 ? "" : "s"}`} accent={AMBER} />
+                <StatCard label="Premium Collected" value={usd(s.premium)} sub={`${usd(s.fees)} fees`} accent={GREEN} />
+                <StatCard label="Intrinsic Lost" value={usd(s.intrinsicLost + s.extrinsicPaid)} sub={`${s.captured != null ? s.captured.toFixed(0) : "—"}% of premium kept`} accent={RED} />
+                <StatCard label="Max Drawdown" value={`${s.maxDrawdownPct.toFixed(1)}%`} sub={`buy & hold ${s.buyHoldDrawdownPct.toFixed(1)}%`} accent={ACCENT2} />
+              </div>
+            </div>
+          );
+        })}
+
+        <div style={{ marginTop: 20 }}>
+          <ChartCard title={`${history.ticker || "Backtest"} · Equity per 100 Shares`} filename={`${(history.ticker || "backtest").toLowerCase()}-backtest-equity`}>
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={curve}>
+                <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
+                <XAxis dataKey="date" tick={{ fontSize: 9, fill: TEXT_DIM }} angle={-30} textAnchor="end" height={60} />
+                <YAxis tick={{ fontSize: 10, fill: TEXT_DIM }} domain={["auto", "auto"]} label={{ value: "$", angle: -90, position: "insideLeft", fill: TEXT_DIM, fontSize: 11 }} />
+                <Tooltip content={({ active, payload }) => { if (!active || !payload?.length) return null; const d = payload[0]?.payload || {}; return (<div style={ttStyle}><div style={{ color: TEXT, fontWeight: 700, marginBottom: 6 }}>{d.date} · spot ${d.spot.toFixed(2)}</div><div style={{ color: ACCENT }}>{results[0].label}: {usd(d.a)}</div><div style={{ color: ACCENT2 }}>{results[1].label}: {usd(d.b)}</div><div style={{ color: TEXT_DIM }}>Buy & hold: {usd(d.buyHold)}</div></div>); }} />
+                <Line type="monotone" dataKey="a" stroke={ACCENT} strokeWidth={2} dot={false} name={results[0].label} />
+                <Line type="monotone" dataKey="b" stroke={ACCENT2} strokeWidth={2} dot={false} name={results[1].label} />
+                <Line type="monotone" dataKey="buyHold" stroke={TEXT_DIM} strokeWidth={1.5} strokeDasharray="5 4" dot={false} name="Buy & hold" />
+                <Legend wrapperStyle={{ fontSize: 11, fontFamily: mono }} />
+              </LineChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </div>
+
+        <div style={{ margin: "20px 0 12px" }}>
+          <ToggleGroup value={tradesOf} onChange={setTradesOf} options={results.map((r, i) => [i, `${r.label} · ${r.trades.length} trades`])} />
+        </div>
+        {!shown.trades.length ? (
+          <div style={{ fontSize: 13, color: TEXT_DIM, fontFamily: mono }}>No call was closed in this history — the snapshots may not reach an expiry.</div>
+        ) : (
+          <div style={{ overflowX: "auto", borderRadius: 10, border: `1px solid ${BORDER}`, maxHeight: 420 }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: mono }}>
+              <thead>
+                <tr style={{ background: BG_CARD2 }}>
+                  {["Sold", "Expiry", "Strike", "Spot", "Delta", "Rank", "Premium", "Exit", "Exit Spot", "Cost", "P&L"].map(h => <th key={h} style={th}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {shown.trades.map(t => (
+                  <tr key={`${t.entryAt}-${t.expiry}-${t.strike}`} className="hover-row" style={{ borderBottom: `1px solid ${BORDER}22` }}>
+                    <td style={{ ...td, color: TEXT_DIM }}>{t.entryDate}</td>
+                    <td style={{ ...td, color: TEXT }}>{tsToShort(t.expiry)} · {formatDTE(t.dte)} DTE</td>
+                    <td style={{ ...td, fontWeight: 700, color: TEXT }}>${t.strike.toFixed(2)}</td>
+                    <td style={{ ...td, color: TEXT_DIM }}>{t.entrySpot.toFixed(2)}</td>
+                    <td style={{ ...td, color: CYAN }}>{t.delta != null ? t.delta.toFixed(2) : "—"}</td>
+                    <td style={{ ...td, color: TEXT_DIM }}>{t.rank != null ? `#${t.rank}` : "—"}</td>
+                    <td style={{ ...td, color: GREEN }}>{t.premium.toFixed(2)}</td>
+                    <td style={{ ...td, color: t.exit === "expired" ? GREEN : t.exit === "assigned" ? RED : AMBER }}>{t.exit}</td>
+                    <td style={{ ...td, color: TEXT_DIM }}>{t.exitSpot.toFixed(2)}</td>
+                    <td style={{ ...td, color: t.exitCost > 0 ? RED : TEXT_DIM }}>{t.exitCost.toFixed(2)}</td>
+                    <td style={{ ...td, fontWeight: 700, color: t.pnl >= 0 ? GREEN : RED }}>{usd(t.pnl)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <div style={{ marginTop: 12, fontSize: 11, color: TEXT_DIM, fontFamily: mono, lineHeight: 1.7 }}>
+          Each strategy owns 100 shares from the first snapshot and keeps one short call open, sold at the {fillAtBid ? "bid" : "mid"} on the first snapshot after the last one closes, about {frequency === "weekly" ? "a week" : "a month"} out{frequency === "monthly" ? " (standard monthlies preferred)" : ""}. Calls expire worthless or are assigned at the expiry-day close{manage === "roll" ? `; an ITM call with less than $${(parseFloat(rollExtrinsic) || 0).toFixed(2)} extrinsic left is bought back and re-sold at a later expiry` : ""}. Intrinsic Lost = intrinsic paid at assignment plus any extrinsic paid to roll; P&L is per contract after fees. Equity = shares + cash − the open call's mark. Dividends are ignored.
+          {shown.open && ` Still open at the end: $${shown.open.strike} call expiring ${tsToShort(shown.open.expiry)}.`}
+        </div>
+      </>)}
+    </div>
+  );
+};
+
+// Trades logged from the ranking table: re-price the open ones on demand,
+// record how each ended, and total the realized theta by week and ticker.
+const JournalPanel = ({ trades, onChange, inputStyle, labelStyle }) => {
+  const [marks, setMarks] = useState({});
+  const [pricing, setPricing] = useState(false);
+  const [status, setStatus] = useState("");
+  const [error, setError] = useState(null);
+  const [closing, setClosing] = useState(null);
+  const [closeForm, setCloseForm] = useState({ exit: "closed", price: "", spot: "" });
+  const [closeError, setCloseError] = useState(null);
+  const [groupBy, setGroupBy] = useState("week");
+  const importRef = useRef(null);
+
+  const open = trades.filter(t => !t.close);
+  const closed = trades.filter(t => t.close).sort((a, b) => b.close.at - a.close.at);
+  const summary = useMemo(() => journalSummary(trades), [trades]);
+  const totals = summary.totals;
+
+  const reprice = async () => {
+    setPricing(true); setError(null);
+    try { setMarks(await repriceTrades(trades, setStatus)); } catch (e) { setError(e.message); } finally { setPricing(false); }
+  };
+  const startClose = (t) => {
+    const m = marks[t.id];
+    setClosing(t.id); setCloseError(null);
+    setCloseForm({ exit: "closed", price: m?.mark != null ? m.mark.toFixed(2) : "", spot: m?.spot != null ? m.spot.toFixed(2) : "" });
+  };
+  const recordClose = (t) => {
+    try {
+      const updated = closeTrade(t, closeForm);
+      onChange(trades.map(x => (x.id === t.id ? updated : x)));
+      setClosing(null);
+    } catch (e) { setCloseError(e.message); }
+  };
+  const remove = (t) => onChange(trades.filter(x => x.id !== t.id));
+  const importFile = async (file) => {
+    if (!file) return;
+    setError(null);
+    try {
+      const imported = parseJournal(await file.text());
+      onChange(mergeJournal(trades, imported));
+      setStatus(`Imported ${imported.length} trade${imported.length === 1 ? "" : "s"} from ${file.name}`);
+    } catch (e) { setError(`${file.name}: ${e.message}`); }
+  };
+
+  // Whole dollars, signed; rounding first keeps float noise from reading "−$0"
+  const usd = (v) => {
+    if (v == null) return "—";
+    const r = Math.round(v);
+    return `${r < 0 ? "−" : r > 0 ? "+" : ""}$${Math.abs(r)}`;
+  };
+  const contract = (t) => `${t.ticker} ${tsToShort(t.expiry)} $${t.strike} ${t.side === "puts" ? "P" : "C"}`;
+  const th = { padding: "10px 8px", textAlign: "right", color: TEXT_DIM, fontWeight: 600, fontSize: 9, letterSpacing: .8, textTransform: "uppercase", borderBottom: `1px solid ${BORDER}`, whiteSpace: "nowrap" };
+  const td = { padding: "7px 8px", textAlign: "right" };
+  const smallButton = (color) => ({ background: "none", border: `1px solid ${color}55`, borderRadius: 6, color, padding: "3px 8px", fontSize: 10, fontFamily: mono, cursor: "pointer", marginLeft: 4 });
+  const barButton = { background: BG_INPUT, color: TEXT, border: `1px solid ${BORDER}`, borderRadius: 8, padding: "9px 16px", fontSize: 12, fontFamily: mono, cursor: "pointer" };
+  const groups = groupBy === "week" ? summary.byWeek : summary.byTicker;
+
+  return (
+    <div style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+      <SectionTitle num="J" title="Trade Journal" subtitle="Calls and puts sold from the ranking — fills, Greeks at entry, and the time value actually captured" />
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 10, marginBottom: 16 }}>
+        <button onClick={reprice} disabled={pricing || !open.length} style={{ ...barButton, color: pricing || !open.length ? TEXT_DIM : ACCENT, borderColor: `${ACCENT}66`, cursor: pricing || !open.length ? "not-allowed" : "pointer" }}>
+          {pricing ? "Re-pricing…" : `Re-price ${open.length} Open`}
+        </button>
+        <button onClick={() => downloadText(`trade-journal-${tsToDate(Date.now() / 1000)}.json`, journalToJson(trades), "application/json")} disabled={!trades.length} style={{ ...barButton, cursor: trades.length ? "pointer" : "not-allowed" }}>Export JSON</button>
+        <button onClick={() => importRef.current?.click()} style={barButton}>Import JSON…</button>
+        <input ref={importRef} type="file" accept=".json,application/json" style={{ display: "none" }} onChange={e => { importFile(e.target.files?.[0]); e.target.value = ""; }} />
+        {status && <span style={{ fontSize: 12, color: pricing ? ACCENT : TEXT_DIM, fontFamily: mono }}>{pricing ? "⟳ " : ""}{status}</span>}
+      </div>
+      {error && <div style={{ marginBottom: 16, padding: "12px 16px", borderRadius: 8, background: `${RED}0a`, border: `1px solid ${RED}33`, fontSize: 13, color: RED, fontFamily: mono }}>✗ {error}</div>}
+
+      {!trades.length && <div style={{ fontSize: 13, color: TEXT_DIM, fontFamily: mono }}>No trades yet — click a row in a ranking table and use Log Trade after you sell it.</div>}
+
+      {open.length > 0 && (<>
+        <div style={{ fontSize: 12, fontWeight: 700, color: TEXT, fontFamily: head, margin: "8px 0 10px" }}>Open · {open.length}</div>
+        <div style={{ overflowX: "auto", borderRadius: 10, border: `1px solid ${BORDER}`, marginBottom: 20 }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: mono }}>
+            <thead>
+              <tr style={{ background: BG_CARD2 }}>
+                {["Opened", "Contract", "Qty", "Fill", "Entry Ext.", "Δ · Θ at Entry", "Score at Entry", "Mark", "Ext. Left", "Captured", "Unrealized", ""].map(h => <th key={h} style={th}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {open.map(t => {
+                const m = marks[t.id];
+                const size = 100 * t.quantity;
+                return (<Fragment key={t.id}>
+                  <tr className="hover-row" style={{ borderBottom: `1px solid ${BORDER}22` }}>
+                    <td style={{ ...td, color: TEXT_DIM }}>{tsToDate(t.openedAt / 1000)}</td>
+                    <td style={{ ...td, fontWeight: 700, color: TEXT, whiteSpace: "nowrap" }} title={t.contractSymbol}>{contract(t)}</td>
+                    <td style={{ ...td, color: TEXT }}>{t.quantity}</td>
+                    <td style={{ ...td, color: TEXT }}>{t.fill.toFixed(2)}</td>
+                    <td style={{ ...td, color: GREEN }}>{t.entry.extrinsic.toFixed(2)}</td>
+                    <td style={{ ...td, color: CYAN, whiteSpace: "nowrap" }}>{t.entry.delta != null ? t.entry.delta.toFixed(2) : "—"} · {t.entry.theta != null ? t.entry.theta.toFixed(3) : "—"}</td>
+                    <td style={{ ...td, color: ACCENT }} title={t.entry.scoreName}>{t.entry.score != null ? t.entry.score.toFixed(4) : "—"}{t.entry.rank != null ? ` #${t.entry.rank}` : ""}</td>
+                    {m?.error
+                      ? <td colSpan={4} style={{ ...td, color: AMBER }}>{m.error}</td>
+                      : (<>
+                        <td style={{ ...td, color: TEXT }}>{m ? m.mark.toFixed(2) : "—"}</td>
+                        <td style={{ ...td, color: GREEN }}>{m ? m.extrinsicLeft.toFixed(2) : "—"}</td>
+                        <td style={{ ...td, color: TEXT }}>{m && t.entry.extrinsic > 0 ? `${Math.round(m.captured / (t.entry.extrinsic * size) * 100) || 0}%` : "—"}</td>
+                        <td style={{ ...td, fontWeight: 700, color: !m ? TEXT_DIM : m.unrealized >= 0 ? GREEN : RED }}>{m ? usd(m.unrealized) : "—"}</td>
+                      </>)}
+                    <td style={{ ...td, whiteSpace: "nowrap" }}>
+                      <button onClick={() => (closing === t.id ? setClosing(null) : startClose(t))} style={smallButton(ACCENT)}>Close</button>
+                      <button onClick={() => remove(t)} title="Delete from the journal" style={smallButton(TEXT_DIM)}>✕</button>
+                    </td>
+                  </tr>
+                  {closing === t.id && (
+                    <tr style={{ background: BG_CARD2 }}>
+                      <td colSpan={12} style={{ padding: "12px 14px" }}>
+                        <div style={{ display: "flex", flexWrap: "wrap", alignItems: "flex-end", gap: 14 }}>
+                          <div><label style={labelStyle}>Outcome</label>
+                            <ToggleGroup value={closeForm.exit} onChange={v => setCloseForm(f => ({ ...f, exit: v }))} options={Object.entries(TRADE_EXITS)} /></div>
+                          {closeForm.exit !== "expired" && (
+                            <div style={{ width: 150 }}><label style={labelStyle}>{closeForm.exit === "assigned" ? "Assignment Cost" : "Closing Price"}</label>
+                              <input value={closeForm.price} onChange={e => setCloseForm(f => ({ ...f, price: e.target.value }))} placeholder={closeForm.exit === "assigned" ? "blank = intrinsic" : "per share"} style={inputStyle} /></div>
+                          )}
+                          <div style={{ width: 150 }}><label style={labelStyle}>{t.ticker} Price</label>
+                            <input value={closeForm.spot} onChange={e => setCloseForm(f => ({ ...f, spot: e.target.value }))} placeholder={closeForm.exit === "expired" ? "optional" : "at the close"} style={inputStyle} /></div>
+                          <button onClick={() => recordClose(t)} style={{ ...barButton, color: ACCENT, borderColor: `${ACCENT}66` }}>Record</button>
+                        </div>
+                        {closeError && <div style={{ marginTop: 8, fontSize: 12, color: RED, fontFamily: mono }}>✗ {closeError}</div>}
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>);
+              })}
+            </tbody>
+          </table>
+        </div>
+      </>)}
+
+      {totals && (<>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 12, marginBottom: 20 }}>
+          <StatCard label="Realized P&L" value={usd(totals.realized)} sub={`${totals.trades} closed · $${totals.premium.toFixed(0)} premium`} accent={totals.realized >= 0 ? GREEN : RED} />
+          <StatCard label="Theta Captured" value={usd(totals.thetaCaptured)} sub={totals.thetaExpected > 0 ? `${(totals.thetaCaptured / totals.thetaExpected * 100).toFixed(0)}% of entry-theta forecast` : "no entry theta"} accent={ACCENT} />
+          <StatCard label="Win Rate" value={`${(totals.wins / totals.trades * 100).toFixed(0)}%`} sub={`${totals.wins} of ${totals.trades}`} accent={CYAN} />
+          <StatCard label="Assigned" value={totals.assigned} sub={`${summary.openCount} still open`} accent={AMBER} />
+        </div>
+        <div style={{ marginBottom: 12 }}>
+          <ToggleGroup value={groupBy} onChange={setGroupBy} options={[["week", "Per Week"], ["ticker", "Per Ticker"]]} />
+        </div>
+        <div style={{ overflowX: "auto", borderRadius: 10, border: `1px solid ${BORDER}`, marginBottom: 20 }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: mono }}>
+            <thead>
+              <tr style={{ background: BG_CARD2 }}>
+                {[groupBy === "week" ? "Week Closed" : "Ticker", "Trades", "Wins", "Assigned", "Premium", "Theta Captured", "Entry-Θ Forecast", "Realized"].map(h => <th key={h} style={th}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {groups.map(g => (
+                <tr key={g.key} className="hover-row" style={{ borderBottom: `1px solid ${BORDER}22` }}>
+                  <td style={{ ...td, fontWeight: 700, color: TEXT }}>{g.key}</td>
+                  <td style={{ ...td, color: TEXT }}>{g.trades}</td>
+                  <td style={{ ...td, color: TEXT_DIM }}>{g.wins}</td>
+                  <td style={{ ...td, color: g.assigned ? AMBER : TEXT_DIM }}>{g.assigned}</td>
+                  <td style={{ ...td, color: TEXT }}>${g.premium.toFixed(0)}</td>
+                  <td style={{ ...td, color: ACCENT }}>{usd(g.thetaCaptured)}</td>
+                  <td style={{ ...td, color: TEXT_DIM }}>{g.thetaExpected > 0 ? usd(g.thetaExpected) : "—"}</td>
+                  <td style={{ ...td, fontWeight: 700, color: g.realized >= 0 ? GREEN : RED }}>{usd(g.realized)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div style={{ fontSize: 12, fontWeight: 700, color: TEXT, fontFamily: head, margin: "8px 0 10px" }}>Closed · {closed.length}</div>
+        <div style={{ overflowX: "auto", borderRadius: 10, border: `1px solid ${BORDER}`, maxHeight: 380 }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: mono }}>
+            <thead>
+              <tr style={{ background: BG_CARD2 }}>
+                {["Closed", "Contract", "Qty", "Fill", "Outcome", "Exit", "Days", "Theta Captured", "vs Forecast", "Realized", ""].map(h => <th key={h} style={th}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {closed.map(t => {
+                const r = tradeResult(t);
+                return (
+                  <tr key={t.id} className="hover-row" style={{ borderBottom: `1px solid ${BORDER}22` }}>
+                    <td style={{ ...td, color: TEXT_DIM }}>{tsToDate(t.close.at / 1000)}</td>
+                    <td style={{ ...td, fontWeight: 700, color: TEXT, whiteSpace: "nowrap" }} title={t.contractSymbol}>{contract(t)}</td>
+                    <td style={{ ...td, color: TEXT }}>{t.quantity}</td>
+                    <td style={{ ...td, color: TEXT }}>{t.fill.toFixed(2)}</td>
+                    <td style={{ ...td, color: t.close.exit === "assigned" ? AMBER : t.close.exit === "expired" ? GREEN : TEXT }}>{TRADE_EXITS[t.close.exit]}</td>
+                    <td style={{ ...td, color: TEXT }}>{t.close.price.toFixed(2)}</td>
+                    <td style={{ ...td, color: TEXT_DIM }}>{r.daysHeld.toFixed(1)}</td>
+                    <td style={{ ...td, color: ACCENT }}>{usd(r.thetaCaptured)}</td>
+                    <td style={{ ...td, color: TEXT_DIM }}>{r.thetaCaptureRatio != null ? `${(r.thetaCaptureRatio * 100).toFixed(0)}%` : "—"}</td>
+                    <td style={{ ...td, fontWeight: 700, color: r.realized >= 0 ? GREEN : RED }}>{usd(r.realized)}</td>
+                    <td style={{ ...td, whiteSpace: "nowrap" }}>
+                      <button onClick={() => onChange(trades.map(x => (x.id === t.id ? reopenTrade(x) : x)))} title="Mark as open again" style={smallButton(TEXT_DIM)}>Reopen</button>
+                      <button onClick={() => remove(t)} title="Delete from the journal" style={smallButton(TEXT_DIM)}>✕</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </>)}
+      {trades.length > 0 && (
+        <div style={{ marginTop: 12, fontSize: 11, color: TEXT_DIM, fontFamily: mono, lineHeight: 1.7 }}>
+          Dollar figures are totals for the position (× 100 × contracts). Theta Captured = extrinsic at the fill − extrinsic paid back to close (assignment and expiry pay none), credited to the week the trade closed; the forecast is |theta at entry| × days held, capped at the entry extrinsic. Re-pricing marks open trades at the current mid; the journal is kept in this browser — export it to back it up or move it.
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Scoring profile editor. Built-ins are read-only; "New Profile" copies the
+// active one into an editable, locally saved profile.
+const PROFILE_FILTERS = [["deltaMin", "|Δ| min"], ["deltaMax", "|Δ| max"], ["dteMin", "DTE min"], ["dteMax", "DTE max"]];
+
+const ScoringProfilePanel = ({ scoring, onChange, error, inputStyle, labelStyle, selectStyle }) => {
+  const all = [...BUILTIN_PROFILES, ...scoring.profiles];
+  const active = all.find(p => p.id === scoring.activeId) || BUILTIN_PROFILES[0];
+  const editable = !active.builtin;
+
+  const update = (patch) => onChange({ ...scoring, profiles: scoring.profiles.map(p => (p.id === active.id ? { ...p, ...patch } : p)) });
+  const createProfile = () => {
+    const profile = { id: `custom-${Date.now()}`, name: `${active.name} (copy)`, formula: active.formula || EFFICIENCY_FORMULA, filters: { ...active.filters } };
+    onChange({ activeId: profile.id, profiles: [...scoring.profiles, profile] });
+  };
+  const deleteProfile = () => onChange({ activeId: DEFAULT_PROFILE_ID, profiles: scoring.profiles.filter(p => p.id !== active.id) });
+  const smallBtn = { background: BG_INPUT, color: TEXT_DIM, border: `1px solid ${BORDER}`, borderRadius: 8, padding: "10px 14px", fontSize: 12, fontFamily: mono, cursor: "pointer", whiteSpace: "nowrap" };
+
+  return (
+    <div style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+      <SectionTitle num="S" title="Scoring Profile" subtitle="How strikes are ranked — a formula over row fields plus optional hard filters, saved locally" />
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))", gap: 20, marginBottom: 16 }}>
+        <div>
+          <label style={labelStyle}>Active Profile</label>
+          <select value={active.id} onChange={e => onChange({ ...scoring, activeId: e.target.value })} style={selectStyle}>
+            <optgroup label="Built-in">{BUILTIN_PROFILES.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}</optgroup>
+            {scoring.profiles.length > 0 && <optgroup label="Saved">{scoring.profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}</optgroup>}
+          </select>
+        </div>
+        <div>
+          <label style={labelStyle}>Name</label>
+          <div style={{ display: "flex", gap: 8 }}>
+            <input value={active.name} disabled={!editable} onChange={e => update({ name: e.target.value })} style={{ ...inputStyle, opacity: editable ? 1 : 0.6 }} />
+            <button onClick={createProfile} style={{ ...smallBtn, color: ACCENT }}>New Profile</button>
+            {editable && <button onClick={deleteProfile} style={{ ...smallBtn, color: RED }}>Delete</button>}
+          </div>
+        </div>
+      </div>
+      <div style={{ marginBottom: 16 }}>
+        <label style={labelStyle}>Formula (higher ranks first){!editable && " — built-in, use New Profile to edit a copy"}</label>
+        <textarea value={active.formula ?? "Extrinsic ÷ DTE ÷ |Delta|  (Extrinsic ÷ DTE without Greeks; follows Ranking Premium)"} disabled={!editable} rows={2}
+          onChange={e => update({ formula: e.target.value })} style={{ ...inputStyle, resize: "vertical", opacity: editable ? 1 : 0.6 }} />
+        {error && <div style={{ marginTop: 8, fontSize: 12, color: RED, fontFamily: mono }}>✗ {error} — ranking by Efficiency until fixed</div>}
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(120px, 1fr))", gap: 12, marginBottom: 16 }}>
+        {PROFILE_FILTERS.map(([k, l]) => (
+          <div key={k}>
+            <label style={labelStyle}>{l}</label>
+            <input value={active.filters?.[k] ?? ""} disabled={!editable} placeholder="any"
+              onChange={e => update({ filters: { ...active.filters, [k]: e.target.value } })} style={{ ...inputStyle, opacity: editable ? 1 : 0.6 }} />
+          </div>
+        ))}
+      </div>
+      <div style={{ fontSize: 11, color: TEXT_DIM, fontFamily: mono, lineHeight: 1.8 }}>
+        Fields: {Object.entries(SCORE_FIELDS).map(([f, d], i) => <span key={f} title={d} style={{ color: CYAN, cursor: "help" }}>{i > 0 && <span style={{ color: TEXT_DIM }}>, </span>}{f}</span>)}
+        <br />Functions: {SCORE_FUNCTIONS.map(f => `${f}()`).join(", ")} · Operators: + − * / ^ ( ) · Rows missing a field are not ranked
+      </div>
+    </div>
+  );
+};
+
 /* ═══════════════════════════════════════════════════════
    MAIN APP
    ═══════════════════════════════════════════════════════ */
@@ -286,72 +2007,422 @@ export default function OptionsAnalyzer() {
   const [ticker, setTicker] = useState("AAPL");
   const [targetExpiry, setTargetExpiry] = useState("");
   const [numStrikes, setNumStrikes] = useState("10");
+  const [sideView, setSideView] = useState("calls");
+  const [analysisMode, setAnalysisMode] = useState("single");
+  const [dteMode, setDteMode] = useState("calendar");
+  const [scanMinDTE, setScanMinDTE] = useState("");
+  const [scanMaxDTE, setScanMaxDTE] = useState("");
+  const [riskFreeRate, setRiskFreeRate] = useState(String(DEFAULT_RATE * 100));
+  const [dividendYield, setDividendYield] = useState("0");
+  const [dividendInSplit, setDividendInSplit] = useState(false);
+  const [minOpenInterest, setMinOpenInterest] = useState("");
+  const [minVolume, setMinVolume] = useState("");
+  const [maxSpreadPct, setMaxSpreadPct] = useState("");
+  const [liquidityAdjusted, setLiquidityAdjusted] = useState(false);
+  const [exEvent, setExEvent] = useState(false);
+  const [account, setAccount] = useState(DEFAULT_ACCOUNT);
+  const [nakedCalls, setNakedCalls] = useState(false);
+  const [scoring, setScoring] = useState(loadScoring);
+  const [sharesOwned, setSharesOwned] = useState("");
+  const [costBasis, setCostBasis] = useState("");
+  const [providerConfig, setProviderConfig] = useState(loadProviderConfig);
+  const [providerError, setProviderError] = useState(null);
+  const [dataSource, setDataSource] = useState("");
 
   const [spotPrice, setSpotPrice] = useState(null);
+  // null: none upcoming; undefined: not looked up (imported chains)
+  const [dividend, setDividend] = useState(null);
+  const [earnings, setEarnings] = useState(null);
   const [stockName, setStockName] = useState("");
   const [matchedExpiry, setMatchedExpiry] = useState(null);
+  // The symbol the results on screen belong to; the ticker input can be edited after a run
+  const [analyzedTicker, setAnalyzedTicker] = useState("");
   const [optionChain, setOptionChain] = useState(null);
-  const [rankedOptions, setRankedOptions] = useState(null);
+  const [termScan, setTermScan] = useState(null);
 
+  const [exportStatus, setExportStatus] = useState("");
+  const [cacheCleared, setCacheCleared] = useState(false);
   const [loading, setLoading] = useState(false);
   const [progress, setProgress] = useState("");
   const [error, setError] = useState(null);
+  const [pendingRun, setPendingRun] = useState(false);
   const resultsRef = useRef(null);
-  const fridays = getNextFridays(12);
 
-  useEffect(() => { if (!targetExpiry && fridays.length) setTargetExpiry(fmtDate(fridays[0])); }, []);
+  // Live mode: `baseline` is the ranking before the latest refresh, for the
+  // change markers; alerts fire on the transition into their condition
+  const [liveOn, setLiveOn] = useState(false);
+  const [liveInterval, setLiveInterval] = useState("60");
+  const [liveStatus, setLiveStatus] = useState("");
+  const [baseline, setBaseline] = useState(null);
+  const [alerts, setAlerts] = useState(loadAlerts);
+  const [journal, setJournal] = useState(loadJournal);
+  const [alertLog, setAlertLog] = useState([]);
+  const latestRef = useRef({});
+  const firedRef = useRef(new Set());
+  // The run in progress; starting another aborts it so stale results never land
+  const runRef = useRef(null);
+  // Snapshot key → when a live refresh last saved one
+  const savedAtRef = useRef({});
+  const [historyVersion, setHistoryVersion] = useState(0);
+
+  // Deep links: a config in the URL is applied and run on open, and
+  // back/forward re-apply the config of that history entry
+  const applyLinkConfig = (cfg) => {
+    setTicker(cfg.ticker); setAnalysisMode(cfg.mode); setDteMode(cfg.dteMode); setNumStrikes(cfg.strikes); setSideView(cfg.side);
+    if (cfg.expiry) setTargetExpiry(cfg.expiry);
+    setScanMinDTE(cfg.scanMin); setScanMaxDTE(cfg.scanMax);
+    setRiskFreeRate(cfg.rate || String(DEFAULT_RATE * 100)); setDividendYield(cfg.dividendYield); setDividendInSplit(cfg.dividendInSplit);
+    setMinOpenInterest(cfg.minOpenInterest); setMinVolume(cfg.minVolume); setMaxSpreadPct(cfg.maxSpreadPct);
+    setLiquidityAdjusted(cfg.liquidityAdjusted); setExEvent(cfg.exEvent); setSharesOwned(cfg.shares); setCostBasis(cfg.costBasis);
+    setAccount(cfg.account); setNakedCalls(cfg.nakedCalls);
+    const { customProfile } = cfg;
+    setScoring(s => {
+      const activeId = cfg.profile || DEFAULT_PROFILE_ID;
+      if (customProfile && ![...BUILTIN_PROFILES, ...s.profiles].some(p => p.id === activeId)) {
+        return { activeId, profiles: [...s.profiles, customProfile] };
+      }
+      return { ...s, activeId };
+    });
+  };
+  useEffect(() => {
+    const cfg = searchToConfig(window.location.search);
+    if (cfg) { applyLinkConfig(cfg); setPendingRun(true); }
+    const onPop = () => {
+      const next = searchToConfig(window.location.search);
+      if (next) { applyLinkConfig(next); setPendingRun(true); return; }
+      setSpotPrice(null); setMatchedExpiry(null); setAnalyzedTicker(""); setOptionChain(null); setTermScan(null); setError(null);
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  // Swap the active data provider whenever its configuration changes
+  useEffect(() => {
+    saveProviderConfig(providerConfig);
+    try {
+      setDataProvider(createProvider({ ...providerConfig, proxyTemplates: providerConfig.proxyTemplates.split("\n") }));
+      setProviderError(null);
+    } catch (e) { setProviderError(e.message); }
+  }, [providerConfig]);
+  const updateProvider = (patch) => setProviderConfig(c => ({ ...c, ...patch }));
+
+  // The expiry picker lists the ticker's real expirations, reloaded once
+  // typing settles or the data source changes
+  const [listed, setListed] = useState({ ticker: "", dates: [], status: "" });
+  useEffect(() => {
+    const tkr = ticker.trim();
+    if (!tkr || providerError) return;
+    const ctrl = new AbortController();
+    const timer = setTimeout(async () => {
+      setListed(l => ({ ...l, status: `Loading ${tkr} expirations…` }));
+      try {
+        const { expirationDates = [] } = await fetchOptionChain(tkr, null, null, { signal: ctrl.signal });
+        if (!ctrl.signal.aborted) setListed({ ticker: tkr, dates: expirationDates, status: expirationDates.length ? "" : `No options listed for ${tkr}` });
+      } catch (e) {
+        if (!ctrl.signal.aborted) setListed({ ticker: tkr, dates: [], status: e.message });
+      }
+    }, 600);
+    return () => { ctrl.abort(); clearTimeout(timer); };
+  }, [ticker, providerConfig, providerError]);
+  // Keep the target on a listed date: blank picks the default expiry, a
+  // date the new ticker does not list snaps to its nearest one
+  useEffect(() => {
+    if (listed.dates.length) setTargetExpiry(t => tsToDate(findClosestExpiry(listed.dates, t)));
+  }, [listed]);
+
+  useEffect(() => { saveScoring(scoring); }, [scoring]);
+  const activeProfile = [...BUILTIN_PROFILES, ...scoring.profiles].find(p => p.id === scoring.activeId) || BUILTIN_PROFILES[0];
+  let profileError = null;
+  if (activeProfile.formula != null) {
+    try { compileFormula(activeProfile.formula); } catch (e) { profileError = e.message; }
+  }
+  // A formula mid-edit that does not parse must not blank the results
+  const rankingProfile = profileError ? BUILTIN_PROFILES[0] : activeProfile;
 
   const nStrikes = Math.min(20, Math.max(3, parseInt(numStrikes) || 10));
+  const rateNum = Number.isFinite(parseFloat(riskFreeRate)) ? parseFloat(riskFreeRate) / 100 : DEFAULT_RATE;
+  const divNum = Number.isFinite(parseFloat(dividendYield)) ? parseFloat(dividendYield) / 100 : 0;
+  const minOINum = parseInt(minOpenInterest) || 0;
+  const minVolNum = parseInt(minVolume) || 0;
+  const maxSpreadNum = parseFloat(maxSpreadPct) || 0;
+  // Covered-call position mode is on once there is at least one full lot and a basis
+  const sharesNum = parseInt(sharesOwned) || 0;
+  const basisNum = parseFloat(costBasis) || 0;
+  const position = sharesNum >= 100 && basisNum > 0 ? { shares: sharesNum, costBasis: basisNum } : null;
+
+  const analysisOpts = {
+    rate: rateNum, dividendYield: divNum, dividendInSplit, dteMode, liquidityAdjusted, exEvent, profile: rankingProfile, account, nakedCalls,
+    filters: { minOpenInterest: minOINum, minVolume: minVolNum, maxSpreadPct: maxSpreadNum },
+  };
 
-  const runAnalysis = useCallback(async () => {
-    setLoading(true); setError(null); setProgress("Initializing…");
-    setSpotPrice(null); setStockName(""); setMatchedExpiry(null);
-    setOptionChain(null); setRankedOptions(null);
+  // Ranking is cheap, so liquidity and account settings re-rank the loaded chain without a refetch
+  const rankedOptions = useMemo(() => optionChain && {
+    calls: rankByEfficiency(withBuyingPower(optionChain.calls, spotPrice, analysisOpts), analysisOpts),
+    puts: rankByEfficiency(withBuyingPower(optionChain.puts, spotPrice, analysisOpts), analysisOpts),
+  }, [optionChain, spotPrice, minOINum, minVolNum, maxSpreadNum, liquidityAdjusted, exEvent, rankingProfile, account, nakedCalls]);
+  // What the timer and alert effects need from the latest render
+  latestRef.current = { ranked: rankedOptions, spot: spotPrice, loading, ticker: analyzedTicker, scoreName: scoreLabel(analysisOpts) };
+  const changes = useMemo(() => baseline && rankedOptions && Object.fromEntries(SIDES.map(side => [side, diffRankings(baseline.ranked?.[side], rankedOptions[side])])), [baseline, rankedOptions]);
+  const smile = useMemo(() => (optionChain && spotPrice ? fitSmile(optionChain, spotPrice) : null), [optionChain, spotPrice]);
+  const expected = useMemo(() => (optionChain && spotPrice ? expectedMove(optionChain, spotPrice) : null), [optionChain, spotPrice]);
+
+  // refresh: a live re-run that keeps the current results on screen until
+  // the new ones arrive and remembers them as the change baseline, and
+  // skips cached responses
+  const runAnalysis = useCallback(async ({ refresh = false } = {}) => {
+    runRef.current?.abort();
+    const run = new AbortController();
+    runRef.current = run;
+    const req = { signal: run.signal, fresh: refresh };
+    setLoading(true); setError(null); setProgress(refresh ? "Refreshing…" : "Initializing…");
+    if (refresh) {
+      setBaseline({ ranked: latestRef.current.ranked, spot: latestRef.current.spot });
+    } else {
+      setSpotPrice(null); setStockName(""); setMatchedExpiry(null); setAnalyzedTicker(""); setDividend(null); setEarnings(null);
+      setOptionChain(null); setTermScan(null); setExportStatus("");
+      setBaseline(null); firedRef.current = new Set();
+    }
 
     try {
       const tkr = ticker.toUpperCase().trim();
+      if (providerError) throw new Error(`Data source: ${providerError}`);
+      setDataSource(getDataProvider().label);
 
-      // 1. Spot price
-      const spot = await fetchSpotPrice(tkr, setProgress);
-      setSpotPrice(spot.price); setStockName(spot.name);
+      // 1. Spot price, plus the next ex-dividend and earnings dates for the
+      // assignment and event checks (a feed that fails just skips its check)
+      const [spot, div, earn] = await Promise.all([
+        fetchSpotPrice(tkr, setProgress, req), fetchDividend(tkr, null, req).catch(() => null), fetchEarnings(tkr, null, req).catch(() => null),
+      ]);
+      throwIfAborted(run.signal);
+      setSpotPrice(spot.price); setStockName(spot.name); setDividend(div); setEarnings(earn); setAnalyzedTicker(tkr);
 
       // 2. Get available expiries
       setProgress(`Loading ${tkr} available expirations…`);
-      const initial = await fetchOptionChain(tkr, null, setProgress);
+      const initial = await fetchOptionChain(tkr, null, setProgress, req);
+      throwIfAborted(run.signal);
       if (!initial.expirationDates?.length) throw new Error(`No options available for ${tkr}`);
-
-      // 3. Match to selected Friday
+      setListed({ ticker: tkr, dates: initial.expirationDates, status: "" });
+
+      // The event variance is only fitted when an analyzed expiry spans the release
+      const optsWithEvents = async (loaded) => {
+        let fitted = earn;
+        if (earn && loaded.some(c => spansEarnings(earn, c.expiry))) {
+          fitted = { ...earn, ...await fetchEventTermStructure(tkr, initial.expirationDates, earn, spot.price, { dteMode, loaded, signal: run.signal }, setProgress) };
+          throwIfAborted(run.signal);
+          setEarnings(fitted);
+        }
+        return { ...analysisOpts, dividend: div, earnings: fitted };
+      };
+
+      // Scan mode: every listed expiry inside the DTE range, one at a time
+      if (analysisMode === "scan") {
+        const minDTE = parseInt(scanMinDTE) || 0;
+        const maxDTE = parseInt(scanMaxDTE) || Infinity;
+        const expiries = initial.expirationDates.filter(ts => daysToExpiry(ts, dteMode) >= minDTE && daysToExpiry(ts, dteMode) <= maxDTE);
+        if (!expiries.length) throw new Error(`No ${tkr} expirations between ${minDTE} and ${scanMaxDTE || "∞"} DTE`);
+
+        const chains = [];
+        for (let i = 0; i < expiries.length; i++) {
+          setProgress(`Loading ${tsToLabel(expiries[i])} (${i + 1}/${expiries.length})…`);
+          try {
+            const c = await fetchOptionChain(tkr, expiries[i], setProgress, req);
+            chains.push({ expiry: expiries[i], calls: c.calls, puts: c.puts });
+          } catch (e) {
+            if (isAbortError(e)) throw e;
+            // skip expiries that fail to load; the rest of the curve is still useful
+          }
+        }
+        if (!chains.length) throw new Error(`Could not load any ${tkr} expirations`);
+
+        setProgress("Ranking across the term structure…");
+        await sleep(80);
+        throwIfAborted(run.signal);
+        const opts = await optsWithEvents(chains);
+        setTermScan(scanTermStructure(chains, spot.price, nStrikes, opts));
+        setProgress("Done!");
+        setTimeout(() => resultsRef.current?.scrollIntoView({ behavior: "smooth", block: "start" }), 150);
+        return;
+      }
+
+      // 3. Match to the selected expiry (blank = default listed expiry)
       const best = findClosestExpiry(initial.expirationDates, targetExpiry);
       setMatchedExpiry(best);
 
       // 4. Fetch chain for that expiry
-      setProgress(`Loading calls for ${tsToLabel(best)} (${tsToDTE(best)} DTE)…`);
-      const chain = await fetchOptionChain(tkr, best, setProgress);
-      if (!chain.calls?.length) throw new Error(`No call options found for this expiry`);
+      setProgress(`Loading calls and puts for ${tsToLabel(best)} (${formatDTE(daysToExpiry(best, dteMode))} DTE)…`);
+      const chain = await fetchOptionChain(tkr, best, setProgress, req);
+      throwIfAborted(run.signal);
+      if (!chain.calls?.length && !chain.puts?.length) throw new Error(`No call or put options found for this expiry`);
 
-      // 5. Analyze from real market prices
+      // 5. Analyze both sides from real market prices — the toggle only changes the view
+      const opts = await optsWithEvents([{ expiry: best, calls: chain.calls, puts: chain.puts }]);
       setProgress("Computing extrinsic values from market prices…");
       await sleep(80);
-      const analyzed = analyzeCallOptions(chain.calls, spot.price, best, nStrikes);
+      throwIfAborted(run.signal);
+      const analyzed = withSmile({
+        calls: analyzeCallOptions(chain.calls || [], spot.price, best, nStrikes, opts),
+        puts: analyzePutOptions(chain.puts || [], spot.price, best, nStrikes, opts),
+      }, spot.price, opts);
+      // 6. Each side is ranked independently from optionChain below
       setOptionChain(analyzed);
-
-      // 6. Rank
-      setProgress("Ranking by efficiency…");
-      await sleep(80);
-      setRankedOptions(rankByEfficiency(analyzed));
       setProgress("Done!");
 
-      setTimeout(() => resultsRef.current?.scrollIntoView({ behavior: "smooth", block: "start" }), 150);
-    } catch (e) { setError(e.message); } finally { setLoading(false); }
-  }, [ticker, targetExpiry, nStrikes]);
+      // 7. Keep a snapshot; live refreshes at most one per SNAPSHOT_REFRESH_MS
+      const snap = buildSnapshot({ ticker: tkr, name: spot.name, expiry: best, spot: spot.price, dataSource: getDataProvider().label, opts, chain: analyzed });
+      if (!refresh || snap.at - (savedAtRef.current[snap.key] || 0) >= SNAPSHOT_REFRESH_MS) {
+        savedAtRef.current[snap.key] = snap.at;
+        saveSnapshot(snap).then(() => setHistoryVersion(v => v + 1), () => { /* no IndexedDB — history is simply off */ });
+      }
+
+      if (refresh) setLiveStatus(`Last refresh ${new Date().toLocaleTimeString()}`);
+      else setTimeout(() => resultsRef.current?.scrollIntoView({ behavior: "smooth", block: "start" }), 150);
+    } catch (e) {
+      if (isAbortError(e)) return; // superseded — the newer run owns the screen
+      setError(e.message);
+      if (refresh) setLiveStatus(`Refresh failed at ${new Date().toLocaleTimeString()} — retrying next interval`);
+    } finally {
+      if (runRef.current === run) { runRef.current = null; setLoading(false); }
+    }
+  }, [ticker, targetExpiry, nStrikes, analysisMode, dteMode, scanMinDTE, scanMaxDTE, rateNum, divNum, dividendInSplit, minOINum, minVolNum, maxSpreadNum, liquidityAdjusted, exEvent, rankingProfile, account, nakedCalls, providerError]);
+
+  // Runs once the state from a link or history entry has been applied
+  useEffect(() => {
+    if (!pendingRun) return;
+    setPendingRun(false);
+    runAnalysis();
+  }, [pendingRun, runAnalysis]);
+
+  // Live refresh: single-expiry results only, and only while the NYSE
+  // session is open; a tick that lands mid-run is skipped
+  const liveSec = Math.max(15, parseInt(liveInterval) || 60);
+  const liveReady = liveOn && !!optionChain && analysisMode === "single";
+  useEffect(() => {
+    if (!liveReady) return;
+    const closedMsg = "Market closed — live refresh paused until the 9:30 ET open";
+    setLiveStatus(isMarketOpen() ? `Refreshing every ${liveSec}s` : closedMsg);
+    const id = setInterval(() => {
+      if (!isMarketOpen()) { setLiveStatus(closedMsg); return; }
+      if (!latestRef.current.loading) runAnalysis({ refresh: true });
+    }, liveSec * 1000);
+    return () => clearInterval(id);
+  }, [liveReady, liveSec, runAnalysis]);
+
+  useEffect(() => { saveAlerts(alerts); }, [alerts]);
+  useEffect(() => { saveJournal(journal); }, [journal]);
+  // Alerts are edge-triggered: one notification when a condition starts
+  // holding, none while it keeps holding
+  useEffect(() => {
+    if (!rankedOptions) return;
+    const { ticker: tkr, scoreName } = latestRef.current;
+    alerts.forEach(a => {
+      const hits = alertMatches(a, rankedOptions);
+      if (!hits.length) { firedRef.current.delete(a.id); return; }
+      if (firedRef.current.has(a.id)) return;
+      firedRef.current.add(a.id);
+      const text = `${tkr} ${describeAlert(a, scoreName)}: ${hits.map(o => `$${o.strike}`).join(", ")}`;
+      setAlertLog(l => [{ at: Date.now(), text }, ...l].slice(0, 50));
+      if (typeof Notification !== "undefined" && Notification.permission === "granted") {
+        try { new Notification("Extrinsic alert", { body: text, tag: a.id }); } catch { /* some mobile browsers only notify from a service worker */ }
+      }
+    });
+  }, [rankedOptions, alerts]);
+
+  const linkSearch = configToSearch({
+    ticker, mode: analysisMode, dteMode, expiry: analysisMode === "single" ? targetExpiry : "", strikes: numStrikes, side: sideView,
+    scanMin: analysisMode === "scan" ? scanMinDTE : "", scanMax: analysisMode === "scan" ? scanMaxDTE : "",
+    rate: riskFreeRate === String(DEFAULT_RATE * 100) ? "" : riskFreeRate, dividendYield, dividendInSplit,
+    minOpenInterest, minVolume, maxSpreadPct, liquidityAdjusted, exEvent, shares: sharesOwned, costBasis, account, nakedCalls,
+    profile: rankingProfile.id === DEFAULT_PROFILE_ID ? "" : rankingProfile.id,
+    customProfile: rankingProfile.builtin ? null : rankingProfile,
+  });
+  const shareUrl = `${window.location.origin}${window.location.pathname}${linkSearch}`;
+
+  // A user-started run becomes a history entry; reloads and repeats do not
+  const analyze = () => {
+    if (linkSearch !== window.location.search) window.history.pushState(null, "", `${window.location.pathname}${linkSearch}`);
+    runAnalysis();
+  };
+
+  // Imported CSV chains skip the fetch but share the ranking pipeline
+  const analyzeImported = async ({ ticker: tkr, spot, chain, source }) => {
+    setError(null); setTermScan(null);
+    let price = spot, name = `${tkr} (imported)`;
+    if (!(price > 0)) {
+      setLoading(true); setProgress(`CSV has no underlying price — fetching ${tkr} spot…`);
+      try { price = (await fetchSpotPrice(tkr, setProgress)).price; }
+      catch (e) { setError(`Enter the underlying price: ${e.message}`); return; }
+      finally { setLoading(false); }
+    }
+    setTicker(tkr); setSpotPrice(price); setStockName(name); setDataSource(source); setDividend(undefined); setEarnings(undefined);
+    setLiveOn(false); setBaseline(null);
+    runRef.current?.abort(); runRef.current = null; setLoading(false);
+    setMatchedExpiry(chain.expiry); setAnalyzedTicker(tkr.toUpperCase());
+    const analyzed = withSmile({
+      calls: analyzeCallOptions(chain.calls, price, chain.expiry, nStrikes, analysisOpts),
+      puts: analyzePutOptions(chain.puts, price, chain.expiry, nStrikes, analysisOpts),
+    }, price, analysisOpts);
+    setOptionChain(analyzed);
+    saveSnapshot(buildSnapshot({ ticker: tkr, name, expiry: chain.expiry, spot: price, dataSource: source, opts: analysisOpts, chain: analyzed }))
+      .then(() => setHistoryVersion(v => v + 1), () => { /* no IndexedDB — history is simply off */ });
+    setTimeout(() => resultsRef.current?.scrollIntoView({ behavior: "smooth", block: "start" }), 150);
+  };
 
-  // Chart data
-  const extrinsicByStrike = optionChain?.map(o => ({ strike: o.strike.toFixed(1), intrinsic: o.intrinsic, extrinsic: o.extrinsic, total: o.mid, moneyness: o.moneyness })) || [];
-  const efficiencyChart = rankedOptions?.slice(0, 20).map(o => ({ strike: o.strike.toFixed(1), efficiency: o.efficiencyScore ?? o.fallbackScore, delta: o.delta, extrinsicPerDTE: o.extrinsicPerDTE, rank: o.rank })) || [];
-  const deltaVsExtrinsic = optionChain?.filter(o => o.delta != null && Math.abs(o.delta) > 0.01 && Math.abs(o.delta) < 0.99).map(o => ({ delta: Math.abs(o.delta), extrinsicPerDTE: o.extrinsicPerDTE, strike: o.strike, moneyness: o.moneyness })) || [];
-  const greeksProfile = optionChain?.filter(o => o.delta != null).map(o => ({ strike: o.strike.toFixed(1), delta: o.delta, gamma: (o.gamma || 0) * 100, theta: o.theta || 0, vega: o.vega || 0 })) || [];
+  // A reopened snapshot shows its own chain, re-ranked under the current
+  // settings; running the analysis again fetches live data
+  const openSnapshot = (snap) => {
+    runRef.current?.abort(); runRef.current = null; setLoading(false);
+    setLiveOn(false); setBaseline(null); setError(null); setTermScan(null); setAnalysisMode("single");
+    setTicker(snap.ticker); setTargetExpiry(tsToDate(snap.expiry)); setMatchedExpiry(snap.expiry); setAnalyzedTicker(snap.ticker);
+    setSpotPrice(snap.spot); setStockName(snap.name);
+    setDataSource(`Snapshot ${new Date(snap.at).toLocaleString()} · ${snap.dataSource}`);
+    setDividend(snap.opts?.dividend ?? null); setEarnings(snap.opts?.earnings ?? null);
+    // Snapshots saved before smile tagging get it here
+    setOptionChain(withSmile(snap.chain, snap.spot, snap.opts));
+    setTimeout(() => resultsRef.current?.scrollIntoView({ behavior: "smooth", block: "start" }), 150);
+  };
 
-  const hasGreeks = optionChain?.some(o => o.delta != null);
+  const visibleSides = sideView === "both" ? SIDES : [sideView];
+
+  // Throws on a bad fill or quantity; StrikeDetail shows the message
+  const logTrade = (o, form) => {
+    const trade = journalTrade(o, { ticker: analyzedTicker, expiry: matchedExpiry, spot: spotPrice, scoreName: scoreLabel(analysisOpts), ...form });
+    setJournal(j => [trade, ...j]);
+  };
+
+  const chartExportName = matchedExpiry ? `${analyzedTicker}-${tsToDate(matchedExpiry)}` : "chart";
+
+  // Every computed field of both sides, tagged with what produced the ranking
+  const exportResults = async (format) => {
+    const bySide = Object.fromEntries(SIDES.map(side => [side, termScan ? termScan[side].ranked : rankedOptions?.[side]]));
+    const tkr = analyzedTicker;
+    const meta = {
+      ticker: tkr, name: stockName, spot: spotPrice, expiry: termScan ? null : matchedExpiry, dividend, earnings,
+      exportedAt: new Date().toISOString(), dataSource,
+      rankedBy: termScan ? termScan.scoreLabel : scoreLabel(analysisOpts),
+      formula: scoreFormula(analysisOpts, SIDES.some(side => ranksOnDelta(bySide[side] || [], analysisOpts))),
+      settings: {
+        liquidityFilters: analysisOpts.filters, liquidityAdjusted, exEvent, profileFilters: rankingProfile.filters, account, nakedCalls,
+        rate: rateNum, dividendYield: divNum, dividendInSplit, dteMode, strikesEachSide: nStrikes,
+      },
+    };
+    const base = `${tkr}-${termScan ? "term-scan" : tsToDate(matchedExpiry)}-ranked`;
+    try {
+      if (format === "csv") downloadText(`${base}.csv`, rankedToCsv(meta, bySide), "text/csv");
+      else if (format === "json") downloadText(`${base}.json`, rankedToJson(meta, bySide), "application/json");
+      else {
+        if (!navigator.clipboard) throw new Error("Clipboard is unavailable (needs HTTPS)");
+        if (format === "link") {
+          await navigator.clipboard.writeText(shareUrl);
+          setExportStatus("✓ Copied link to this analysis");
+          return;
+        }
+        await navigator.clipboard.writeText(topStrikesMarkdown(meta, Object.fromEntries(visibleSides.map(side => [side, bySide[side]]))));
+        setExportStatus("✓ Copied markdown to clipboard");
+        return;
+      }
+      setExportStatus("");
+    } catch (e) { setExportStatus(`✗ ${e.message}`); }
+  };
 
   const inputStyle = { background: BG_INPUT, border: `1px solid ${BORDER}`, borderRadius: 8, color: TEXT, padding: "10px 14px", fontSize: 14, fontFamily: mono, outline: "none", width: "100%", boxSizing: "border-box" };
   const labelStyle = { fontSize: 10, color: TEXT_DIM, textTransform: "uppercase", letterSpacing: 1.2, marginBottom: 6, display: "block", fontFamily: mono };
@@ -365,7 +2436,7 @@ export default function OptionsAnalyzer() {
         *::-webkit-scrollbar { width: 6px; height: 6px; }
         *::-webkit-scrollbar-track { background: ${BG_DARK}; }
         *::-webkit-scrollbar-thumb { background: ${BORDER}; border-radius: 3px; }
-        input:focus, select:focus { border-color: ${ACCENT} !important; }
+        input:focus, select:focus, textarea:focus { border-color: ${ACCENT} !important; }
         .hover-row:hover { background: ${BG_CARD2} !important; }
         @keyframes pulse { 0%,100%{opacity:1} 50%{opacity:.5} }
         @keyframes slideUp { from{opacity:0;transform:translateY(20px)} to{opacity:1;transform:translateY(0)} }
@@ -387,247 +2458,330 @@ export default function OptionsAnalyzer() {
 
         {/* INPUT */}
         <div style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
-          <SectionTitle num="1" title="Configuration" subtitle="Enter ticker and select target expiration week" />
+          <SectionTitle num="1" title="Configuration" subtitle="Enter ticker, select target expiration week and option side" />
           <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))", gap: 20, marginBottom: 24 }}>
             <div>
               <label style={labelStyle}>Stock Ticker</label>
-              <input value={ticker} onChange={e => setTicker(e.target.value.toUpperCase())} placeholder="AAPL, TSLA, SPY…" style={inputStyle} onKeyDown={e => e.key === "Enter" && runAnalysis()} />
+              <input value={ticker} onChange={e => setTicker(e.target.value.toUpperCase())} placeholder="AAPL, TSLA, SPY…" style={inputStyle} onKeyDown={e => e.key === "Enter" && analyze()} />
             </div>
             <div>
-              <label style={labelStyle}>Target Expiration (Friday)</label>
-              <select value={targetExpiry} onChange={e => setTargetExpiry(e.target.value)} style={selectStyle}>
-                {fridays.map(f => { const d = fmtDate(f); const dte = Math.ceil((f - new Date()) / 864e5); return <option key={d} value={d}>{fmtLabel(f)} — {dte} DTE</option>; })}
-              </select>
+              <label style={labelStyle}>Mode</label>
+              <ToggleGroup value={analysisMode} onChange={setAnalysisMode} options={[["single", "Single Expiry"], ["scan", "Term Scan"]]} />
+            </div>
+            {analysisMode === "single" ? (
+              <div>
+                <label style={labelStyle}>Target Expiration{listed.dates.length ? ` · ${listed.dates.length} listed for ${listed.ticker}` : ""}</label>
+                <select value={targetExpiry} onChange={e => setTargetExpiry(e.target.value)} style={selectStyle}>
+                  {!targetExpiry && <option value="">First listed with more than a day left</option>}
+                  {listed.dates.map(ts => (
+                    <option key={ts} value={tsToDate(ts)}>{tsToLabel(ts)} · {expiryKind(ts)} — {formatDTE(daysToExpiry(ts, dteMode))} DTE</option>
+                  ))}
+                  {targetExpiry && !listed.dates.some(ts => tsToDate(ts) === targetExpiry) && <option value={targetExpiry}>{targetExpiry}</option>}
+                </select>
+                {listed.status && <div style={{ marginTop: 6, fontSize: 11, color: TEXT_DIM, fontFamily: mono }}>{listed.status}</div>}
+              </div>
+            ) : (
+              <div>
+                <label style={labelStyle}>Scan DTE Range (blank = all listed)</label>
+                <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  <input value={scanMinDTE} onChange={e => setScanMinDTE(e.target.value)} placeholder="min" style={inputStyle} />
+                  <span style={{ color: TEXT_DIM, fontFamily: mono }}>–</span>
+                  <input value={scanMaxDTE} onChange={e => setScanMaxDTE(e.target.value)} placeholder="max" style={inputStyle} />
+                </div>
+              </div>
+            )}
+            <div>
+              <label style={labelStyle}>DTE Basis (to 4 pm ET close)</label>
+              <ToggleGroup value={dteMode} onChange={setDteMode} options={[["calendar", "Calendar"], ["trading", "Trading Days"]]} />
             </div>
             <div>
               <label style={labelStyle}>Strikes ITM / OTM</label>
               <input value={numStrikes} onChange={e => setNumStrikes(e.target.value)} placeholder="10" style={inputStyle} />
             </div>
+            <div>
+              <label style={labelStyle}>Option Side</label>
+              <ToggleGroup value={sideView} onChange={setSideView} options={[["calls", "Calls"], ["puts", "Puts"], ["both", "Both"]]} />
+            </div>
+            <div>
+              <label style={labelStyle}>Rate % / Div Yield % (computed Greeks)</label>
+              <div style={{ display: "flex", gap: 8 }}>
+                <input value={riskFreeRate} onChange={e => setRiskFreeRate(e.target.value)} placeholder="4.5" style={inputStyle} />
+                <input value={dividendYield} onChange={e => setDividendYield(e.target.value)} placeholder="0" style={inputStyle} />
+              </div>
+            </div>
+            <div>
+              <label style={labelStyle}>Call Intrinsic (dividend before expiry)</label>
+              <ToggleGroup value={dividendInSplit ? "net" : "market"} onChange={v => setDividendInSplit(v === "net")} options={[["market", "Market Split"], ["net", "Net of Dividend"]]} />
+            </div>
+            <div>
+              <label style={labelStyle}>Min OI / Min Vol / Max Spread %</label>
+              <div style={{ display: "flex", gap: 8 }}>
+                <input value={minOpenInterest} onChange={e => setMinOpenInterest(e.target.value)} placeholder="OI" style={inputStyle} />
+                <input value={minVolume} onChange={e => setMinVolume(e.target.value)} placeholder="vol" style={inputStyle} />
+                <input value={maxSpreadPct} onChange={e => setMaxSpreadPct(e.target.value)} placeholder="%" style={inputStyle} />
+              </div>
+            </div>
+            <div>
+              <label style={labelStyle}>Shares Owned / Cost Basis (covered calls)</label>
+              <div style={{ display: "flex", gap: 8 }}>
+                <input value={sharesOwned} onChange={e => setSharesOwned(e.target.value)} placeholder="shares" style={inputStyle} />
+                <input value={costBasis} onChange={e => setCostBasis(e.target.value)} placeholder="$ / share" style={inputStyle} />
+              </div>
+            </div>
+            <div>
+              <label style={labelStyle}>Ranking Premium</label>
+              <ToggleGroup value={liquidityAdjusted ? "fill" : "mid"} onChange={v => setLiquidityAdjusted(v === "fill")} options={[["mid", "At Mid"], ["fill", "Liquidity-Adj."]]} />
+            </div>
+            <div>
+              <label style={labelStyle}>Earnings Premium</label>
+              <ToggleGroup value={exEvent ? "ex" : "all"} onChange={v => setExEvent(v === "ex")} options={[["all", "Include"], ["ex", "Ex-Event"]]} />
+            </div>
+            <div>
+              <label style={labelStyle}>Account / Short Calls (buying power)</label>
+              <div style={{ display: "flex", gap: 8 }}>
+                <select value={account} onChange={e => setAccount(e.target.value)} style={selectStyle}>
+                  {Object.entries(ACCOUNT_TYPES).map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+                </select>
+                {account !== "cash" && <ToggleGroup value={nakedCalls ? "naked" : "covered"} onChange={v => setNakedCalls(v === "naked")} options={[["covered", "Covered"], ["naked", "Naked"]]} />}
+              </div>
+            </div>
+            <div>
+              <label style={labelStyle}>Data Source</label>
+              <div style={{ display: "flex", gap: 8 }}>
+                <select value={providerConfig.mode} onChange={e => updateProvider({ mode: e.target.value })} style={selectStyle}>
+                  {PROVIDER_MODES.map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+                </select>
+                <button onClick={() => { responseCache.clear(); setCacheCleared(true); setTimeout(() => setCacheCleared(false), 2000); }} title="Yahoo responses are reused for a minute during the session and half an hour outside it" style={{ background: BG_INPUT, color: TEXT_DIM, border: `1px solid ${BORDER}`, borderRadius: 8, padding: "0 12px", fontSize: 12, fontFamily: mono, cursor: "pointer", whiteSpace: "nowrap" }}>{cacheCleared ? "Cleared ✓" : "Clear Cache"}</button>
+              </div>
+            </div>
+            {providerConfig.mode === "custom" && (
+              <div style={{ gridColumn: "1 / -1" }}>
+                <label style={labelStyle}>Proxy templates, reordered by recent success — {"{url}"} = encoded Yahoo URL, {"{raw}"} = as-is</label>
+                <textarea value={providerConfig.proxyTemplates} onChange={e => updateProvider({ proxyTemplates: e.target.value })} rows={4} style={{ ...inputStyle, resize: "vertical", fontSize: 12 }} />
+              </div>
+            )}
+            {providerConfig.mode === "self" && (
+              <div style={{ gridColumn: "1 / -1" }}>
+                <label style={labelStyle}>Self-hosted proxy base URL — mirrors query1.finance.yahoo.com paths</label>
+                <input value={providerConfig.selfHostedUrl} onChange={e => updateProvider({ selfHostedUrl: e.target.value.trim() })} placeholder="https://quotes.example.com" style={inputStyle} />
+              </div>
+            )}
+            {providerConfig.mode === "static" && (
+              <div style={{ gridColumn: "1 / -1", fontSize: 12, color: TEXT_DIM, fontFamily: mono }}>
+                Offline mode reads public/fixtures/&lt;TICKER&gt;.json — bundled: AAPL, SPY. No network requests are made.
+              </div>
+            )}
           </div>
 
-          <button onClick={runAnalysis} disabled={loading || !ticker.trim()} style={{
+          {/* Clicking mid-run restarts with the current settings */}
+          <button onClick={analyze} disabled={!ticker.trim()} style={{
             background: loading ? BORDER : `linear-gradient(135deg, ${ACCENT}, ${ACCENT2})`,
             color: "#fff", border: "none", borderRadius: 10, padding: "14px 40px", fontSize: 15, fontWeight: 700, fontFamily: head,
-            cursor: loading ? "not-allowed" : "pointer", opacity: loading ? 0.6 : 1, boxShadow: loading ? "none" : `0 4px 20px ${ACCENT}33`,
-          }}>{loading ? "Analyzing…" : "Analyze Options Chain"}</button>
+            cursor: "pointer", opacity: loading ? 0.6 : 1, boxShadow: loading ? "none" : `0 4px 20px ${ACCENT}33`,
+          }}>{loading ? "Analyzing… (click to restart)" : "Analyze Options Chain"}</button>
 
           {loading && <div style={{ marginTop: 16, padding: "10px 16px", borderRadius: 8, background: `${ACCENT}0a`, border: `1px solid ${ACCENT}22`, fontSize: 13, color: ACCENT, fontFamily: mono, animation: "pulse 1.5s infinite" }}>⟳ {progress}</div>}
+          {providerError && <div style={{ marginTop: 16, padding: "12px 16px", borderRadius: 8, background: `${AMBER}0a`, border: `1px solid ${AMBER}33`, fontSize: 13, color: AMBER, fontFamily: mono }}>⚠ Data source: {providerError}</div>}
           {error && <div style={{ marginTop: 16, padding: "12px 16px", borderRadius: 8, background: `${RED}0a`, border: `1px solid ${RED}33`, fontSize: 13, color: RED, fontFamily: mono }}>✗ {error}</div>}
         </div>
 
+        {/* SCORING */}
+        <ScoringProfilePanel scoring={scoring} onChange={setScoring} error={profileError} inputStyle={inputStyle} labelStyle={labelStyle} selectStyle={selectStyle} />
+
+        {/* CSV IMPORT */}
+        <CsvImportPanel defaultTicker={ticker} targetExpiry={targetExpiry} onAnalyze={analyzeImported} inputStyle={inputStyle} labelStyle={labelStyle} selectStyle={selectStyle} />
+
         {/* ═══ RESULTS ═══ */}
         <div ref={resultsRef}>
 
           {/* Summary */}
           {spotPrice && matchedExpiry && (
             <div className="slide-up" style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
-              <SectionTitle num="2" title={`${ticker.toUpperCase()} — ${stockName}`} subtitle="Live data from Yahoo Finance" />
+              <SectionTitle num="2" title={`${analyzedTicker} — ${stockName}`} subtitle={`Data from ${dataSource}`} />
               <div style={{ display: "flex", flexWrap: "wrap", gap: 12 }}>
-                <StatCard label="Spot Price" value={`$${spotPrice.toFixed(2)}`} accent={ACCENT} />
+                <StatCard label="Spot Price" value={`$${spotPrice.toFixed(2)}`} accent={ACCENT}
+                  sub={baseline?.spot ? `${spotPrice >= baseline.spot ? "+" : "−"}${Math.abs(spotPrice - baseline.spot).toFixed(2)} since last refresh` : null} />
                 <StatCard label="Matched Expiry" value={tsToLabel(matchedExpiry)} accent={ACCENT2} />
-                <StatCard label="Days to Expiry" value={tsToDTE(matchedExpiry)} accent={ACCENT3} />
-                <StatCard label="Calls Loaded" value={optionChain?.length || "—"} accent={CYAN} />
-                <StatCard label="Rankable" value={rankedOptions?.length || "—"} />
+                <StatCard label="Days to Expiry" value={formatDTE(daysToExpiry(matchedExpiry, dteMode))} sub={`${dteMode === "trading" ? "trading sessions" : "calendar days"} · ${expiryKind(matchedExpiry)}`} accent={ACCENT3} />
+                {dividend !== undefined && <DividendCard dividend={dividend} expiry={matchedExpiry} />}
+                {earnings !== undefined && <EarningsCard earnings={earnings} expiry={matchedExpiry} />}
+                {visibleSides.map(side => (
+                  <StatCard key={side} label={`${SIDE_LABELS[side]} Loaded`} value={optionChain?.[side]?.length || "—"}
+                    sub={rankedOptions ? `${rankedOptions[side]?.length || 0} rankable` : null} accent={side === "puts" ? ACCENT2 : CYAN} />
+                ))}
               </div>
               <div style={{ marginTop: 14, padding: "8px 14px", borderRadius: 8, fontSize: 12, color: TEXT_DIM, fontFamily: mono, background: BG_CARD2 }}>
-                Target: {targetExpiry} → Nearest available: {tsToLabel(matchedExpiry)}
+                Target: {targetExpiry || "default"} → Nearest available: {tsToLabel(matchedExpiry)}
               </div>
+              {rankedOptions && <ExportBar onExport={exportResults} status={exportStatus} />}
             </div>
           )}
 
-          {/* RANKING */}
-          {rankedOptions?.length > 0 && (
-            <div className="slide-up" style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
-              <SectionTitle num="3" title="Extrinsic Value Efficiency Ranking"
-                subtitle={hasGreeks ? "Ranked: Extrinsic ÷ DTE ÷ |Delta| — best premium-selling strikes first" : "Ranked: Extrinsic ÷ DTE (Greeks unavailable)"} />
+          {/* LIVE MONITORING */}
+          {rankedOptions && !termScan && earnings !== undefined && (
+            <LiveMonitorPanel live={liveOn} onLive={setLiveOn} interval={liveInterval} onInterval={setLiveInterval} status={liveOn ? liveStatus : ""}
+              alerts={alerts} onAlerts={setAlerts} log={alertLog} ranked={rankedOptions} scoreName={scoreLabel(analysisOpts)}
+              inputStyle={inputStyle} labelStyle={labelStyle} selectStyle={selectStyle} />
+          )}
 
-              <div style={{ padding: "10px 16px", borderRadius: 8, marginBottom: 20, fontSize: 13, background: `${GREEN}08`, border: `1px solid ${GREEN}22`, color: GREEN, fontFamily: mono }}>
-                {hasGreeks ? "✦ Efficiency = Extrinsic ÷ DTE ÷ |Δ| — Higher = more premium per directional risk per day" : "✦ Ranking by Extrinsic ÷ DTE — Yahoo did not return Greeks for this chain"}
+          {/* TERM STRUCTURE SCAN */}
+          {spotPrice && termScan && (
+            <div className="slide-up" style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
+              <SectionTitle num="2" title={`${analyzedTicker} — ${stockName}`} subtitle={`Term-structure scan · Data from ${dataSource}`} />
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 12 }}>
+                <StatCard label="Spot Price" value={`$${spotPrice.toFixed(2)}`} accent={ACCENT} />
+                <StatCard label="Expiries Scanned" value={termScan.expiries.length} accent={ACCENT2} />
+                <StatCard label="DTE Span" value={`${formatDTE(daysToExpiry(termScan.expiries[0], dteMode))}–${formatDTE(daysToExpiry(termScan.expiries[termScan.expiries.length - 1], dteMode))}`} accent={ACCENT3} />
+                <DividendCard dividend={dividend} expiry={termScan.expiries[termScan.expiries.length - 1]} />
+                <EarningsCard earnings={earnings} expiry={termScan.expiries[termScan.expiries.length - 1]} />
+                {visibleSides.map(side => (
+                  <StatCard key={side} label={`${SIDE_LABELS[side]} Loaded`} value={termScan[side].rows.length}
+                    sub={`${termScan[side].ranked.length} rankable`} accent={side === "puts" ? ACCENT2 : CYAN} />
+                ))}
               </div>
+              <ExportBar onExport={exportResults} status={exportStatus} />
+            </div>
+          )}
+          {termScan && visibleSides.map(side => <TermStructurePanel key={side} side={side} scan={termScan} />)}
 
-              {/* Top 3 cards */}
-              <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(240px, 1fr))", gap: 14, marginBottom: 24 }}>
-                {rankedOptions.slice(0, 3).map((o, i) => {
-                  const colors = [ACCENT, ACCENT2, ACCENT3];
-                  return (
-                    <div key={o.strike} style={{ background: BG_CARD2, border: `1px solid ${colors[i]}33`, borderRadius: 12, padding: "18px 20px", borderTop: `3px solid ${colors[i]}` }}>
-                      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
-                        <span style={{ fontSize: 11, color: TEXT_DIM, fontFamily: mono }}>#{i + 1} BEST</span>
-                        <MoneyBadge type={o.moneyness} />
-                      </div>
-                      <div style={{ fontSize: 28, fontWeight: 800, color: TEXT, fontFamily: mono, marginBottom: 6 }}>${o.strike.toFixed(2)}</div>
-                      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 5, fontSize: 12, fontFamily: mono }}>
-                        <div><span style={{ color: TEXT_DIM }}>Mid: </span><span style={{ color: TEXT }}>${o.mid.toFixed(2)}</span></div>
-                        <div><span style={{ color: TEXT_DIM }}>Bid/Ask: </span><span style={{ color: TEXT }}>{o.bid.toFixed(2)}/{o.ask.toFixed(2)}</span></div>
-                        <div><span style={{ color: TEXT_DIM }}>Intrinsic: </span><span style={{ color: CYAN }}>${o.intrinsic.toFixed(2)}</span></div>
-                        <div><span style={{ color: TEXT_DIM }}>Extrinsic: </span><span style={{ color: GREEN, fontWeight: 700 }}>${o.extrinsic.toFixed(2)}</span></div>
-                        {o.delta != null && <div><span style={{ color: TEXT_DIM }}>Delta: </span><span style={{ color: CYAN }}>{o.delta.toFixed(3)}</span></div>}
-                        {o.theta != null && <div><span style={{ color: TEXT_DIM }}>Theta: </span><span style={{ color: RED }}>{o.theta.toFixed(4)}</span></div>}
-                        <div><span style={{ color: TEXT_DIM }}>OI: </span><span style={{ color: TEXT }}>{o.openInterest.toLocaleString()}</span></div>
-                        <div><span style={{ color: TEXT_DIM }}>IV: </span><span style={{ color: TEXT }}>{(o.impliedVol * 100).toFixed(1)}%</span></div>
-                        <div style={{ gridColumn: "1/3" }}>
-                          <span style={{ color: TEXT_DIM }}>Efficiency: </span>
-                          <span style={{ color: colors[i], fontWeight: 700, fontSize: 14 }}>{(o.efficiencyScore ?? o.fallbackScore).toFixed(4)}</span>
-                        </div>
-                        <div style={{ gridColumn: "1/3" }}>
-                          <span style={{ color: TEXT_DIM }}>Ann. Yield: </span><span style={{ color: ACCENT3 }}>{o.annualizedYield.toFixed(1)}%</span>
-                        </div>
-                      </div>
-                    </div>
-                  );
-                })}
-              </div>
+          {/* RANKING */}
+          {rankedOptions && visibleSides.map(side => (
+            <RankingPanel key={side} side={side} chain={optionChain?.[side]} ranked={rankedOptions[side]} opts={analysisOpts} costBasis={position?.costBasis} spot={spotPrice} earnings={earnings} changes={changes?.[side]} onLog={matchedExpiry && analyzedTicker ? logTrade : undefined} />
+          ))}
 
-              {/* Full table */}
-              <div style={{ overflowX: "auto", borderRadius: 10, border: `1px solid ${BORDER}` }}>
-                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: mono }}>
-                  <thead>
-                    <tr style={{ background: BG_CARD2 }}>
-                      {["Rank", "Strike", "Bid", "Ask", "Mid", "Intrinsic", "Extrinsic",
-                        ...(hasGreeks ? ["Delta", "Gamma", "Theta", "Vega"] : []),
-                        "IV", "OI", "Ext/DTE", "Efficiency", "Ann.Yld"
-                      ].map(h => (
-                        <th key={h} style={{ padding: "10px 8px", textAlign: h === "Rank" ? "center" : "right", color: TEXT_DIM, fontWeight: 600, fontSize: 9, letterSpacing: .8, textTransform: "uppercase", borderBottom: `1px solid ${BORDER}`, whiteSpace: "nowrap" }}>{h}</th>
-                      ))}
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {rankedOptions.map(o => (
-                      <tr key={o.strike} className="hover-row" style={{ borderBottom: `1px solid ${BORDER}22` }}>
-                        <td style={{ padding: "7px 8px", textAlign: "center" }}><RankBadge rank={o.rank} total={rankedOptions.length} /></td>
-                        <td style={{ padding: "7px 8px", textAlign: "right", fontWeight: 700, color: TEXT }}>${o.strike.toFixed(2)} <MoneyBadge type={o.moneyness} /></td>
-                        <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT_DIM }}>{o.bid.toFixed(2)}</td>
-                        <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT_DIM }}>{o.ask.toFixed(2)}</td>
-                        <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT }}>{o.mid.toFixed(2)}</td>
-                        <td style={{ padding: "7px 8px", textAlign: "right", color: o.intrinsic > 0 ? CYAN : TEXT_DIM }}>{o.intrinsic.toFixed(2)}</td>
-                        <td style={{ padding: "7px 8px", textAlign: "right", color: GREEN, fontWeight: 600 }}>{o.extrinsic.toFixed(2)}</td>
-                        {hasGreeks && <>
-                          <td style={{ padding: "7px 8px", textAlign: "right", color: CYAN }}>{o.delta != null ? o.delta.toFixed(4) : "—"}</td>
-                          <td style={{ padding: "7px 8px", textAlign: "right", color: ACCENT2 }}>{o.gamma != null ? o.gamma.toFixed(5) : "—"}</td>
-                          <td style={{ padding: "7px 8px", textAlign: "right", color: RED }}>{o.theta != null ? o.theta.toFixed(4) : "—"}</td>
-                          <td style={{ padding: "7px 8px", textAlign: "right", color: ACCENT3 }}>{o.vega != null ? o.vega.toFixed(4) : "—"}</td>
-                        </>}
-                        <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT_DIM }}>{(o.impliedVol * 100).toFixed(1)}%</td>
-                        <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT_DIM }}>{o.openInterest.toLocaleString()}</td>
-                        <td style={{ padding: "7px 8px", textAlign: "right", color: TEXT }}>{o.extrinsicPerDTE.toFixed(4)}</td>
-                        <td style={{ padding: "7px 8px", textAlign: "right", fontWeight: 700, color: o.rank <= 3 ? GREEN : o.rank <= rankedOptions.length * .4 ? ACCENT3 : TEXT_DIM }}>
-                          {(o.efficiencyScore ?? o.fallbackScore).toFixed(4)}
-                        </td>
-                        <td style={{ padding: "7px 8px", textAlign: "right", color: ACCENT3 }}>{o.annualizedYield.toFixed(1)}%</td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            </div>
+          {/* COVERED CALLS */}
+          {position && spotPrice && rankedOptions && visibleSides.includes("calls") && (
+            <CoveredCallPanel ranked={rankedOptions.calls} spot={spotPrice} position={position} />
+          )}
+
+          {/* CREDIT SPREADS */}
+          {spotPrice && optionChain && visibleSides.map(side => (
+            <SpreadBuilderPanel key={side} side={side} chain={optionChain[side]} spot={spotPrice} inputStyle={inputStyle} labelStyle={labelStyle} />
+          ))}
+
+          {/* SMILE */}
+          {spotPrice && optionChain && !termScan && (
+            <SmilePanel chain={optionChain} spot={spotPrice} smile={smile} move={expected} exportName={chartExportName} />
           )}
 
           {/* CHARTS */}
-          {optionChain?.length > 0 && (
+          {visibleSides.some(side => optionChain?.[side]?.length > 0) && (
             <div className="slide-up" style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
-              <SectionTitle num="4" title="Visual Analysis" subtitle="Charts from live market data" />
-              <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(400px, 1fr))", gap: 20 }}>
-
-                {/* Premium breakdown */}
-                <div style={{ background: BG_CARD2, borderRadius: 10, padding: 16 }}>
-                  <div style={{ fontSize: 12, fontWeight: 600, color: TEXT_DIM, marginBottom: 12, fontFamily: mono }}>Premium Breakdown (Intrinsic vs Extrinsic)</div>
-                  <ResponsiveContainer width="100%" height={280}>
-                    <BarChart data={extrinsicByStrike}>
-                      <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
-                      <XAxis dataKey="strike" tick={{ fontSize: 9, fill: TEXT_DIM }} angle={-45} textAnchor="end" height={50} />
-                      <YAxis tick={{ fontSize: 10, fill: TEXT_DIM }} tickFormatter={v => `$${v.toFixed(0)}`} />
-                      <Tooltip content={({ active, payload }) => { if (!active || !payload?.length) return null; const d = payload[0]?.payload || {}; return (<div style={ttStyle}><div style={{ color: TEXT, fontWeight: 700, marginBottom: 6 }}>Strike ${d.strike}</div><div style={{ color: CYAN }}>Intrinsic: ${(d.intrinsic || 0).toFixed(2)}</div><div style={{ color: GREEN }}>Extrinsic: ${(d.extrinsic || 0).toFixed(2)}</div><div style={{ color: TEXT_DIM }}>Mid: ${(d.total || 0).toFixed(2)}</div></div>); }} />
-                      <Bar dataKey="intrinsic" stackId="a" fill={CYAN} fillOpacity={0.6} name="Intrinsic" />
-                      <Bar dataKey="extrinsic" stackId="a" fill={GREEN} fillOpacity={0.85} name="Extrinsic" radius={[3, 3, 0, 0]} />
-                      <Legend wrapperStyle={{ fontSize: 11, fontFamily: mono }} />
-                    </BarChart>
-                  </ResponsiveContainer>
+              <SectionTitle num="4" title="Visual Analysis" subtitle={sideView === "both" ? "Calls and puts side by side — charts from live market data" : "Charts from live market data"} />
+              {sideView === "both" ? (
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(2, minmax(0, 1fr))", gap: 20 }}>
+                  {visibleSides.map(side => (
+                    <div key={side} style={{ display: "flex", flexDirection: "column", gap: 20 }}>
+                      <SideCharts side={side} chain={optionChain?.[side]} ranked={rankedOptions?.[side]} opts={analysisOpts} move={expected} exportName={chartExportName} />
+                    </div>
+                  ))}
                 </div>
-
-                {/* Efficiency */}
-                {efficiencyChart.length > 0 && (
-                  <div style={{ background: BG_CARD2, borderRadius: 10, padding: 16 }}>
-                    <div style={{ fontSize: 12, fontWeight: 600, color: TEXT_DIM, marginBottom: 12, fontFamily: mono }}>Efficiency Score — Top Strikes</div>
-                    <ResponsiveContainer width="100%" height={280}>
-                      <BarChart data={efficiencyChart} layout="vertical">
-                        <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
-                        <XAxis type="number" tick={{ fontSize: 10, fill: TEXT_DIM }} />
-                        <YAxis dataKey="strike" type="category" tick={{ fontSize: 10, fill: TEXT_DIM }} width={55} />
-                        <Tooltip content={({ active, payload }) => { if (!active || !payload?.length) return null; const d = payload[0]?.payload || {}; return (<div style={ttStyle}><div style={{ color: TEXT, fontWeight: 700, marginBottom: 6 }}>Strike ${d.strike} · #{d.rank}</div><div style={{ color: GREEN }}>Efficiency: {(d.efficiency || 0).toFixed(4)}</div>{d.delta != null && <div style={{ color: CYAN }}>Delta: {d.delta.toFixed(3)}</div>}<div style={{ color: ACCENT3 }}>Ext/DTE: ${(d.extrinsicPerDTE || 0).toFixed(4)}</div></div>); }} />
-                        <Bar dataKey="efficiency" radius={[0, 4, 4, 0]}>
-                          {efficiencyChart.map((_, i) => <Cell key={i} fill={i < 3 ? ACCENT : i < 7 ? ACCENT2 : TEXT_DIM} fillOpacity={Math.max(0.3, 1 - i * 0.04)} />)}
-                        </Bar>
-                      </BarChart>
-                    </ResponsiveContainer>
-                  </div>
-                )}
-
-                {/* Delta scatter */}
-                {hasGreeks && deltaVsExtrinsic.length > 0 && (
-                  <div style={{ background: BG_CARD2, borderRadius: 10, padding: 16 }}>
-                    <div style={{ fontSize: 12, fontWeight: 600, color: TEXT_DIM, marginBottom: 12, fontFamily: mono }}>Delta vs Extrinsic per DTE</div>
-                    <ResponsiveContainer width="100%" height={280}>
-                      <ScatterChart>
-                        <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
-                        <XAxis dataKey="delta" name="Delta" tick={{ fontSize: 10, fill: TEXT_DIM }} label={{ value: "Delta", position: "insideBottom", offset: -5, fill: TEXT_DIM, fontSize: 11 }} />
-                        <YAxis dataKey="extrinsicPerDTE" name="Ext/DTE" tick={{ fontSize: 10, fill: TEXT_DIM }} label={{ value: "$/DTE", angle: -90, position: "insideLeft", fill: TEXT_DIM, fontSize: 11 }} />
-                        <Tooltip content={({ active, payload }) => { if (!active || !payload?.length) return null; const d = payload[0]?.payload || {}; return (<div style={ttStyle}><div style={{ color: TEXT, fontWeight: 700, marginBottom: 6 }}>Strike ${(d.strike || 0).toFixed(1)}</div><div style={{ color: CYAN }}>Delta: {(d.delta || 0).toFixed(3)}</div><div style={{ color: GREEN }}>Ext/DTE: ${(d.extrinsicPerDTE || 0).toFixed(4)}</div></div>); }} />
-                        <Scatter data={deltaVsExtrinsic}>{deltaVsExtrinsic.map((d, i) => <Cell key={i} fill={d.moneyness === "ITM" ? CYAN : d.moneyness === "ATM" ? ACCENT3 : ACCENT} fillOpacity={0.8} />)}</Scatter>
-                      </ScatterChart>
-                    </ResponsiveContainer>
-                  </div>
-                )}
-
-                {/* Greeks */}
-                {hasGreeks && greeksProfile.length > 0 && (
-                  <div style={{ background: BG_CARD2, borderRadius: 10, padding: 16 }}>
-                    <div style={{ fontSize: 12, fontWeight: 600, color: TEXT_DIM, marginBottom: 12, fontFamily: mono }}>Greeks Profile</div>
-                    <ResponsiveContainer width="100%" height={280}>
-                      <LineChart data={greeksProfile}>
-                        <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
-                        <XAxis dataKey="strike" tick={{ fontSize: 9, fill: TEXT_DIM }} angle={-45} textAnchor="end" height={50} />
-                        <YAxis tick={{ fontSize: 10, fill: TEXT_DIM }} />
-                        <Tooltip content={({ active, payload }) => { if (!active || !payload?.length) return null; const d = payload[0]?.payload || {}; return (<div style={ttStyle}><div style={{ color: TEXT, fontWeight: 700, marginBottom: 6 }}>Strike ${d.strike}</div><div style={{ color: CYAN }}>Delta: {(d.delta || 0).toFixed(4)}</div><div style={{ color: ACCENT2 }}>Gamma×100: {(d.gamma || 0).toFixed(4)}</div><div style={{ color: RED }}>Theta: {(d.theta || 0).toFixed(4)}</div><div style={{ color: ACCENT3 }}>Vega: {(d.vega || 0).toFixed(4)}</div></div>); }} />
-                        <Line type="monotone" dataKey="delta" stroke={CYAN} strokeWidth={2} dot={false} name="Delta" />
-                        <Line type="monotone" dataKey="gamma" stroke={ACCENT2} strokeWidth={1.5} dot={false} name="Gamma×100" />
-                        <Line type="monotone" dataKey="theta" stroke={RED} strokeWidth={1.5} dot={false} name="Theta" />
-                        <Line type="monotone" dataKey="vega" stroke={ACCENT3} strokeWidth={1.5} dot={false} name="Vega" />
-                        <Legend wrapperStyle={{ fontSize: 11, fontFamily: mono }} />
-                      </LineChart>
-                    </ResponsiveContainer>
-                  </div>
-                )}
-              </div>
+              ) : (
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(400px, 1fr))", gap: 20 }}>
+                  <SideCharts side={sideView} chain={optionChain?.[sideView]} ranked={rankedOptions?.[sideView]} opts={analysisOpts} move={expected} exportName={chartExportName} />
+                </div>
+              )}
             </div>
           )}
 
           {/* METHODOLOGY */}
-          {rankedOptions && (
+          {(rankedOptions || termScan) && (
             <div className="slide-up" style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 14, padding: 28, marginBottom: 28 }}>
-              <SectionTitle num="5" title="Methodology" subtitle="No model assumptions — pure market data" />
+              <SectionTitle num="5" title="Methodology" subtitle="Model-free prices — market Greeks where Yahoo quotes them" />
               <div style={{ fontSize: 14, color: TEXT_DIM, lineHeight: 1.8, maxWidth: 820 }}>
                 <p style={{ margin: "0 0 14px" }}>
-                  <strong style={{ color: TEXT }}>Prices are real market data</strong> from Yahoo Finance. Bid, ask, last price, volume, open interest, IV, and Greeks all come directly from the exchange — no Black-Scholes modeling.
+                  <strong style={{ color: TEXT }}>Prices are real market data</strong> from {dataSource || "Yahoo Finance"}. Bid, ask, last price, volume, open interest and IV come directly from the exchange, and extrinsic value never touches a model.
                 </p>
                 <p style={{ margin: "0 0 14px" }}>
-                  <strong style={{ color: TEXT }}>Extrinsic = Mid Price − max(0, Spot − Strike)</strong> — the pure time premium a seller captures if the option expires at current spot.
+                  <strong style={{ color: TEXT }}>Greeks: market or computed.</strong> Greeks Yahoo quotes are used as-is ("market"). When it omits them, they are derived from that contract's own IV with Black-Scholes-Merton at r = {(rateNum * 100).toFixed(2)}% and q = {(divNum * 100).toFixed(2)}%, and marked <sup>c</sup> ("computed") so the efficiency ranking works on any chain.
+                </p>
+                <p style={{ margin: "0 0 14px" }}>
+                  <strong style={{ color: TEXT }}>Extrinsic = Mid Price − Intrinsic</strong> — the pure time premium a seller captures if the option expires at current spot. Call intrinsic is max(0, Spot − Strike); put intrinsic is max(0, Strike − Spot).
                 </p>
                 <div style={{ background: BG_CARD2, borderRadius: 8, padding: "16px 20px", fontFamily: mono, fontSize: 16, color: ACCENT, marginBottom: 16, textAlign: "center", border: `1px solid ${BORDER}` }}>
                   Efficiency = Extrinsic ÷ DTE ÷ |Delta|
                 </div>
+                {rankingProfile.formula && (
+                  <p style={{ margin: "0 0 14px" }}>
+                    <strong style={{ color: TEXT }}>Scoring profile "{rankingProfile.name}"</strong> ranks by <code style={{ color: ACCENT }}>{rankingProfile.formula}</code> instead of Efficiency, higher first. Strikes the formula cannot score (a missing Greek, division by zero) are left out
+                    {PROFILE_FILTERS.some(([k]) => rankingProfile.filters?.[k]) && <>, as are strikes outside {PROFILE_FILTERS.filter(([k]) => rankingProfile.filters?.[k]).map(([k, l]) => `${l} ${rankingProfile.filters[k]}`).join(", ")}</>}.
+                  </p>
+                )}
+                {position && (
+                  <p style={{ margin: "0 0 14px" }}>
+                    <strong style={{ color: TEXT }}>Covered calls</strong> use your {position.shares.toLocaleString()} shares at ${position.costBasis.toFixed(2)}. Returns are measured from today's spot, the capital the shares represent now; "Assigned vs Basis" is the gain or loss you lock in against what you paid. Strikes marked <span style={{ color: RED }}>&lt;BASIS</span> would sell the shares below cost.
+                  </p>
+                )}
+                <p style={{ margin: "0 0 14px" }}>
+                  <strong style={{ color: TEXT }}>Odds</strong> (P(ITM), probability of profit, expected P&L) treat spot at expiry as lognormal with the contract's own IV and DTE, drifting at r − q. They are market-implied, not forecasts — an efficient strike with a 45% chance of assignment is still likely to be called away.
+                </p>
+                <p style={{ margin: "0 0 14px" }}>
+                  <strong style={{ color: TEXT }}>Liquidity.</strong> Strikes below the minimum open interest or volume, or wider than the maximum bid-ask spread (as % of mid), are left out of the ranking; a strike with no two-sided quote fails any spread limit. Mids marked ⚠ come from the last trade because there was no live bid and ask. Liquidity-adjusted ranking replaces Extrinsic with max(0, Extrinsic − Spread ÷ 2), the premium left if you fill at the bid, so wide markets stop looking efficient.
+                </p>
                 <p style={{ margin: "0 0 14px" }}>
                   <strong style={{ color: TEXT }}>Why?</strong> For sellers, the ideal strike maximizes daily time decay relative to directional risk. Deep ITM has high extrinsic but near-1 delta. Far OTM has tiny delta but almost no premium. This score finds the sweet spot.
                 </p>
+                {dividend !== undefined && (
+                  <p style={{ margin: "0 0 14px" }}>
+                    <strong style={{ color: TEXT }}>Dividends and early assignment.</strong> The next ex-dividend date comes from the announced calendar when there is one, otherwise from the payment history rolled forward ("projected"). An ITM call whose time value is less than a dividend going ex before expiry is worth more exercised than held, so its holder is likely to exercise the day before the ex-date — those calls are marked <span style={{ color: AMBER }}>DIV</span>. Puts are not flagged: a dividend makes early exercise of a put less attractive, not more. {dividendInSplit ? "Net of Dividend is on: for those expiries call intrinsic is max(0, Spot + Dividend − Strike), so deep-ITM calls stop looking rich on premium that early assignment would take back." : "Net of Dividend moves the dividend from a call's extrinsic into its intrinsic, so deep-ITM calls stop looking rich on premium that early assignment would take back."}
+                  </p>
+                )}
+                {earnings && (
+                  <p style={{ margin: "0 0 14px" }}>
+                    <strong style={{ color: TEXT }}>Earnings premium.</strong> An expiry that spans the {tsToShort(earnings.date)} release (marked <span style={{ color: ACCENT2 }}>EARN</span>) is paid for the earnings move as well as for time, so its extrinsic overstates the decay a seller keeps once the event passes. Total implied variance IV² × T is fitted across the ATM term structure as ordinary variance growing with time plus one jump for the event, using up to two expiries before the release and three after it{earnings.eventVariance != null ? <> — here a ±{(earnings.move * 100).toFixed(1)}% event move on {(earnings.baseVol * 100).toFixed(1)}% base volatility</> : " (not enough listed expiries to fit it this time)"}. Each strike's event premium is its Black-Scholes value at its own IV less its value with the event variance removed; Ex-Event ranking scores Extrinsic − Event Premium instead.
+                  </p>
+                )}
+                {(smile || expected) && !termScan && (
+                  <p style={{ margin: "0 0 14px" }}>
+                    <strong style={{ color: TEXT }}>Smile and expected move.</strong> The smile is a quadratic in ln(Strike ÷ Spot) ÷ √T fitted by least squares to the IVs of out-of-the-money puts below spot and calls above it, quoted contracts only — those are the liquid side of each strike. A strike is marked <span style={{ color: GREEN }}>RICH</span> when its IV sits at least 2 vol points and 1.5 fit residuals above the curve and its extrinsic beats the Black-Scholes value at the smile IV by at least $0.05 and 10%: the market pays more for that strike than for its neighbours. The expected move is the ATM straddle (call + put mid at the strike nearest spot) — roughly a one-standard-deviation range to expiry — and is shaded on the smile, premium and score charts.
+                  </p>
+                )}
+                {liveOn && (
+                  <p style={{ margin: "0 0 14px" }}>
+                    <strong style={{ color: TEXT }}>Live refresh</strong> re-fetches the spot and chain on the interval while the NYSE regular session is open (9:30–4:00 ET, exchange holidays excluded) and keeps the previous ranking as the baseline: <span style={{ color: GREEN }}>▲</span> / <span style={{ color: RED }}>▼</span> mark strikes that moved up or down the ranking and the mid column shows the change since the last refresh. Alerts are checked after every run and notify once when their condition starts to hold.
+                  </p>
+                )}
+                {termScan && (
+                  <p style={{ margin: "0 0 14px" }}>
+                    <strong style={{ color: TEXT }}>Term scan</strong> runs the same ranking on every expiry in range and then once across all of them. Efficiency is already per day, so weeklies and monthlies compare directly.
+                  </p>
+                )}
+                <p style={{ margin: "0 0 14px" }}>
+                  <strong style={{ color: TEXT }}>DTE</strong> runs to the 4:00 pm ET close on the expiry date, with fractions — a same-day expiry at noon has 0.17 days left, not 1. {dteMode === "trading" ? "Trading-day basis counts only the 9:30–4:00 ET NYSE sessions left (weekends and exchange holidays excluded), so per-day figures — theta included — are per session and annualize over 252." : "Calendar basis counts every hour to the close and annualizes over 365; the trading-day basis counts only NYSE sessions."} Computed Greeks and odds use the same time to expiry.
+                </p>
+                <p style={{ margin: "0 0 14px" }}>
+                  <strong style={{ color: TEXT }}>Annualized yield</strong> = (Extrinsic ÷ Collateral) ÷ years to expiry (DTE ÷ {dteMode === "trading" ? 252 : 365}) — the return rate if you sold this strike repeatedly at current prices. For cash-secured puts the collateral is the full strike held in cash; calls use the strike as the reference.
+                </p>
                 <p style={{ margin: 0 }}>
-                  <strong style={{ color: TEXT }}>Annualized yield</strong> = (Extrinsic ÷ Strike) × (365 ÷ DTE) — the return rate if you sold this strike repeatedly at current prices.
+                  <strong style={{ color: TEXT }}>Return on capital</strong> = Extrinsic × 100 ÷ the buying power one contract ties up in a {ACCOUNT_TYPES[account]} account, annualized the same way. {account === "cash"
+                    ? "A cash account holds 100 shares at spot against each call and the full strike in cash against each put."
+                    : account === "regT"
+                      ? `Reg-T requires premium + max(20% of spot − the OTM amount, 10% of spot for calls or of the strike for puts) for an uncovered short${isCoveredCall(account, nakedCalls) ? ", and calls are covered by 100 shares bought at 50% margin" : ""}.`
+                      : `Portfolio margin is approximated as the largest loss of the position${isCoveredCall(account, nakedCalls) ? " (calls with their 100 shares)" : ""} over spot moves of ±15%, each contract revalued at its own IV, with a $37.50 minimum per contract; a broker's risk model will differ.`} Choose a Return on Capital scoring profile to rank on it.
                 </p>
               </div>
             </div>
           )}
         </div>
 
+        {/* WATCHLIST */}
+        <WatchlistScreener targetExpiry={targetExpiry} numStrikes={nStrikes} sideView={sideView} analysisOpts={analysisOpts} inputStyle={inputStyle} labelStyle={labelStyle} />
+
+        {/* ROLLS */}
+        <RollAnalyzer defaultTicker={ticker} numStrikes={nStrikes} analysisOpts={analysisOpts} inputStyle={inputStyle} labelStyle={labelStyle} />
+
+        {/* HISTORY */}
+        <SnapshotHistory currentKey={matchedExpiry && analyzedTicker ? snapshotKey(analyzedTicker, matchedExpiry) : ""} version={historyVersion}
+          onOpen={openSnapshot} labelStyle={labelStyle} selectStyle={selectStyle} />
+
+        {/* JOURNAL */}
+        <JournalPanel trades={journal} onChange={setJournal} inputStyle={inputStyle} labelStyle={labelStyle} />
+
+        {/* BACKTEST */}
+        <BacktestPanel numStrikes={nStrikes} analysisOpts={analysisOpts} inputStyle={inputStyle} labelStyle={labelStyle} />
+
         <div style={{ textAlign: "center", padding: "24px 0 48px", color: TEXT_DIM, fontSize: 11, fontFamily: mono }}>
-          Options Extrinsic Value Analyzer · Real Yahoo Finance data · No model assumptions · Client-side
+          Options Extrinsic Value Analyzer · Real Yahoo Finance data · Model-free extrinsic · Client-side
         </div>
       </div>
     </div>
@@ -0,0 +1,76 @@
+/* ═══════════════════════════════════════════════════════
+   DEEP LINKS
+   The analysis configuration as a query string, so a link reopens the same
+   analysis. Only the query is touched — the path is left alone, which keeps
+   links working under the GitHub Pages "homepage" subpath.
+   Values are the raw input strings; settings at their default are omitted.
+   ═══════════════════════════════════════════════════════ */
+
+// config key → [query param, default]
+const PARAMS = {
+  ticker: ["t", ""],
+  mode: ["mode", "single"],
+  dteMode: ["dte", "calendar"],
+  expiry: ["exp", ""],
+  strikes: ["n", "10"],
+  side: ["side", "calls"],
+  scanMin: ["dmin", ""],
+  scanMax: ["dmax", ""],
+  rate: ["r", ""],
+  dividendYield: ["q", "0"],
+  dividendInSplit: ["divnet", false],
+  minOpenInterest: ["oi", ""],
+  minVolume: ["vol", ""],
+  maxSpreadPct: ["spr", ""],
+  liquidityAdjusted: ["fill", false],
+  exEvent: ["xev", false],
+  shares: ["sh", ""],
+  costBasis: ["cb", ""],
+  profile: ["p", ""],
+  account: ["acct", "cash"],
+  nakedCalls: ["naked", false],
+};
+
+// Custom profiles live in the sender's localStorage, so their definition
+// travels with the link
+const PROFILE_PARAMS = { name: "pn", formula: "pf", deltaMin: "pdl", deltaMax: "pdh", dteMin: "ptl", dteMax: "pth" };
+
+// config: PARAMS keys, plus customProfile { id, name, formula, filters } when
+// the active profile is not built in. Returns "" or "?…".
+export function configToSearch(config) {
+  const q = new URLSearchParams();
+  Object.entries(PARAMS).forEach(([key, [param, fallback]]) => {
+    const v = config[key];
+    if (typeof fallback === "boolean") { if (v) q.set(param, "1"); }
+    else if (v != null && String(v).trim() !== "" && String(v).trim() !== fallback) q.set(param, String(v).trim());
+  });
+  const custom = config.customProfile;
+  if (custom) {
+    const values = { name: custom.name, formula: custom.formula, ...custom.filters };
+    Object.entries(PROFILE_PARAMS).forEach(([key, param]) => { if (values[key]) q.set(param, values[key]); });
+  }
+  const s = q.toString();
+  return s ? `?${s}` : "";
+}
+
+// Inverse of configToSearch. Returns null when the query names no ticker;
+// missing settings come back at their defaults.
+export function searchToConfig(search) {
+  const q = new URLSearchParams(search);
+  if (!q.get(PARAMS.ticker[0])) return null;
+  const config = {};
+  Object.entries(PARAMS).forEach(([key, [param, fallback]]) => {
+    config[key] = typeof fallback === "boolean" ? q.get(param) === "1" : q.get(param) ?? fallback;
+  });
+  config.ticker = config.ticker.toUpperCase();
+  if (!["single", "scan"].includes(config.mode)) config.mode = "single";
+  if (!["calls", "puts", "both"].includes(config.side)) config.side = "calls";
+  if (!["calendar", "trading"].includes(config.dteMode)) config.dteMode = "calendar";
+  if (!["cash", "regT", "portfolio"].includes(config.account)) config.account = "cash";
+  if (config.profile && q.get(PROFILE_PARAMS.formula)) {
+    const filters = {};
+    ["deltaMin", "deltaMax", "dteMin", "dteMax"].forEach(k => { if (q.get(PROFILE_PARAMS[k])) filters[k] = q.get(PROFILE_PARAMS[k]); });
+    config.customProfile = { id: config.profile, name: q.get(PROFILE_PARAMS.name) || "Shared profile", formula: q.get(PROFILE_PARAMS.formula), filters };
+  }
+  return config;
+}
@@ -0,0 +1,57 @@
+/* ═══════════════════════════════════════════════════════
+   EXPORTS
+   Browser downloads: text files, and Recharts charts as SVG / PNG.
+   The text formats themselves live in ./lib/formats.
+   ═══════════════════════════════════════════════════════ */
+
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export const downloadText = (filename, text, type) => downloadBlob(filename, new Blob([text], { type }));
+
+// Recharts draws the chart into the wrapper's own <svg class="recharts-surface">
+// (legend icons are small surfaces of their own further down). The clone gets an
+// explicit namespace, size and background so it stands alone as a file.
+const serializeChart = (container, background) => {
+  const svg = container?.querySelector(".recharts-wrapper > svg.recharts-surface");
+  if (!svg) throw new Error("Chart has not rendered yet");
+  const { width, height } = svg.getBoundingClientRect();
+  const w = Math.round(width) || Number(svg.getAttribute("width")) || 600;
+  const h = Math.round(height) || Number(svg.getAttribute("height")) || 300;
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", w); clone.setAttribute("height", h);
+  const bg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  bg.setAttribute("width", "100%"); bg.setAttribute("height", "100%"); bg.setAttribute("fill", background);
+  clone.insertBefore(bg, clone.firstChild);
+  return { markup: new XMLSerializer().serializeToString(clone), w, h };
+};
+
+export function downloadChartSvg(container, filename, background) {
+  const { markup } = serializeChart(container, background);
+  downloadText(filename, markup, "image/svg+xml");
+}
+
+export function downloadChartPng(container, filename, background, scale = 2) {
+  const { markup, w, h } = serializeChart(container, background);
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml" }));
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = w * scale; canvas.height = h * scale;
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => (blob ? resolve(downloadBlob(filename, blob)) : reject(new Error("PNG encoding failed"))), "image/png");
+    };
+    img.onerror = () => { URL.revokeObjectURL(url); reject(new Error("Could not render chart image")); };
+    img.src = url;
+  });
+}
@@ -0,0 +1,70 @@
+/* ═══════════════════════════════════════════════════════
+   LIVE MONITORING
+   Threshold alerts over ranked rows, and what moved between two
+   refreshes of the same analysis.
+   alert: { id, side, strike (null = any), minDelta (|Δ| floor, null = none),
+            field, op: "above" | "below", value }
+   ═══════════════════════════════════════════════════════ */
+
+import { strikeKey } from "./analysis.js";
+
+// Row fields an alert can watch; "score" is whatever the ranking uses
+export const ALERT_FIELDS = [
+  ["score", "Ranking score"],
+  ["extrinsic", "Extrinsic $"],
+  ["mid", "Mid $"],
+  ["extrinsicPerDTE", "Extrinsic ÷ DTE"],
+  ["annualizedYield", "Ann. yield %"],
+  ["impliedVol", "IV"],
+  ["delta", "Delta"],
+];
+
+const fieldLabel = (field) => ALERT_FIELDS.find(([k]) => k === field)?.[1] || field;
+
+// Form strings → alert. Throws with a message for the form to show.
+export function parseAlert({ side, strike, minDelta, field, op, value }) {
+  const num = (v, name) => {
+    if (v == null || String(v).trim() === "") return null;
+    const n = parseFloat(v);
+    if (!Number.isFinite(n)) throw new Error(`${name} must be a number`);
+    return n;
+  };
+  const threshold = num(value, "Threshold");
+  if (threshold == null) throw new Error("Enter a threshold");
+  if (!ALERT_FIELDS.some(([k]) => k === field)) throw new Error(`Unknown field "${field}"`);
+  return {
+    id: `a${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    side: side === "puts" ? "puts" : "calls",
+    strike: num(strike, "Strike"),
+    minDelta: num(minDelta, "Min |Δ|"),
+    field, op: op === "below" ? "below" : "above", value: threshold,
+  };
+}
+
+// scoreName: what "score" means under the current ranking, e.g. "Efficiency"
+export function describeAlert(a, scoreName) {
+  const which = a.strike != null ? `${a.side} $${a.strike}` : `any ${a.side}${a.minDelta != null ? ` ≥ ${a.minDelta}Δ` : ""}`;
+  return `${which} · ${a.field === "score" && scoreName ? scoreName : fieldLabel(a.field)} ${a.op} ${a.value}`;
+}
+
+// Rows of bySide ({ calls, puts } ranked rows) that satisfy the alert
+export function alertMatches(a, bySide) {
+  return (bySide?.[a.side] || []).filter(o => {
+    if (a.strike != null && strikeKey(o.strike) !== strikeKey(a.strike)) return false;
+    if (a.minDelta != null && !(o.delta != null && Math.abs(o.delta) >= a.minDelta)) return false;
+    const v = o[a.field];
+    return typeof v === "number" && (a.op === "below" ? v < a.value : v > a.value);
+  });
+}
+
+// Per strike of `next`: rank moved up (+) or down (−), mid change, or new
+// to the ranking. Strikes absent from `prev` have no deltas.
+export function diffRankings(prev, next) {
+  const before = new Map((prev || []).map(o => [strikeKey(o.strike), o]));
+  return new Map((next || []).map(o => {
+    const p = before.get(strikeKey(o.strike));
+    return [strikeKey(o.strike), p
+      ? { rankChange: p.rank - o.rank, midChange: o.mid - p.mid, isNew: false }
+      : { rankChange: 0, midChange: 0, isNew: true }];
+  }));
+}
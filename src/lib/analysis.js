@@ -0,0 +1,433 @@
+import { fetchSpotPrice, fetchOptionChain, fetchDividend } from "./providers.js";
+import { compileFormula, passesProfileFilters } from "./scoring.js";
+import { GREEK_KEYS, DEFAULT_RATE, bsmGreeks, bsmPrice } from "./greeks.js";
+import { daysToExpiry, yearFraction, calendarDaysPerDTE, tsToLabel, findClosestExpiry } from "./expiry.js";
+import { spansEarnings } from "./events.js";
+import { withSmile } from "./smile.js";
+import { capitalReturns } from "./margin.js";
+
+/* ═══════════════════════════════════════════════════════
+   DATA ACCESS
+   Fetching lives in ./providers — Yahoo by default, switchable
+   to custom/self-hosted proxies or offline fixtures.
+   ═══════════════════════════════════════════════════════ */
+
+// Run fn over items with at most `limit` in flight. Never rejects — each slot
+// settles to { status, value | reason } like Promise.allSettled.
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      try { results[i] = { status: "fulfilled", value: await fn(items[i], i) }; }
+      catch (reason) { results[i] = { status: "rejected", reason }; }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+
+/* ═══════════════════════════════════════════════════════
+   OPTION ANALYSIS — Real prices, real Greeks from Yahoo
+   ═══════════════════════════════════════════════════════ */
+
+export const SIDES = ["calls", "puts"];
+
+// Shared by both sides. Calls: intrinsic = max(0, Spot − Strike), yield vs strike.
+// Puts: intrinsic = max(0, Strike − Spot), yield vs cash-secured collateral.
+// opts.rate / opts.dividendYield feed the computed-Greeks fallback only.
+// opts.dteMode: "calendar" (default) or "trading" — the unit of dte and of
+// every per-day figure, theta included; yearFraction converts it for Greeks
+// and yields.
+// opts.dividend: the next ex-dividend { exDate, amount } (see fetchDividend);
+// opts.dividendInSplit moves a dividend that goes ex before expiry from a
+// call's extrinsic into its intrinsic.
+// opts.earnings: the next release { date, eventVariance? } (see ./events);
+// with the event variance, an expiry that spans it splits extrinsic into
+// eventPremium and exEventExtrinsic.
+// opts.account / opts.nakedCalls: the account the short is held in (see
+// ./margin) — sets buyingPower, capital and the return on that capital.
+// opts.now: the as-of unix time (default: now), for replaying old chains.
+export function analyzeOptions(contracts, spotPrice, expiryTs, numStrikes, side = "calls", opts = {}) {
+  const { rate = DEFAULT_RATE, dividendYield = 0, dteMode = "calendar", dividend = null, dividendInSplit = false, earnings = null, now = Date.now() / 1000 } = opts;
+  const isPut = side === "puts";
+  const dte = daysToExpiry(expiryTs, dteMode, now);
+  const years = yearFraction(dte, dteMode);
+  const dayScale = calendarDaysPerDTE(dteMode);
+  // Only a dividend going ex after today and by the expiry date matters
+  const today = Math.floor(now / 86400) * 86400;
+  const dividendAhead = dividend && dividend.exDate > today && dividend.exDate <= expiryTs ? dividend.amount : 0;
+  const spansEvent = spansEarnings(earnings, expiryTs, now);
+  const eventVariance = spansEvent ? earnings.eventVariance : null;
+  const sorted = [...contracts].sort((a, b) => a.strike - b.strike);
+
+  // Find ATM
+  let atmIdx = 0, minDist = Infinity;
+  sorted.forEach((c, i) => {
+    const dist = Math.abs(c.strike - spotPrice);
+    if (dist < minDist) { minDist = dist; atmIdx = i; }
+  });
+
+  // Determine strike increment from ATM area
+  let increment = 1;
+  if (sorted.length > 1) {
+    const nearby = sorted.slice(Math.max(0, atmIdx - 1), Math.min(sorted.length, atmIdx + 2));
+    if (nearby.length >= 2) increment = nearby[1].strike - nearby[0].strike;
+  }
+
+  const startIdx = Math.max(0, atmIdx - numStrikes);
+  const endIdx = Math.min(sorted.length, atmIdx + numStrikes + 1);
+  const selected = sorted.slice(startIdx, endIdx);
+
+  return selected.map(c => {
+    const strike = c.strike;
+    // Use mid price from real bid/ask
+    const bid = c.bid || 0;
+    const ask = c.ask || 0;
+    const hasQuote = bid > 0 && ask > 0;
+    const mid = hasQuote ? (bid + ask) / 2 : c.lastPrice || 0;
+    // "last" mids may be stale trades from hours ago — flagged in the UI
+    const midSource = hasQuote ? "quote" : mid > 0 ? "last" : null;
+    const spreadPct = hasQuote ? (ask - bid) / mid * 100 : null;
+    const last = c.lastPrice || 0;
+    const volume = c.volume || 0;
+    const openInterest = c.openInterest || 0;
+    const impliedVol = c.impliedVolatility || 0;
+
+    // THE KEY: extrinsic from real market prices, no model
+    const marketIntrinsic = Math.max(0, isPut ? strike - spotPrice : spotPrice - strike);
+    // An ITM call holder exercises the day before ex-date when the time value
+    // left is worth less than the dividend the shares would collect
+    const assignmentRisk = !isPut && dividendAhead > 0 && marketIntrinsic > 0 && mid - marketIntrinsic < dividendAhead;
+    // Net of dividend: the premium left once early assignment claws the dividend back
+    const intrinsic = !isPut && dividendInSplit && dividendAhead > 0 ? Math.max(0, spotPrice + dividendAhead - strike) : marketIntrinsic;
+    const extrinsic = Math.max(0, mid - intrinsic);
+
+    // Greeks directly from Yahoo; any it omits are derived from its IV
+    const greeks = {}, greekSource = {};
+    let model;
+    GREEK_KEYS.forEach(k => {
+      if (typeof c[k] === "number") { greeks[k] = c[k]; greekSource[k] = "market"; return; }
+      if (model === undefined) model = bsmGreeks(isPut, spotPrice, strike, years, rate, dividendYield, impliedVol);
+      greeks[k] = model ? model[k] : null;
+      greekSource[k] = model ? "computed" : null;
+    });
+    const { delta, gamma, vega, rho } = greeks;
+    // Yahoo and the model quote theta per calendar day; restate it per DTE day
+    const theta = greeks.theta != null ? greeks.theta * dayScale : null;
+
+    // Event premium: the strike's model value at its own IV less its value
+    // with the event variance taken out, capped at the extrinsic actually
+    // paid. Unknown (null) when the expiry spans earnings but no fit exists.
+    let eventPremium = spansEvent ? null : 0;
+    if (eventVariance != null && impliedVol > 0.01) {
+      const exEventVol = Math.sqrt(Math.max(0, impliedVol * impliedVol - eventVariance / years));
+      const full = bsmPrice(isPut, spotPrice, strike, years, rate, dividendYield, impliedVol);
+      const exEvent = bsmPrice(isPut, spotPrice, strike, years, rate, dividendYield, exEventVol);
+      eventPremium = Math.min(extrinsic, Math.max(0, full - exEvent));
+    }
+
+    const extrinsicPerDTE = extrinsic / dte;
+    const absDelta = delta != null ? Math.abs(delta) : null;
+
+    // Primary ranking metric
+    const efficiencyScore = (absDelta != null && absDelta > 0.01)
+      ? extrinsicPerDTE / absDelta
+      : null;
+
+    // Fallback ranking if no Greeks: pure extrinsic/DTE
+    const fallbackScore = extrinsicPerDTE;
+
+    // Liquidity-adjusted variants: only the extrinsic left after giving up half
+    // the spread counts. Without a two-sided quote nothing is assumed fillable.
+    const fillableExtrinsic = hasQuote ? Math.max(0, extrinsic - (ask - bid) / 2) : 0;
+    const liquidityScore = (absDelta != null && absDelta > 0.01)
+      ? fillableExtrinsic / dte / absDelta
+      : null;
+    const liquidityFallbackScore = fillableExtrinsic / dte;
+
+    // Ex-event variants count only ordinary time value
+    const exEventExtrinsic = extrinsic - (eventPremium || 0);
+    const exEventFillable = Math.max(0, fillableExtrinsic - (eventPremium || 0));
+    const exEventScore = (absDelta != null && absDelta > 0.01) ? exEventExtrinsic / dte / absDelta : null;
+    const exEventFallbackScore = exEventExtrinsic / dte;
+    const exEventLiquidityScore = (absDelta != null && absDelta > 0.01) ? exEventFillable / dte / absDelta : null;
+    const exEventLiquidityFallbackScore = exEventFillable / dte;
+
+    // Capital per share the yield is measured against. A cash-secured put
+    // reserves the full strike; calls keep the strike-based convention.
+    const collateral = strike;
+    const annualizedYield = extrinsic / collateral / years * 100;
+    // Return on the buying power the account actually ties up, per contract
+    const { buyingPower, capital, returnOnCapital, annualizedROC } = capitalReturns({ side, strike, mid, extrinsic, impliedVol, yearFraction: years }, spotPrice, opts);
+
+    const isITM = isPut ? strike > spotPrice : strike < spotPrice;
+    const isATM = Math.abs(strike - spotPrice) <= increment * 0.6;
+    const moneyness = isATM ? "ATM" : isITM ? "ITM" : "OTM";
+
+    return {
+      side, strike, mid, midSource, bid, ask, spreadPct, last, volume, openInterest, impliedVol,
+      intrinsic, extrinsic, extrinsicPerDTE, fillableExtrinsic,
+      efficiencyScore, fallbackScore, liquidityScore, liquidityFallbackScore, collateral, annualizedYield,
+      buyingPower, capital, returnOnCapital, annualizedROC,
+      delta, gamma, theta, vega, rho, greekSource,
+      dividendAhead, assignmentRisk,
+      spansEarnings: spansEvent, eventPremium, exEventExtrinsic, exEventFillable,
+      exEventScore, exEventFallbackScore, exEventLiquidityScore, exEventLiquidityFallbackScore,
+      dte, dteMode, yearFraction: years, moneyness, inTheMoney: c.inTheMoney || false,
+      contractSymbol: c.contractSymbol || "",
+    };
+  });
+}
+
+export function analyzeCallOptions(calls, spotPrice, expiryTs, numStrikes, opts) {
+  return analyzeOptions(calls, spotPrice, expiryTs, numStrikes, "calls", opts);
+}
+
+export function analyzePutOptions(puts, spotPrice, expiryTs, numStrikes, opts) {
+  return analyzeOptions(puts, spotPrice, expiryTs, numStrikes, "puts", opts);
+}
+
+// Liquidity filters: { minOpenInterest, minVolume, maxSpreadPct }, each
+// optional. A row without a two-sided quote fails any spread limit.
+export function passesLiquidity(o, filters = {}) {
+  const { minOpenInterest, minVolume, maxSpreadPct } = filters;
+  if (minOpenInterest > 0 && o.openInterest < minOpenInterest) return false;
+  if (minVolume > 0 && o.volume < minVolume) return false;
+  if (maxSpreadPct > 0 && (o.spreadPct == null || o.spreadPct > maxSpreadPct)) return false;
+  return true;
+}
+
+// opts: { filters, liquidityAdjusted, exEvent, profile }. Ranked rows carry
+// the value they were ranked on as `score`. exEvent ranks on extrinsic less
+// earnings event premium. A profile with a formula replaces the efficiency
+// metric; rows it cannot score (missing Greeks, ÷0) are left out.
+// Score fields for each ranking basis: [with Greeks, extrinsic/DTE fallback]
+const RANK_FIELDS = {
+  "": ["efficiencyScore", "fallbackScore"],
+  liquidity: ["liquidityScore", "liquidityFallbackScore"],
+  exEvent: ["exEventScore", "exEventFallbackScore"],
+  exEventliquidity: ["exEventLiquidityScore", "exEventLiquidityFallbackScore"],
+};
+
+// Whether rankByEfficiency scores these rows on Delta; with no Delta-based
+// score on any row it ranks by Extrinsic ÷ DTE (see scoreFormula)
+export function ranksOnDelta(options, opts = {}) {
+  const [primary] = RANK_FIELDS[`${opts.exEvent ? "exEvent" : ""}${opts.liquidityAdjusted ? "liquidity" : ""}`];
+  return options.some(o => o[primary] != null);
+}
+
+export function rankByEfficiency(options, opts = {}) {
+  const { profile } = opts;
+  if (profile?.formula) {
+    const formula = compileFormula(profile.formula);
+    return options
+      .filter(o => o.extrinsic > 0.01 && passesLiquidity(o, opts.filters) && passesProfileFilters(o, profile.filters))
+      .map(o => ({ ...o, score: formula(o) }))
+      .filter(o => Number.isFinite(o.score))
+      .sort((a, b) => b.score - a.score)
+      .map((o, i) => ({ ...o, rank: i + 1 }));
+  }
+
+  const [primary, fallback] = RANK_FIELDS[`${opts.exEvent ? "exEvent" : ""}${opts.liquidityAdjusted ? "liquidity" : ""}`];
+  const hasGreeks = ranksOnDelta(options, opts);
+  const rankable = options.filter(o => o.extrinsic > 0.01 && passesLiquidity(o, opts.filters) && passesProfileFilters(o, profile?.filters));
+
+  if (hasGreeks) {
+    // Split: options with Greeks get ranked by efficiency, others appended at end
+    const withGreeks = rankable.filter(o => o[primary] != null && o[primary] > 0);
+    const noGreeks = rankable.filter(o => o[primary] == null || o[primary] <= 0);
+    withGreeks.sort((a, b) => b[primary] - a[primary]);
+    noGreeks.sort((a, b) => b[fallback] - a[fallback]);
+    return [...withGreeks.map(o => ({ ...o, score: o[primary] })), ...noGreeks.map(o => ({ ...o, score: o[fallback] }))]
+      .map((o, i) => ({ ...o, rank: i + 1 }));
+  } else {
+    // No Greeks at all: rank by extrinsic/DTE
+    rankable.sort((a, b) => b[fallback] - a[fallback]);
+    return rankable.map((o, i) => ({ ...o, score: o[fallback], rank: i + 1 }));
+  }
+}
+
+// Covered-call outcomes for a lot of shares bought at costBasis. Returns are
+// measured from today's spot — the capital the lot ties up now — while the
+// gain or loss locked in by assignment is measured against the basis.
+export function coveredCallMetrics(o, spotPrice, { shares, costBasis }) {
+  const contracts = Math.floor(shares / 100);
+  const covered = contracts * 100;
+  const ifAssigned = (o.mid + o.strike - spotPrice) / spotPrice * 100;
+  // Flat spot: an OTM call expires and keeps its premium, an ITM one is
+  // assigned at the strike — either way the seller nets the extrinsic
+  const ifUnchanged = o.extrinsic / spotPrice * 100;
+  const breakeven = costBasis - o.mid;
+  return {
+    contracts, covered,
+    premium: o.mid * covered,
+    ifAssigned, ifUnchanged,
+    ifUnchangedAnnualized: ifUnchanged / o.yearFraction,
+    breakeven,
+    cushion: (spotPrice - breakeven) / spotPrice * 100,
+    assignedPnL: (o.strike + o.mid - costBasis) * covered,
+    belowBasis: o.strike < costBasis,
+  };
+}
+
+// Value of one option at expiry with the underlying at price S
+export function intrinsicAt(side, strike, S) {
+  return Math.max(0, side === "puts" ? strike - S : S - strike);
+}
+
+// Underlying prices for an expiry payoff chart: an even grid around the
+// anchors (spot, strikes) plus the anchors themselves so kinks land exactly
+export function payoffPriceGrid(anchors, minSpan) {
+  const lo = Math.max(0, Math.min(...anchors) - minSpan), hi = Math.max(...anchors) + minSpan;
+  return [...Array.from({ length: 61 }, (_, i) => lo + (hi - lo) * i / 60), ...anchors].sort((a, b) => a - b);
+}
+
+export const strikeKey = (k) => Math.round(k * 1000);
+
+// Vertical credit spreads: sell each analyzed strike and buy the strike
+// `width` further out of the money — bear call spreads on calls, bull put
+// spreads on puts. All figures per share; a spread with no credit, or a
+// credit at or above its width (bad quotes), is skipped.
+export function buildCreditSpreads(rows, widths, side = "calls") {
+  const dir = side === "puts" ? -1 : 1;
+  const byStrike = new Map(rows.map(o => [strikeKey(o.strike), o]));
+  const spreads = [];
+  rows.forEach(short => widths.forEach(width => {
+    const long = byStrike.get(strikeKey(short.strike + dir * width));
+    if (!long) return;
+    const netCredit = short.mid - long.mid;
+    const maxLoss = width - netCredit;
+    if (netCredit <= 0 || maxLoss <= 0) return;
+    const netExtrinsic = short.extrinsic - long.extrinsic;
+    // Position Greeks: short one leg, long the other
+    const netDelta = short.delta != null && long.delta != null ? long.delta - short.delta : null;
+    const netTheta = short.theta != null && long.theta != null ? long.theta - short.theta : null;
+    spreads.push({
+      side, short, long, width, dte: short.dte,
+      netCredit, naturalCredit: short.bid - long.ask, netExtrinsic,
+      creditToWidth: netCredit / width, maxLoss, returnOnRisk: netCredit / maxLoss * 100,
+      netDelta, netTheta,
+      breakeven: short.strike + dir * netCredit,
+      efficiency: netDelta != null && Math.abs(netDelta) > 0.001 ? netExtrinsic / short.dte / Math.abs(netDelta) : null,
+      midFromLast: short.midSource === "last" || long.midSource === "last",
+    });
+  }));
+  return spreads;
+}
+
+// Highest `key` first; spreads without a value for it go last
+export function rankSpreads(spreads, key) {
+  const has = spreads.filter(s => s[key] != null), missing = spreads.filter(s => s[key] == null);
+  has.sort((a, b) => b[key] - a[key]);
+  return [...has, ...missing].map((s, i) => ({ ...s, rank: i + 1 }));
+}
+
+// Column/axis label and formula text for whatever rankByEfficiency ranked on
+export function scoreLabel(opts = {}) {
+  if (opts.profile?.formula) return opts.profile.name;
+  return `${opts.exEvent ? "Ex-Event " : ""}${opts.liquidityAdjusted ? "Liq. Efficiency" : "Efficiency"}`;
+}
+export function scoreFormula(opts = {}, hasGreeks = true) {
+  if (opts.profile?.formula) return opts.profile.formula;
+  const premium = `${opts.exEvent ? "Ex-Event " : ""}${opts.liquidityAdjusted ? "Fillable Extrinsic" : "Extrinsic"}`;
+  return hasGreeks ? `${premium} ÷ DTE ÷ |Delta|` : `${premium} ÷ DTE`;
+}
+
+// Term-structure scan: the single-expiry pipeline run over every fetched
+// expiry, plus one ranking across all of them. Efficiency is already per day,
+// so weeklies and monthlies compare directly.
+export function scanTermStructure(chains, spotPrice, numStrikes, opts) {
+  const result = { expiries: chains.map(c => c.expiry), scoreLabel: scoreLabel(opts), dteMode: opts.dteMode || "calendar", earnings: opts.earnings || null };
+  // Each expiry's smile is fitted across both sides
+  const perExpiry = chains.map(c => withSmile(Object.fromEntries(SIDES.map(side =>
+    [side, analyzeOptions(c[side] || [], spotPrice, c.expiry, numStrikes, side, opts).map(o => ({ ...o, expiry: c.expiry }))])), spotPrice, opts));
+  SIDES.forEach(side => {
+    const byExpiry = chains.map((c, i) => {
+      const analyzed = perExpiry[i][side];
+      return { expiry: c.expiry, analyzed, ranked: rankByEfficiency(analyzed, opts) };
+    });
+    const rows = byExpiry.flatMap(e => e.analyzed);
+    result[side] = { byExpiry, rows, ranked: rankByEfficiency(rows, opts) };
+  });
+  return result;
+}
+
+// Watchlist screener: the single-expiry pipeline for one symbol, reduced to
+// the top-ranked strike on each side.
+export async function screenTicker(ticker, targetExpiry, numStrikes, opts) {
+  const spot = await fetchSpotPrice(ticker);
+  const initial = await fetchOptionChain(ticker, null);
+  if (!initial.expirationDates?.length) throw new Error(`No options available for ${ticker}`);
+  const expiry = findClosestExpiry(initial.expirationDates, targetExpiry);
+  const chain = await fetchOptionChain(ticker, expiry);
+  const analyzed = withSmile(Object.fromEntries(SIDES.map(side => [side, analyzeOptions(chain[side] || [], spot.price, expiry, numStrikes, side, opts)])), spot.price, opts);
+  const top = {};
+  SIDES.forEach(side => {
+    top[side] = rankByEfficiency(analyzed[side], opts)[0] || null;
+  });
+  return { ticker, name: spot.name, spot: spot.price, expiry, top };
+}
+
+// Roll analyzer for an open short call: buy it back at costToClose (blank =
+// current ask) and sell a call at the same or a higher strike in a later
+// expiry. The baseline is the extrinsic still left in the current contract.
+export async function analyzeRolls(ticker, { strike, expiryDate, costToClose, maxExtraDays }, numStrikes, opts, onStatus) {
+  const spot = await fetchSpotPrice(ticker, onStatus);
+  // A roll target past the ex-date can be assigned early just like the current call
+  const dividend = await fetchDividend(ticker, onStatus).catch(() => null);
+  opts = { ...opts, dividend };
+  const initial = await fetchOptionChain(ticker, null, onStatus);
+  if (!initial.expirationDates?.length) throw new Error(`No options available for ${ticker}`);
+  const expiry = findClosestExpiry(initial.expirationDates, expiryDate);
+
+  const chain = await fetchOptionChain(ticker, expiry, onStatus);
+  const current = analyzeOptions(chain.calls || [], spot.price, expiry, Infinity, "calls", opts)
+    .find(o => Math.abs(o.strike - strike) < 1e-6);
+  if (!current) throw new Error(`No ${ticker} ${strike} call listed for ${tsToLabel(expiry)}`);
+  const closeCost = costToClose > 0 ? costToClose : current.ask || current.mid;
+  const baseline = {
+    ...current, closeCost,
+    remainingExtrinsic: Math.max(0, closeCost - current.intrinsic),
+  };
+  baseline.extrinsicPerDay = baseline.remainingExtrinsic / current.dte;
+
+  const later = initial.expirationDates.filter(ts => ts > expiry && (!maxExtraDays || daysToExpiry(ts, opts.dteMode) - current.dte <= maxExtraDays));
+  const targets = [];
+  for (let i = 0; i < later.length; i++) {
+    if (onStatus) onStatus(`Loading roll targets ${tsToLabel(later[i])} (${i + 1}/${later.length})…`);
+    try {
+      const c = await fetchOptionChain(ticker, later[i], onStatus);
+      analyzeOptions(c.calls || [], spot.price, later[i], numStrikes, "calls", opts)
+        .filter(o => o.strike >= strike - 1e-6 && o.mid > 0)
+        .forEach(o => {
+          const extraDays = o.dte - current.dte;
+          const extrinsicGained = o.extrinsic - baseline.remainingExtrinsic;
+          targets.push({
+            ...o, expiry: later[i], extraDays,
+            netCredit: o.mid - closeCost,
+            extrinsicGained,
+            extrinsicPerExtraDay: extraDays > 0 ? extrinsicGained / extraDays : null,
+            deltaChange: o.delta != null && current.delta != null ? o.delta - current.delta : null,
+            rollType: o.strike > strike + 1e-6 ? "up & out" : "out",
+          });
+        });
+    } catch { /* skip expiries that fail to load, as in the term scan */ }
+  }
+  return { ticker, spot: spot.price, expiry, dividend, baseline, targets };
+}
+
+// Highest first for credit and extrinsic; delta ranks the biggest reduction first
+export const ROLL_SORTS = {
+  extrinsicPerExtraDay: o => o.extrinsicPerExtraDay,
+  netCredit: o => o.netCredit,
+  deltaChange: o => (o.deltaChange != null ? -o.deltaChange : null),
+};
+export function rankRolls(targets, sortBy) {
+  const key = ROLL_SORTS[sortBy] || ROLL_SORTS.extrinsicPerExtraDay;
+  const has = targets.filter(o => key(o) != null), missing = targets.filter(o => key(o) == null);
+  has.sort((a, b) => key(b) - key(a));
+  return [...has, ...missing].map((o, i) => ({ ...o, rank: i + 1 }));
+}
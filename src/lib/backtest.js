@@ -0,0 +1,273 @@
+/* ═══════════════════════════════════════════════════════
+   BACKTEST
+   Replays covered-call selling over a history of chain snapshots: hold
+   100 shares, keep one short call open at a time, pick each strike by the
+   ranking (analyzeCallOptions + rankByEfficiency) or by a plain rule such
+   as "nearest 0.30Δ", and hold it to expiry or roll it. Fully offline —
+   the snapshots carry their own underlying prices, optionally backed by a
+   daily price file for settling expiries that fall between snapshots.
+   snapshot: { asOf (unix s, that day's 4 pm ET close), date ("YYYY-MM-DD"),
+               spot, ticker, chains: [{ expiry, calls, puts }] }
+   Dollar figures are per contract (100 shares); dividends are ignored.
+   ═══════════════════════════════════════════════════════ */
+
+import { analyzeCallOptions, rankByEfficiency, scoreLabel } from "./analysis.js";
+import { expiryCloseTs, isMonthlyExpiry, tsToDate } from "./expiry.js";
+import { importChainCsv, groupByExpiry, parseCsv, parseNumber, parseExpiryDate } from "./csvImport.js";
+import { isZip, readZip } from "./zip.js";
+
+const DAY = 86400;
+const MULTIPLIER = 100;
+// An expiry with no price on its own date settles at the last one this close before it
+const SETTLE_LOOKBACK_DAYS = 3;
+// Days ahead each entry aims for
+const TARGET_DAYS = { weekly: 7, monthly: 30 };
+
+const dayOf = (ts) => Math.floor(ts / DAY) * DAY;
+
+
+/* ── Loading ────────────────────────────────────────── */
+
+const snapshotOf = (day, spot, chains, ticker) => ({
+  asOf: expiryCloseTs(day), date: tsToDate(day), spot, ticker: ticker ? ticker.toUpperCase() : null,
+  chains: chains.filter(c => c.calls.length).sort((a, b) => a.expiry - b.expiry),
+});
+
+// One snapshot in the offline-fixture layout (public/fixtures):
+// { asOf: "YYYY-MM-DD", spot: { price } | number, quote?: { symbol }, expirations: [{ date, calls, puts }] }
+const fromFixture = (j) => {
+  const day = parseExpiryDate(j.asOf ?? j.date);
+  const spot = typeof j.spot === "number" ? j.spot : j.spot?.price ?? j.quote?.regularMarketPrice;
+  if (day == null) throw new Error("no asOf date");
+  if (!(spot > 0)) throw new Error("no underlying price (spot)");
+  const chains = (j.expirations || []).map(e => {
+    const expiry = typeof e.date === "number" ? e.date : parseExpiryDate(e.date);
+    if (expiry == null) throw new Error(`unreadable expiry "${e.date}"`);
+    return { expiry, calls: e.calls || [], puts: e.puts || [] };
+  });
+  return snapshotOf(day, spot, chains, j.ticker || j.quote?.symbol);
+};
+
+const toPrice = (p) => {
+  const day = typeof p.date === "number" ? dayOf(p.date) : parseExpiryDate(p.date);
+  const price = p.close ?? p.price;
+  return day != null && price > 0 ? { day, price } : null;
+};
+
+// A JSON file is one fixture snapshot, an array of them, or a bundle
+// { snapshots: [...], prices: [{ date, close }] }
+const readJson = (text) => {
+  const j = JSON.parse(text);
+  if (Array.isArray(j)) return { snapshots: j.map(fromFixture), prices: [] };
+  if (j.snapshots || j.prices) return { snapshots: (j.snapshots || []).map(fromFixture), prices: (j.prices || []).map(toPrice).filter(Boolean) };
+  return { snapshots: [fromFixture(j)], prices: [] };
+};
+
+// A daily price file has a date and a close (or price) column and no strikes
+const readPriceCsv = (rows) => {
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const dateIdx = header.indexOf("date");
+  const closeIdx = ["close", "adj close", "price", "last"].map(h => header.indexOf(h)).find(i => i >= 0);
+  return rows.slice(1).map(r => toPrice({ date: r[dateIdx], close: parseNumber(r[closeIdx]) })).filter(Boolean);
+};
+const isPriceCsv = (rows) => {
+  const header = (rows[0] || []).map(h => h.trim().toLowerCase());
+  return header.includes("date") && header.some(h => ["close", "adj close", "price", "last"].includes(h)) && !header.includes("strike");
+};
+
+// A broker chain export (see importChainCsv) dated by its file name, e.g.
+// AAPL_2024-03-08.csv or aapl-20240308.csv
+const FILE_DATE = /(\d{4})-?(\d{2})-?(\d{2})/;
+const readChainCsv = (text, name) => {
+  const m = name.match(FILE_DATE);
+  if (!m) throw new Error("no YYYY-MM-DD date in the file name");
+  const parsed = importChainCsv(text);
+  if (!parsed.contracts.length) throw new Error(parsed.errors[0]?.message || "no contracts found");
+  const chains = groupByExpiry(parsed.contracts).filter(g => g.expiry != null);
+  const snap = snapshotOf(parseExpiryDate(`${m[1]}-${m[2]}-${m[3]}`), parsed.underlying, chains, parsed.ticker);
+  return { ...snap, needsSpot: !(parsed.underlying > 0) };
+};
+
+const textOf = (file) => (file.text != null ? file.text : new TextDecoder().decode(file.bytes));
+
+// files: [{ name, text } | { name, bytes: Uint8Array }] — JSON, CSV or ZIP
+// archives of them. Returns { ticker, snapshots (oldest first, one per day),
+// prices (daily, from price files and snapshot spots), errors: [{ file, message }] }.
+export async function loadHistoryFiles(files) {
+  const snapshots = [], filePrices = [], errors = [];
+  const queue = [...files];
+  while (queue.length) {
+    const file = queue.shift();
+    const name = file.name || "";
+    try {
+      if (file.bytes && isZip(file.bytes)) { queue.push(...(await readZip(file.bytes)).map(e => ({ ...e, name: `${name}/${e.name}` }))); continue; }
+      if (/\.json$/i.test(name)) {
+        const { snapshots: s, prices } = readJson(textOf(file));
+        snapshots.push(...s); filePrices.push(...prices);
+      } else if (/\.csv$/i.test(name)) {
+        const text = textOf(file);
+        const rows = parseCsv(text);
+        if (isPriceCsv(rows)) filePrices.push(...readPriceCsv(rows));
+        else snapshots.push(readChainCsv(text, name.split("/").pop()));
+      }
+    } catch (e) {
+      errors.push({ file: name, message: e.message });
+    }
+  }
+
+  // Price files take precedence; snapshot spots fill the remaining days
+  const byDay = new Map(filePrices.map(p => [p.day, p.price]));
+  const resolved = [];
+  snapshots.forEach(({ needsSpot, ...s }) => {
+    const day = dayOf(s.asOf);
+    if (!needsSpot) resolved.push(s);
+    else if (byDay.has(day)) resolved.push({ ...s, spot: byDay.get(day) });
+    else errors.push({ file: s.date, message: "chain export has no underlying price and no price file covers its date" });
+  });
+  resolved.forEach(s => { if (!byDay.has(dayOf(s.asOf))) byDay.set(dayOf(s.asOf), s.spot); });
+
+  // One snapshot per day — the later file wins
+  const perDay = new Map(resolved.map(s => [s.date, s]));
+  const ticker = resolved.find(s => s.ticker)?.ticker || null;
+  return {
+    ticker,
+    snapshots: [...perDay.values()].sort((a, b) => a.asOf - b.asOf),
+    prices: [...byDay.entries()].map(([day, price]) => ({ day, price })).sort((a, b) => a.day - b.day),
+    errors,
+  };
+}
+
+
+/* ── Replay ─────────────────────────────────────────── */
+
+// rule: { type: "ranked" } sells the #1 strike of rankByEfficiency under
+// opts; { type: "delta", delta: 0.3 } sells the call nearest that delta.
+export const ruleLabel = (rule, opts = {}) => (rule.type === "delta" ? `${rule.delta.toFixed(2)}Δ call` : `#1 by ${scoreLabel(opts)}`);
+
+const pickStrike = (rows, ranked, rule) => {
+  if (rule.type === "delta") {
+    return rows.filter(o => o.delta != null && o.mid > 0)
+      .reduce((best, o) => (!best || Math.abs(o.delta - rule.delta) < Math.abs(best.delta - rule.delta) ? o : best), null);
+  }
+  return ranked[0] || null;
+};
+
+// The expiry an entry on this snapshot sells: nearest the target days out,
+// preferring standard monthlies for monthly entries; later than `after` on a roll
+const pickExpiry = (snap, frequency, after = 0) => {
+  const target = dayOf(snap.asOf) + TARGET_DAYS[frequency] * DAY;
+  const later = snap.chains.filter(c => c.expiry > dayOf(snap.asOf) && c.expiry > after);
+  const pool = frequency === "monthly" && later.some(c => isMonthlyExpiry(c.expiry)) ? later.filter(c => isMonthlyExpiry(c.expiry)) : later;
+  return pool.reduce((best, c) => (!best || Math.abs(c.expiry - target) < Math.abs(best.expiry - target) ? c : best), null);
+};
+
+const settlementPrice = (prices, expiry) => {
+  const candidates = prices.filter(p => p.day <= expiry && p.day >= expiry - SETTLE_LOOKBACK_DAYS * DAY);
+  return candidates.length ? candidates[candidates.length - 1].price : null;
+};
+
+const quoteMid = (c) => (c.bid > 0 && c.ask > 0 ? (c.bid + c.ask) / 2 : c.lastPrice || 0);
+
+/**
+ * history: loadHistoryFiles output. config: {
+ *   rule, frequency: "weekly" | "monthly", manage: "hold" | "roll",
+ *   rollExtrinsic: roll an ITM short once its time value drops below this ($/share, default 0.10),
+ *   fillAtBid: sell at the bid and buy back at the ask instead of at mid,
+ *   fee: commission per contract per trade ($), numStrikes, opts: analysis/ranking options }
+ * → { label, trades, open, curve: [{ at, date, spot, equity, buyHold }], summary }
+ */
+export function runBacktest(history, { rule = { type: "ranked" }, frequency = "weekly", manage = "hold", rollExtrinsic = 0.1, fillAtBid = false, fee = 0, numStrikes = 10, opts = {} } = {}) {
+  const { snapshots, prices } = history;
+  const trades = [], curve = [];
+  let position = null, cash = 0;
+  const start = snapshots[0]?.spot;
+
+  const close = (snap, kind, cost, intrinsic, settle) => {
+    const paid = kind === "expired" ? 0 : fee;
+    cash -= cost * MULTIPLIER + paid;
+    const pnl = (position.premium - cost) * MULTIPLIER - position.fees - paid;
+    trades.push({
+      ...position, exitAt: snap.asOf, exitDate: snap.date, exit: kind, exitSpot: settle,
+      exitCost: cost, intrinsicLost: intrinsic, extrinsicPaid: Math.max(0, cost - intrinsic), fees: position.fees + paid, pnl,
+    });
+    position = null;
+  };
+
+  const open = (snap, after) => {
+    const chain = pickExpiry(snap, frequency, after);
+    if (!chain) return;
+    const rows = analyzeCallOptions(chain.calls, snap.spot, chain.expiry, numStrikes, { ...opts, now: snap.asOf });
+    const ranked = rankByEfficiency(rows, opts);
+    const o = pickStrike(rows, ranked, rule);
+    const premium = o && (fillAtBid ? o.bid : o.mid);
+    if (!(premium > 0)) return;
+    cash += premium * MULTIPLIER - fee;
+    position = {
+      entryAt: snap.asOf, entryDate: snap.date, expiry: chain.expiry, strike: o.strike, entrySpot: snap.spot,
+      premium, extrinsic: o.extrinsic, delta: o.delta, dte: o.dte, fees: fee,
+      // Where the ranking put the strike sold, whichever rule chose it
+      rank: ranked.find(r => r.strike === o.strike)?.rank ?? null,
+    };
+  };
+
+  snapshots.forEach(snap => {
+    if (position && dayOf(snap.asOf) >= position.expiry) {
+      const settle = settlementPrice(prices, position.expiry) ?? snap.spot;
+      const intrinsic = Math.max(0, settle - position.strike);
+      close(snap, intrinsic > 0 ? "assigned" : "expired", intrinsic, intrinsic, settle);
+    } else if (position && manage === "roll") {
+      const c = snap.chains.find(ch => ch.expiry === position.expiry)?.calls.find(k => k.strike === position.strike);
+      const intrinsic = Math.max(0, snap.spot - position.strike);
+      const mid = c ? quoteMid(c) : 0;
+      if (c && intrinsic > 0 && mid > 0 && mid - intrinsic < rollExtrinsic) {
+        const expiry = position.expiry;
+        close(snap, "rolled", fillAtBid && c.ask > 0 ? c.ask : mid, intrinsic, snap.spot);
+        open(snap, expiry);
+      }
+    }
+    if (!position) open(snap, 0);
+
+    // Shares plus cash, less what buying the open call back would cost
+    let mark = 0;
+    if (position) {
+      const c = snap.chains.find(ch => ch.expiry === position.expiry)?.calls.find(k => k.strike === position.strike);
+      mark = c && quoteMid(c) > 0 ? quoteMid(c) : Math.max(0, snap.spot - position.strike);
+    }
+    curve.push({ at: snap.asOf, date: snap.date, spot: snap.spot, equity: (snap.spot - mark) * MULTIPLIER + cash, buyHold: snap.spot * MULTIPLIER });
+  });
+
+  return { label: ruleLabel(rule, opts), rule, trades, open: position, curve, summary: summarize(trades, curve, start) };
+}
+
+// Peak-to-trough decline of the equity curve, in $ and % of the peak
+const drawdown = (curve, key) => {
+  let peak = -Infinity, max = 0, maxPct = 0;
+  curve.forEach(p => {
+    peak = Math.max(peak, p[key]);
+    max = Math.max(max, peak - p[key]);
+    maxPct = Math.max(maxPct, peak > 0 ? (peak - p[key]) / peak * 100 : 0);
+  });
+  return { max, maxPct };
+};
+
+function summarize(trades, curve, start) {
+  const sum = (f) => trades.reduce((s, t) => s + f(t), 0);
+  const premium = sum(t => t.premium * MULTIPLIER);
+  const intrinsicLost = sum(t => t.intrinsicLost * MULTIPLIER);
+  const extrinsicPaid = sum(t => t.extrinsicPaid * MULTIPLIER);
+  const fees = sum(t => t.fees);
+  const wins = trades.filter(t => t.pnl > 0).length;
+  const initial = start * MULTIPLIER;
+  const last = curve[curve.length - 1];
+  const dd = drawdown(curve, "equity"), ddHold = drawdown(curve, "buyHold");
+  return {
+    trades: trades.length, wins, winRate: trades.length ? wins / trades.length * 100 : null,
+    assignments: trades.filter(t => t.exit === "assigned").length, rolls: trades.filter(t => t.exit === "rolled").length,
+    premium, intrinsicLost, extrinsicPaid, fees, net: premium - intrinsicLost - extrinsicPaid - fees,
+    captured: premium > 0 ? (premium - intrinsicLost - extrinsicPaid) / premium * 100 : null,
+    initial, final: last ? last.equity : initial,
+    returnPct: last && initial > 0 ? (last.equity - initial) / initial * 100 : null,
+    buyHoldPct: last && initial > 0 ? (last.buyHold - initial) / initial * 100 : null,
+    maxDrawdown: dd.max, maxDrawdownPct: dd.maxPct, buyHoldDrawdownPct: ddHold.maxPct,
+  };
+}
@@ -0,0 +1,322 @@
+/* ═══════════════════════════════════════════════════════
+   BROKER CSV IMPORT
+   Turns option-chain exports from Schwab/thinkorswim, Interactive
+   Brokers or Tastytrade into the contract shape the analyzer uses
+   (Yahoo field names), grouped by expiry. Handles one-row-per-contract
+   files and thinkorswim's calls | strike | puts layout with per-expiry
+   section headings. Bad rows are reported, never silently dropped.
+   ═══════════════════════════════════════════════════════ */
+
+import { occSymbol } from "./providers.js";
+
+const SIDES = ["calls", "puts"];
+
+export const CSV_FIELDS = [
+  "symbol", "side", "expiry", "strike", "bid", "ask", "last", "mark",
+  "volume", "openInterest", "impliedVolatility", "delta", "gamma", "theta", "vega", "rho", "underlying",
+];
+
+// Headers every format shares. Normalized header (lowercase, alphanumerics
+// only) → field; when several columns match one field, the alias listed
+// first wins.
+const BASE_ALIASES = {
+  symbol: ["symbol", "contractsymbol", "optionsymbol", "occsymbol", "contract"],
+  side: ["callput", "putcall", "optiontype", "cp", "side", "type"],
+  expiry: ["expiration", "expirationdate", "expdate", "expiry", "expirydate"],
+  strike: ["strike", "strikeprice"],
+  bid: ["bid", "bidprice"],
+  ask: ["ask", "askprice"],
+  last: ["last", "lastprice", "lasttrade", "lasttradeprice"],
+  mark: ["mark", "markprice", "mid", "midprice"],
+  volume: ["volume", "vol", "totalvolume"],
+  openInterest: ["openinterest", "oi"],
+  impliedVolatility: ["iv", "impliedvol", "impliedvolatility", "ivol", "impvol"],
+  delta: ["delta"],
+  gamma: ["gamma"],
+  theta: ["theta"],
+  vega: ["vega"],
+  rho: ["rho"],
+  underlying: ["underlyingprice", "underlyinglast", "underlyinglastprice", "stockprice", "spot", "undprice"],
+};
+
+// Each preset adds the headers its broker's exports use and may force the
+// layout ("rows" | "sideBySide"; null = decide from the header row).
+// Auto-detect and Generic accept every preset's headers; Generic always
+// reads one contract per row.
+export const BROKER_PRESETS = {
+  auto: { label: "Auto-detect", layout: null },
+  schwab: {
+    label: "Schwab / thinkorswim", layout: "sideBySide",
+    aliases: { symbol: ["description"], expiry: ["exp"], bid: ["bidx"], ask: ["askx"], last: ["lastx"], openInterest: ["openint"], impliedVolatility: ["implvol"] },
+  },
+  ibkr: {
+    label: "Interactive Brokers", layout: "rows",
+    aliases: { symbol: ["financialinstrument", "instrument", "description"], side: ["right"], expiry: ["lasttradingday", "lasttradedate"] },
+  },
+  tastytrade: { label: "Tastytrade", layout: "rows" },
+  generic: { label: "Generic (one row per contract)", layout: "rows" },
+};
+
+const normHeader = (h) => String(h || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Preset id → { field(name), rank(name) } over the base plus its own aliases
+const LENIENT_PRESETS = new Set(["auto", "generic"]);
+const aliasCache = new Map();
+const aliasesFor = (broker) => {
+  if (aliasCache.has(broker)) return aliasCache.get(broker);
+  const extras = LENIENT_PRESETS.has(broker) ? Object.values(BROKER_PRESETS) : [BROKER_PRESETS[broker]];
+  const lists = Object.fromEntries(Object.entries(BASE_ALIASES).map(([field, names]) =>
+    [field, [...new Set([...names, ...extras.flatMap(p => p?.aliases?.[field] || [])])]]));
+  const toField = new Map(Object.entries(lists).flatMap(([field, names]) => names.map(n => [n, field])));
+  const aliases = {
+    field: (name) => toField.get(name),
+    rank: (name) => lists[toField.get(name)]?.indexOf(name) ?? Infinity,
+  };
+  aliasCache.set(broker, aliases);
+  return aliases;
+};
+
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF, BOM
+export function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += ch;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+export function parseNumber(raw) {
+  const s = String(raw ?? "").trim().replace(/[$,\s]/g, "");
+  if (!s || s === "--" || /^n\/?a$/i.test(s)) return null;
+  const n = parseFloat(s.replace(/%$/, "").replace(/^\((.*)\)$/, "-$1"));
+  return Number.isFinite(n) ? n : NaN;
+}
+
+const MONTHS = { JAN: 0, FEB: 1, MAR: 2, APR: 3, MAY: 4, JUN: 5, JUL: 6, AUG: 7, SEP: 8, OCT: 9, NOV: 10, DEC: 11 };
+const fullYear = (y) => (y < 100 ? 2000 + y : y);
+const utcTs = (y, m, d) => Date.UTC(fullYear(y), m, d) / 1000;
+
+// Expiry → 00:00 UTC timestamp, matching how Yahoo stamps expirations
+export function parseExpiryDate(raw) {
+  const s = String(raw || "").trim().toUpperCase().replace(/\s+\(\d+\).*$/, "");
+  let m;
+  if ((m = s.match(/^(\d{4})-(\d{2})-(\d{2})/))) return utcTs(+m[1], +m[2] - 1, +m[3]);
+  if ((m = s.match(/^(\d{4})(\d{2})(\d{2})$/))) return utcTs(+m[1], +m[2] - 1, +m[3]);
+  if ((m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/))) return utcTs(+m[3], +m[1] - 1, +m[2]);
+  if ((m = s.match(/^(\d{1,2})[\s-]([A-Z]{3})[\s-]'?(\d{2,4})$/)) && m[2] in MONTHS) return utcTs(+m[3], MONTHS[m[2]], +m[1]);
+  if ((m = s.match(/^([A-Z]{3})[A-Z]*\.?\s+(\d{1,2}),?\s+'?(\d{2,4})$/)) && m[1] in MONTHS) return utcTs(+m[3], MONTHS[m[1]], +m[2]);
+  return null;
+}
+
+export function parseSide(raw) {
+  const s = String(raw || "").trim().toUpperCase();
+  if (s === "C" || s === "CALL" || s === "CALLS") return "calls";
+  if (s === "P" || s === "PUT" || s === "PUTS") return "puts";
+  return null;
+}
+
+// OCC (AAPL261120C00200000), thinkorswim (.AAPL261120C200), Schwab
+// ("AAPL 11/20/2026 200.00 C") and IBKR ("AAPL NOV 20 '26 200 Call") descriptions
+export function parseContractSymbol(raw) {
+  const s = String(raw || "").trim().toUpperCase();
+  let m;
+  if ((m = s.match(/^\.?([A-Z.]{1,6})\s*(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/))) {
+    return { ticker: m[1], expiry: utcTs(+m[2], +m[3] - 1, +m[4]), side: m[5] === "C" ? "calls" : "puts", strike: +m[6] / 1000 };
+  }
+  if ((m = s.match(/^\.?([A-Z.]{1,6})(\d{2})(\d{2})(\d{2})([CP])(\d+(?:\.\d+)?)$/))) {
+    return { ticker: m[1], expiry: utcTs(+m[2], +m[3] - 1, +m[4]), side: m[5] === "C" ? "calls" : "puts", strike: +m[6] };
+  }
+  if ((m = s.match(/^([A-Z.]{1,6})\s+(\d{1,2})\/(\d{1,2})\/(\d{2,4})\s+(\d+(?:\.\d+)?)\s+([CP])(?:ALL|UT)?\b/))) {
+    return { ticker: m[1], expiry: utcTs(+m[4], +m[2] - 1, +m[3]), side: m[6] === "C" ? "calls" : "puts", strike: +m[5] };
+  }
+  if ((m = s.match(/^([A-Z.]{1,6})\s+([A-Z]{3})\s*(\d{1,2})\s+'?(\d{2,4})\s+(\d+(?:\.\d+)?)\s+(CALL|PUT)\b/)) && m[2] in MONTHS) {
+    return { ticker: m[1], expiry: utcTs(+m[4], MONTHS[m[2]], +m[3]), side: m[6] === "CALL" ? "calls" : "puts", strike: +m[5] };
+  }
+  return null;
+}
+
+export function detectBroker(rows) {
+  const flat = rows.slice(0, 40).map(r => r.map(normHeader).join("|")).join("\n");
+  if (/financialinstrument/.test(flat)) return "ibkr";
+  if (/callput/.test(flat) && /strikeprice/.test(flat)) return "tastytrade";
+  if (/stockquoteandoptionquote/.test(flat) || /\|implvol\|/.test(flat)) return "schwab";
+  return "generic";
+}
+
+const isHeaderRow = (row, aliases) => {
+  const fields = new Set(row.map(h => aliases.field(normHeader(h))).filter(Boolean));
+  return (fields.has("strike") || fields.has("symbol")) && (fields.has("bid") || fields.has("ask") || fields.has("last") || fields.has("mark"));
+};
+
+// Column layout for a header row under a preset (see BROKER_PRESETS).
+// Side-by-side when price columns appear on both sides of Strike (calls
+// left, puts right) or the preset says so; otherwise one contract per row.
+// `overrides` maps field → header name and wins over alias detection; in a
+// side-by-side layout it is looked up on each side of Strike.
+export function buildLayout(header, overrides = {}, broker = "auto") {
+  const aliases = aliasesFor(BROKER_PRESETS[broker] ? broker : "auto");
+  const forced = BROKER_PRESETS[broker]?.layout;
+  const names = header.map(normHeader);
+  const fieldAt = (i) => aliases.field(names[i]);
+  const strikeIdx = overrides.strike ? header.indexOf(overrides.strike) : names.findIndex((n, i) => fieldAt(i) === "strike");
+  const bidBetween = (from, to) => names.slice(from, to).some((n, i) => fieldAt(from + i) === "bid");
+  const sideBySide = strikeIdx > 0 && forced !== "rows" &&
+    (forced === "sideBySide" || (bidBetween(0, strikeIdx) && bidBetween(strikeIdx + 1, names.length)));
+
+  const collect = (from, to) => {
+    const cols = {};
+    for (let i = from; i < to; i++) {
+      const f = fieldAt(i);
+      if (f && (cols[f] == null || aliases.rank(names[i]) < aliases.rank(names[cols[f]]))) cols[f] = i;
+    }
+    return cols;
+  };
+  const applyOverrides = (cols, from, to) => {
+    Object.entries(overrides).forEach(([field, headerName]) => {
+      if (!headerName) { delete cols[field]; return; }
+      const idx = header.findIndex((h, i) => i >= from && i < to && h === headerName);
+      if (idx >= 0) cols[field] = idx;
+    });
+    return cols;
+  };
+
+  if (sideBySide) {
+    const calls = applyOverrides(collect(0, strikeIdx), 0, strikeIdx);
+    const puts = applyOverrides(collect(strikeIdx + 1, names.length), strikeIdx + 1, names.length);
+    calls.strike = puts.strike = strikeIdx;
+    // Shared columns such as Exp appear once, next to Strike
+    if (calls.expiry == null && puts.expiry != null) calls.expiry = puts.expiry;
+    if (puts.expiry == null && calls.expiry != null) puts.expiry = calls.expiry;
+    return { type: "sideBySide", columns: { calls, puts } };
+  }
+
+  return { type: "rows", columns: applyOverrides(collect(0, names.length), 0, names.length) };
+}
+
+const readContract = (cells, cols, ctx, line, errors) => {
+  const get = (f) => (cols[f] != null ? cells[cols[f]] : undefined);
+  const num = (f) => {
+    const v = parseNumber(get(f));
+    if (Number.isNaN(v)) { errors.push({ line, message: `${f} "${get(f)}" is not a number` }); return undefined; }
+    return v;
+  };
+  const parsed = parseContractSymbol(get("symbol"));
+
+  const side = ctx.side || parseSide(get("side")) || parsed?.side;
+  if (!side) { errors.push({ line, message: "cannot tell call from put (no Type/Call-Put column or parsable symbol)" }); return null; }
+
+  const rawStrike = get("strike");
+  const strike = rawStrike != null && String(rawStrike).trim() !== "" ? parseNumber(rawStrike) : parsed?.strike;
+  if (!(strike > 0)) { errors.push({ line, message: `strike "${rawStrike ?? ""}" is missing or invalid` }); return null; }
+
+  const expiry = (get("expiry") ? parseExpiryDate(get("expiry")) : null) || parsed?.expiry || ctx.expiry;
+  if (!expiry) { errors.push({ line, message: `no expiry — "${get("expiry") ?? ""}" is not a recognized date and no section heading applies` }); return null; }
+
+  const before = errors.length;
+  const bid = num("bid"), ask = num("ask"), last = num("last"), mark = num("mark");
+  const volume = num("volume"), openInterest = num("openInterest");
+  let iv = num("impliedVolatility");
+  const greeks = Object.fromEntries(["delta", "gamma", "theta", "vega", "rho"].map(g => [g, num(g)]));
+  if (errors.length > before) return null;
+
+  if (bid != null && ask != null && bid > ask && ask > 0) { errors.push({ line, message: `bid ${bid} is above ask ${ask}` }); return null; }
+  if (!(bid > 0 || ask > 0 || last > 0 || mark > 0)) { errors.push({ line, message: "no bid, ask, last or mark price" }); return null; }
+  // IV arrives as 27.5, 27.5% or 0.275 depending on the broker
+  if (iv != null && (String(get("impliedVolatility")).includes("%") || iv > 3)) iv /= 100;
+
+  const contract = {
+    contractSymbol: parsed ? String(get("symbol")).trim() : "",
+    strike, bid: bid || 0, ask: ask || 0,
+    lastPrice: last ?? mark ?? 0,
+    volume: volume || 0, openInterest: openInterest || 0,
+    impliedVolatility: iv || 0,
+  };
+  Object.entries(greeks).forEach(([g, v]) => { if (v != null) contract[g] = v; });
+
+  return { side, expiry, ticker: parsed?.ticker, contract, underlying: parseNumber(get("underlying")) };
+};
+
+/**
+ * Parse a broker export.
+ * options: { broker: "auto" | preset id (its header aliases and layout), mapping: { field: headerName } }
+ * → { broker, header, layout, ticker, underlying, contracts: [{ side, expiry, contract }], errors: [{ line, message }] }
+ */
+export function importChainCsv(text, { broker = "auto", mapping = {} } = {}) {
+  const rows = parseCsv(text);
+  const errors = [];
+  const contracts = [];
+  const preset = BROKER_PRESETS[broker] ? broker : "auto";
+  const aliases = aliasesFor(preset);
+  const detected = preset === "auto" ? detectBroker(rows) : preset;
+  let header = null, layout = null, sectionExpiry = null, underlying = null, ticker = null;
+
+  rows.forEach((cells, i) => {
+    const line = i + 1;
+    if (!cells.some(c => c.trim())) return;
+
+    // thinkorswim: "UNDERLYING" block — header row then a values row
+    if (normHeader(cells[0]) === "underlying" && cells.filter(c => c.trim()).length === 1) {
+      const head = rows[i + 1] || [], vals = rows[i + 2] || [];
+      const lastIdx = head.findIndex(h => normHeader(h) === "last");
+      if (lastIdx >= 0) underlying = parseNumber(vals[lastIdx]) || underlying;
+      return;
+    }
+    // thinkorswim: per-expiry section heading such as "20 NOV 26  (35)  100"
+    const heading = cells.filter(c => c.trim()).length === 1 && parseExpiryDate(cells.find(c => c.trim()));
+    if (heading) { sectionExpiry = heading; return; }
+    const quoteLine = cells.join(" ").match(/option quote for ([A-Z.]+)/i);
+    if (quoteLine) { ticker = quoteLine[1].toUpperCase(); return; }
+
+    if (isHeaderRow(cells, aliases)) { header = cells; layout = buildLayout(cells, mapping, preset); return; }
+    if (!layout) return; // preamble before the first header row
+
+    if (layout.type === "sideBySide") {
+      SIDES.forEach(side => {
+        const r = readContract(cells, layout.columns[side], { side, expiry: sectionExpiry }, line, errors);
+        if (r) contracts.push(r);
+      });
+    } else {
+      const r = readContract(cells, layout.columns, { expiry: sectionExpiry }, line, errors);
+      if (r) contracts.push(r);
+    }
+  });
+
+  if (!header) errors.push({ line: 0, message: "no header row found — expected columns such as Strike, Bid, Ask" });
+  contracts.forEach(r => {
+    if (r.underlying > 0 && !underlying) underlying = r.underlying;
+    if (r.ticker && !ticker) ticker = r.ticker;
+  });
+
+  return {
+    broker: detected, header: header || [], layout,
+    ticker, underlying: underlying > 0 ? underlying : null,
+    contracts: contracts.map(({ side, expiry, contract }) => ({
+      side, expiry,
+      contract: contract.contractSymbol || !ticker ? contract : { ...contract, contractSymbol: occSymbol(ticker, expiry, side, contract.strike) },
+    })),
+    errors,
+  };
+}
+
+// [{ expiry, calls, puts }] sorted by expiry, in the shape fetchOptionChain returns per date
+export function groupByExpiry(contracts) {
+  const groups = new Map();
+  contracts.forEach(({ side, expiry, contract }) => {
+    if (!groups.has(expiry)) groups.set(expiry, { expiry, calls: [], puts: [] });
+    groups.get(expiry)[side].push(contract);
+  });
+  return [...groups.values()].sort((a, b) => a.expiry - b.expiry);
+}
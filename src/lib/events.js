@@ -0,0 +1,70 @@
+/* ═══════════════════════════════════════════════════════
+   EARNINGS EVENTS
+   An expiry that spans an earnings release carries event premium on top
+   of ordinary time value. Total implied variance (IV² × T) grows with
+   time at the base rate, plus one jump E for every expiry after the
+   release; fitting  IV² T = σ² T + E · [spans]  to the ATM IVs of the
+   listed expiries separates the two.
+   ═══════════════════════════════════════════════════════ */
+
+import { fetchOptionChain } from "./providers.js";
+import { isAbortError } from "./http.js";
+import { daysToExpiry, yearFraction } from "./expiry.js";
+
+const DAY = 86400;
+
+// A release on the expiry date itself counts: a before-the-open report
+// moves that day's expiry
+export const spansEarnings = (earnings, expiryTs, now = Date.now() / 1000) =>
+  !!earnings && earnings.date >= Math.floor(now / DAY) * DAY && earnings.date <= expiryTs;
+
+// Mean IV of the call and put struck nearest spot; quotes without IV are skipped
+export function atmImpliedVol(chain, spotPrice) {
+  const ivs = ["calls", "puts"].map(side => (chain[side] || [])
+    .filter(c => c.impliedVolatility > 0.01)
+    .reduce((best, c) => (!best || Math.abs(c.strike - spotPrice) < Math.abs(best.strike - spotPrice) ? c : best), null))
+    .filter(Boolean)
+    .map(c => c.impliedVolatility);
+  return ivs.length ? ivs.reduce((a, b) => a + b, 0) / ivs.length : null;
+}
+
+// points: [{ expiry, iv }]. Least squares on both unknowns, so it needs at
+// least two expiries, one of them after the release. Returns null when the
+// fit is underdetermined or the base variance comes out negative (a term
+// structure too noisy to separate); a negative event jump is clamped to 0.
+export function fitEventVariance(points, earnings, dteMode = "calendar") {
+  const obs = points.filter(p => p.iv > 0.01).map(p => {
+    const T = yearFraction(daysToExpiry(p.expiry, dteMode), dteMode);
+    return { T, w: p.iv * p.iv * T, s: spansEarnings(earnings, p.expiry) ? 1 : 0 };
+  });
+  if (obs.length < 2 || !obs.some(o => o.s)) return null;
+  let tt = 0, ts = 0, ss = 0, tw = 0, sw = 0;
+  obs.forEach(o => { tt += o.T * o.T; ts += o.T * o.s; ss += o.s; tw += o.T * o.w; sw += o.s * o.w; });
+  const det = tt * ss - ts * ts;
+  if (Math.abs(det) < 1e-12) return null;
+  const baseVar = (tw * ss - ts * sw) / det;
+  const eventVariance = Math.max(0, (tt * sw - ts * tw) / det);
+  if (!(baseVar > 0)) return null;
+  // move: the one-standard-deviation earnings move as a fraction of spot
+  return { eventVariance, baseVol: Math.sqrt(baseVar), move: Math.sqrt(eventVariance), expiries: obs.length };
+}
+
+// Fits the event variance for `earnings` from the ATM term structure: up to
+// two expiries before the release and three after it, nearest first. Chains
+// in `loaded` ([{ expiry, calls, puts }]) are reused; the rest are fetched,
+// and any that fail are left out of the fit. signal cancels the fetches.
+export async function fetchEventTermStructure(ticker, expirationDates, earnings, spotPrice, { dteMode = "calendar", loaded = [], signal } = {}, onStatus) {
+  const live = expirationDates.filter(ts => daysToExpiry(ts) > 1);
+  const before = live.filter(ts => !spansEarnings(earnings, ts)).slice(-2);
+  const after = live.filter(ts => spansEarnings(earnings, ts)).slice(0, 3);
+  const points = [];
+  for (const expiry of [...before, ...after]) {
+    let chain = loaded.find(c => c.expiry === expiry);
+    if (!chain) {
+      if (onStatus) onStatus(`Loading ${ticker} term structure around earnings (${points.length + 1}/${before.length + after.length})…`);
+      try { chain = await fetchOptionChain(ticker, expiry, onStatus, { signal }); } catch (e) { if (isAbortError(e)) throw e; continue; }
+    }
+    points.push({ expiry, iv: atmImpliedVol(chain, spotPrice) });
+  }
+  return fitEventVariance(points, earnings, dteMode);
+}
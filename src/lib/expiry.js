@@ -0,0 +1,166 @@
+/* ═══════════════════════════════════════════════════════
+   EXPIRY DATES
+   Expiries are unix timestamps as Yahoo sends them (00:00 UTC on the
+   expiry date); target dates are "YYYY-MM-DD" strings. Time to expiry
+   runs to the 4:00 pm ET close of that date, measured either in
+   fractional calendar days or in fractional NYSE trading sessions.
+   ═══════════════════════════════════════════════════════ */
+
+const DAY = 86400;
+
+// Days per year for each DTE basis — annualized figures divide by these
+export const DTE_MODES = { calendar: 365, trading: 252 };
+
+// Floor so an expiry minutes from the close cannot blow up per-day metrics:
+// one hour, in the basis' own units (a session is 6.5 hours)
+const MIN_DTE = { calendar: 1 / 24, trading: 1 / 6.5 };
+
+const utcParts = (ts) => {
+  const d = new Date(ts * 1000);
+  return { y: d.getUTCFullYear(), m: d.getUTCMonth(), d: d.getUTCDate(), dow: d.getUTCDay() };
+};
+const ymdKey = (y, m, d) => `${y}-${String(m + 1).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+
+// Day of month of the nth `weekday` (0 = Sunday) in month m; n = -1 is the last
+const nthWeekday = (y, m, weekday, n) => {
+  if (n > 0) return 1 + (weekday - new Date(Date.UTC(y, m, 1)).getUTCDay() + 7) % 7 + (n - 1) * 7;
+  const last = new Date(Date.UTC(y, m + 1, 0));
+  return last.getUTCDate() - (last.getUTCDay() - weekday + 7) % 7;
+};
+
+// US Eastern is UTC−4 from the second Sunday of March to the first Sunday
+// of November (the switch is at 2 am, so the close always uses the new offset)
+const easternOffset = (y, m, d) => {
+  if (m > 2 && m < 10) return 4;
+  if (m === 2) return d >= nthWeekday(y, 2, 0, 2) ? 4 : 5;
+  if (m === 10) return d < nthWeekday(y, 10, 0, 1) ? 4 : 5;
+  return 5;
+};
+
+// Anonymous Gregorian algorithm
+const easterSunday = (y) => {
+  const a = y % 19, b = Math.floor(y / 100), c = y % 100, d = Math.floor(b / 4), e = b % 4;
+  const f = Math.floor((b + 8) / 25), g = Math.floor((b - f + 1) / 3), h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4), k = c % 4, l = (32 + 2 * e + 2 * i - h - k) % 7, m = Math.floor((a + 11 * h + 22 * l) / 451);
+  return new Date(Date.UTC(y, Math.floor((h + l - 7 * m + 114) / 31) - 1, (h + l - 7 * m + 114) % 31 + 1));
+};
+
+// Full-day NYSE holidays by rule. A Saturday holiday is observed on Friday,
+// a Sunday one on Monday — except New Year's Day, which is not moved back
+// into December. Early closes and one-off closures are not modelled.
+const holidayCache = new Map();
+const nyseHolidays = (y) => {
+  if (holidayCache.has(y)) return holidayCache.get(y);
+  const days = new Set();
+  const fixed = (m, d, backToFriday = true) => {
+    const dow = new Date(Date.UTC(y, m, d)).getUTCDay();
+    if (dow === 6) { if (backToFriday) days.add(ymdKey(y, m, d - 1)); }
+    else days.add(ymdKey(y, m, dow === 0 ? d + 1 : d));
+  };
+  fixed(0, 1, false);
+  days.add(ymdKey(y, 0, nthWeekday(y, 0, 1, 3)));   // Martin Luther King Jr. Day
+  days.add(ymdKey(y, 1, nthWeekday(y, 1, 1, 3)));   // Washington's Birthday
+  const goodFriday = new Date(easterSunday(y).getTime() - 2 * DAY * 1000);
+  days.add(ymdKey(y, goodFriday.getUTCMonth(), goodFriday.getUTCDate()));
+  days.add(ymdKey(y, 4, nthWeekday(y, 4, 1, -1)));  // Memorial Day
+  if (y >= 2022) fixed(5, 19);                      // Juneteenth
+  fixed(6, 4);
+  days.add(ymdKey(y, 8, nthWeekday(y, 8, 1, 1)));   // Labor Day
+  days.add(ymdKey(y, 10, nthWeekday(y, 10, 4, 4))); // Thanksgiving
+  fixed(11, 25);
+  holidayCache.set(y, days);
+  return days;
+};
+
+export function isTradingDay(y, m, d) {
+  const dow = new Date(Date.UTC(y, m, d)).getUTCDay();
+  return dow !== 0 && dow !== 6 && !nyseHolidays(y).has(ymdKey(y, m, d));
+}
+
+// Unix time of the 4:00 pm ET close on the expiry's date
+export function expiryCloseTs(ts) {
+  const { y, m, d } = utcParts(ts);
+  return Date.UTC(y, m, d, 16 + easternOffset(y, m, d)) / 1000;
+}
+
+// Time left to the expiry close. "calendar": fractional days. "trading":
+// fractional 9:30–4:00 ET sessions, counting only what is left of today's.
+export function daysToExpiry(ts, mode = "calendar", now = Date.now() / 1000) {
+  const close = expiryCloseTs(ts);
+  let days;
+  if (mode === "trading") {
+    days = 0;
+    // Start a day back so today's session is counted whatever the local date
+    for (let day = Math.floor(now / DAY) * DAY - DAY; day <= ts; day += DAY) {
+      const { y, m, d } = utcParts(day);
+      if (!isTradingDay(y, m, d)) continue;
+      const off = easternOffset(y, m, d);
+      const open = Date.UTC(y, m, d, 9 + off, 30) / 1000, end = Date.UTC(y, m, d, 16 + off) / 1000;
+      days += Math.min(1, Math.max(0, (end - Math.max(now, open)) / (end - open)));
+    }
+  } else {
+    days = (close - now) / DAY;
+  }
+  return Math.max(MIN_DTE[mode] || MIN_DTE.calendar, days);
+}
+
+// Whether the NYSE regular session (9:30–4:00 ET) is open at unix time `now`
+export function isMarketOpen(now = Date.now() / 1000) {
+  // UTC−5 gives the ET date throughout the session, with or without DST
+  const { y, m, d } = utcParts(now - 5 * 3600);
+  if (!isTradingDay(y, m, d)) return false;
+  const off = easternOffset(y, m, d);
+  return now >= Date.UTC(y, m, d, 9 + off, 30) / 1000 && now < Date.UTC(y, m, d, 16 + off) / 1000;
+}
+
+export const yearFraction = (dte, mode = "calendar") => dte / (DTE_MODES[mode] || DTE_MODES.calendar);
+
+// Calendar days per DTE day: converts per-calendar-day rates (theta) into
+// the mode's unit and back. 1 for calendar, 365/252 for trading.
+export const calendarDaysPerDTE = (mode = "calendar") => DTE_MODES.calendar / (DTE_MODES[mode] || DTE_MODES.calendar);
+
+// One decimal inside ten days, where the fraction matters
+export const formatDTE = (dte) => (dte < 10 ? dte.toFixed(1) : dte.toFixed(0));
+
+// "monthly": the third Friday, or the Thursday before it when that Friday is
+// a holiday. "quarterly": the last trading day of Mar/Jun/Sep/Dec.
+// "weekly": other Fridays (or holiday-shifted Thursdays). "daily": the rest.
+export function expiryKind(ts) {
+  const { y, m, d, dow } = utcParts(ts);
+  const thirdFriday = nthWeekday(y, m, 5, 3);
+  const next = utcParts(ts + DAY);
+  const fridayHoliday = dow === 4 && !isTradingDay(next.y, next.m, next.d);
+  if ((dow === 5 && d === thirdFriday) || (fridayHoliday && d + 1 === thirdFriday)) return "monthly";
+  if (m % 3 === 2) {
+    let last = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+    while (!isTradingDay(y, m, last)) last--;
+    if (d === last) return "quarterly";
+  }
+  if (dow === 5 || fridayHoliday) return "weekly";
+  return "daily";
+}
+
+export function isMonthlyExpiry(ts) { return expiryKind(ts) === "monthly"; }
+
+export function tsToLabel(ts) {
+  return new Date(ts * 1000).toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric", year: "numeric", timeZone: "UTC" });
+}
+export function tsToShort(ts) {
+  return new Date(ts * 1000).toLocaleDateString("en-US", { month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+// The listed expiry used when no date was asked for: the first one with more
+// than a day left, so a blank target does not land on a same-day expiry
+export function defaultExpiry(available) {
+  return available.find(ts => daysToExpiry(ts) > 1) ?? available[available.length - 1];
+}
+
+// Exact date match, else the listed expiry nearest the target date
+export function findClosestExpiry(available, targetDateStr) {
+  if (!targetDateStr) return defaultExpiry(available);
+  const target = Date.parse(`${targetDateStr}T00:00:00Z`) / 1000;
+  return available.reduce((best, ts) => Math.abs(ts - target) < Math.abs(best - target) ? ts : best, available[0]);
+}
+
+export function fmtDate(d) { return d.toISOString().split("T")[0]; }
+export const tsToDate = (ts) => fmtDate(new Date(ts * 1000));
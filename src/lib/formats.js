@@ -0,0 +1,61 @@
+/* ═══════════════════════════════════════════════════════
+   EXPORT FORMATS
+   Ranked rows to CSV / JSON / markdown text.
+   meta: { ticker, name, spot, expiry (unix ts, absent in a term scan),
+           dividend ({ exDate, amount, source } | null),
+           earnings ({ date, source, eventVariance?, move? } | null), exportedAt (ISO), dataSource, rankedBy, formula, settings }
+   ═══════════════════════════════════════════════════════ */
+
+const isoDate = (ts) => new Date(ts * 1000).toISOString().slice(0, 10);
+
+// greekSource { delta: "market", … } → deltaSource, …; expiry ts → ISO date
+const flattenRow = (o) => {
+  const { greekSource, ...rest } = o;
+  const flat = { ...rest };
+  if (typeof flat.expiry === "number") flat.expiry = isoDate(flat.expiry);
+  Object.entries(greekSource || {}).forEach(([k, v]) => { flat[`${k}Source`] = v; });
+  return flat;
+};
+
+const csvCell = (v) => {
+  if (v == null || (typeof v === "number" && !Number.isFinite(v))) return "";
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// bySide: { calls: rankedRows, puts: rankedRows }. Metadata is repeated on
+// every row so the file stays one flat table in a spreadsheet.
+export function rankedToCsv(meta, bySide) {
+  const metaCols = {
+    ticker: meta.ticker, spot: meta.spot, matchedExpiry: meta.expiry ? isoDate(meta.expiry) : "",
+    exportedAt: meta.exportedAt, dataSource: meta.dataSource, rankedBy: meta.rankedBy, formula: meta.formula,
+  };
+  const rows = Object.values(bySide).flatMap(rows => (rows || []).map(flattenRow));
+  const columns = [...new Set(rows.flatMap(Object.keys))];
+  const header = [...Object.keys(metaCols), ...columns];
+  const lines = rows.map(r => [...Object.values(metaCols), ...columns.map(c => r[c])].map(csvCell).join(","));
+  return [header.join(","), ...lines].join("\n");
+}
+
+export function rankedToJson(meta, bySide) {
+  const { expiry, dividend, earnings, ...rest } = meta;
+  const sides = Object.fromEntries(Object.entries(bySide).map(([side, rows]) => [side, (rows || []).map(flattenRow)]));
+  const nextDividend = dividend ? { ...dividend, exDate: isoDate(dividend.exDate) } : null;
+  const nextEarnings = earnings ? { ...earnings, date: isoDate(earnings.date) } : null;
+  return JSON.stringify({ meta: { ...rest, matchedExpiry: expiry ? isoDate(expiry) : null, nextDividend, nextEarnings }, ...sides }, null, 2);
+}
+
+// Short markdown table per side for pasting into chat
+export function topStrikesMarkdown(meta, bySide, count = 5) {
+  const when = meta.expiry ? ` ${isoDate(meta.expiry)}` : " term scan";
+  const out = [`**${meta.ticker}${when}** · spot $${meta.spot.toFixed(2)} · ranked by ${meta.rankedBy} (${meta.formula})`];
+  Object.entries(bySide).forEach(([side, rows]) => {
+    if (!rows?.length) return;
+    out.push("", `_${side}_`, "", "| # | Strike | Expiry | Mid | Extrinsic | Delta | Score | Ann. Yield |", "|---|---|---|---|---|---|---|---|");
+    rows.slice(0, count).forEach(o => {
+      const expiry = o.expiry ? isoDate(o.expiry) : meta.expiry ? isoDate(meta.expiry) : "";
+      out.push(`| ${o.rank} | ${o.strike}${o.assignmentRisk ? " ⚠ div" : ""}${o.rich ? " rich" : ""} | ${expiry} | ${o.mid.toFixed(2)} | ${o.extrinsic.toFixed(2)} | ${o.delta != null ? o.delta.toFixed(3) : "—"} | ${o.score.toFixed(4)} | ${o.annualizedYield.toFixed(1)}% |`);
+    });
+  });
+  return out.join("\n");
+}
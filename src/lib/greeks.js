@@ -0,0 +1,75 @@
+/* ═══════════════════════════════════════════════════════
+   GREEKS FALLBACK — Black-Scholes-Merton from Yahoo's IV
+   Only used when Yahoo omits a Greek; prices stay model-free.
+   ═══════════════════════════════════════════════════════ */
+
+export const GREEK_KEYS = ["delta", "gamma", "theta", "vega", "rho"];
+export const DEFAULT_RATE = 0.045;
+
+const normPdf = (x) => Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+
+// Abramowitz & Stegun 7.1.26 erf approximation, |error| < 1.5e-7
+export function normCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t;
+  const erf = 1 - poly * Math.exp(-x * x / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Greeks in Yahoo's units: theta per calendar day, vega and rho per 1 point.
+// T in years, r and q continuous annual rates, sigma annualized.
+export function bsmGreeks(isPut, S, K, T, r, q, sigma) {
+  if (!(S > 0 && K > 0 && T > 0 && sigma > 0.01)) return null;
+  const sqrtT = Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (r - q + sigma * sigma / 2) * T) / (sigma * sqrtT);
+  const d2 = d1 - sigma * sqrtT;
+  const dq = Math.exp(-q * T), dr = Math.exp(-r * T);
+  const decay = -S * dq * normPdf(d1) * sigma / (2 * sqrtT);
+  return {
+    delta: isPut ? dq * (normCdf(d1) - 1) : dq * normCdf(d1),
+    gamma: dq * normPdf(d1) / (S * sigma * sqrtT),
+    theta: (isPut
+      ? decay + r * K * dr * normCdf(-d2) - q * S * dq * normCdf(-d1)
+      : decay - r * K * dr * normCdf(d2) + q * S * dq * normCdf(d1)) / 365,
+    vega: S * dq * normPdf(d1) * sqrtT / 100,
+    rho: (isPut ? -K * T * dr * normCdf(-d2) : K * T * dr * normCdf(d2)) / 100,
+  };
+}
+
+// Option value per share. With no volatility left the option is worth its
+// discounted intrinsic value against the forward.
+export function bsmPrice(isPut, S, K, T, r, q, sigma) {
+  if (!(S > 0 && K > 0 && T > 0)) return null;
+  const dq = Math.exp(-q * T), dr = Math.exp(-r * T);
+  if (!(sigma > 1e-4)) return Math.max(0, isPut ? K * dr - S * dq : S * dq - K * dr);
+  const sqrtT = Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (r - q + sigma * sigma / 2) * T) / (sigma * sqrtT);
+  const d2 = d1 - sigma * sqrtT;
+  return isPut ? K * dr * normCdf(-d2) - S * dq * normCdf(-d1) : S * dq * normCdf(d1) - K * dr * normCdf(d2);
+}
+
+// Odds for selling one option at its mid and holding to expiry, under a
+// risk-neutral lognormal spot with the contract's own IV. Expected P&L is
+// mid minus the expected payoff, so it sits near zero unless Yahoo's IV
+// and the quoted mid disagree. Covered figures add long stock bought at spot.
+export function shortOptionOdds(o, S, { rate = DEFAULT_RATE, dividendYield = 0 } = {}) {
+  const sigma = o.impliedVol, T = o.yearFraction ?? o.dte / 365, K = o.strike;
+  if (!(S > 0 && K > 0 && T > 0 && sigma > 0.01)) return null;
+  const isPut = o.side === "puts";
+  const vol = sigma * Math.sqrt(T);
+  const fwd = S * Math.exp((rate - dividendYield) * T);
+  const probAbove = (x) => (x <= 0 ? 1 : normCdf((Math.log(fwd / x) - vol * vol / 2) / vol));
+  const d1 = (Math.log(fwd / K) + vol * vol / 2) / vol, d2 = d1 - vol;
+  const expectedPayoff = isPut ? K * normCdf(-d2) - fwd * normCdf(-d1) : fwd * normCdf(d1) - K * normCdf(d2);
+  const breakeven = isPut ? K - o.mid : K + o.mid;
+  const expectedPnL = o.mid - expectedPayoff;
+  return {
+    breakeven,
+    probITM: isPut ? 1 - probAbove(K) : probAbove(K),
+    probProfit: isPut ? probAbove(breakeven) : 1 - probAbove(breakeven),
+    expectedPnL,
+    coveredBreakeven: S - o.mid,
+    coveredProbProfit: probAbove(S - o.mid),
+    coveredExpectedPnL: fwd - S + expectedPnL,
+  };
+}
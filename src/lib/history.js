@@ -0,0 +1,80 @@
+/* ═══════════════════════════════════════════════════════
+   SNAPSHOT HISTORY
+   A snapshot is one analysis as it stood when it ran: the analyzed chain
+   for one ticker and expiry, the settings it was ranked with and the
+   resulting ranks. Storage is the caller's business (the web app keeps
+   them in IndexedDB); these helpers build, compare and chart them.
+   snapshot: { key, ticker, name, expiry, at (ms), spot, dataSource, scoreName,
+               opts, chain: { calls, puts }, ranked: { calls, puts }, top }
+   ═══════════════════════════════════════════════════════ */
+
+import { SIDES, strikeKey, rankByEfficiency, scoreLabel } from "./analysis.js";
+import { calendarDaysPerDTE } from "./expiry.js";
+
+export const snapshotKey = (ticker, expiry) => `${ticker.toUpperCase()}|${expiry}`;
+
+// chain: analyzed rows per side (analyzeOptions output). Ranks are kept as
+// { strike, rank, score } so a diff shows what the user saw at the time.
+export function buildSnapshot({ ticker, name = "", expiry, spot, dataSource = "", opts = {}, chain, at = Date.now() }) {
+  const ranked = Object.fromEntries(SIDES.map(side => [side,
+    rankByEfficiency(chain[side] || [], opts).map(o => ({ strike: o.strike, rank: o.rank, score: o.score }))]));
+  return {
+    key: snapshotKey(ticker, expiry), ticker: ticker.toUpperCase(), name, expiry, at, spot, dataSource,
+    scoreName: scoreLabel(opts), opts, chain: { calls: chain.calls || [], puts: chain.puts || [] }, ranked,
+    top: Object.fromEntries(SIDES.map(side => [side, ranked[side][0] || null])),
+  };
+}
+
+const rowAt = (snapshot, side, strike) => (snapshot.chain?.[side] || []).find(o => strikeKey(o.strike) === strikeKey(strike));
+
+// Strikes present in any of the snapshots, ascending
+export function snapshotStrikes(snapshots, side) {
+  const strikes = new Map();
+  snapshots.forEach(s => (s.chain?.[side] || []).forEach(o => strikes.set(strikeKey(o.strike), o.strike)));
+  return [...strikes.values()].sort((a, b) => a - b);
+}
+
+// One contract across snapshots, oldest first; snapshots where the strike
+// was outside the analyzed range are skipped. thetaPath is where extrinsic
+// would be had it decayed exactly at the theta quoted at each earlier
+// point, restated per calendar day for rows analyzed in trading-day mode;
+// decayPerDay is the actual change per calendar day.
+export function contractSeries(snapshots, side, strike) {
+  const points = [];
+  [...snapshots].sort((a, b) => a.at - b.at).forEach(s => {
+    const o = rowAt(s, side, strike);
+    if (!o) return;
+    const ranked = s.ranked?.[side]?.find(r => strikeKey(r.strike) === strikeKey(strike));
+    const prev = points[points.length - 1];
+    const days = prev ? (s.at - prev.at) / 86400000 : 0;
+    const theta = o.theta != null ? o.theta / calendarDaysPerDTE(o.dteMode) : null;
+    points.push({
+      at: s.at, spot: s.spot, dte: o.dte, mid: o.mid, extrinsic: o.extrinsic, theta, delta: o.delta,
+      efficiency: o.efficiencyScore, rank: ranked?.rank ?? null, score: ranked?.score ?? null,
+      thetaPath: prev ? prev.thetaPath - Math.abs(prev.theta ?? 0) * days : o.extrinsic,
+      decayPerDay: prev && days > 0 ? (o.extrinsic - prev.extrinsic) / days : null,
+    });
+  });
+  return points;
+}
+
+// Every strike ranked in either snapshot, ordered by its rank in `b` and
+// then in `a`. rankChange > 0 means it moved up from a to b.
+export function diffSnapshots(a, b, side) {
+  const ranksOf = (s) => new Map((s.ranked?.[side] || []).map(r => [strikeKey(r.strike), r]));
+  const ra = ranksOf(a), rb = ranksOf(b);
+  const keys = new Set([...ra.keys(), ...rb.keys()]);
+  return [...keys].map(k => {
+    const x = ra.get(k), y = rb.get(k);
+    const strike = (y || x).strike;
+    const oa = rowAt(a, side, strike), ob = rowAt(b, side, strike);
+    return {
+      strike,
+      rankA: x?.rank ?? null, rankB: y?.rank ?? null,
+      rankChange: x && y ? x.rank - y.rank : null,
+      scoreA: x?.score ?? null, scoreB: y?.score ?? null,
+      midA: oa?.mid ?? null, midB: ob?.mid ?? null,
+      extrinsicA: oa?.extrinsic ?? null, extrinsicB: ob?.extrinsic ?? null,
+    };
+  }).sort((p, q) => (p.rankB ?? Infinity) - (q.rankB ?? Infinity) || (p.rankA ?? Infinity) - (q.rankA ?? Infinity));
+}
@@ -0,0 +1,238 @@
+/* ═══════════════════════════════════════════════════════
+   HTTP — the fetch layer under the Yahoo providers
+   Responses are cached by a logical key (ticker, endpoint, expiry) with a
+   per-call TTL, in memory and — where there is a localStorage — across
+   reloads. Identical requests in flight share one fetch. Proxies are
+   tried best-first by their recent success, with the next one started
+   when the current one is slow. Every request takes an AbortSignal.
+   ═══════════════════════════════════════════════════════ */
+
+export const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+export const isAbortError = (e) => e?.name === "AbortError";
+const abortError = () => Object.assign(new Error("Request cancelled"), { name: "AbortError" });
+export const throwIfAborted = (signal) => { if (signal?.aborted) throw abortError(); };
+
+// Rejects as soon as `signal` aborts, whether or not `promise` settles
+const untilAborted = (promise, signal) => (!signal ? promise : new Promise((resolve, reject) => {
+  const onAbort = () => reject(abortError());
+  if (signal.aborted) return onAbort();
+  signal.addEventListener("abort", onAbort, { once: true });
+  promise.then(
+    v => { signal.removeEventListener("abort", onAbort); resolve(v); },
+    e => { signal.removeEventListener("abort", onAbort); reject(e); });
+}));
+
+const browserStorage = () => {
+  try { return typeof localStorage !== "undefined" ? localStorage : null; } catch { return null; }
+};
+
+
+/* ── Response cache ─────────────────────────────────── */
+
+// A chain is 50–200 KB of JSON, so only the most recent few are persisted;
+// the memory side holds more. A full storage evicts the oldest entries.
+export const createResponseCache = ({ storage = browserStorage(), prefix = "oea.http.", maxEntries = 200, maxPersisted = 30 } = {}) => {
+  const memory = new Map();
+  const indexKey = `${prefix}index`;
+  const readIndex = () => {
+    try { return JSON.parse(storage.getItem(indexKey) || "[]"); } catch { return []; }
+  };
+
+  const persist = (key, entry) => {
+    if (!storage) return;
+    const index = readIndex().filter(k => k !== key);
+    const text = JSON.stringify(entry);
+    for (;;) {
+      while (index.length >= maxPersisted) storage.removeItem(prefix + index.shift());
+      try {
+        storage.setItem(prefix + key, text);
+        index.push(key);
+        break;
+      } catch {
+        if (!index.length) break; // larger than the whole quota — memory only
+        storage.removeItem(prefix + index.shift());
+      }
+    }
+    try { storage.setItem(indexKey, JSON.stringify(index)); } catch { /* index lost — entries expire by TTL anyway */ }
+  };
+
+  // undefined when missing or older than maxAgeMs
+  const get = (key, maxAgeMs) => {
+    let entry = memory.get(key);
+    if (!entry && storage) {
+      try { entry = JSON.parse(storage.getItem(prefix + key) || "null"); } catch { entry = null; }
+      if (entry) memory.set(key, entry);
+    }
+    return entry && Date.now() - entry.at <= maxAgeMs ? entry.data : undefined;
+  };
+
+  const set = (key, data) => {
+    const entry = { at: Date.now(), data };
+    memory.delete(key);
+    memory.set(key, entry);
+    if (memory.size > maxEntries) memory.delete(memory.keys().next().value);
+    persist(key, entry);
+  };
+
+  const clear = () => {
+    memory.clear();
+    if (!storage) return;
+    readIndex().forEach(k => storage.removeItem(prefix + k));
+    storage.removeItem(indexKey);
+  };
+
+  return { get, set, clear };
+};
+
+export const responseCache = createResponseCache();
+
+
+/* ── Proxy ranking ──────────────────────────────────── */
+
+// Per proxy, an exponential moving average of success (1/0) and of response
+// time, so a proxy that starts failing drops within a few requests. Unknown
+// proxies start at an even chance and keep their listed order among ties.
+const ALPHA = 0.3;
+const proxyId = (proxy) => proxy("https://example.com/");
+
+export const createProxyStats = ({ storage = browserStorage(), key = "oea.proxyStats" } = {}) => {
+  let stats = {};
+  try { stats = JSON.parse(storage?.getItem(key) || "{}"); } catch { stats = {}; }
+
+  const record = (proxy, ok, ms) => {
+    const id = proxyId(proxy);
+    const s = stats[id] || { success: 0.5, ms: null };
+    s.success = s.success * (1 - ALPHA) + (ok ? ALPHA : 0);
+    if (ok) s.ms = s.ms == null ? ms : s.ms * (1 - ALPHA) + ms * ALPHA;
+    stats[id] = s;
+    try { storage?.setItem(key, JSON.stringify(stats)); } catch { /* storage disabled — keep in memory only */ }
+  };
+
+  const order = (proxies) => proxies
+    .map((proxy, i) => ({ proxy, i, s: stats[proxyId(proxy)] || { success: 0.5, ms: null } }))
+    .sort((a, b) => b.s.success - a.s.success || (a.s.ms ?? Infinity) - (b.s.ms ?? Infinity) || a.i - b.i)
+    .map(x => x.proxy);
+
+  return { record, order, snapshot: () => ({ ...stats }) };
+};
+
+export const proxyStats = createProxyStats();
+
+
+/* ── Fetching ───────────────────────────────────────── */
+
+const PROXY_TIMEOUT_MS = 12000;
+// How long the current proxy gets before the next one is started alongside it
+const HEDGE_MS = 2500;
+
+const fetchJson = async (url, signal) => {
+  const resp = await fetch(url, { signal });
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  const text = await resp.text();
+  if (!text || text.length < 30) throw new Error("Empty response");
+  try { return JSON.parse(text); } catch { throw new Error("Response was not JSON"); }
+};
+
+// One pass over the proxies, best first, each started when the one before
+// it fails or has been pending HEDGE_MS. The first valid response wins and
+// the rest are aborted.
+const raceProxies = (proxies, url, { signal, stats, onStatus, label, attempt }) => new Promise((resolve, reject) => {
+  const ordered = stats.order(proxies);
+  const controllers = [];
+  let next = 0, pending = 0, done = false, lastErr, hedge;
+
+  const finish = (settle, value) => {
+    if (done) return;
+    done = true;
+    clearTimeout(hedge);
+    controllers.forEach(c => c.abort());
+    signal?.removeEventListener("abort", onAbort);
+    settle(value);
+  };
+  const onAbort = () => finish(reject, abortError());
+
+  const launch = () => {
+    clearTimeout(hedge);
+    if (done) return;
+    if (next >= ordered.length) {
+      if (!pending) finish(reject, lastErr || new Error("All proxies failed"));
+      return;
+    }
+    const proxy = ordered[next++];
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), PROXY_TIMEOUT_MS);
+    controllers.push(ctrl);
+    pending++;
+    if (onStatus) onStatus(`${label} (attempt ${attempt + 1}, proxy ${next}/${ordered.length})`);
+    const started = Date.now();
+    fetchJson(proxy(url), ctrl.signal).then(
+      data => { clearTimeout(timer); stats.record(proxy, true, Date.now() - started); finish(resolve, data); },
+      e => {
+        clearTimeout(timer);
+        pending--;
+        if (done) return;
+        stats.record(proxy, false);
+        lastErr = isAbortError(e) ? new Error(`timed out after ${PROXY_TIMEOUT_MS / 1000} s`) : e;
+        launch();
+      });
+    hedge = setTimeout(launch, HEDGE_MS);
+  };
+
+  if (signal?.aborted) return onAbort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  launch();
+});
+
+// key → { promise, controller, waiters }. The shared fetch is only aborted
+// once every caller waiting on it has given up.
+const inflight = new Map();
+
+const shared = (key, start, signal) => {
+  let entry = inflight.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, waiters: 0 };
+    entry.promise = start(controller.signal).finally(() => { if (inflight.get(key) === entry) inflight.delete(key); });
+    entry.promise.catch(() => {});
+    inflight.set(key, entry);
+  }
+  const joined = entry;
+  joined.waiters++;
+  const onAbort = () => {
+    if (--joined.waiters > 0) return;
+    joined.controller.abort();
+    if (inflight.get(key) === joined) inflight.delete(key);
+  };
+  signal?.addEventListener("abort", onAbort, { once: true });
+  return untilAborted(joined.promise, signal).finally(() => signal?.removeEventListener("abort", onAbort));
+};
+
+// Fetches Yahoo's `url` through `proxies` as JSON.
+// key: cache and dedupe key; ttl: how old a cached response may be (ms; 0 =
+// no caching); fresh: skip the cache read but still store the result;
+// signal: cancels this caller's wait, and the fetch once nobody else waits.
+export const fetchWithProxies = async (proxies, url, onStatus, label, {
+  key = url, ttl = 0, fresh = false, signal, maxAttempts = 3, cache = responseCache, stats = proxyStats,
+} = {}) => {
+  throwIfAborted(signal);
+  if (ttl > 0 && !fresh) {
+    const hit = cache.get(key, ttl);
+    if (hit !== undefined) return hit;
+  }
+  return shared(key, async (sharedSignal) => {
+    let lastErr;
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      try {
+        const data = await raceProxies(proxies, url, { signal: sharedSignal, stats, onStatus, label, attempt });
+        if (ttl > 0) cache.set(key, data);
+        return data;
+      } catch (e) {
+        if (isAbortError(e)) throw e;
+        lastErr = e;
+      }
+      if (attempt < maxAttempts - 1) await untilAborted(sleep(1500 * (attempt + 1)), sharedSignal);
+    }
+    throw new Error(`${label} failed: ${lastErr?.message || "All proxies failed"}`);
+  }, signal);
+};
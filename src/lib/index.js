@@ -0,0 +1,26 @@
+/* ═══════════════════════════════════════════════════════
+   HEADLESS LIBRARY
+   Everything the analyzer does without React — the cached fetch layer,
+   providers, expiry helpers, Greeks, ranking, margin, earnings events,
+   volatility smile, live alerts, snapshot history, the trade journal,
+   backtests, scoring profiles, CSV import and export formats. Shared by
+   the web app and bin/extrinsic-rank. Plain ES modules with explicit
+   extensions so Node can load them directly.
+   ═══════════════════════════════════════════════════════ */
+
+export * from "./http.js";
+export * from "./providers.js";
+export * from "./expiry.js";
+export * from "./greeks.js";
+export * from "./analysis.js";
+export * from "./events.js";
+export * from "./smile.js";
+export * from "./margin.js";
+export * from "./alerts.js";
+export * from "./history.js";
+export * from "./journal.js";
+export * from "./backtest.js";
+export * from "./zip.js";
+export * from "./scoring.js";
+export * from "./csvImport.js";
+export * from "./formats.js";
@@ -0,0 +1,195 @@
+/* ═══════════════════════════════════════════════════════
+   TRADE JOURNAL
+   Short options actually sold from the ranking: what was filled, what
+   the row looked like at entry, and how the trade ended. Storage is the
+   caller's business (the web app keeps the journal in localStorage).
+   trade: { id, ticker, side, strike, expiry, contractSymbol, quantity,
+            fill, openedAt (ms), entry: { spot, mid, intrinsic, extrinsic,
+            score, scoreName, efficiency, delta, gamma, theta, vega,
+            impliedVol, dte, dteMode, rank }, close: null | { exit, price, spot,
+            intrinsic, at (ms) } }
+   Dollar figures from the summaries are totals: × 100 × quantity.
+   ═══════════════════════════════════════════════════════ */
+
+import { SIDES, intrinsicAt, strikeKey, mapWithConcurrency } from "./analysis.js";
+import { fetchSpotPrice, fetchOptionChain } from "./providers.js";
+import { tsToDate, calendarDaysPerDTE } from "./expiry.js";
+
+const MULTIPLIER = 100;
+const DAY_MS = 86400000;
+const JOURNAL_FORMAT = "oea-journal";
+
+export const TRADE_EXITS = {
+  closed: "Bought to Close",
+  expired: "Expired",
+  assigned: "Assigned",
+};
+
+const num = (v, name, { required = true, positive = false } = {}) => {
+  if (v == null || String(v).trim() === "") {
+    if (required) throw new Error(`Enter ${name.toLowerCase()}`);
+    return null;
+  }
+  const n = parseFloat(v);
+  if (!Number.isFinite(n) || n < 0 || (positive && n === 0)) throw new Error(`${name} must be a ${positive ? "positive " : ""}number`);
+  return n;
+};
+
+// A ranked row plus the form strings → trade. Throws with a message for
+// the form to show. scoreName: what the row's score measured.
+export function journalTrade(o, { ticker, expiry, spot, fill, quantity, scoreName = "", at = Date.now() }) {
+  if (!ticker) throw new Error("No ticker for this row");
+  const price = num(fill, "Fill price", { positive: true });
+  const qty = num(quantity, "Quantity", { positive: true });
+  if (!Number.isInteger(qty)) throw new Error("Quantity must be whole contracts");
+  const intrinsic = intrinsicAt(o.side, o.strike, spot);
+  return {
+    id: `t${at.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    ticker: ticker.toUpperCase(), side: o.side, strike: o.strike, expiry, contractSymbol: o.contractSymbol || "",
+    quantity: qty, fill: price, openedAt: at,
+    entry: {
+      spot, mid: o.mid, intrinsic, extrinsic: Math.max(0, price - intrinsic),
+      score: o.score ?? null, scoreName, efficiency: o.efficiencyScore ?? null,
+      delta: o.delta, gamma: o.gamma, theta: o.theta, vega: o.vega, impliedVol: o.impliedVol,
+      dte: o.dte, dteMode: o.dteMode || "calendar", rank: o.rank ?? null,
+    },
+    close: null,
+  };
+}
+
+// Records how an open trade ended. price: paid to buy it back (closed),
+// 0 (expired), or left blank for assignment to take intrinsic at `spot`.
+export function closeTrade(trade, { exit, price, spot, at = Date.now() }) {
+  if (!TRADE_EXITS[exit]) throw new Error(`Unknown exit "${exit}"`);
+  const underlying = num(spot, "Underlying price", { required: exit !== "expired", positive: true });
+  const intrinsic = underlying != null ? intrinsicAt(trade.side, trade.strike, underlying) : 0;
+  const cost = exit === "expired" ? 0
+    : exit === "assigned" ? num(price, "Assignment cost", { required: false }) ?? intrinsic
+      : num(price, "Closing price");
+  return { ...trade, close: { exit, price: cost, spot: underlying, intrinsic, at } };
+}
+
+export const reopenTrade = (trade) => ({ ...trade, close: null });
+
+// Per closed trade: realized P&L, theta captured (extrinsic sold less any
+// extrinsic paid back to close) and what the entry theta forecast for the
+// calendar days held (theta taken per trading day is restated per calendar
+// day). thetaCaptureRatio > 1 means time value bled faster than theta.
+export function tradeResult(trade) {
+  const c = trade.close;
+  if (!c) return null;
+  const size = MULTIPLIER * trade.quantity;
+  const daysHeld = Math.max(0, (c.at - trade.openedAt) / DAY_MS);
+  const extrinsicPaid = Math.max(0, c.price - c.intrinsic);
+  const thetaCaptured = (trade.entry.extrinsic - extrinsicPaid) * size;
+  const thetaPerDay = trade.entry.theta != null ? Math.abs(trade.entry.theta) / calendarDaysPerDTE(trade.entry.dteMode) : null;
+  const thetaExpected = thetaPerDay != null ? Math.min(trade.entry.extrinsic, thetaPerDay * daysHeld) * size : null;
+  return {
+    daysHeld, realized: (trade.fill - c.price) * size, thetaCaptured, thetaExpected,
+    intrinsicPaid: Math.min(c.price, c.intrinsic) * size,
+    thetaCaptureRatio: thetaExpected > 0 ? thetaCaptured / thetaExpected : null,
+  };
+}
+
+// Monday of the week containing `ms`, as YYYY-MM-DD (UTC)
+const weekOf = (ms) => {
+  const day = Math.floor(ms / DAY_MS);
+  // 1970-01-01 was a Thursday
+  return tsToDate((day - ((day + 3) % 7)) * 86400);
+};
+
+// Realized results of closed trades grouped by the week they closed and by
+// ticker, newest week first, plus the totals. openCount: trades still open.
+export function journalSummary(trades) {
+  const closed = trades.filter(t => t.close).map(t => ({ t, r: tradeResult(t) }));
+  const group = (keyOf) => {
+    const groups = new Map();
+    closed.forEach(({ t, r }) => {
+      const key = keyOf(t);
+      const g = groups.get(key) || { key, trades: 0, wins: 0, assigned: 0, premium: 0, realized: 0, thetaCaptured: 0, thetaExpected: 0 };
+      g.trades += 1;
+      g.wins += r.realized > 0 ? 1 : 0;
+      g.assigned += t.close.exit === "assigned" ? 1 : 0;
+      g.premium += t.fill * MULTIPLIER * t.quantity;
+      g.realized += r.realized;
+      g.thetaCaptured += r.thetaCaptured;
+      g.thetaExpected += r.thetaExpected ?? 0;
+      groups.set(key, g);
+    });
+    return [...groups.values()];
+  };
+  const [totals] = group(() => "all");
+  return {
+    byWeek: group(t => weekOf(t.close.at)).sort((a, b) => b.key.localeCompare(a.key)),
+    byTicker: group(t => t.ticker).sort((a, b) => b.realized - a.realized),
+    totals: totals || null,
+    openCount: trades.length - closed.length,
+  };
+}
+
+// Marks every open trade against a fresh quote: one spot fetch per ticker
+// and one chain fetch per ticker and expiry. Past expiries are not fetched
+// (the provider would answer with the next listed date). Returns
+// { [id]: { at, spot, mark, intrinsic, extrinsicLeft, unrealized, captured } | { error } }.
+export async function repriceTrades(trades, onStatus) {
+  const open = trades.filter(t => !t.close);
+  const nowS = Date.now() / 1000;
+  const tickers = [...new Set(open.map(t => t.ticker))];
+  const spots = new Map();
+  await mapWithConcurrency(tickers, 3, async (ticker) => {
+    try { spots.set(ticker, (await fetchSpotPrice(ticker, onStatus)).price); } catch (e) { spots.set(ticker, e); }
+  });
+
+  const chainKeys = [...new Set(open.filter(t => t.expiry > nowS).map(t => `${t.ticker}|${t.expiry}`))];
+  const chains = new Map();
+  await mapWithConcurrency(chainKeys, 3, async (key) => {
+    const [ticker, expiry] = key.split("|");
+    try { chains.set(key, await fetchOptionChain(ticker, Number(expiry), onStatus)); } catch (e) { chains.set(key, e); }
+  });
+
+  const marks = {};
+  open.forEach(t => {
+    const spot = spots.get(t.ticker);
+    const chain = chains.get(`${t.ticker}|${t.expiry}`);
+    if (t.expiry <= nowS) { marks[t.id] = { error: "expired — record how it ended" }; return; }
+    if (spot instanceof Error) { marks[t.id] = { error: spot.message }; return; }
+    if (chain instanceof Error) { marks[t.id] = { error: chain.message }; return; }
+    const c = (SIDES.includes(t.side) ? chain[t.side] || [] : []).find(k => strikeKey(k.strike) === strikeKey(t.strike));
+    const mark = c && (c.bid > 0 && c.ask > 0 ? (c.bid + c.ask) / 2 : c.lastPrice);
+    if (!(mark >= 0)) { marks[t.id] = { error: "contract not quoted" }; return; }
+    const intrinsic = intrinsicAt(t.side, t.strike, spot);
+    const extrinsicLeft = Math.max(0, mark - intrinsic);
+    const size = MULTIPLIER * t.quantity;
+    marks[t.id] = {
+      at: Date.now(), spot, mark, intrinsic, extrinsicLeft,
+      unrealized: (t.fill - mark) * size,
+      captured: (t.entry.extrinsic - extrinsicLeft) * size,
+    };
+  });
+  return marks;
+}
+
+export const journalToJson = (trades, exportedAt = new Date().toISOString()) =>
+  JSON.stringify({ format: JOURNAL_FORMAT, version: 1, exportedAt, trades }, null, 2);
+
+// Journal JSON (or a bare array of trades) → trades. Throws on anything
+// that is not a journal; trades missing the essentials are rejected by index.
+export function parseJournal(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error("Not valid JSON"); }
+  const trades = Array.isArray(data) ? data : data?.format === JOURNAL_FORMAT ? data.trades : null;
+  if (!Array.isArray(trades)) throw new Error("Not a trade journal export");
+  trades.forEach((t, i) => {
+    const ok = t && typeof t.id === "string" && typeof t.ticker === "string" && SIDES.includes(t.side)
+      && t.strike > 0 && t.expiry > 0 && t.quantity > 0 && t.fill > 0 && t.openedAt > 0 && t.entry
+      && (t.close == null || (TRADE_EXITS[t.close.exit] && t.close.price >= 0 && t.close.at > 0));
+    if (!ok) throw new Error(`Trade ${i + 1} is missing required fields`);
+  });
+  return trades.map(t => ({ ...t, close: t.close || null }));
+}
+
+// Imported trades replace journal entries with the same id
+export function mergeJournal(trades, imported) {
+  const ids = new Set(imported.map(t => t.id));
+  return [...trades.filter(t => !ids.has(t.id)), ...imported].sort((a, b) => b.openedAt - a.openedAt);
+}
@@ -0,0 +1,102 @@
+/* ═══════════════════════════════════════════════════════
+   MARGIN
+   Buying power one short contract ties up, by account type, using the
+   standard broker formulas. A covered call needs none beyond the 100
+   shares it is written against; cash accounts secure puts with the full
+   strike; Reg-T margins uncovered shorts with the CBOE naked-option
+   formula; portfolio margin is approximated as the worst loss over a ±15%
+   move. Return on capital is measured on what the position ties up,
+   which for a covered call is the shares (at 50% under Reg-T).
+   All figures are dollars per contract (100 shares).
+   ═══════════════════════════════════════════════════════ */
+
+import { DEFAULT_RATE, bsmPrice } from "./greeks.js";
+
+export const ACCOUNT_TYPES = {
+  cash: "Cash",
+  regT: "Reg-T Margin",
+  portfolio: "Portfolio Margin (approx.)",
+};
+export const DEFAULT_ACCOUNT = "cash";
+
+const MULTIPLIER = 100;
+// Reg-T naked option: 20% of the underlying less the OTM amount, at least 10%
+// (of spot for calls, of the strike for puts), plus the premium
+const REG_T_BASE = 0.2;
+const REG_T_MIN = 0.1;
+const REG_T_STOCK = 0.5;
+// Portfolio margin: equity price shocks, and the per-contract floor
+const PM_SHOCK = 0.15;
+const PM_STEPS = 10;
+const PM_MIN_PER_CONTRACT = 37.5;
+
+// Whether a short call in this account is held against 100 shares
+export const isCoveredCall = (account, nakedCalls) => account === "cash" || !nakedCalls;
+
+// Short option (plus 100 shares when covered) revalued at each shocked spot
+// with its own IV; the requirement is the largest loss
+const portfolioRequirement = (o, spotPrice, covered, rate, dividendYield) => {
+  const isPut = o.side === "puts";
+  let worst = 0;
+  for (let i = 0; i <= PM_STEPS; i++) {
+    const S = spotPrice * (1 - PM_SHOCK + 2 * PM_SHOCK * i / PM_STEPS);
+    const value = bsmPrice(isPut, S, o.strike, o.yearFraction, rate, dividendYield, o.impliedVol)
+      ?? Math.max(0, isPut ? o.strike - S : S - o.strike);
+    const loss = value - o.mid + (covered ? spotPrice - S : 0);
+    worst = Math.max(worst, loss);
+  }
+  return Math.max(PM_MIN_PER_CONTRACT, worst * MULTIPLIER);
+};
+
+// o: an analyzed row (side, strike, mid, impliedVol, yearFraction).
+// opts: { account ("cash" | "regT" | "portfolio"), nakedCalls, rate, dividendYield }.
+// Returns the buying power the short adds, in $ per contract: 0 for a
+// covered call, whose shares are already held.
+export function buyingPowerRequirement(o, spotPrice, opts = {}) {
+  const { account = DEFAULT_ACCOUNT, nakedCalls = false, rate = DEFAULT_RATE, dividendYield = 0 } = opts;
+  const isPut = o.side === "puts";
+  if (!isPut && isCoveredCall(account, nakedCalls)) return 0;
+  if (account === "portfolio") return portfolioRequirement(o, spotPrice, false, rate, dividendYield);
+  if (account === "regT") {
+    const otm = Math.max(0, isPut ? spotPrice - o.strike : o.strike - spotPrice);
+    const floor = REG_T_MIN * (isPut ? o.strike : spotPrice);
+    return (o.mid + Math.max(REG_T_BASE * spotPrice - otm, floor)) * MULTIPLIER;
+  }
+  return o.strike * MULTIPLIER;
+}
+
+// Capital the position ties up, in $ per contract: the buying-power
+// requirement, or for a covered call what its 100 shares hold
+export function capitalRequirement(o, spotPrice, opts = {}) {
+  const { account = DEFAULT_ACCOUNT, nakedCalls = false, rate = DEFAULT_RATE, dividendYield = 0 } = opts;
+  if (o.side === "puts" || !isCoveredCall(account, nakedCalls)) return buyingPowerRequirement(o, spotPrice, opts);
+  if (account === "portfolio") return portfolioRequirement(o, spotPrice, true, rate, dividendYield);
+  return (account === "regT" ? REG_T_STOCK : 1) * spotPrice * MULTIPLIER;
+}
+
+// buyingPower and capital, plus the extrinsic earned on the capital:
+// returnOnCapital (%) and annualizedROC (% per year). o also needs extrinsic.
+export function capitalReturns(o, spotPrice, opts = {}) {
+  const buyingPower = buyingPowerRequirement(o, spotPrice, opts);
+  const capital = capitalRequirement(o, spotPrice, opts);
+  const returnOnCapital = capital > 0 ? o.extrinsic * MULTIPLIER / capital * 100 : null;
+  const annualizedROC = returnOnCapital != null && o.yearFraction > 0 ? returnOnCapital / o.yearFraction : null;
+  return { buyingPower, capital, returnOnCapital, annualizedROC };
+}
+
+// Analyzed rows re-costed for another account type without re-analyzing
+export const withBuyingPower = (rows, spotPrice, opts) => (rows || []).map(o => ({ ...o, ...capitalReturns(o, spotPrice, opts) }));
+
+// Short text for the basis of a requirement, for tooltips and table notes
+export function buyingPowerBasis(side, opts = {}) {
+  const { account = DEFAULT_ACCOUNT, nakedCalls = false } = opts;
+  const covered = side === "calls" && isCoveredCall(account, nakedCalls);
+  const stress = `worst loss over ±${PM_SHOCK * 100}% spot`;
+  if (covered) {
+    const capital = account === "portfolio" ? `${stress} with the shares` : account === "regT" ? `${REG_T_STOCK * 100}% of the shares` : "the shares at spot";
+    return `none, covered by 100 shares · ROC on ${capital}`;
+  }
+  if (account === "portfolio") return `${stress}, min $${PM_MIN_PER_CONTRACT}`;
+  if (account === "regT") return `premium + max(20% spot − OTM, 10% ${side === "puts" ? "strike" : "spot"})`;
+  return "strike held in cash";
+}
@@ -0,0 +1,269 @@
+/* ═══════════════════════════════════════════════════════
+   MARKET DATA PROVIDERS
+   Every provider returns the same normalized shapes:
+     fetchSpotPrice(ticker, onStatus, req)           → { price, name }
+     fetchOptionChain(ticker, expiryTs, onStatus, req) → { expirationDates, calls, puts, quote }
+     fetchDividend(ticker, onStatus, req)            → { exDate, amount, source } | null
+     fetchEarnings(ticker, onStatus, req)            → { date, source } | null
+   req: { signal, fresh } — an AbortSignal for the run, and fresh to skip
+   cached responses (see ./http).
+   exDate is the next ex-dividend date as 00:00 UTC on that date; source is
+   "announced", "projected" (from the payment history) or "fixture".
+   Earnings dates are 00:00 UTC too; source is "confirmed", "estimated" or
+   "fixture".
+   Contracts keep Yahoo's field names (strike, bid, ask, lastPrice, volume,
+   openInterest, impliedVolatility, delta…, contractSymbol, inTheMoney).
+   ═══════════════════════════════════════════════════════ */
+
+import { fetchWithProxies, responseCache, throwIfAborted } from "./http.js";
+import { isMarketOpen } from "./expiry.js";
+
+const YAHOO_HOST = "https://query1.finance.yahoo.com";
+
+// Proxy templates: {url} is replaced by the encoded target, {raw} by the
+// target as-is. A template with neither gets the encoded target appended.
+export const PUBLIC_PROXY_TEMPLATES = [
+  "https://corsproxy.io/?{url}",
+  "https://api.allorigins.win/raw?url={url}",
+  "https://api.codetabs.com/v1/proxy?quest={url}",
+  "https://thingproxy.freeboard.io/fetch/{raw}",
+  "{raw}",
+];
+
+export const proxyFromTemplate = (template) => (u) => {
+  if (template.includes("{url}")) return template.replace("{url}", encodeURIComponent(u));
+  if (template.includes("{raw}")) return template.replace("{raw}", u);
+  return template + encodeURIComponent(u);
+};
+
+// A self-hosted proxy mirrors Yahoo's paths under its own base URL
+export const selfHostedProxy = (baseUrl) => (u) => baseUrl.replace(/\/+$/, "") + u.slice(YAHOO_HOST.length);
+
+/* ═══════════════════════════════════════════════════════
+   YAHOO FINANCE
+   ═══════════════════════════════════════════════════════ */
+
+const DAY = 86400;
+const MINUTE = 60 * 1000;
+const utcDay = (ts) => Math.floor(ts / DAY) * DAY;
+
+// Next ex-dividend from an announced date when Yahoo has one, else the last
+// payment rolled forward by the median gap between payments. A history whose
+// last payment is more than two gaps old is treated as suspended.
+export const nextDividend = (history, announcedExDate, now = Date.now() / 1000) => {
+  const paid = [...history].filter(d => d.amount > 0).sort((a, b) => a.date - b.date);
+  const last = paid[paid.length - 1];
+  if (announcedExDate && announcedExDate > now - DAY && last) {
+    return { exDate: utcDay(announcedExDate), amount: last.amount, source: "announced" };
+  }
+  if (paid.length < 2) return null;
+  const gaps = paid.slice(1).map((d, i) => d.date - paid[i].date).sort((a, b) => a - b);
+  const gap = gaps[Math.floor(gaps.length / 2)];
+  if (now - last.date > 2 * gap) return null;
+  let exDate = last.date;
+  while (exDate <= now) exDate += gap;
+  return { exDate: utcDay(exDate), amount: last.amount, source: "projected" };
+};
+
+// Response TTLs. Quotes and chains only move during the session, so outside
+// it they are kept for half an hour; dividend and earnings calendars for hours.
+export const CACHE_TTL = { quote: 30 * 1000, chain: MINUTE, closed: 30 * MINUTE, calendar: 6 * 60 * MINUTE };
+const marketTtl = (ms) => (isMarketOpen() ? ms : Math.max(ms, CACHE_TTL.closed));
+
+export const createYahooProvider = ({ id = "yahoo", label = "Yahoo Finance", proxies = PUBLIC_PROXY_TEMPLATES.map(proxyFromTemplate), cache = responseCache } = {}) => {
+  if (!proxies.length) throw new Error("At least one proxy is required");
+  // Keys name the ticker and endpoint rather than the URL: the spot URL's
+  // time window changes every second
+  const get = (url, onStatus, what, key, ttl, req = {}, maxAttempts) =>
+    fetchWithProxies(proxies, url, onStatus, what, { key, ttl, cache, maxAttempts, signal: req.signal, fresh: req.fresh });
+
+  const fetchSpotPrice = async (ticker, onStatus, req) => {
+    const now = Math.floor(Date.now() / 1000);
+    const url = `${YAHOO_HOST}/v8/finance/chart/${encodeURIComponent(ticker)}?period1=${now - 5 * 86400}&period2=${now}&interval=1d`;
+    const data = await get(url, onStatus, `Fetching ${ticker} spot price`, `${ticker}/spot`, marketTtl(CACHE_TTL.quote), req);
+    const result = data?.chart?.result?.[0];
+    if (!result) throw new Error(`No data returned for ${ticker}`);
+    const meta = result.meta;
+    const price = meta?.regularMarketPrice;
+    if (price) return { price, name: meta.shortName || meta.symbol || ticker };
+    const closes = result.indicators?.adjclose?.[0]?.adjclose || result.indicators?.quote?.[0]?.close;
+    if (closes) {
+      const valid = closes.filter(c => c != null);
+      if (valid.length > 0) return { price: valid[valid.length - 1], name: ticker };
+    }
+    throw new Error(`Could not extract price for ${ticker}`);
+  };
+
+  // Without a date Yahoo answers with the nearest expiry's chain, which is
+  // also cached under that expiry so asking for it next is not a refetch
+  const fetchOptionChain = async (ticker, expiryTimestamp, onStatus, req) => {
+    let url = `${YAHOO_HOST}/v7/finance/options/${encodeURIComponent(ticker)}`;
+    if (expiryTimestamp) url += `?date=${expiryTimestamp}`;
+    const data = await get(url, onStatus, `Fetching ${ticker} options chain`, `${ticker}/chain/${expiryTimestamp || "next"}`, marketTtl(CACHE_TTL.chain), req);
+    const oc = data?.optionChain?.result?.[0];
+    if (!oc) throw new Error(`No options data for ${ticker}`);
+    const served = oc.options?.[0]?.expirationDate;
+    if (!expiryTimestamp && served) cache.set(`${ticker}/chain/${served}`, data);
+    return {
+      expirationDates: oc.expirationDates || [],
+      calls: oc.options?.[0]?.calls || [],
+      puts: oc.options?.[0]?.puts || [],
+      quote: oc.quote || {},
+    };
+  };
+
+  // quoteSummary calendarEvents carries both the ex-dividend and the earnings
+  // date; that endpoint often refuses proxied requests, so it gets one retry
+  const fetchCalendar = (ticker, onStatus, req) => get(
+    `${YAHOO_HOST}/v10/finance/quoteSummary/${encodeURIComponent(ticker)}?modules=calendarEvents`,
+    onStatus, `Fetching ${ticker} calendar`, `${ticker}/calendar`, CACHE_TTL.calendar, req, 2);
+
+  // Payment history from the chart endpoint; the announced date from the
+  // calendar is a bonus
+  const fetchDividend = async (ticker, onStatus, req) => {
+    const now = Math.floor(Date.now() / 1000);
+    const historyUrl = `${YAHOO_HOST}/v8/finance/chart/${encodeURIComponent(ticker)}?period1=${now - 400 * DAY}&period2=${now}&interval=1mo&events=div`;
+    const [history, summary] = await Promise.all([
+      get(historyUrl, onStatus, `Fetching ${ticker} dividends`, `${ticker}/dividends`, CACHE_TTL.calendar, req),
+      fetchCalendar(ticker, null, req).catch(() => null),
+    ]);
+    const events = Object.values(history?.chart?.result?.[0]?.events?.dividends || {});
+    const announced = summary?.quoteSummary?.result?.[0]?.calendarEvents?.exDividendDate?.raw;
+    return nextDividend(events, announced, now);
+  };
+
+  // Yahoo lists the next report, or a two-date window while it is unconfirmed
+  const fetchEarnings = async (ticker, onStatus, req) => {
+    const data = await fetchCalendar(ticker, onStatus, req);
+    const earnings = data?.quoteSummary?.result?.[0]?.calendarEvents?.earnings;
+    const date = earnings?.earningsDate?.[0]?.raw;
+    if (!date || date < utcDay(Date.now() / 1000)) return null;
+    const estimated = earnings.isEarningsDateEstimate ?? earnings.earningsDate.length > 1;
+    return { date: utcDay(date), source: estimated ? "estimated" : "confirmed" };
+  };
+
+  return { id, label, fetchSpotPrice, fetchOptionChain, fetchDividend, fetchEarnings };
+};
+
+
+/* ═══════════════════════════════════════════════════════
+   STATIC FIXTURES — offline development and demos
+   One JSON file per ticker under public/fixtures/:
+     { asOf, spot: { price, name }, quote, dividend?: { exDate: "YYYY-MM-DD", amount },
+       earnings?: { date: "YYYY-MM-DD" },
+       expirations: [{ date: "YYYY-MM-DD", calls: [...], puts: [...] }] }
+   Expiries are shifted forward by whole weeks so a fixture always looks
+   live; contract symbols are rebuilt to match the shifted dates.
+   ═══════════════════════════════════════════════════════ */
+
+const WEEK = 7 * 86400;
+
+export const occSymbol = (ticker, expiryTs, side, strike) => {
+  const d = new Date(expiryTs * 1000).toISOString();
+  const ymd = d.slice(2, 4) + d.slice(5, 7) + d.slice(8, 10);
+  return `${ticker}${ymd}${side === "puts" ? "P" : "C"}${String(Math.round(strike * 1000)).padStart(8, "0")}`;
+};
+
+const rebaseFixture = (ticker, fixture) => {
+  const stamps = fixture.expirations.map(e => Date.parse(`${e.date}T00:00:00Z`) / 1000);
+  const today = Math.floor(Date.now() / 1000 / 86400) * 86400;
+  const shift = stamps.length && stamps[0] < today ? Math.ceil((today - stamps[0]) / WEEK) * WEEK : 0;
+  const chains = new Map();
+  fixture.expirations.forEach((e, i) => {
+    const ts = stamps[i] + shift;
+    const withSymbols = (side) => (e[side] || []).map(c => ({ ...c, contractSymbol: occSymbol(ticker, ts, side, c.strike) }));
+    chains.set(ts, { calls: withSymbols("calls"), puts: withSymbols("puts") });
+  });
+  const dividend = fixture.dividend
+    ? { exDate: Date.parse(`${fixture.dividend.exDate}T00:00:00Z`) / 1000 + shift, amount: fixture.dividend.amount, source: "fixture" }
+    : null;
+  const earnings = fixture.earnings
+    ? { date: Date.parse(`${fixture.earnings.date}T00:00:00Z`) / 1000 + shift, source: "fixture" }
+    : null;
+  return { spot: fixture.spot, quote: fixture.quote || {}, dividend, earnings, expirationDates: [...chains.keys()], chains };
+};
+
+const fetchFixture = (baseUrl) => async (ticker) => {
+  const resp = await fetch(`${baseUrl}/${encodeURIComponent(ticker)}.json`);
+  if (!resp.ok) throw new Error(`No offline fixture for ${ticker} (expected ${baseUrl}/${ticker}.json)`);
+  return resp.json();
+};
+
+// readFixture(ticker) → parsed fixture JSON; defaults to fetching from the
+// app's public folder. Node callers pass a filesystem reader instead.
+export const createStaticProvider = ({ baseUrl = `${process.env.PUBLIC_URL || ""}/fixtures`, readFixture = fetchFixture(baseUrl) } = {}) => {
+  const cache = new Map();
+
+  const load = (ticker, onStatus) => {
+    if (!cache.has(ticker)) {
+      const pending = (async () => {
+        if (onStatus) onStatus(`Loading ${ticker} offline fixture`);
+        return rebaseFixture(ticker, await readFixture(ticker));
+      })();
+      pending.catch(() => cache.delete(ticker));
+      cache.set(ticker, pending);
+    }
+    return cache.get(ticker);
+  };
+
+  const fetchSpotPrice = async (ticker, onStatus, req) => {
+    const f = await load(ticker, onStatus);
+    throwIfAborted(req?.signal);
+    return { price: f.spot.price, name: f.spot.name || ticker };
+  };
+
+  const fetchOptionChain = async (ticker, expiryTimestamp, onStatus, req) => {
+    const f = await load(ticker, onStatus);
+    throwIfAborted(req?.signal);
+    const ts = expiryTimestamp || f.expirationDates[0];
+    const chain = f.chains.get(ts);
+    if (!chain) throw new Error(`No ${ticker} fixture chain for expiry ${ts}`);
+    return { expirationDates: f.expirationDates, calls: chain.calls, puts: chain.puts, quote: f.quote };
+  };
+
+  const fetchDividend = async (ticker, onStatus) => (await load(ticker, onStatus)).dividend;
+  const fetchEarnings = async (ticker, onStatus) => (await load(ticker, onStatus)).earnings;
+
+  return { id: "static", label: "Offline fixtures", fetchSpotPrice, fetchOptionChain, fetchDividend, fetchEarnings };
+};
+
+
+/* ═══════════════════════════════════════════════════════
+   ACTIVE PROVIDER
+   ═══════════════════════════════════════════════════════ */
+
+export const PROVIDER_MODES = [
+  ["yahoo", "Yahoo · public CORS proxies"],
+  ["custom", "Yahoo · custom proxy list"],
+  ["self", "Yahoo · self-hosted proxy"],
+  ["static", "Offline fixtures"],
+];
+
+// config: { mode, proxyTemplates: string[], selfHostedUrl: string, readFixture? }
+export const createProvider = (config = {}) => {
+  switch (config.mode) {
+    case "custom": {
+      const templates = (config.proxyTemplates || []).map(t => t.trim()).filter(Boolean);
+      if (!templates.length) throw new Error("Custom proxy list is empty");
+      return createYahooProvider({ id: "custom", label: "Yahoo Finance (custom proxies)", proxies: templates.map(proxyFromTemplate) });
+    }
+    case "self": {
+      if (!/^https?:\/\//.test(config.selfHostedUrl || "")) throw new Error("Self-hosted proxy needs an http(s) base URL");
+      return createYahooProvider({ id: "self", label: "Yahoo Finance (self-hosted proxy)", proxies: [selfHostedProxy(config.selfHostedUrl)] });
+    }
+    case "static":
+      return createStaticProvider(config.readFixture ? { readFixture: config.readFixture } : {});
+    default:
+      return createYahooProvider();
+  }
+};
+
+let activeProvider = createYahooProvider();
+
+export const setDataProvider = (provider) => { activeProvider = provider; };
+export const getDataProvider = () => activeProvider;
+
+export const fetchSpotPrice = (ticker, onStatus, req) => activeProvider.fetchSpotPrice(ticker, onStatus, req);
+export const fetchOptionChain = (ticker, expiryTimestamp, onStatus, req) => activeProvider.fetchOptionChain(ticker, expiryTimestamp, onStatus, req);
+export const fetchDividend = async (ticker, onStatus, req) => (activeProvider.fetchDividend ? activeProvider.fetchDividend(ticker, onStatus, req) : null);
+export const fetchEarnings = async (ticker, onStatus, req) => (activeProvider.fetchEarnings ? activeProvider.fetchEarnings(ticker, onStatus, req) : null);
@@ -0,0 +1,194 @@
+/* ═══════════════════════════════════════════════════════
+   SCORING PROFILES
+   A profile is a named ranking formula over the fields of an analyzed
+   row, plus optional hard filters on |delta| and DTE. Formulas are
+   parsed by a small arithmetic grammar — never eval'd — so a profile
+   can only read row fields and call the functions listed below.
+   Higher scores rank first.
+   ═══════════════════════════════════════════════════════ */
+
+// Row fields a formula may reference (see analyzeOptions)
+export const SCORE_FIELDS = {
+  extrinsic: "Mid − intrinsic, $/share",
+  fillableExtrinsic: "Extrinsic − half the bid-ask spread",
+  intrinsic: "Intrinsic value, $/share",
+  mid: "Mid price (last trade without a quote)",
+  bid: "Bid",
+  ask: "Ask",
+  spreadPct: "Bid-ask spread as % of mid",
+  strike: "Strike",
+  dte: "Days to the 4 pm ET close (calendar or trading, per DTE basis)",
+  yearFraction: "Time to expiry in years",
+  delta: "Delta (negative for puts)",
+  gamma: "Gamma",
+  theta: "Theta, $/share per DTE day (negative)",
+  vega: "Vega, $/share per IV point",
+  rho: "Rho, $/share per rate point",
+  impliedVol: "Implied volatility (0.25 = 25%)",
+  dividendAhead: "Dividend going ex before expiry, $/share (0 if none)",
+  eventPremium: "Earnings event premium in the extrinsic, $/share (0 if the expiry spans no release)",
+  exEventExtrinsic: "Extrinsic − event premium",
+  smileIV: "IV of the fitted smile at this strike",
+  ivResidual: "IV − fitted smile IV (positive = rich)",
+  richness: "Extrinsic − extrinsic priced at the fitted smile IV, $/share",
+  openInterest: "Open interest",
+  volume: "Volume",
+  extrinsicPerDTE: "Extrinsic ÷ DTE",
+  annualizedYield: "Annualized yield on collateral, %",
+  collateral: "Collateral per share",
+  buyingPower: "Buying power the short adds, $ per contract (per account type; 0 when covered)",
+  capital: "Capital tied up, $ per contract (the shares for a covered call)",
+  returnOnCapital: "Extrinsic ÷ capital tied up, %",
+  annualizedROC: "Return on capital ÷ years to expiry, %",
+  efficiencyScore: "Extrinsic ÷ DTE ÷ |Delta|",
+  liquidityScore: "Fillable extrinsic ÷ DTE ÷ |Delta|",
+  exEventScore: "Ex-event extrinsic ÷ DTE ÷ |Delta|",
+};
+
+const FUNCTIONS = {
+  abs: [1, Math.abs],
+  sqrt: [1, Math.sqrt],
+  log: [1, Math.log],
+  exp: [1, Math.exp],
+  pow: [2, Math.pow],
+  min: [2, Math.min],
+  max: [2, Math.max],
+};
+export const SCORE_FUNCTIONS = Object.keys(FUNCTIONS);
+
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+const tokenize = (src) => {
+  const tokens = [];
+  const re = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(.))/gy;
+  let m;
+  while (re.lastIndex < src.length && (m = re.exec(src))) {
+    const pos = m.index + m[0].length - (m[1] || m[2] || m[3] || "").length;
+    if (m[1]) tokens.push({ type: "num", value: parseFloat(m[1]), pos });
+    else if (m[2]) tokens.push({ type: "id", value: m[2], pos });
+    else if (m[3]) {
+      if (!"+-*/^(),".includes(m[3])) throw new Error(`Unexpected "${m[3]}" at ${pos + 1}`);
+      tokens.push({ type: "op", value: m[3], pos });
+    }
+  }
+  return tokens;
+};
+
+// expr   := term (("+" | "-") term)*
+// term   := unary (("*" | "/") unary)*
+// unary  := ("-" | "+") unary | power
+// power  := primary ("^" unary)?
+// primary:= number | field | fn "(" expr ("," expr)* ")" | "(" expr ")"
+// Each rule returns a closure over the row; missing fields read as NaN.
+const parse = (tokens) => {
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = (v) => peek()?.type === "op" && peek().value === v;
+  const expect = (v) => {
+    if (!isOp(v)) throw new Error(`Expected "${v}" ${peek() ? `at ${peek().pos + 1}` : "at end"}`);
+    i++;
+  };
+
+  const expr = () => {
+    let left = term();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[i++].value, l = left, r = term();
+      left = op === "+" ? (row) => l(row) + r(row) : (row) => l(row) - r(row);
+    }
+    return left;
+  };
+  const term = () => {
+    let left = unary();
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[i++].value, l = left, r = unary();
+      left = op === "*" ? (row) => l(row) * r(row) : (row) => l(row) / r(row);
+    }
+    return left;
+  };
+  const unary = () => {
+    if (isOp("-")) { i++; const u = unary(); return (row) => -u(row); }
+    if (isOp("+")) { i++; return unary(); }
+    return power();
+  };
+  const power = () => {
+    const base = primary();
+    if (!isOp("^")) return base;
+    i++;
+    const exponent = unary();
+    return (row) => Math.pow(base(row), exponent(row));
+  };
+  const primary = () => {
+    const t = tokens[i++];
+    if (!t) throw new Error("Formula ends unexpectedly");
+    if (t.type === "num") return () => t.value;
+    if (t.type === "op" && t.value === "(") {
+      const inner = expr();
+      expect(")");
+      return inner;
+    }
+    if (t.type === "id") {
+      if (has(FUNCTIONS, t.value)) {
+        const [arity, fn] = FUNCTIONS[t.value];
+        expect("(");
+        const args = [expr()];
+        while (isOp(",")) { i++; args.push(expr()); }
+        expect(")");
+        if (args.length !== arity) throw new Error(`${t.value}() takes ${arity} argument${arity > 1 ? "s" : ""}`);
+        return (row) => fn(...args.map(a => a(row)));
+      }
+      if (has(SCORE_FIELDS, t.value)) {
+        const key = t.value;
+        return (row) => (typeof row[key] === "number" ? row[key] : NaN);
+      }
+      throw new Error(`Unknown field "${t.value}"`);
+    }
+    throw new Error(`Unexpected "${t.value}" at ${t.pos + 1}`);
+  };
+
+  const fn = expr();
+  if (i < tokens.length) throw new Error(`Unexpected "${tokens[i].value}" at ${tokens[i].pos + 1}`);
+  return fn;
+};
+
+const compiled = new Map();
+
+// formula → (row) => number. Throws with a readable message on bad input;
+// rows missing a referenced field score NaN and are left unranked.
+export function compileFormula(formula) {
+  const src = String(formula || "").trim();
+  if (!src) throw new Error("Formula is empty");
+  if (!compiled.has(src)) compiled.set(src, parse(tokenize(src)));
+  return compiled.get(src);
+}
+
+const num = (v) => (v === "" || v == null || !Number.isFinite(parseFloat(v)) ? null : parseFloat(v));
+
+// filters: { deltaMin, deltaMax, dteMin, dteMax } on |delta| and DTE, each
+// optional. A row without delta fails any delta bound.
+export function passesProfileFilters(row, filters = {}) {
+  const [dMin, dMax, tMin, tMax] = [filters.deltaMin, filters.deltaMax, filters.dteMin, filters.dteMax].map(num);
+  if (dMin != null || dMax != null) {
+    if (row.delta == null) return false;
+    const d = Math.abs(row.delta);
+    if ((dMin != null && d < dMin) || (dMax != null && d > dMax)) return false;
+  }
+  if (tMin != null && row.dte < tMin) return false;
+  if (tMax != null && row.dte > tMax) return false;
+  return true;
+}
+
+export const DEFAULT_PROFILE_ID = "efficiency";
+
+// formula: null marks the built-in efficiency ranking, which falls back to
+// Extrinsic ÷ DTE when a chain has no Greeks and honours liquidity adjustment.
+export const BUILTIN_PROFILES = [
+  { id: DEFAULT_PROFILE_ID, name: "Efficiency", formula: null, filters: {}, builtin: true },
+  { id: "theta-vega", name: "Theta / Vega", formula: "abs(theta) / vega", filters: {}, builtin: true },
+  { id: "yield-30d", name: "Yield ≤ 0.30Δ", formula: "annualizedYield", filters: { deltaMax: "0.30" }, builtin: true },
+  { id: "collateral", name: "Ext / Collateral", formula: "extrinsic / collateral * 100", filters: {}, builtin: true },
+  { id: "roc", name: "Return on Capital", formula: "returnOnCapital", filters: {}, builtin: true },
+  { id: "roc-annual", name: "Ann. Return on Capital", formula: "annualizedROC", filters: {}, builtin: true },
+];
+
+// Starting formula when a new profile is created from the built-in ranking
+export const EFFICIENCY_FORMULA = "extrinsic / dte / abs(delta)";
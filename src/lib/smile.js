@@ -0,0 +1,108 @@
+/* ═══════════════════════════════════════════════════════
+   VOLATILITY SMILE
+   One expiry's IV across strikes, fitted as a quadratic in standardized
+   log-moneyness  x = ln(K / S) / √T  to the out-of-the-money side of each
+   strike (puts below spot, calls above) — the quotes that carry the
+   smile. Strikes priced well above the fit are flagged "rich".
+   ═══════════════════════════════════════════════════════ */
+
+import { DEFAULT_RATE, bsmPrice } from "./greeks.js";
+
+// A strike is rich when its IV clears the fitted smile by at least this
+// many vol points and 1.5 residual standard deviations, and its extrinsic
+// clears the smile-priced extrinsic by $0.05 and 10%
+const RICH_IV_POINTS = 0.02;
+const RICH_RESIDUAL_SDS = 1.5;
+const RICH_MIN_DOLLARS = 0.05;
+const RICH_MIN_FRACTION = 0.1;
+
+const usable = (o) => o.impliedVol > 0.01 && o.impliedVol < 5 && o.midSource === "quote";
+
+// Least squares for iv = a + b·x + c·x²; null when singular
+const fitQuadratic = (pts) => {
+  const s = Array(5).fill(0), t = Array(3).fill(0);
+  pts.forEach(({ x, iv }) => {
+    for (let p = 0; p < 5; p++) s[p] += x ** p;
+    for (let p = 0; p < 3; p++) t[p] += iv * x ** p;
+  });
+  const m = [[s[0], s[1], s[2], t[0]], [s[1], s[2], s[3], t[1]], [s[2], s[3], s[4], t[2]]];
+  for (let col = 0; col < 3; col++) {
+    const pivot = m.slice(col).reduce((best, row, i) => (Math.abs(row[col]) > Math.abs(m[best][col]) ? col + i : best), col);
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = 0; r < 3; r++) {
+      if (r === col) continue;
+      const f = m[r][col] / m[col][col];
+      for (let k = col; k < 4; k++) m[r][k] -= f * m[col][k];
+    }
+  }
+  return m.map((row, i) => row[3] / row[i]);
+};
+
+// The contract nearest |delta| = target among rows with a delta
+const nearestDelta = (rows, target) => rows
+  .filter(o => o.delta != null && usable(o))
+  .reduce((best, o) => (!best || Math.abs(Math.abs(o.delta) - target) < Math.abs(Math.abs(best.delta) - target) ? o : best), null);
+
+// ATM straddle (call + put mid at the strike nearest spot) as the market's
+// expected move to expiry. Null without both sides quoted at that strike.
+export function expectedMove(chain, spotPrice) {
+  const calls = chain?.calls || [], puts = chain?.puts || [];
+  const atm = calls.filter(c => c.mid > 0 && puts.some(p => p.strike === c.strike && p.mid > 0))
+    .reduce((best, c) => (!best || Math.abs(c.strike - spotPrice) < Math.abs(best.strike - spotPrice) ? c : best), null);
+  if (!atm) return null;
+  const move = atm.mid + puts.find(p => p.strike === atm.strike).mid;
+  return { strike: atm.strike, move, movePct: move / spotPrice * 100, lower: spotPrice - move, upper: spotPrice + move };
+}
+
+// chain: analyzed rows per side (see analyzeOptions). Returns null with
+// fewer than four usable quotes. ivAt(strike) evaluates the fitted smile.
+// skew: fitted IV at 95% of spot less at 105%; rr25 / fly25: the 25-delta
+// risk reversal (put IV − call IV) and butterfly (wing average − ATM IV)
+// from the nearest quoted contracts.
+export function fitSmile(chain, spotPrice) {
+  const calls = chain?.calls || [], puts = chain?.puts || [];
+  const years = (calls[0] || puts[0])?.yearFraction;
+  if (!(years > 0 && spotPrice > 0)) return null;
+  const sqrtT = Math.sqrt(years);
+  const xOf = (strike) => Math.log(strike / spotPrice) / sqrtT;
+  const points = [...puts.filter(o => o.strike <= spotPrice), ...calls.filter(o => o.strike >= spotPrice)]
+    .filter(usable)
+    .map(o => ({ strike: o.strike, side: o.side, x: xOf(o.strike), iv: o.impliedVol }));
+  if (points.length < 4) return null;
+  const coeffs = fitQuadratic(points);
+  if (!coeffs) return null;
+  const [a, b, c] = coeffs;
+  const ivAt = (strike) => Math.max(0.01, a + b * xOf(strike) + c * xOf(strike) ** 2);
+  const residualSd = Math.sqrt(points.reduce((sum, p) => sum + (p.iv - ivAt(p.strike)) ** 2, 0) / Math.max(1, points.length - 3));
+  const atmIV = ivAt(spotPrice);
+  const p25 = nearestDelta(puts, 0.25), c25 = nearestDelta(calls, 0.25);
+  return {
+    coeffs, years, points, ivAt, residualSd, atmIV,
+    skew: ivAt(spotPrice * 0.95) - ivAt(spotPrice * 1.05),
+    rr25: p25 && c25 ? p25.impliedVol - c25.impliedVol : null,
+    fly25: p25 && c25 ? (p25.impliedVol + c25.impliedVol) / 2 - atmIV : null,
+    strikeRange: [Math.min(...points.map(p => p.strike)), Math.max(...points.map(p => p.strike))],
+  };
+}
+
+// Adds to every row: smileIV (fitted IV at its strike), ivResidual (IV −
+// smileIV), smileExtrinsic (model value at smileIV less intrinsic),
+// richness (extrinsic − smileExtrinsic) and rich. Without a fitted smile
+// the fields are null and nothing is rich.
+export function withSmile(chain, spotPrice, opts = {}) {
+  const { rate = DEFAULT_RATE, dividendYield = 0 } = opts;
+  const smile = fitSmile(chain, spotPrice);
+  const tag = (rows) => (rows || []).map(o => {
+    if (!smile || !(o.impliedVol > 0.01)) return { ...o, smileIV: null, ivResidual: null, smileExtrinsic: null, richness: null, rich: false };
+    const smileIV = smile.ivAt(o.strike);
+    const ivResidual = o.impliedVol - smileIV;
+    const smileExtrinsic = Math.max(0, (bsmPrice(o.side === "puts", spotPrice, o.strike, o.yearFraction, rate, dividendYield, smileIV) ?? o.intrinsic) - o.intrinsic);
+    const richness = o.extrinsic - smileExtrinsic;
+    const rich = usable(o)
+      && ivResidual >= Math.max(RICH_IV_POINTS, RICH_RESIDUAL_SDS * smile.residualSd)
+      && richness >= Math.max(RICH_MIN_DOLLARS, RICH_MIN_FRACTION * smileExtrinsic);
+    return { ...o, smileIV, ivResidual, smileExtrinsic, richness, rich };
+  });
+  return { calls: tag(chain?.calls), puts: tag(chain?.puts) };
+}
@@ -0,0 +1,53 @@
+/* ═══════════════════════════════════════════════════════
+   ZIP
+   Just enough of the ZIP format to read an archive of chain files:
+   stored and deflated entries via the platform DecompressionStream
+   (browsers, Node 18+). No ZIP64, encryption or multi-part archives.
+   ═══════════════════════════════════════════════════════ */
+
+const EOCD_SIG = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+export const isZip = (bytes) => bytes.length >= 4 && new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) === LOCAL_SIG;
+
+const inflateRaw = async (data) => {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// bytes: Uint8Array of the whole archive → [{ name, bytes }] for every file
+// entry (folders and macOS resource forks skipped). Throws on a damaged or
+// unsupported archive.
+export async function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === EOCD_SIG) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("Not a ZIP archive (no central directory)");
+  const count = view.getUint16(eocd + 10, true);
+  let at = view.getUint32(eocd + 16, true);
+  if (at === 0xffffffff) throw new Error("ZIP64 archives are not supported");
+
+  const decoder = new TextDecoder();
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(at, true) !== CENTRAL_SIG) throw new Error("Damaged ZIP central directory");
+    const method = view.getUint16(at + 10, true);
+    const size = view.getUint32(at + 20, true);
+    const nameLen = view.getUint16(at + 28, true), extraLen = view.getUint16(at + 30, true), commentLen = view.getUint16(at + 32, true);
+    const local = view.getUint32(at + 42, true);
+    const name = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLen));
+    at += 46 + nameLen + extraLen + commentLen;
+    if (name.endsWith("/") || name.startsWith("__MACOSX/")) continue;
+
+    if (view.getUint32(local, true) !== LOCAL_SIG) throw new Error(`Damaged ZIP entry ${name}`);
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const data = bytes.subarray(start, start + size);
+    if (method === 0) entries.push({ name, bytes: data });
+    else if (method === 8) entries.push({ name, bytes: await inflateRaw(data) });
+    else throw new Error(`${name}: unsupported ZIP compression method ${method}`);
+  }
+  return entries;
+}
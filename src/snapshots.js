@@ -0,0 +1,95 @@
+/* ═══════════════════════════════════════════════════════
+   SNAPSHOT STORE
+   Analysis snapshots (see ./lib/history) in IndexedDB. The list view
+   only needs the header, so each snapshot is split into a small "meta"
+   record and its "data" (settings, chain, ranks) under the same id.
+   Every call rejects when the browser has no IndexedDB.
+   ═══════════════════════════════════════════════════════ */
+
+const DB_NAME = "oea";
+const DB_VERSION = 1;
+// Oldest snapshots are dropped beyond this many
+const MAX_SNAPSHOTS = 1000;
+
+const META_FIELDS = ["key", "ticker", "name", "expiry", "at", "spot", "dataSource", "scoreName", "top"];
+
+let dbPromise = null;
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") { reject(new Error("This browser has no IndexedDB")); return; }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        const meta = db.createObjectStore("meta", { keyPath: "id", autoIncrement: true });
+        meta.createIndex("key", "key");
+        meta.createIndex("at", "at");
+        db.createObjectStore("data", { keyPath: "id" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// Runs fn(stores) in one transaction and resolves with its result once committed
+const transact = async (mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["meta", "data"], mode);
+    let result;
+    Promise.resolve(fn({ meta: tx.objectStore("meta"), data: tx.objectStore("data") }))
+      .then(r => { result = r; }, e => { tx.abort(); reject(e); });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Snapshot transaction aborted"));
+  });
+};
+
+export async function saveSnapshot(snapshot) {
+  const header = Object.fromEntries(META_FIELDS.map(k => [k, snapshot[k]]));
+  const { opts, chain, ranked } = snapshot;
+  const id = await transact("readwrite", async ({ meta, data }) => {
+    const newId = await request(meta.add(header));
+    data.put({ id: newId, opts, chain, ranked });
+    const count = await request(meta.count());
+    if (count > MAX_SNAPSHOTS) {
+      const oldest = await request(meta.index("at").getAllKeys(null, count - MAX_SNAPSHOTS));
+      oldest.forEach(k => { meta.delete(k); data.delete(k); });
+    }
+    return newId;
+  });
+  return id;
+}
+
+// Headers only, newest first
+export async function listSnapshots() {
+  const all = await transact("readonly", ({ meta }) => request(meta.getAll()));
+  return all.sort((a, b) => b.at - a.at);
+}
+
+const withData = async (headers) => transact("readonly", ({ data }) =>
+  Promise.all(headers.map(h => request(data.get(h.id)).then(d => ({ ...h, ...d, id: h.id })))));
+
+export async function loadSnapshot(id) {
+  const header = await transact("readonly", ({ meta }) => request(meta.get(id)));
+  if (!header) throw new Error("Snapshot not found");
+  return (await withData([header]))[0];
+}
+
+// Full snapshots of one ticker and expiry (see snapshotKey), oldest first
+export async function loadSnapshotsFor(key) {
+  const headers = await transact("readonly", ({ meta }) => request(meta.index("key").getAll(key)));
+  return withData(headers.sort((a, b) => a.at - b.at));
+}
+
+export const deleteSnapshot = (id) => transact("readwrite", ({ meta, data }) => { meta.delete(id); data.delete(id); });
+
+export const clearSnapshots = () => transact("readwrite", ({ meta, data }) => { meta.clear(); data.clear(); });
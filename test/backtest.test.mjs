@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadHistoryFiles, runBacktest } from "../src/lib/backtest.js";
+
+const near = (actual, expected, msg) => assert.ok(Math.abs(actual - expected) < 1e-6, `${msg ?? ""} ${actual} vs ${expected}`);
+const call = (strike, delta, mid) => ({ strike, delta, bid: +(mid - 0.05).toFixed(2), ask: +(mid + 0.05).toFixed(2), impliedVolatility: 0.3, volume: 10, openInterest: 100 });
+const snap = (asOf, spot, expirations) => ({ name: `TEST_${asOf}.json`, text: JSON.stringify({ asOf, spot, ticker: "test", expirations }) });
+
+// Weekly 0.30Δ covered calls over five closes:
+//  11-06 spot 100  sell 105 (11-13) at 1.00
+//  11-13 spot 103  105 expires worthless; sell 108 (11-20) at 1.50
+//  11-20 spot 110  108 assigned at 110 (intrinsic 2); sell 114 (11-27) at 1.20
+//  11-25 spot 120  114 has 0.05 of time value left — rolled at 6.05 to 124 (12-04) at 1.50
+//  12-04 spot 118  124 expires worthless; nothing listed to sell
+const HISTORY = [
+  snap("2026-11-06", 100, [{ date: "2026-11-13", calls: [call(100, 0.5, 2), call(105, 0.3, 1), call(110, 0.1, 0.25)] }]),
+  snap("2026-11-13", 103, [{ date: "2026-11-20", calls: [call(105, 0.5, 3), call(108, 0.3, 1.5), call(112, 0.1, 0.4)] }]),
+  snap("2026-11-20", 110, [{ date: "2026-11-27", calls: [call(110, 0.5, 2.5), call(114, 0.3, 1.2), call(118, 0.1, 0.3)] }]),
+  snap("2026-11-25", 120, [
+    { date: "2026-11-27", calls: [call(114, 0.95, 6.05)] },
+    { date: "2026-12-04", calls: [call(120, 0.5, 3), call(124, 0.3, 1.5), call(128, 0.1, 0.5)] },
+  ]),
+  snap("2026-12-04", 118, []),
+];
+
+const history = await loadHistoryFiles(HISTORY);
+const RULE = { type: "delta", delta: 0.3 };
+
+test("history files load as one snapshot per day with daily prices", () => {
+  assert.deepEqual(history.errors, []);
+  assert.equal(history.ticker, "TEST");
+  assert.deepEqual(history.snapshots.map(s => s.date), ["2026-11-06", "2026-11-13", "2026-11-20", "2026-11-25", "2026-12-04"]);
+  assert.deepEqual(history.prices.map(p => p.price), [100, 103, 110, 120, 118]);
+});
+
+test("rolling: expired, assigned and rolled trades with their P&L", () => {
+  const r = runBacktest(history, { rule: RULE, frequency: "weekly", manage: "roll" });
+  assert.deepEqual(r.trades.map(t => [t.strike, t.exit, t.exitCost, t.pnl].map(v => (typeof v === "number" ? +v.toFixed(4) : v))), [
+    [105, "expired", 0, 100],
+    [108, "assigned", 2, -50],
+    [114, "rolled", 6.05, -485],
+    [124, "expired", 0, 150],
+  ]);
+  assert.equal(r.trades[2].exitDate, "2026-11-25");
+  near(r.trades[2].extrinsicPaid, 0.05);
+  assert.equal(r.open, null);
+
+  assert.deepEqual(r.curve.map(p => +p.equity.toFixed(2)), [10000, 10400, 11050, 11565, 11515]);
+  const s = r.summary;
+  assert.deepEqual([s.trades, s.wins, s.assignments, s.rolls], [4, 2, 1, 1]);
+  near(s.premium, 520);
+  near(s.intrinsicLost, 800);
+  near(s.extrinsicPaid, 5);
+  near(s.net, -285);
+  near(s.returnPct, 15.15);
+  near(s.buyHoldPct, 18);
+  near(s.maxDrawdown, 50);
+  near(s.maxDrawdownPct, 50 / 11565 * 100);
+  near(s.buyHoldDrawdownPct, 200 / 12000 * 100);
+});
+
+test("holding: an expiry between snapshots settles at the last close before it", () => {
+  const r = runBacktest(history, { rule: RULE, frequency: "weekly", manage: "hold" });
+  assert.deepEqual(r.trades.map(t => t.exit), ["expired", "assigned", "assigned"]);
+  const last = r.trades[2];
+  assert.equal(last.exitDate, "2026-12-04");
+  assert.equal(last.exitSpot, 120, "11-27 settles at the 11-25 close, not the 12-04 one");
+  near(last.pnl, (1.2 - 6) * 100);
+});
+
+test("fees and fills at the bid and ask come out of every trade", () => {
+  const r = runBacktest(history, { rule: RULE, frequency: "weekly", manage: "roll", fillAtBid: true, fee: 1 });
+  const [first, , rolled] = r.trades;
+  near(first.premium, 0.95);
+  near(first.pnl, 95 - 1, "an expiry costs no closing fee");
+  near(rolled.exitCost, 6.1);
+  near(rolled.pnl, (1.15 - 6.1) * 100 - 2);
+  near(r.summary.fees, 1 + 2 + 2 + 1, "one to open each, one to close the assigned and rolled");
+});
@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, parseNumber, parseExpiryDate, importChainCsv, groupByExpiry } from "../src/lib/csvImport.js";
+
+const NOV_20_2026 = Date.UTC(2026, 10, 20) / 1000;
+
+// thinkorswim: preamble, UNDERLYING block, per-expiry heading, calls | strike | puts
+const TOS = [
+  "Stock quote and option quote for AAPL on 11/1/26 10:00:00",
+  "",
+  "UNDERLYING",
+  ",LAST,Net Chng,Volume",
+  ",200.00,+1.25,\"52,310,000\"",
+  "",
+  "20 NOV 26  (19)  100",
+  ",,Mark,Volume,Open.Int,Impl Vol,Delta,BID,ASK,Exp,Strike,Bid,Ask,Mark,Volume,Open.Int,Impl Vol,Delta",
+  ",,5.10,120,\"1,500\",27.5%,.55,5.00,5.20,20 NOV 26,200,4.10,4.30,4.20,80,900,28.1%,-.45",
+  ",,2.05,60,800,25.0%,.30,2.00,2.10,20 NOV 26,210,11.00,11.40,11.20,5,40,26.0%,-.70",
+].join("\n");
+
+test("parseCsv handles quotes, doubled quotes, CRLF and a BOM", () => {
+  assert.deepEqual(parseCsv('﻿a,"b,c","say ""hi"""\r\n1,,3'), [["a", "b,c", 'say "hi"'], ["1", "", "3"]]);
+  assert.deepEqual(parseCsv('"line\nbreak",x\n'), [["line\nbreak", "x"]]);
+});
+
+test("parseNumber strips currency, thousands and percent; blanks are null", () => {
+  assert.equal(parseNumber("$1,234.50"), 1234.5);
+  assert.equal(parseNumber("27.5%"), 27.5);
+  assert.equal(parseNumber("(0.25)"), -0.25);
+  assert.equal(parseNumber("--"), null);
+  assert.equal(parseNumber(""), null);
+  assert.ok(Number.isNaN(parseNumber("abc")));
+});
+
+test("parseExpiryDate reads ISO, compact, US and thinkorswim dates", () => {
+  ["2026-11-20", "20261120", "11/20/2026", "11/20/26", "20 NOV 26", "20 NOV 26  (19)  100", "Nov 20, 2026"]
+    .forEach(s => assert.equal(parseExpiryDate(s), NOV_20_2026, s));
+  assert.equal(parseExpiryDate("someday"), null);
+});
+
+test("side-by-side rows give one call and one put per strike", () => {
+  const r = importChainCsv(TOS);
+  assert.equal(r.broker, "schwab");
+  assert.equal(r.layout.type, "sideBySide");
+  assert.equal(r.ticker, "AAPL");
+  assert.equal(r.underlying, 200);
+  assert.deepEqual(r.errors, []);
+  const [g] = groupByExpiry(r.contracts);
+  assert.equal(g.expiry, NOV_20_2026);
+  assert.deepEqual(g.calls.map(c => [c.strike, c.bid, c.ask, c.openInterest]), [[200, 5, 5.2, 1500], [210, 2, 2.1, 800]]);
+  assert.deepEqual(g.puts.map(c => [c.strike, c.bid, c.ask, c.delta]), [[200, 4.1, 4.3, -0.45], [210, 11, 11.4, -0.7]]);
+  assert.equal(g.calls[0].contractSymbol, "AAPL261120C00200000");
+});
+
+test("implied volatility as a percent, a bare percent figure or a fraction", () => {
+  const csv = [
+    "Symbol,Type,Expiration,Strike,Bid,Ask,IV",
+    "AAPL,C,2026-11-20,200,5,5.2,27.5%",
+    "AAPL,C,2026-11-20,205,3,3.2,27.5",
+    "AAPL,C,2026-11-20,210,2,2.2,0.275",
+  ].join("\n");
+  const r = importChainCsv(csv);
+  assert.equal(r.layout.type, "rows");
+  r.contracts.forEach(({ contract }) => assert.ok(Math.abs(contract.impliedVolatility - 0.275) < 1e-12, String(contract.strike)));
+});
+
+test("bad rows are reported by line, not dropped silently", () => {
+  const csv = [
+    "Symbol,Type,Expiration,Strike,Bid,Ask",
+    "AAPL,C,2026-11-20,200,5,5.2",
+    "AAPL,X,2026-11-20,205,3,3.2",
+    "AAPL,C,2026-11-20,210,abc,2.2",
+    "AAPL,C,2026-11-20,215,3,2",
+  ].join("\n");
+  const r = importChainCsv(csv);
+  assert.equal(r.contracts.length, 1);
+  assert.deepEqual(r.errors.map(e => e.line), [3, 4, 5]);
+});
+
+test("a chosen preset's layout wins over detection", () => {
+  const r = importChainCsv(TOS, { broker: "generic" });
+  assert.equal(r.broker, "generic");
+  assert.equal(r.layout.type, "rows");
+  assert.equal(r.contracts.length, 0);
+});
+
+test("preset aliases apply only to their broker", () => {
+  const csv = ["Financial Instrument,Right,Last Trading Day,Strike,Bid,Ask", "AAPL,C,20261120,200,5,5.2"].join("\n");
+  assert.equal(importChainCsv(csv, { broker: "ibkr" }).contracts.length, 1);
+  assert.equal(importChainCsv(csv, { broker: "tastytrade" }).contracts.length, 0);
+});
+
+test("column mapping reaches both sides of a side-by-side export", () => {
+  const csv = [
+    "20 NOV 26  (19)  100",
+    "Bid Px,Ask,Strike,Bid Px,Ask",
+    "5.00,5.20,200,4.10,4.30",
+  ].join("\n");
+  const unmapped = importChainCsv(csv, { broker: "schwab" });
+  assert.equal(unmapped.layout.type, "sideBySide");
+  assert.equal(unmapped.layout.columns.calls.bid, undefined);
+
+  const r = importChainCsv(csv, { broker: "schwab", mapping: { bid: "Bid Px" } });
+  assert.deepEqual(r.layout.columns.calls, { bid: 0, ask: 1, strike: 2 });
+  assert.deepEqual(r.layout.columns.puts, { bid: 3, ask: 4, strike: 2 });
+  const [g] = groupByExpiry(r.contracts);
+  assert.equal(g.calls[0].bid, 5);
+  assert.equal(g.puts[0].bid, 4.1);
+});
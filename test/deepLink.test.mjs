@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { configToSearch, searchToConfig } from "../src/deepLink.js";
+
+const DEFAULTS = {
+  ticker: "", mode: "single", dteMode: "calendar", expiry: "", strikes: "10", side: "calls", scanMin: "", scanMax: "",
+  rate: "", dividendYield: "0", dividendInSplit: false, minOpenInterest: "", minVolume: "", maxSpreadPct: "",
+  liquidityAdjusted: false, exEvent: false, shares: "", costBasis: "", profile: "", account: "cash", nakedCalls: false,
+};
+
+test("settings at their default are left out of the URL", () => {
+  assert.equal(configToSearch({ ...DEFAULTS, ticker: "aapl" }), "?t=aapl");
+  assert.equal(configToSearch({ ...DEFAULTS }), "");
+  assert.equal(configToSearch({ ...DEFAULTS, ticker: "SPY", strikes: " 10 ", dividendYield: "0", rate: "  " }), "?t=SPY");
+});
+
+test("a full configuration survives the round trip", () => {
+  const config = {
+    ...DEFAULTS, ticker: "MSFT", mode: "scan", dteMode: "trading", expiry: "2026-11-20", strikes: "15", side: "both",
+    scanMin: "7", scanMax: "60", rate: "4.2", dividendYield: "0.8", minOpenInterest: "100", maxSpreadPct: "10",
+    shares: "300", costBasis: "410.5", account: "regT",
+  };
+  assert.deepEqual(searchToConfig(configToSearch(config)), config);
+});
+
+test("booleans are written as 1 and read back only from 1", () => {
+  const config = { ...DEFAULTS, ticker: "SPY", dividendInSplit: true, liquidityAdjusted: true, exEvent: true, nakedCalls: true };
+  const search = configToSearch(config);
+  assert.equal(search, "?t=SPY&divnet=1&fill=1&xev=1&naked=1");
+  assert.deepEqual(searchToConfig(search), config);
+  assert.equal(searchToConfig("?t=SPY&fill=true").liquidityAdjusted, false);
+});
+
+test("a custom profile travels with the link", () => {
+  const customProfile = { id: "u-abc", name: "Theta per vega", formula: "abs(theta) / vega", filters: { deltaMax: "0.3", dteMin: "14" } };
+  const config = { ...DEFAULTS, ticker: "AAPL", profile: "u-abc", customProfile };
+  const back = searchToConfig(configToSearch(config));
+  assert.deepEqual(back.customProfile, customProfile);
+  assert.equal(back.profile, "u-abc");
+  // A built-in profile id carries no definition
+  assert.equal(searchToConfig("?t=AAPL&p=theta-vega").customProfile, undefined);
+  assert.equal(searchToConfig("?t=AAPL&p=u-x&pf=extrinsic").customProfile.name, "Shared profile");
+});
+
+test("a query with no ticker or a malformed one gives null", () => {
+  ["", "?", "?mode=scan&n=5", "?t=", "?%E0%A4%A=&&==", "not a query"].forEach(s => assert.equal(searchToConfig(s), null, s));
+});
+
+test("unknown choices fall back to their defaults", () => {
+  const config = searchToConfig("?t=qqq&mode=wat&side=sideways&dte=lunar&acct=margin");
+  assert.equal(config.ticker, "QQQ");
+  assert.deepEqual([config.mode, config.side, config.dteMode, config.account], ["single", "calls", "calendar", "cash"]);
+});
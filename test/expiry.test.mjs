@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isTradingDay, expiryCloseTs, daysToExpiry, yearFraction, calendarDaysPerDTE, expiryKind, findClosestExpiry } from "../src/lib/expiry.js";
+
+// Expiries are 00:00 UTC on the date, as Yahoo sends them; `at` is a UTC wall time
+const day = (y, m, d) => Date.UTC(y, m - 1, d) / 1000;
+const at = (y, m, d, h, min = 0) => Date.UTC(y, m - 1, d, h, min) / 1000;
+const near = (actual, expected, msg) => assert.ok(Math.abs(actual - expected) < 1e-9, `${msg ?? ""} ${actual} vs ${expected}`);
+
+test("NYSE holidays: Good Friday and the observed fixed-date holidays", () => {
+  assert.equal(isTradingDay(2026, 3, 3), false, "Good Friday 2026");
+  assert.equal(isTradingDay(2025, 3, 18), false, "Good Friday 2025");
+  assert.equal(isTradingDay(2026, 3, 2), true, "the Thursday before");
+  assert.equal(isTradingDay(2022, 5, 20), false, "Juneteenth on a Sunday is observed Monday");
+  assert.equal(isTradingDay(2027, 5, 18), false, "Juneteenth on a Saturday is observed Friday");
+  assert.equal(isTradingDay(2021, 5, 18), true, "no Juneteenth holiday before 2022");
+  assert.equal(isTradingDay(2026, 6, 3), false, "July 4 on a Saturday is observed Friday");
+  assert.equal(isTradingDay(2027, 6, 5), false, "July 4 on a Sunday is observed Monday");
+  assert.equal(isTradingDay(2021, 11, 31), true, "New Year's Day on a Saturday is not moved into December");
+  assert.equal(isTradingDay(2026, 10, 26), false, "Thanksgiving");
+  assert.equal(isTradingDay(2026, 10, 21), false, "Saturday");
+});
+
+test("the close is 4 pm Eastern on either side of a DST switch", () => {
+  assert.equal(expiryCloseTs(day(2026, 3, 6)), at(2026, 3, 6, 21), "EST");
+  assert.equal(expiryCloseTs(day(2026, 3, 13)), at(2026, 3, 13, 20), "EDT from March 8");
+  assert.equal(expiryCloseTs(day(2026, 10, 30)), at(2026, 10, 30, 20), "EDT");
+  assert.equal(expiryCloseTs(day(2026, 11, 6)), at(2026, 11, 6, 21), "EST from November 1");
+});
+
+test("calendar DTE across a DST switch loses or gains the hour", () => {
+  near(daysToExpiry(day(2026, 3, 13), "calendar", at(2026, 3, 6, 21)), 7 - 1 / 24, "spring forward");
+  near(daysToExpiry(day(2026, 11, 6), "calendar", at(2026, 10, 30, 20)), 7 + 1 / 24, "fall back");
+  near(daysToExpiry(day(2026, 3, 13), "trading", at(2026, 3, 6, 21)), 5, "sessions are unaffected");
+});
+
+test("trading-day DTE skips a holiday weekend", () => {
+  // Thursday's close before Good Friday 2026 to the Tuesday after Easter: Monday and Tuesday
+  near(daysToExpiry(day(2026, 4, 7), "trading", at(2026, 4, 2, 20)), 2);
+  // From the Friday close before Memorial Day 2026 to the Friday after it: four sessions
+  near(daysToExpiry(day(2026, 5, 29), "trading", at(2026, 5, 22, 20)), 4);
+  near(daysToExpiry(day(2026, 5, 29), "calendar", at(2026, 5, 22, 20)), 7);
+});
+
+test("an expiry at noon on its last day counts what is left of the session", () => {
+  const expiry = day(2026, 11, 20), noon = at(2026, 11, 20, 17);
+  near(daysToExpiry(expiry, "calendar", noon), 4 / 24);
+  near(daysToExpiry(expiry, "trading", noon), 4 / 6.5);
+  near(daysToExpiry(expiry, "trading", at(2026, 11, 20, 13)), 1, "before the open the whole session is left");
+});
+
+test("DTE never drops below one hour in the basis' own units", () => {
+  const expiry = day(2026, 11, 20);
+  near(daysToExpiry(expiry, "calendar", at(2026, 11, 20, 20, 45)), 1 / 24);
+  near(daysToExpiry(expiry, "trading", at(2026, 11, 20, 20, 45)), 1 / 6.5);
+  near(daysToExpiry(expiry, "trading", at(2026, 11, 21, 12)), 1 / 6.5, "after expiry");
+});
+
+test("years and day units follow the DTE basis", () => {
+  near(yearFraction(365), 1);
+  near(yearFraction(252, "trading"), 1);
+  assert.equal(calendarDaysPerDTE(), 1);
+  near(calendarDaysPerDTE("trading"), 365 / 252);
+});
+
+test("expiryKind: monthly, holiday-shifted monthly, weekly, quarterly, daily", () => {
+  assert.equal(expiryKind(day(2026, 11, 20)), "monthly", "third Friday");
+  assert.equal(expiryKind(day(2025, 4, 17)), "monthly", "Thursday before a Good Friday third Friday");
+  assert.equal(expiryKind(day(2026, 4, 2)), "weekly", "Thursday before a Good Friday first Friday");
+  assert.equal(expiryKind(day(2026, 11, 13)), "weekly");
+  assert.equal(expiryKind(day(2026, 3, 31)), "quarterly", "last trading day of March");
+  assert.equal(expiryKind(day(2026, 11, 18)), "daily");
+});
+
+test("findClosestExpiry takes an exact match, else the nearest listed date", () => {
+  const listed = [day(2026, 11, 13), day(2026, 11, 20), day(2026, 12, 18)];
+  assert.equal(findClosestExpiry(listed, "2026-11-20"), listed[1]);
+  assert.equal(findClosestExpiry(listed, "2026-12-10"), listed[2]);
+});
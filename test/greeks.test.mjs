@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { bsmGreeks, bsmPrice, shortOptionOdds, normCdf } from "../src/lib/greeks.js";
+
+const near = (actual, expected, tol, msg) => assert.ok(Math.abs(actual - expected) <= tol, `${msg ?? ""} ${actual} vs ${expected}`);
+
+test("normCdf matches the standard normal table", () => {
+  near(normCdf(0), 0.5, 1e-7);
+  near(normCdf(1), 0.841345, 1e-6);
+  near(normCdf(-1.96), 0.024998, 1e-6);
+});
+
+// Hull, Options, Futures and Other Derivatives: S 42, K 40, r 10%, σ 20%, six months
+test("prices match the textbook reference", () => {
+  near(bsmPrice(false, 42, 40, 0.5, 0.1, 0, 0.2), 4.76, 0.005, "call");
+  near(bsmPrice(true, 42, 40, 0.5, 0.1, 0, 0.2), 0.81, 0.005, "put");
+});
+
+// Hull: S 49, K 50, r 5%, σ 20%, 20 weeks. Theta per calendar day, vega per point.
+test("call Greeks match the textbook reference", () => {
+  const g = bsmGreeks(false, 49, 50, 0.3846, 0.05, 0, 0.2);
+  near(g.delta, 0.522, 0.001, "delta");
+  near(g.gamma, 0.066, 0.001, "gamma");
+  near(g.theta, -4.31 / 365, 0.0002, "theta");
+  near(g.vega, 0.121, 0.001, "vega");
+  near(g.rho, 0.089, 0.001, "rho");
+});
+
+test("put-call parity holds with a dividend yield", () => {
+  const [S, K, T, r, q, sigma] = [100, 110, 0.25, 0.045, 0.02, 0.3];
+  const call = bsmPrice(false, S, K, T, r, q, sigma), put = bsmPrice(true, S, K, T, r, q, sigma);
+  near(call - put, S * Math.exp(-q * T) - K * Math.exp(-r * T), 1e-6);
+  const gc = bsmGreeks(false, S, K, T, r, q, sigma), gp = bsmGreeks(true, S, K, T, r, q, sigma);
+  near(gc.delta - gp.delta, Math.exp(-q * T), 1e-9, "delta parity");
+  near(gc.gamma, gp.gamma, 1e-12, "gamma");
+  near(gc.vega, gp.vega, 1e-12, "vega");
+});
+
+test("deltas stay in range and theta is negative across strikes", () => {
+  [60, 90, 100, 110, 160].forEach(K => {
+    const c = bsmGreeks(false, 100, K, 30 / 365, 0.045, 0, 0.35), p = bsmGreeks(true, 100, K, 30 / 365, 0.045, 0, 0.35);
+    assert.ok(c.delta >= 0 && c.delta <= 1, `call delta ${K}`);
+    assert.ok(p.delta >= -1 && p.delta <= 0, `put delta ${K}`);
+    assert.ok(c.theta < 0, `call theta ${K}`);
+    assert.ok(p.theta < 0 || K > 100, `put theta ${K}`);
+  });
+});
+
+test("zero or missing IV gives null so the caller falls back", () => {
+  [0, 0.005, undefined, null, NaN].forEach(sigma => assert.equal(bsmGreeks(false, 100, 100, 0.1, 0.045, 0, sigma), null, String(sigma)));
+  assert.equal(bsmGreeks(false, 100, 100, 0, 0.045, 0, 0.3), null, "expired");
+  assert.equal(bsmGreeks(false, 0, 100, 0.1, 0.045, 0, 0.3), null, "no spot");
+  assert.equal(shortOptionOdds({ side: "calls", strike: 100, mid: 2, impliedVol: 0, dte: 30 }, 100), null);
+});
+
+test("with no volatility a price is its discounted intrinsic against the forward", () => {
+  near(bsmPrice(false, 100, 90, 1, 0.05, 0, 0), 100 - 90 * Math.exp(-0.05), 1e-9);
+  assert.equal(bsmPrice(true, 100, 90, 1, 0.05, 0, 0), 0);
+});
+
+test("short option odds: probabilities and breakevens are consistent", () => {
+  const o = { side: "puts", strike: 95, mid: 1.5, impliedVol: 0.3, dte: 30, yearFraction: 30 / 365 };
+  const odds = shortOptionOdds(o, 100);
+  assert.equal(odds.breakeven, 93.5);
+  assert.ok(odds.probITM > 0 && odds.probITM < 0.5);
+  assert.ok(odds.probProfit > 1 - odds.probITM, "the premium moves the breakeven below the strike");
+  near(odds.coveredBreakeven, 98.5, 1e-12);
+});
@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fetchWithProxies, createResponseCache, createProxyStats, isAbortError } from "../src/lib/http.js";
+
+const PAYLOAD = { chart: { result: "x".repeat(40) } };
+const proxy = (name) => (url) => `https://${name}.example/?url=${encodeURIComponent(url)}`;
+const flush = () => new Promise(r => setImmediate(r));
+
+// A fetch that answers only when told to, and records the signal it was given
+const fakeFetch = (t) => {
+  const calls = [];
+  t.mock.method(globalThis, "fetch", (url, { signal }) => new Promise((resolve, reject) => {
+    const call = {
+      url, signal,
+      respond: (data = PAYLOAD) => resolve({ ok: true, status: 200, text: async () => JSON.stringify(data) }),
+      fail: (status = 500) => resolve({ ok: false, status, text: async () => "" }),
+    };
+    signal.addEventListener("abort", () => reject(Object.assign(new Error("aborted"), { name: "AbortError" })), { once: true });
+    calls.push(call);
+  }));
+  return calls;
+};
+
+const setup = (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: 1_000_000 });
+  return { calls: fakeFetch(t), cache: createResponseCache({ storage: null }), stats: createProxyStats({ storage: null }) };
+};
+
+test("a slow proxy is hedged; the first success wins and the loser is aborted", async (t) => {
+  const { calls, cache, stats } = setup(t);
+  const result = fetchWithProxies([proxy("slow"), proxy("fast")], "https://q/AAPL", null, "Quote", { key: "hedge", cache, stats });
+  assert.equal(calls.length, 1);
+  t.mock.timers.tick(2499);
+  assert.equal(calls.length, 1, "the second proxy waits for the hedge delay");
+  t.mock.timers.tick(1);
+  assert.equal(calls.length, 2);
+  assert.match(calls[1].url, /^https:\/\/fast\./);
+  calls[1].respond();
+  assert.deepEqual(await result, PAYLOAD);
+  assert.equal(calls[0].signal.aborted, true);
+  assert.ok(stats.snapshot()[proxy("fast")("https://example.com/")].success > 0.5);
+});
+
+test("a failed proxy starts the next one without waiting", async (t) => {
+  const { calls, cache, stats } = setup(t);
+  const result = fetchWithProxies([proxy("a"), proxy("b")], "https://q/MSFT", null, "Quote", { key: "failover", cache, stats });
+  calls[0].fail(503);
+  await flush();
+  assert.equal(calls.length, 2);
+  calls[1].respond();
+  assert.deepEqual(await result, PAYLOAD);
+});
+
+test("identical concurrent requests share one fetch", async (t) => {
+  const { calls, cache, stats } = setup(t);
+  const opts = { key: "dedupe", cache, stats };
+  const a = fetchWithProxies([proxy("a")], "https://q/SPY", null, "Quote", opts);
+  const b = fetchWithProxies([proxy("a")], "https://q/SPY", null, "Quote", opts);
+  assert.equal(calls.length, 1);
+  calls[0].respond();
+  assert.deepEqual(await Promise.all([a, b]), [PAYLOAD, PAYLOAD]);
+});
+
+test("cached responses are served within the TTL and refetched after it", async (t) => {
+  const { calls, cache, stats } = setup(t);
+  const get = (extra = {}) => fetchWithProxies([proxy("a")], "https://q/QQQ", null, "Quote", { key: "ttl", ttl: 60000, cache, stats, ...extra });
+  const first = get();
+  calls[0].respond();
+  await first;
+  assert.deepEqual(await get(), PAYLOAD);
+  assert.equal(calls.length, 1, "within the TTL");
+  t.mock.timers.tick(60001);
+  const expired = get();
+  assert.equal(calls.length, 2, "after the TTL");
+  calls[1].respond({ ...PAYLOAD, v: 2 });
+  assert.equal((await expired).v, 2);
+  assert.equal((await get()).v, 2, "the refetch is stored");
+});
+
+test("fresh: true skips the cache read but stores the result", async (t) => {
+  const { calls, cache, stats } = setup(t);
+  cache.set("fresh", { stale: true });
+  const result = fetchWithProxies([proxy("a")], "https://q/IWM", null, "Quote", { key: "fresh", ttl: 60000, fresh: true, cache, stats });
+  assert.equal(calls.length, 1);
+  calls[0].respond();
+  assert.deepEqual(await result, PAYLOAD);
+  assert.deepEqual(cache.get("fresh", 60000), PAYLOAD);
+});
+
+test("an aborted request rejects with an AbortError and caches nothing", async (t) => {
+  const { calls, cache, stats } = setup(t);
+  const controller = new AbortController();
+  const result = fetchWithProxies([proxy("a")], "https://q/TSLA", null, "Quote", { key: "abort", ttl: 60000, signal: controller.signal, cache, stats });
+  controller.abort();
+  await assert.rejects(result, e => isAbortError(e));
+  assert.equal(calls[0].signal.aborted, true, "nobody else waits, so the fetch is cancelled");
+  calls[0].respond();
+  await flush();
+  assert.equal(cache.get("abort", Infinity), undefined);
+
+  const already = new AbortController();
+  already.abort();
+  await assert.rejects(fetchWithProxies([proxy("a")], "https://q/TSLA", null, "Quote", { key: "abort", signal: already.signal, cache, stats }), e => isAbortError(e));
+  assert.equal(calls.length, 1, "an already-aborted signal never fetches");
+});
+
+test("one caller giving up leaves the shared fetch running for the other", async (t) => {
+  const { calls, cache, stats } = setup(t);
+  const controller = new AbortController();
+  const opts = { key: "shared-abort", ttl: 60000, cache, stats };
+  const leaving = fetchWithProxies([proxy("a")], "https://q/NVDA", null, "Quote", { ...opts, signal: controller.signal });
+  const staying = fetchWithProxies([proxy("a")], "https://q/NVDA", null, "Quote", opts);
+  controller.abort();
+  await assert.rejects(leaving, e => isAbortError(e));
+  assert.equal(calls[0].signal.aborted, false);
+  calls[0].respond();
+  assert.deepEqual(await staying, PAYLOAD);
+  assert.deepEqual(cache.get("shared-abort", 60000), PAYLOAD);
+});
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { journalTrade, closeTrade, reopenTrade, tradeResult, journalSummary, mergeJournal, journalToJson, parseJournal } from "../src/lib/journal.js";
+
+const near = (actual, expected, msg) => assert.ok(Math.abs(actual - expected) < 1e-9, `${msg ?? ""} ${actual} vs ${expected}`);
+const DAY_MS = 86400000;
+const at = (y, m, d) => Date.UTC(y, m - 1, d, 15);
+const ROW = { side: "calls", strike: 105, mid: 2, delta: 0.3, gamma: 0.04, theta: -0.05, vega: 0.1, impliedVol: 0.3, dte: 20, dteMode: "calendar", rank: 1, score: 0.4 };
+
+// Sold 2 × 105 calls at 2.10 with spot 100: all of it extrinsic
+const sell = ({ ticker = "aapl", row = ROW, openedAt = at(2026, 11, 2) } = {}) =>
+  journalTrade(row, { ticker, expiry: Date.UTC(2026, 10, 20) / 1000, spot: 100, fill: "2.10", quantity: "2", scoreName: "Efficiency", at: openedAt });
+
+test("a journaled trade keeps the row as it stood at entry", () => {
+  const t = sell();
+  assert.equal(t.ticker, "AAPL");
+  assert.deepEqual([t.fill, t.quantity, t.close], [2.1, 2, null]);
+  near(t.entry.extrinsic, 2.1);
+  assert.equal(t.entry.dteMode, "calendar");
+  assert.throws(() => sell({ ticker: "" }), /No ticker/);
+  assert.throws(() => journalTrade(ROW, { ticker: "A", spot: 100, fill: "2", quantity: "1.5" }), /whole contracts/);
+  assert.throws(() => journalTrade(ROW, { ticker: "A", spot: 100, fill: "0", quantity: "1" }), /positive number/);
+});
+
+test("bought to close: P&L, theta captured and the theta forecast", () => {
+  const t = closeTrade(sell(), { exit: "closed", price: "0.50", spot: "101", at: at(2026, 11, 12) });
+  const r = tradeResult(t);
+  near(r.daysHeld, 10);
+  near(r.realized, (2.1 - 0.5) * 200);
+  near(r.thetaCaptured, (2.1 - 0.5) * 200);
+  near(r.thetaExpected, 0.05 * 10 * 200);
+  near(r.thetaCaptureRatio, 3.2);
+  assert.throws(() => closeTrade(sell(), { exit: "closed", spot: "101" }), /Enter closing price/);
+});
+
+test("expired: nothing paid back, no underlying price needed", () => {
+  const t = closeTrade(sell(), { exit: "expired", price: "", spot: "", at: at(2026, 11, 20) });
+  assert.deepEqual([t.close.price, t.close.spot, t.close.intrinsic], [0, null, 0]);
+  near(tradeResult(t).realized, 420);
+  near(tradeResult(t).thetaExpected, 0.05 * 18 * 200);
+  const fast = closeTrade(sell({ row: { ...ROW, theta: -0.2 } }), { exit: "expired", at: at(2026, 11, 20) });
+  near(tradeResult(fast).thetaExpected, 2.1 * 200, "the forecast is capped at the extrinsic sold");
+});
+
+test("assigned: intrinsic at the spot unless a cost is given", () => {
+  const t = closeTrade(sell(), { exit: "assigned", price: "", spot: "110", at: at(2026, 11, 20) });
+  const r = tradeResult(t);
+  near(t.close.price, 5);
+  near(r.realized, (2.1 - 5) * 200);
+  near(r.thetaCaptured, 420, "all the time value was kept");
+  near(r.intrinsicPaid, 1000);
+  const paid = tradeResult(closeTrade(sell(), { exit: "assigned", price: "5.20", spot: "110", at: at(2026, 11, 20) }));
+  near(paid.thetaCaptured, (2.1 - 0.2) * 200);
+  assert.throws(() => closeTrade(sell(), { exit: "assigned", price: "", spot: "" }), /Enter underlying price/);
+  assert.throws(() => closeTrade(sell(), { exit: "rolled", price: "1", spot: "100" }), /Unknown exit/);
+  assert.equal(reopenTrade(t).close, null);
+});
+
+test("theta taken per trading day is forecast per calendar day held", () => {
+  const t = closeTrade(sell({ row: { ...ROW, dteMode: "trading" } }), { exit: "closed", price: "1", spot: "100", at: at(2026, 11, 12) });
+  near(tradeResult(t).thetaExpected, 0.05 * 252 / 365 * 10 * 200);
+  const legacy = sell();
+  delete legacy.entry.dteMode;
+  near(tradeResult(closeTrade(legacy, { exit: "closed", price: "1", spot: "100", at: at(2026, 11, 12) })).thetaExpected, 100, "trades saved before the unit was recorded are calendar");
+});
+
+test("the summary groups closed trades by week closed and by ticker", () => {
+  const trades = [
+    closeTrade(sell(), { exit: "closed", price: "0.50", spot: "101", at: at(2026, 11, 4) }),
+    closeTrade(sell(), { exit: "expired", price: "", spot: "", at: at(2026, 11, 6) }),
+    closeTrade(sell({ ticker: "msft" }), { exit: "assigned", price: "", spot: "110", at: at(2026, 11, 10) }),
+    sell({ ticker: "msft" }),
+  ];
+  const s = journalSummary(trades);
+  assert.equal(s.openCount, 1);
+  assert.deepEqual(s.byWeek.map(g => [g.key, g.trades]), [["2026-11-09", 1], ["2026-11-02", 2]]);
+  assert.deepEqual(s.byTicker.map(g => [g.key, g.trades, g.wins, g.assigned]), [["AAPL", 2, 2, 0], ["MSFT", 1, 0, 1]]);
+  near(s.byTicker[0].realized, 320 + 420);
+  near(s.totals.realized, 320 + 420 - 580);
+  near(s.totals.premium, 3 * 420);
+  assert.equal(journalSummary([sell()]).totals, null);
+});
+
+test("merging an import replaces trades with the same id", () => {
+  const a = sell({ openedAt: at(2026, 11, 2) }), b = sell({ openedAt: at(2026, 11, 3) }), c = sell({ openedAt: at(2026, 11, 4) });
+  const bClosed = closeTrade(b, { exit: "expired", price: "", spot: "", at: at(2026, 11, 20) });
+  const merged = mergeJournal([a, b], [bClosed, c]);
+  assert.deepEqual(merged.map(t => t.id), [c.id, b.id, a.id]);
+  assert.equal(merged[1].close.exit, "expired");
+});
+
+test("the journal round-trips through its JSON export", () => {
+  const trades = [closeTrade(sell(), { exit: "expired", price: "", spot: "", at: at(2026, 11, 20) }), sell()];
+  assert.deepEqual(parseJournal(journalToJson(trades)), trades);
+  assert.throws(() => parseJournal("{"), /Not valid JSON/);
+  assert.throws(() => parseJournal('{"format":"other"}'), /Not a trade journal/);
+  assert.throws(() => parseJournal(JSON.stringify([{ ...trades[1], quantity: 0 }])), /Trade 1 is missing/);
+});
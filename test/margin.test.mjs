@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buyingPowerRequirement, capitalRequirement, capitalReturns, withBuyingPower } from "../src/lib/margin.js";
+import { bsmPrice, DEFAULT_RATE } from "../src/lib/greeks.js";
+
+const near = (actual, expected, msg) => assert.ok(Math.abs(actual - expected) < 1e-9, `${msg ?? ""} ${actual} vs ${expected}`);
+const row = (side, strike, mid, extra = {}) => ({ side, strike, mid, impliedVol: 0.3, yearFraction: 30 / 365, extrinsic: mid, ...extra });
+const SPOT = 100;
+const regTNaked = { account: "regT", nakedCalls: true };
+
+test("Reg-T naked call: premium plus 20% of spot less the OTM amount", () => {
+  near(buyingPowerRequirement(row("calls", 105, 2), SPOT, regTNaked), (2 + 20 - 5) * 100);
+  near(buyingPowerRequirement(row("calls", 95, 6), SPOT, regTNaked), (6 + 20) * 100, "ITM: nothing to subtract");
+});
+
+test("Reg-T naked shorts never fall below 10% of spot (calls) or strike (puts)", () => {
+  near(buyingPowerRequirement(row("calls", 130, 0.5), SPOT, regTNaked), (0.5 + 10) * 100);
+  near(buyingPowerRequirement(row("puts", 70, 0.3), SPOT, { account: "regT" }), (0.3 + 7) * 100);
+  near(buyingPowerRequirement(row("puts", 90, 1), SPOT, { account: "regT" }), (1 + 20 - 10) * 100);
+});
+
+test("a covered call needs no extra buying power; its capital is the shares", () => {
+  const o = row("calls", 105, 2);
+  [{ account: "cash" }, { account: "cash", nakedCalls: true }, { account: "regT" }, { account: "portfolio" }]
+    .forEach(opts => assert.equal(buyingPowerRequirement(o, SPOT, opts), 0, JSON.stringify(opts)));
+  near(capitalRequirement(o, SPOT, { account: "cash" }), 10000, "cash: the shares at spot");
+  near(capitalRequirement(o, SPOT, { account: "regT" }), 5000, "Reg-T: 50% of the shares");
+  const r = capitalReturns(o, SPOT, { account: "regT" });
+  assert.equal(r.buyingPower, 0);
+  near(r.returnOnCapital, 2 * 100 / 5000 * 100);
+  near(r.annualizedROC, r.returnOnCapital / (30 / 365));
+});
+
+test("a cash-secured put ties up the strike", () => {
+  const o = row("puts", 95, 1.5);
+  const r = capitalReturns(o, SPOT, { account: "cash" });
+  near(r.buyingPower, 9500);
+  near(r.capital, 9500);
+  near(r.returnOnCapital, 150 / 9500 * 100);
+});
+
+test("portfolio margin: the worst loss over a ±15% move, at least $37.50", () => {
+  const o = row("calls", 105, 2);
+  const worst = bsmPrice(false, 115, 105, o.yearFraction, DEFAULT_RATE, 0, 0.3) - 2;
+  near(buyingPowerRequirement(o, SPOT, { account: "portfolio", nakedCalls: true }), worst * 100, "naked call loses most at +15%");
+  const put = row("puts", 95, 1.5);
+  near(buyingPowerRequirement(put, SPOT, { account: "portfolio" }), (bsmPrice(true, 85, 95, put.yearFraction, DEFAULT_RATE, 0, 0.3) - 1.5) * 100, "put at −15%");
+  near(buyingPowerRequirement(row("calls", 300, 0.05), SPOT, { account: "portfolio", nakedCalls: true }), 37.5, "floor");
+  const covered = capitalRequirement(o, SPOT, { account: "portfolio" });
+  assert.ok(covered >= 37.5 && covered < 15 * 100, "the short call offsets part of the shares' downside");
+  near(buyingPowerRequirement(row("calls", 105, 2, { impliedVol: 0 }), SPOT, { account: "portfolio", nakedCalls: true }), (115 - 105 * Math.exp(-DEFAULT_RATE * 30 / 365) - 2) * 100, "no IV: discounted intrinsic");
+});
+
+test("returns are null without capital and rows can be re-costed for another account", () => {
+  assert.equal(capitalReturns(row("puts", 0, 1), SPOT, { account: "cash" }).returnOnCapital, null);
+  const [o] = withBuyingPower([row("calls", 105, 2)], SPOT, regTNaked);
+  near(o.buyingPower, 1700);
+  near(o.capital, 1700);
+  assert.equal(o.strike, 105);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileFormula, passesProfileFilters, BUILTIN_PROFILES } from "../src/lib/scoring.js";
+
+const score = (formula, row = {}) => compileFormula(formula)(row);
+
+test("operator precedence and associativity", () => {
+  assert.equal(score("2 + 3 * 4"), 14);
+  assert.equal(score("(2 + 3) * 4"), 20);
+  assert.equal(score("10 - 4 - 3"), 3);
+  assert.equal(score("24 / 4 / 3"), 2);
+  assert.equal(score("2 ^ 3 ^ 2"), 512);
+  assert.equal(score("-2 ^ 2"), -4);
+  assert.equal(score("2 * -3"), -6);
+  assert.equal(score("1 + 2 * 3 ^ 2"), 19);
+});
+
+test("number forms, including either exponent case", () => {
+  assert.equal(score("1.5"), 1.5);
+  assert.equal(score(".5"), 0.5);
+  assert.equal(score("2e3"), 2000);
+  assert.equal(score("extrinsic * 1E-3", { extrinsic: 2000 }), 2);
+});
+
+test("fields and whitelisted functions read the row", () => {
+  const row = { extrinsic: 2, dte: 4, delta: -0.25, theta: -0.05, vega: 0.1 };
+  assert.equal(score("extrinsic / dte / abs(delta)", row), 2);
+  assert.equal(score("abs(theta) / vega", row), 0.5);
+  assert.equal(score("max(extrinsic, dte) + min(1, 2) + pow(2, 2)", row), 9);
+  assert.ok(Number.isNaN(score("extrinsic / delta", { extrinsic: 1 })), "a missing field scores NaN");
+  assert.ok(Number.isNaN(score("delta", { delta: "0.3" })), "non-numeric values are not coerced");
+});
+
+test("identifiers outside the whitelist are rejected", () => {
+  ["constructor", "__proto__", "toString", "hasOwnProperty", "process", "globalThis", "eval", "Math", "window"]
+    .forEach(name => assert.throws(() => compileFormula(`${name}`), /Unknown field/, name));
+  assert.throws(() => compileFormula("constructor(1)"), /Unknown field/);
+});
+
+test("syntax outside the grammar is rejected", () => {
+  [
+    ["Math.abs(delta)", /Unexpected "\."/],
+    ["delta[0]", /Unexpected "\["/],
+    ["extrinsic; delta", /Unexpected ";"/],
+    ["'a' + 1", /Unexpected "'"/],
+    ["abs(delta", /Expected "\)"/],
+    ["extrinsic +", /ends unexpectedly/],
+    ["extrinsic delta", /Unexpected "delta"/],
+    ["pow(2)", /takes 2 arguments/],
+    ["  ", /empty/],
+  ].forEach(([formula, message]) => assert.throws(() => compileFormula(formula), message, formula));
+});
+
+test("built-in profile formulas compile", () => {
+  BUILTIN_PROFILES.filter(p => p.formula).forEach(p => assert.doesNotThrow(() => compileFormula(p.formula), p.id));
+});
+
+test("profile filters bound |delta| and DTE", () => {
+  const filters = { deltaMin: "0.1", deltaMax: "0.30", dteMax: "45" };
+  assert.equal(passesProfileFilters({ delta: -0.25, dte: 30 }, filters), true);
+  assert.equal(passesProfileFilters({ delta: 0.35, dte: 30 }, filters), false);
+  assert.equal(passesProfileFilters({ delta: null, dte: 30 }, filters), false);
+  assert.equal(passesProfileFilters({ delta: 0.2, dte: 60 }, filters), false);
+  assert.equal(passesProfileFilters({ delta: null, dte: 60 }, {}), true);
+});
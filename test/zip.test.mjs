@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deflateRawSync, crc32 } from "node:zlib";
+import { isZip, readZip } from "../src/lib/zip.js";
+
+// Minimal ZIP writer: local headers, central directory, end record
+const buildZip = (files) => {
+  const locals = [], centrals = [];
+  let offset = 0;
+  files.forEach(({ name, data = new Uint8Array(), method = 0 }) => {
+    const nameBytes = Buffer.from(name);
+    const body = method === 8 ? deflateRawSync(data) : Buffer.from(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, body);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + body.length;
+  });
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...locals, directory, end]));
+};
+
+const text = (s) => new TextEncoder().encode(s);
+const CHAIN = JSON.stringify({ asOf: "2026-11-06", spot: 100, expirations: [] }).repeat(20);
+
+test("stored and deflated entries read back byte for byte", async () => {
+  const archive = buildZip([
+    { name: "history/", method: 0 },
+    { name: "history/AAPL_2026-11-06.json", data: text(CHAIN), method: 8 },
+    { name: "history/prices.csv", data: text("Date,Close\n2026-11-06,100\n") },
+    { name: "__MACOSX/history/._prices.csv", data: text("resource fork") },
+  ]);
+  assert.equal(isZip(archive), true);
+  const entries = await readZip(archive);
+  assert.deepEqual(entries.map(e => e.name), ["history/AAPL_2026-11-06.json", "history/prices.csv"]);
+  assert.equal(new TextDecoder().decode(entries[0].bytes), CHAIN);
+  assert.equal(new TextDecoder().decode(entries[1].bytes), "Date,Close\n2026-11-06,100\n");
+});
+
+test("an archive inside a larger buffer is read at its own offset", async () => {
+  const archive = buildZip([{ name: "a.csv", data: text("x,y\n1,2\n"), method: 8 }]);
+  const padded = new Uint8Array(archive.length + 16);
+  padded.set(archive, 7);
+  const [entry] = await readZip(padded.subarray(7, 7 + archive.length));
+  assert.equal(new TextDecoder().decode(entry.bytes), "x,y\n1,2\n");
+});
+
+test("damaged and unsupported archives are rejected", async () => {
+  assert.equal(isZip(text("Date,Close")), false);
+  await assert.rejects(readZip(text("not a zip at all, just some text")), /no central directory/);
+  const bzip = buildZip([{ name: "a.csv", data: text("x"), method: 12 }]);
+  await assert.rejects(readZip(bzip), /unsupported ZIP compression method 12/);
+  const broken = buildZip([{ name: "a.csv", data: text("x") }]);
+  broken.fill(0, 0, 4);
+  await assert.rejects(readZip(broken), /Damaged ZIP entry a\.csv/);
+});